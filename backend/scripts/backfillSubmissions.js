@@ -0,0 +1,27 @@
+// One-off migration for databases created before duplicate detection, publisher
+// pages and prefix search: fills in the derived submission fields, then rebuilds
+// the publisher registry from them. Safe to run more than once.
+// Usage: npm run backfill
+import mongoose from 'mongoose';
+import config from '../src/config/config.js';
+import { backfillSubmissionFields } from '../src/services/backfillService.js';
+import { rebuildPublishers } from '../src/services/publisherService.js';
+
+const run = async () => {
+  await mongoose.connect(config.mongodbUri);
+
+  try {
+    const updated = await backfillSubmissionFields();
+    console.log(`Updated derived fields on ${updated} submission(s)`);
+
+    const { publishers } = await rebuildPublishers();
+    console.log(`Rebuilt ${publishers} publisher record(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('Backfill failed:', error);
+  process.exit(1);
+});
@@ -4,11 +4,62 @@ dotenv.config();
 
 const config = {
   port: process.env.PORT || 5000,
+  // Used to build links in emails
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
   // Fallback to local Mongo for development if env var is not set
   mongodbUri: process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/wsv',
   // Development defaults; override in production via environment variables
   jwtSecret: process.env.JWT_SECRET || 'dev_jwt_secret_change_me',
   jwtExpire: process.env.JWT_EXPIRE || '30d',
+  // Signs the unsubscribe links in notification emails. Kept apart from the JWT secret so
+  // rotating one does not affect the other; required in production (see server.js)
+  unsubscribeSecret: process.env.UNSUBSCRIBE_SECRET
+    || (process.env.NODE_ENV === 'production' ? undefined : 'dev_unsubscribe_secret_change_me'),
+  // Local directory for database backup archives
+  backupPath: process.env.BACKUP_PATH || './backups',
+  // Local directory for uploaded submission documents
+  uploadPath: process.env.UPLOAD_PATH || './uploads',
+  maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // bytes
+  // How often orphaned uploads are swept from disk
+  fileCleanupIntervalHours: parseInt(process.env.FILE_CLEANUP_INTERVAL_HOURS) || 24,
+  // Source link monitoring: how often each link is rechecked, how many per run,
+  // and how many failed checks in a row flag a source for re-review
+  linkCheckIntervalHours: parseInt(process.env.LINK_CHECK_INTERVAL_HOURS) || 24,
+  linkCheckBatchSize: parseInt(process.env.LINK_CHECK_BATCH_SIZE) || 200,
+  linkCheckFailureThreshold: parseInt(process.env.LINK_CHECK_FAILURE_THRESHOLD) || 3,
+  // Let URL fetches reach private network addresses; only for local development and tests
+  allowPrivateHosts: process.env.ALLOW_PRIVATE_HOSTS === 'true',
+  // Wayback Machine availability API used to find archived copies of dead links
+  archiveLookupUrl: process.env.ARCHIVE_LOOKUP_URL || 'https://archive.org/wayback/available',
+  // Account lockout: failed passwords before a lock, and how long locks last; each lock
+  // before the next successful login doubles in length up to the maximum
+  loginMaxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  loginLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  loginLockoutMaxMinutes: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60,
+  // Email account owners when their account is locked
+  lockoutNotifications: process.env.LOCKOUT_NOTIFICATIONS !== 'false',
+  // Outgoing email. Messages wait in the outbox until EMAIL_HOST is set; failed
+  // sends are retried after retryBaseSeconds, doubling each time, up to maxAttempts
+  email: {
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: process.env.EMAIL_SECURE === 'true',
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS,
+    from: process.env.SYSTEM_EMAIL_FROM || 'WikiSourceVerifier <no-reply@wikisourceverifier.org>',
+    maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6,
+    retryBaseSeconds: parseInt(process.env.EMAIL_RETRY_BASE_SECONDS) || 60,
+    batchSize: parseInt(process.env.EMAIL_BATCH_SIZE) || 50
+  },
+  // Wikimedia OAuth 2.0 consumer, registered at meta.wikimedia.org/wiki/Special:OAuthConsumerRegistration
+  wikimedia: {
+    clientId: process.env.WIKIMEDIA_CLIENT_ID,
+    clientSecret: process.env.WIKIMEDIA_CLIENT_SECRET,
+    // REST endpoint root; the OAuth routes live under /oauth2
+    oauthUrl: process.env.WIKIMEDIA_OAUTH_URL || 'https://meta.wikimedia.org/w/rest.php',
+    callbackUrl: process.env.WIKIMEDIA_CALLBACK_URL
+      || `${process.env.FRONTEND_URL || 'http://localhost:5173'}/auth/wikimedia/callback`
+  },
 };
 
 export default config;
\ No newline at end of file
@@ -1,8 +1,40 @@
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Submission from '../models/Submission.js';
 import CountryStats from '../models/CountryStats.js';
+import AuditLog from '../models/AuditLog.js';
+import SystemSettings from '../models/SystemSettings.js';
+import EmailMessage from '../models/EmailMessage.js';
 import AppError from '../utils/AppError.js';
 import { ErrorCodes } from '../utils/errorCodes.js';
+import { recordAudit, diffFields } from '../services/auditService.js';
+import { logEvent } from '../services/logService.js';
+import { recordReviewOutcome } from '../services/reviewService.js';
+import { refreshPublisherForSubmission } from '../services/publisherService.js';
+import { notifySubmissionReviewed, notifyRoleChanged } from '../services/notificationService.js';
+import { publishSubmissionOverridden } from '../services/realtimeService.js';
+import { parseListParams, applyCursor, getPageSort, buildPage } from '../utils/pagination.js';
+
+const USER_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  points: 'points',
+  username: 'username'
+};
+
+const EMAIL_SORT_FIELDS = {
+  createdAt: 'createdAt'
+};
+
+// Query values may arrive as arrays or objects (?action[$ne]=x); only plain strings are used as filters
+const toValue = (value) => (value === undefined || value === '' ? undefined : String(value));
+
+const toObjectId = (value, name) => {
+  const id = toValue(value);
+  if (id !== undefined && !mongoose.isValidObjectId(id)) {
+    throw new AppError(`${name} must be a valid ID`, 400, ErrorCodes.INVALID_INPUT);
+  }
+  return id;
+};
 
 class AdminController {
   // ============================================================================
@@ -147,9 +179,10 @@ class AdminController {
 
   static async getUsers(req, res, next) {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 20;
-      const skip = (page - 1) * limit;
+      const list = parseListParams(req.query, {
+        sortFields: USER_SORT_FIELDS,
+        defaultSort: '-createdAt'
+      });
       
       // Build filter
       const filter = {};
@@ -163,14 +196,14 @@ class AdminController {
         ];
       }
       
-      const [users, total] = await Promise.all([
-        User.find(filter)
+      const [found, total] = await Promise.all([
+        User.find(applyCursor(filter, list))
           .select('-password')
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(limit),
-        User.countDocuments(filter)
+          .sort(getPageSort(list))
+          .limit(list.limit + 1),
+        list.includeTotal ? User.countDocuments(filter) : undefined
       ]);
+      const { items: users, pagination } = buildPage(found, list, total);
       
       // Get submission stats for each user
       const userIds = users.map(user => user._id);
@@ -198,12 +231,7 @@ class AdminController {
       
       res.json({
         users: usersWithStats,
-        pagination: { 
-          current: page, 
-          pages: Math.ceil(total / limit), 
-          total, 
-          limit 
-        }
+        pagination
       });
     } catch (error) {
       next(error);
@@ -227,14 +255,33 @@ class AdminController {
       if (req.body.points !== undefined) updates.points = req.body.points;
       if (req.body.badges !== undefined) updates.badges = req.body.badges;
       
+      const existingUser = await User.findById(userId).select('-password');
+      if (!existingUser) {
+        return next(new AppError('User not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+      }
+      
       const user = await User.findByIdAndUpdate(
         userId, 
         updates, 
         { new: true, runValidators: true }
       ).select('-password');
       
-      if (!user) {
-        return next(new AppError('User not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+      await recordAudit(req, {
+        action: updates.role !== undefined && updates.role !== existingUser.role ? 'user.role_change' : 'user.update',
+        targetType: 'User',
+        targetId: user._id,
+        changes: diffFields(existingUser, user, Object.keys(updates)),
+        reason: req.body.reason
+      });
+      
+      if (updates.role !== undefined && updates.role !== existingUser.role) {
+        await logEvent({
+          action: 'user.role_changed',
+          message: `Role for ${user.username} changed from ${existingUser.role} to ${user.role}`,
+          req,
+          details: { targetUser: user._id, from: existingUser.role, to: user.role }
+        });
+        await notifyRoleChanged(user, existingUser.role, user.role);
       }
       
       // If role changed to verifier, update CountryStats
@@ -255,6 +302,79 @@ class AdminController {
     }
   }
 
+  static async unlockUser(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id).select('-password');
+      if (!user) {
+        return next(new AppError('User not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+      }
+
+      const lockedUntil = user.lockUntil;
+      await user.resetLoginAttempts();
+
+      await recordAudit(req, {
+        action: 'user.unlock',
+        targetType: 'User',
+        targetId: user._id,
+        changes: [{ field: 'lockUntil', before: lockedUntil, after: null }],
+        reason: req.body.reason
+      });
+
+      await logEvent({
+        action: 'auth.account_unlocked',
+        message: `Account ${user.username} unlocked by an admin`,
+        req,
+        details: { targetUser: user._id, lockedUntil }
+      });
+
+      res.json({
+        message: 'User unlocked successfully',
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // For users who have lost both their authenticator and their recovery codes
+  static async resetUserTwoFactor(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id).select('-password');
+      if (!user) {
+        return next(new AppError('User not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+      }
+      if (!user.twoFactor?.enabled) {
+        return next(new AppError('Two-factor authentication is not enabled for this user', 400, ErrorCodes.OPERATION_NOT_ALLOWED));
+      }
+
+      user.twoFactor = { enabled: false };
+      await user.save();
+
+      await recordAudit(req, {
+        action: 'user.2fa_reset',
+        targetType: 'User',
+        targetId: user._id,
+        changes: [{ field: 'twoFactor.enabled', before: true, after: false }],
+        reason: req.body.reason
+      });
+
+      await logEvent({
+        action: 'auth.2fa_reset',
+        level: 'warn',
+        message: `Two-factor authentication for ${user.username} reset by an admin`,
+        req,
+        details: { targetUser: user._id }
+      });
+
+      res.json({
+        message: 'Two-factor authentication reset successfully',
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   static async deleteUser(req, res, next) {
     try {
       const userId = req.params.id;
@@ -278,6 +398,14 @@ class AdminController {
         { new: true }
       ).select('-password');
       
+      await recordAudit(req, {
+        action: 'user.delete',
+        targetType: 'User',
+        targetId: user._id,
+        changes: diffFields(user, deletedUser, ['isActive', 'email']),
+        reason: req.body.reason
+      });
+      
       res.json({ 
         message: 'User deleted successfully', 
         user: deletedUser 
@@ -337,7 +465,7 @@ class AdminController {
   static async overrideSubmission(req, res, next) {
     try {
       const submissionId = req.params.id;
-      const { status, adminNotes, reason } = req.body;
+      const { status, credibility, adminNotes, reason } = req.body;
       
       const submission = await Submission.findById(submissionId);
       if (!submission) {
@@ -345,17 +473,45 @@ class AdminController {
       }
       
       // Store original values for audit
-      const originalStatus = submission.status;
-      const originalVerifier = submission.verifier;
+      const auditFields = ['status', 'credibility', 'verifier', 'verifiedAt', 'verifierNotes', 'escalation'];
+      const original = submission.toObject();
+      const wasEscalated = submission.escalation?.isEscalated;
+      // Dead-link escalations come from link checks, not from verifier votes
+      const settlesReviews = wasEscalated && submission.escalation.kind !== 'link';
       
       // Update submission
       submission.status = status;
+      if (credibility !== undefined) submission.credibility = credibility;
       submission.verifier = req.user._id;
       submission.verifiedAt = new Date();
       submission.verifierNotes = adminNotes;
       
+      // An override settles any open escalation
+      if (wasEscalated) {
+        submission.escalation.isEscalated = false;
+        submission.escalation.resolvedAt = new Date();
+        submission.escalation.resolvedBy = req.user._id;
+      }
+      
       await submission.save();
       
+      if (settlesReviews && status !== 'pending') {
+        await recordReviewOutcome(submission);
+      }
+      
+      await refreshPublisherForSubmission(submission);
+      
+      await recordAudit(req, {
+        action: 'submission.override',
+        targetType: 'Submission',
+        targetId: submission._id,
+        changes: diffFields(original, submission, auditFields),
+        reason
+      });
+      
+      await notifySubmissionReviewed(submission, { overridden: true, previousStatus: original.status });
+      publishSubmissionOverridden(submission, original.status);
+      
       res.json({ 
         message: 'Submission override successful', 
         submission 
@@ -365,6 +521,40 @@ class AdminController {
     }
   }
 
+  static async getEscalations(req, res, next) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = (page - 1) * limit;
+      
+      const filter = { 'escalation.isEscalated': true };
+      const country = toValue(req.query.country);
+      if (country) filter.country = country;
+      
+      const [submissions, total] = await Promise.all([
+        Submission.find(filter)
+          .populate('submitter', 'username email country')
+          .populate('reviews.verifier', 'username email country')
+          .sort({ 'escalation.escalatedAt': 1 })
+          .skip(skip)
+          .limit(limit),
+        Submission.countDocuments(filter)
+      ]);
+      
+      res.json({
+        submissions,
+        pagination: { 
+          current: page, 
+          pages: Math.ceil(total / limit), 
+          total, 
+          limit 
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   static async deleteSubmission(req, res, next) {
     try {
       const submissionId = req.params.id;
@@ -376,12 +566,195 @@ class AdminController {
       }
       
       await Submission.findByIdAndDelete(submissionId);
+      await refreshPublisherForSubmission(submission);
+      
+      await recordAudit(req, {
+        action: 'submission.delete',
+        targetType: 'Submission',
+        targetId: submission._id,
+        changes: diffFields(submission, {}, ['url', 'title', 'publisher', 'country', 'status', 'submitter']),
+        reason
+      });
       
       res.json({ message: 'Submission deleted successfully' });
     } catch (error) {
       next(error);
     }
   }
+
+  // ============================================================================
+  // SETTINGS
+  // ============================================================================
+
+  static async getSettings(req, res, next) {
+    try {
+      const settings = await SystemSettings.getSettings();
+      res.json({ settings });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async updateSettings(req, res, next) {
+    try {
+      const { twoFactorRequiredRoles } = req.body;
+
+      if (twoFactorRequiredRoles !== undefined) {
+        if (!Array.isArray(twoFactorRequiredRoles)
+          || twoFactorRequiredRoles.some(role => !['verifier', 'admin'].includes(role))) {
+          return next(new AppError('twoFactorRequiredRoles may only contain verifier and admin', 400, ErrorCodes.INVALID_INPUT));
+        }
+        // Otherwise the admin making the change would lose access to this page
+        if (twoFactorRequiredRoles.includes('admin') && !req.user.twoFactor?.enabled) {
+          return next(new AppError('Enable two-factor authentication on your own account first', 400, ErrorCodes.OPERATION_NOT_ALLOWED));
+        }
+      }
+
+      const before = await SystemSettings.getSettings({ fresh: true });
+
+      const changes = { updatedBy: req.user._id };
+      if (twoFactorRequiredRoles !== undefined) {
+        changes.twoFactorRequiredRoles = [...new Set(twoFactorRequiredRoles)];
+      }
+      const settings = await SystemSettings.updateSettings(changes);
+
+      await recordAudit(req, {
+        action: 'settings.update',
+        targetType: 'SystemSettings',
+        targetId: settings._id,
+        changes: diffFields(before, settings, ['twoFactorRequiredRoles']),
+        reason: req.body.reason
+      });
+
+      res.json({
+        message: 'Settings updated successfully',
+        settings
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================================
+  // EMAIL OUTBOX
+  // ============================================================================
+
+  static async getEmails(req, res, next) {
+    try {
+      const list = parseListParams(req.query, {
+        sortFields: EMAIL_SORT_FIELDS,
+        defaultSort: '-createdAt'
+      });
+      
+      const filter = {};
+      const status = toValue(req.query.status);
+      const template = toValue(req.query.template);
+      const to = toValue(req.query.to);
+      if (status) filter.status = status;
+      if (template) filter.template = template;
+      if (to) filter.to = to.toLowerCase();
+      
+      // Bodies can hold single-use links, such as password resets, so are left out
+      const [found, total] = await Promise.all([
+        EmailMessage.find(applyCursor(filter, list))
+          .select('-html -text')
+          .sort(getPageSort(list))
+          .limit(list.limit + 1),
+        list.includeTotal ? EmailMessage.countDocuments(filter) : undefined
+      ]);
+      const { items: emails, pagination } = buildPage(found, list, total);
+      
+      res.json({
+        emails,
+        pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async retryEmail(req, res, next) {
+    try {
+      const email = await EmailMessage.findById(req.params.id).select('-html -text');
+      if (!email) {
+        return next(new AppError('Email not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+      }
+      
+      if (email.status !== 'failed') {
+        return next(new AppError('Only failed emails can be retried', 400, ErrorCodes.OPERATION_NOT_ALLOWED));
+      }
+      
+      // Start the backoff again from the first attempt
+      email.status = 'pending';
+      email.attempts = 0;
+      email.nextAttemptAt = new Date();
+      await email.save();
+      
+      await recordAudit(req, {
+        action: 'email.retry',
+        targetType: 'EmailMessage',
+        targetId: email._id,
+        changes: [{ field: 'status', before: 'failed', after: 'pending' }],
+        reason: req.body.reason
+      });
+      
+      res.json({
+        message: 'Email queued for another attempt',
+        email
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ============================================================================
+  // AUDIT LOG
+  // ============================================================================
+
+  static async getAuditLogs(req, res, next) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const skip = (page - 1) * limit;
+      
+      // Build filter
+      const filter = {};
+      const actor = toObjectId(req.query.actor, 'actor');
+      const targetId = toObjectId(req.query.targetId, 'targetId');
+      const targetType = toValue(req.query.targetType);
+      const action = toValue(req.query.action);
+      if (actor) filter.actor = actor;
+      if (targetType) filter.targetType = targetType;
+      if (targetId) filter.targetId = targetId;
+      if (action) filter.action = action;
+      if (req.query.startDate || req.query.endDate) {
+        filter.createdAt = {};
+        if (req.query.startDate) filter.createdAt.$gte = new Date(req.query.startDate);
+        if (req.query.endDate) filter.createdAt.$lte = new Date(req.query.endDate);
+      }
+      
+      const [logs, total] = await Promise.all([
+        AuditLog.find(filter)
+          .populate('actor', 'username email role')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        AuditLog.countDocuments(filter)
+      ]);
+      
+      res.json({
+        logs,
+        pagination: { 
+          current: page, 
+          pages: Math.ceil(total / limit), 
+          total, 
+          limit 
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 export default AdminController;
\ No newline at end of file
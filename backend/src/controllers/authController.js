@@ -1,7 +1,72 @@
 import User from '../models/User.js';
-import { sendTokenResponse, verifyRefreshToken, generateAccessToken } from '../utils/jwt.js';
+import { sendTokenResponse, verifyRefreshToken } from '../utils/jwt.js';
 import AppError from '../utils/AppError.js';
 import { ErrorCodes } from '../utils/errorCodes.js';
+import { logEvent } from '../services/logService.js';
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendLockoutEmail
+} from '../services/accountEmailService.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeOtherSessions,
+  listSessions
+} from '../services/sessionService.js';
+import { TWO_FACTOR_FIELDS, verifySecondFactor } from '../services/twoFactorService.js';
+import config from '../config/config.js';
+
+// 423 with a Retry-After header telling the client when to try again
+const accountLockedError = (res, lockedUntil) => {
+  const seconds = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+  const minutes = Math.ceil(seconds / 60);
+  res.set('Retry-After', String(seconds));
+  return new AppError(
+    `Account is locked after too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+    423,
+    ErrorCodes.ACCOUNT_LOCKED
+  );
+};
+
+/**
+ * Count a wrong password or authentication code, locking the account at the limit
+ * @returns {Promise<AppError|null>} The 423 error when this attempt locked the account
+ */
+const recordFailedLogin = async (req, res, user, reason) => {
+  const { attempts, lockedUntil } = await user.registerFailedLogin();
+
+  await logEvent({
+    action: 'auth.login_failed',
+    level: 'warn',
+    message: reason === 'invalid_password'
+      ? 'Login attempt with incorrect password'
+      : 'Login attempt with incorrect authentication code',
+    req,
+    user: user._id,
+    statusCode: lockedUntil ? 423 : 401,
+    details: { username: user.username, reason, attempts }
+  });
+
+  if (!lockedUntil) return null;
+
+  await logEvent({
+    action: 'auth.account_locked',
+    level: 'warn',
+    message: `Account ${user.username} locked after ${attempts} failed login attempts`,
+    req,
+    user: user._id,
+    statusCode: 423,
+    details: { lockedUntil, lockCount: user.lockCount }
+  });
+
+  if (config.lockoutNotifications) {
+    await sendLockoutEmail(user, lockedUntil);
+  }
+
+  return accountLockedError(res, lockedUntil);
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -13,14 +78,19 @@ export const register = async (req, res, next) => {
     const { username, email, password, country } = req.body;
 
     // Create user
-    const user = await User.create({
+    const user = new User({
       username,
       email,
       password,
-      country
+      country,
+      emailVerified: false
     });
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
 
-    sendTokenResponse(user, 201, res);
+    await sendVerificationEmail(user, verificationToken);
+
+    sendTokenResponse(user, 201, res, await createSession(user, req));
   } catch (error) {
     next(error);
   }
@@ -37,22 +107,130 @@ export const login = async (req, res, next) => {
     const user = await User.findOne({ username }).select('+password');
 
     if (!user) {
+      await logEvent({
+        action: 'auth.login_failed',
+        level: 'warn',
+        message: 'Login attempt for unknown username',
+        req,
+        statusCode: 401,
+        details: { username, reason: 'unknown_user' }
+      });
       return next(new AppError('Invalid credentials', 401, ErrorCodes.INVALID_CREDENTIALS));
     }
 
+    // Locked accounts are refused before the password is checked, so guessing gets nowhere
+    if (user.isLocked()) {
+      await logEvent({
+        action: 'auth.login_failed',
+        level: 'warn',
+        message: 'Login attempt for locked account',
+        req,
+        user: user._id,
+        statusCode: 423,
+        details: { username, reason: 'account_locked', lockedUntil: user.lockUntil }
+      });
+      return next(accountLockedError(res, user.lockUntil));
+    }
+
     // Check if password matches
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
-      return next(new AppError('Invalid credentials', 401, ErrorCodes.INVALID_CREDENTIALS));
+      const lockError = await recordFailedLogin(req, res, user, 'invalid_password');
+      return next(lockError || new AppError('Invalid credentials', 401, ErrorCodes.INVALID_CREDENTIALS));
     }
 
     // Check if user is active
     if (!user.isActive) {
+      await logEvent({
+        action: 'auth.login_failed',
+        level: 'warn',
+        message: 'Login attempt for deactivated account',
+        req,
+        user: user._id,
+        statusCode: 401,
+        details: { username, reason: 'account_inactive' }
+      });
       return next(new AppError('Account is deactivated', 401, ErrorCodes.ACCOUNT_INACTIVE));
     }
 
-    sendTokenResponse(user, 200, res);
+    // The password alone only earns a short-lived token for the code step
+    if (user.twoFactor?.enabled) {
+      const twoFactorToken = user.createTwoFactorChallenge();
+      await user.save();
+
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        twoFactorToken
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    await logEvent({
+      action: 'auth.login',
+      message: `User ${user.username} logged in`,
+      req,
+      user: user._id
+    });
+
+    sendTokenResponse(user, 200, res, await createSession(user, req));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Finish a login with an authenticator or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+export const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    const user = await User.findOne({
+      twoFactorChallenge: User.hashToken(twoFactorToken),
+      twoFactorChallengeExpires: { $gt: new Date() }
+    }).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      return next(new AppError('Login has expired, please log in again', 401, ErrorCodes.TOKEN_INVALID));
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (user.isLocked()) {
+      return next(accountLockedError(res, user.lockUntil));
+    }
+
+    if (!user.isActive) {
+      return next(new AppError('Account is deactivated', 401, ErrorCodes.ACCOUNT_INACTIVE));
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+
+    if (!method) {
+      const lockError = await recordFailedLogin(req, res, user, 'invalid_2fa_code');
+      return next(lockError || new AppError('Invalid authentication code', 401, ErrorCodes.INVALID_CREDENTIALS));
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $unset: { twoFactorChallenge: 1, twoFactorChallengeExpires: 1 } }
+    );
+    await user.resetLoginAttempts();
+
+    await logEvent({
+      action: 'auth.login',
+      message: `User ${user.username} logged in`,
+      req,
+      user: user._id,
+      details: {
+        twoFactor: method,
+        ...(method === 'recovery' && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
+      }
+    });
+
+    sendTokenResponse(user, 200, res, await createSession(user, req));
   } catch (error) {
     next(error);
   }
@@ -63,6 +241,14 @@ export const login = async (req, res, next) => {
 // @access  Private
 export const logout = async (req, res, next) => {
   try {
+    // End the session server-side so its refresh token stops working
+    const sessionId = req.sessionId
+      || verifyRefreshToken(req.body?.refreshToken || req.cookies.refreshToken)?.sid;
+
+    if (sessionId) {
+      await revokeSession(req.user._id, sessionId);
+    }
+
     res
       .status(200)
       .cookie('token', 'none', {
@@ -103,32 +289,16 @@ export const getMe = async (req, res, next) => {
 // @access  Public
 export const refreshToken = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
-
+    const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
 
     if (!refreshToken) {
-      return next(new AppError('Refresh token is required', 401, ErrorCodes.AUTH_TOKEN_MISSING));
+      return next(new AppError('Refresh token is required', 401, ErrorCodes.UNAUTHORIZED_ACCESS));
     }
 
-    const decoded = verifyRefreshToken(refreshToken);
-
-    if (!decoded) {
-      return next(new AppError('Invalid refresh token', 401, ErrorCodes.AUTH_TOKEN_INVALID));
-    }
+    // Each refresh token is exchanged exactly once for a new pair
+    const session = await rotateSession(refreshToken, req);
 
-    const user = await User.findById(decoded.id);
-
-    if (!user || !user.isActive) {
-      return next(new AppError('User not found or inactive', 401, ErrorCodes.AUTH_TOKEN_INVALID));
-    }
-
-    const accessToken = generateAccessToken(user._id);
-
-    res.status(200).json({
-      success: true,
-      accessToken,
-      user: user.getPublicProfile()
-    });
+    sendTokenResponse(session.user, 200, res, session);
   } catch (error) {
     next(error);
   }
@@ -142,15 +312,22 @@ export const updateProfile = async (req, res, next) => {
   try {
     const { email, country } = req.body;
 
-    const fieldsToUpdate = {};
-    if (email) fieldsToUpdate.email = email;
-    if (country) fieldsToUpdate.country = country;
+    const user = await User.findById(req.user.id);
 
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      fieldsToUpdate,
-      { new: true, runValidators: true }
-    );
+    // A new address has to be confirmed again
+    let verificationToken;
+    if (email && email.trim().toLowerCase() !== user.email) {
+      user.email = email;
+      user.emailVerified = false;
+      verificationToken = user.createEmailVerificationToken();
+    }
+    if (country) user.country = country;
+
+    await user.save();
+
+    if (verificationToken) {
+      await sendVerificationEmail(user, verificationToken);
+    }
 
     res.status(200).json({
       success: true,
@@ -181,9 +358,221 @@ export const changePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
-    sendTokenResponse(user, 200, res);
+    // Other devices have to sign in with the new password; this one gets a fresh session
+    await revokeOtherSessions(user._id);
+    sendTokenResponse(user, 200, res, await createSession(user, req));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm an email address with the token from the confirmation email
+// @route   POST /api/auth/verify-email
+// @access  Public
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const user = token && await User.findOne({
+      emailVerificationToken: User.hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return next(new AppError('Confirmation link is invalid or has expired', 400, ErrorCodes.TOKEN_INVALID));
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    await logEvent({
+      action: 'auth.email_verified',
+      message: `User ${user.username} confirmed their email address`,
+      req,
+      user: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address confirmed',
+      user: user.getPublicProfile()
+    });
   } catch (error) {
     next(error);
   }
 };
 
+// @desc    Send a new email confirmation link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+export const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return next(new AppError('Email address is already confirmed', 400, ErrorCodes.OPERATION_NOT_ALLOWED));
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Confirmation email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+      await sendPasswordResetEmail(user, resetToken);
+
+      await logEvent({
+        action: 'auth.password_reset_requested',
+        message: `Password reset requested for ${user.username}`,
+        req,
+        user: user._id
+      });
+    }
+
+    // The same answer either way, so the endpoint cannot be used to find accounts
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set a new password with the token from the reset email
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return next(new AppError('Reset link is invalid or has expired', 400, ErrorCodes.TOKEN_INVALID));
+    }
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Whoever was guessing the old password no longer matters
+    user.failedLoginAttempts = 0;
+    user.lockCount = 0;
+    user.lockUntil = undefined;
+    // The reset link reached the inbox, which confirms the address too
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeOtherSessions(user._id);
+
+    await logEvent({
+      action: 'auth.password_reset',
+      message: `User ${user.username} reset their password`,
+      req,
+      user: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset, please log in'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List the devices signed in to the account
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      sessions: listSessions(req.user, req.sessionId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Sign out one device
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+export const revokeSessionById = async (req, res, next) => {
+  try {
+    const session = req.user.refreshTokens.id(req.params.sessionId);
+
+    if (!session) {
+      return next(new AppError('Session not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+    }
+
+    await revokeSession(req.user._id, session._id);
+
+    await logEvent({
+      action: 'auth.session_revoked',
+      message: `User ${req.user.username} signed out a session`,
+      req,
+      user: req.user._id,
+      details: { sessionId: session._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Sign out every device except this one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const revokeOtherSessionsForUser = async (req, res, next) => {
+  try {
+    const revoked = await revokeOtherSessions(req.user._id, req.sessionId);
+
+    await logEvent({
+      action: 'auth.session_revoked',
+      message: `User ${req.user.username} signed out ${revoked} other sessions`,
+      req,
+      user: req.user._id,
+      details: { revoked }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Other sessions signed out',
+      revoked
+    });
+  } catch (error) {
+    next(error);
+  }
+};
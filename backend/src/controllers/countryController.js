@@ -3,6 +3,18 @@ import Submission from '../models/Submission.js';
 import CountryStats from '../models/CountryStats.js';
 import AppError from '../utils/AppError.js';
 import { ErrorCodes } from '../utils/errorCodes.js';
+import { recordAudit, diffFields } from '../services/auditService.js';
+import { logEvent } from '../services/logService.js';
+import { notifyRoleChanged } from '../services/notificationService.js';
+import { parseListParams, applyCursor, getPageSort, buildPage } from '../utils/pagination.js';
+
+const COUNTRY_SORT_FIELDS = {
+  name: 'countryName',
+  submissions: 'statistics.totalSubmissions',
+  verifiers: 'statistics.activeVerifiers',
+  activity: 'lastUpdated',
+  createdAt: 'createdAt'
+};
 
 class CountryController {
   // ============================================================================
@@ -12,10 +24,10 @@ class CountryController {
 
   static async getCountries(req, res, next) {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 20;
-      const skip = (page - 1) * limit;
-      const sortBy = req.query.sortBy || 'submissions';
+      const list = parseListParams(req.query, {
+        sortFields: COUNTRY_SORT_FIELDS,
+        defaultSort: '-submissions'
+      });
       
       // Build filter
       const filter = {};
@@ -26,31 +38,18 @@ class CountryController {
         ];
       }
       
-      // Build sort
-      const sortOptions = {
-        name: { countryName: 1 },
-        submissions: { 'statistics.totalSubmissions': -1 },
-        verifiers: { 'statistics.activeVerifiers': -1 },
-        activity: { lastUpdated: -1 }
-      };
-      
-      const [countries, total] = await Promise.all([
-        CountryStats.find(filter)
+      const [found, total] = await Promise.all([
+        CountryStats.find(applyCursor(filter, list))
           .populate('verifiers.userId', 'username email')
-          .sort(sortOptions[sortBy])
-          .skip(skip)
-          .limit(limit),
-        CountryStats.countDocuments(filter)
+          .sort(getPageSort(list))
+          .limit(list.limit + 1),
+        list.includeTotal ? CountryStats.countDocuments(filter) : undefined
       ]);
+      const { items: countries, pagination } = buildPage(found, list, total);
       
       res.json({
         countries,
-        pagination: { 
-          current: page, 
-          pages: Math.ceil(total / limit), 
-          total, 
-          limit 
-        }
+        pagination
       });
     } catch (error) {
       next(error);
@@ -210,6 +209,42 @@ class CountryController {
     }
   }
 
+  static async updateReviewPolicy(req, res, next) {
+    try {
+      const countryCode = req.params.code.toUpperCase();
+      const quorum = parseInt(req.body.quorum);
+      
+      if (!Number.isInteger(quorum) || quorum < 1 || quorum > 10) {
+        return next(new AppError('Quorum must be a whole number between 1 and 10', 400, ErrorCodes.INVALID_INPUT));
+      }
+      
+      const country = await CountryStats.findOne({ countryCode });
+      
+      if (!country) {
+        return next(new AppError('Country not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+      }
+      
+      const previousQuorum = country.reviewPolicy.quorum;
+      country.reviewPolicy.quorum = quorum;
+      await country.save();
+      
+      await recordAudit(req, {
+        action: 'country.review_policy',
+        targetType: 'CountryStats',
+        targetId: country._id,
+        changes: diffFields({ quorum: previousQuorum }, country.reviewPolicy, ['quorum']),
+        reason: req.body.reason
+      });
+      
+      res.json({ 
+        message: 'Review policy updated successfully',
+        country 
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   static async assignVerifier(req, res, next) {
     try {
       const countryCode = req.params.code.toUpperCase();
@@ -237,6 +272,9 @@ class CountryController {
         return next(new AppError('User is already a verifier for this country', 400, ErrorCodes.RESOURCE_ALREADY_EXISTS));
       }
       
+      const previousVerifiers = country.verifiers.map(v => v.userId);
+      const previousRole = user.role;
+      
       // Add verifier
       country.verifiers.push({
         userId,
@@ -254,6 +292,37 @@ class CountryController {
       await country.save();
       await country.updateStats();
       
+      await recordAudit(req, {
+        action: 'country.assign_verifier',
+        targetType: 'CountryStats',
+        targetId: country._id,
+        changes: diffFields(
+          { verifiers: previousVerifiers },
+          { verifiers: country.verifiers.map(v => v.userId) },
+          ['verifiers']
+        ),
+        reason: req.body.reason
+      });
+      
+      if (user.role !== previousRole) {
+        await recordAudit(req, {
+          action: 'user.role_change',
+          targetType: 'User',
+          targetId: user._id,
+          changes: diffFields({ role: previousRole }, user, ['role']),
+          reason: `Assigned as verifier for ${countryCode}`
+        });
+        
+        await logEvent({
+          action: 'user.role_changed',
+          message: `Role for ${user.username} changed from ${previousRole} to ${user.role}`,
+          req,
+          details: { targetUser: user._id, from: previousRole, to: user.role }
+        });
+        
+        await notifyRoleChanged(user, previousRole, user.role);
+      }
+      
       res.json({ 
         message: 'Verifier assigned successfully',
         country 
@@ -274,6 +343,8 @@ class CountryController {
         return next(new AppError('Country not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
       }
       
+      const previousVerifiers = country.verifiers.map(v => v.userId);
+      
       // Remove verifier
       country.verifiers = country.verifiers.filter(
         v => v.userId.toString() !== userId
@@ -282,6 +353,18 @@ class CountryController {
       await country.save();
       await country.updateStats();
       
+      await recordAudit(req, {
+        action: 'country.remove_verifier',
+        targetType: 'CountryStats',
+        targetId: country._id,
+        changes: diffFields(
+          { verifiers: previousVerifiers },
+          { verifiers: country.verifiers.map(v => v.userId) },
+          ['verifiers']
+        ),
+        reason: req.body.reason
+      });
+      
       res.json({ 
         message: 'Verifier removed successfully',
         country 
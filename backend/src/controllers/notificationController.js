@@ -0,0 +1,189 @@
+import Notification, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from '../models/Notification.js';
+import User from '../models/User.js';
+import AppError from '../utils/AppError.js';
+import { ErrorCodes } from '../utils/errorCodes.js';
+import { parseListParams, applyCursor, getPageSort, buildPage } from '../utils/pagination.js';
+import { unsubscribe } from '../services/notificationService.js';
+
+const NOTIFICATION_SORT_FIELDS = {
+  createdAt: 'createdAt'
+};
+
+const unreadFilter = (userId) => ({ recipient: userId, readAt: null });
+
+// Every type with the channel in effect, defaults included
+const getPreferences = (user) =>
+  Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, user.getNotificationChannel(type)]));
+
+// @desc    Get the current user's notifications, newest first
+// @route   GET /api/notifications?unread=true
+// @access  Private
+export const getNotifications = async (req, res, next) => {
+  try {
+    const list = parseListParams(req.query, {
+      sortFields: NOTIFICATION_SORT_FIELDS,
+      defaultSort: '-createdAt'
+    });
+
+    const query = req.query.unread === 'true'
+      ? unreadFilter(req.user._id)
+      : { recipient: req.user._id };
+
+    const [found, total, unreadCount] = await Promise.all([
+      Notification.find(applyCursor(query, list))
+        .sort(getPageSort(list))
+        .limit(list.limit + 1),
+      list.includeTotal ? Notification.countDocuments(query) : undefined,
+      Notification.countDocuments(unreadFilter(req.user._id))
+    ]);
+
+    const { items: notifications, pagination } = buildPage(found, list, total);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      notifications,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Count unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+export const getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await Notification.countDocuments(unreadFilter(req.user._id));
+
+    res.status(200).json({
+      success: true,
+      unreadCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark one notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+export const markAsRead = async (req, res, next) => {
+  try {
+    // Scoped to the recipient, so other users' notifications look like missing ones
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+
+    if (!notification) {
+      return next(new AppError('Notification not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      notification
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark every notification as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+export const markAllAsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      unreadFilter(req.user._id),
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get how each notification type is delivered
+// @route   GET /api/notifications/preferences
+// @access  Private
+export const getNotificationPreferences = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      preferences: getPreferences(req.user),
+      channels: NOTIFICATION_CHANNELS
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change the delivery channel of one or more notification types
+// @route   PUT /api/notifications/preferences
+// @access  Private
+export const updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const changes = req.body.preferences;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return next(new AppError('preferences must be an object of type to channel', 400, ErrorCodes.INVALID_INPUT));
+    }
+
+    const update = {};
+    for (const [type, channel] of Object.entries(changes)) {
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        return next(new AppError(`Unknown notification type: ${type}`, 400, ErrorCodes.INVALID_INPUT));
+      }
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        return next(new AppError(
+          `Channel for ${type} must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`,
+          400,
+          ErrorCodes.INVALID_INPUT
+        ));
+      }
+      update[`notificationPreferences.${type}`] = channel;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true });
+
+    res.status(200).json({
+      success: true,
+      preferences: getPreferences(user),
+      channels: NOTIFICATION_CHANNELS
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Stop emails from a signed unsubscribe link; in-app notifications continue
+// @route   POST /api/notifications/unsubscribe
+// @access  Public (signed link)
+export const unsubscribeFromEmails = async (req, res, next) => {
+  try {
+    const { user: userId, scope, token } = { ...req.query, ...req.body };
+    const user = userId && await unsubscribe(userId, scope, token);
+
+    if (!user) {
+      return next(new AppError('Invalid unsubscribe link', 400, ErrorCodes.TOKEN_INVALID));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: scope === 'all'
+        ? 'You will no longer receive notification emails'
+        : 'You will no longer receive these emails',
+      preferences: getPreferences(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
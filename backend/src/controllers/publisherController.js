@@ -0,0 +1,138 @@
+import Publisher from '../models/Publisher.js';
+import Submission from '../models/Submission.js';
+import AppError from '../utils/AppError.js';
+import { ErrorCodes } from '../utils/errorCodes.js';
+import { rebuildPublishers } from '../services/publisherService.js';
+import { logEvent } from '../services/logService.js';
+import { toValue } from '../utils/submissionFilters.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class PublisherController {
+  // ============================================================================
+  // PUBLISHER REPUTATION
+  // ============================================================================
+
+  static async getPublishers(req, res, next) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const skip = (page - 1) * limit;
+      const sortBy = req.query.sortBy || 'total';
+
+      // Build filter
+      const filter = {};
+      const country = toValue(req.query.country);
+      const search = toValue(req.query.search);
+      if (country) filter.country = country;
+      if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        filter.$or = [{ name: pattern }, { aliases: pattern }, { domain: pattern }];
+      }
+
+      // Build sort
+      const sortOptions = {
+        total: { 'counts.total': -1, name: 1 },
+        credible: { 'counts.credible': -1, name: 1 },
+        unreliable: { 'counts.unreliable': -1, name: 1 },
+        rejected: { 'counts.rejected': -1, name: 1 },
+        recent: { 'latestVerdict.verifiedAt': -1 },
+        name: { name: 1 }
+      };
+
+      const [publishers, total] = await Promise.all([
+        Publisher.find(filter)
+          .sort(sortOptions[sortBy] || sortOptions.total)
+          .skip(skip)
+          .limit(limit),
+        Publisher.countDocuments(filter)
+      ]);
+
+      res.json({
+        publishers,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getPublisher(req, res, next) {
+    try {
+      const slug = req.params.slug.toLowerCase();
+      const filter = { slug };
+      const country = toValue(req.query.country);
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      if (country) filter.country = country;
+
+      const records = await Publisher.find(filter).sort({ 'counts.total': -1 });
+      if (records.length === 0) {
+        return next(new AppError('Publisher not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+      }
+
+      // Combine the per-country records into one track record
+      const counts = { approved: 0, rejected: 0, credible: 0, unreliable: 0, total: 0 };
+      records.forEach(record => {
+        Object.keys(counts).forEach(key => {
+          counts[key] += record.counts[key] || 0;
+        });
+      });
+
+      const latestVerdict = records
+        .map(record => record.latestVerdict)
+        .filter(verdict => verdict?.verifiedAt)
+        .sort((a, b) => b.verifiedAt - a.verifiedAt)[0] || records[0].latestVerdict;
+
+      const submissions = await Submission.find({
+        publisherSlug: slug,
+        status: { $in: ['approved', 'rejected'] },
+        ...(country && { country })
+      })
+        .select('title url publisher country category status credibility verifiedAt')
+        .sort({ verifiedAt: -1 })
+        .limit(limit);
+
+      res.json({
+        publisher: {
+          slug,
+          name: records[0].name,
+          domain: records[0].domain,
+          aliases: [...new Set(records.flatMap(record => record.aliases))],
+          counts,
+          latestVerdict
+        },
+        countries: records,
+        submissions
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async rebuildPublishers(req, res, next) {
+    try {
+      const result = await rebuildPublishers();
+
+      await logEvent({
+        action: 'publishers.rebuilt',
+        message: `Rebuilt ${result.publishers} publisher record(s)`,
+        req,
+        details: result
+      });
+
+      res.json({
+        message: 'Publisher registry rebuilt successfully',
+        result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default PublisherController;
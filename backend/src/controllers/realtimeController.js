@@ -0,0 +1,52 @@
+import Submission from '../models/Submission.js';
+import AppError from '../utils/AppError.js';
+import { ErrorCodes } from '../utils/errorCodes.js';
+import { openStream, setViewing } from '../services/realtimeService.js';
+
+// @desc    Open the real-time event stream (Server-Sent Events)
+// @route   GET /api/realtime/stream
+// @access  Private
+export const streamEvents = async (req, res, next) => {
+  try {
+    await openStream(req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Tell other reviewers which queue item is open, or none
+// @route   PUT /api/realtime/presence
+// @access  Private (verifier, admin)
+export const updatePresence = async (req, res, next) => {
+  try {
+    const { connectionId, submission: submissionId } = req.body;
+
+    if (!connectionId) {
+      return next(new AppError('connectionId is required', 400, ErrorCodes.INVALID_INPUT));
+    }
+
+    let submission = null;
+    if (submissionId) {
+      submission = await Submission.findById(submissionId).select('country');
+
+      if (!submission) {
+        return next(new AppError('Submission not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+      }
+      if (req.user.role !== 'admin' && submission.country !== req.user.country) {
+        return next(new AppError('You can only review submissions for your country', 403, ErrorCodes.UNAUTHORIZED_ACCESS));
+      }
+    }
+
+    const viewers = setViewing(connectionId, req.user, submission);
+    if (!viewers) {
+      return next(new AppError('Stream connection not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+    }
+
+    res.status(200).json({
+      success: true,
+      viewers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
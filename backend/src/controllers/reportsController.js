@@ -4,6 +4,7 @@ import Submission from '../models/Submission.js';
 import CountryStats from '../models/CountryStats.js';
 import AppError from '../utils/AppError.js';
 import { ErrorCodes } from '../utils/errorCodes.js';
+import { sendReport } from '../services/exportService.js';
 
 class ReportsController {
 
@@ -165,7 +166,7 @@ class ReportsController {
         generated: new Date()
       };
 
-      res.json(report);
+      sendReport(res, report, { format: req.query.format, name: 'overview-report' });
     } catch (error) {
       next(error);
     }
@@ -271,7 +272,7 @@ class ReportsController {
         generated: new Date()
       };
 
-      res.json(report);
+      sendReport(res, report, { format: req.query.format, name: `${countryCode.toLowerCase()}-report` });
     } catch (error) {
       next(error);
     }
@@ -357,7 +358,7 @@ class ReportsController {
         generated: new Date()
       };
 
-      res.json(report);
+      sendReport(res, report, { format: req.query.format, name: `user-${user.username}-report` });
     } catch (error) {
       next(error);
     }
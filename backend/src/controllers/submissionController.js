@@ -2,8 +2,29 @@ import Submission from '../models/Submission.js';
 import User from '../models/User.js';
 import AppError from '../utils/AppError.js';
 import { ErrorCodes } from '../utils/errorCodes.js';
-// 1. IMPORT THE EMAIL SERVICE
-import { sendEmail } from '../services/emailService.js';
+import { logEvent } from '../services/logService.js';
+import { getReviewQuorum, evaluateConsensus, recordReviewOutcome } from '../services/reviewService.js';
+import { storePdf, getStoredFilePath, isPdf as isPdfBuffer, getContentHash } from '../services/fileStorageService.js';
+import { findDuplicates } from '../services/duplicateService.js';
+import { refreshPublisherForSubmission } from '../services/publisherService.js';
+import { buildSubmissionFilter, toValue, SUBMISSION_SORT_FIELDS } from '../utils/submissionFilters.js';
+import {
+  parseListParams,
+  applyCursor,
+  getPageSort,
+  getPageSkip,
+  buildPage,
+  RELEVANCE_SORT
+} from '../utils/pagination.js';
+import { getSubmissionFacets } from '../services/searchService.js';
+import { parseSearchQuery, buildHighlights } from '../utils/textSearch.js';
+import { buildCitation } from '../utils/citation.js';
+import { parseImportFile, importSubmissions as runImport } from '../services/importService.js';
+import { streamSubmissions } from '../services/exportService.js';
+import { checkSubmissionLink } from '../services/linkCheckService.js';
+import { fetchUrlMetadata } from '../services/metadataService.js';
+import { notifySubmissionReceived, notifySubmissionReviewed } from '../services/notificationService.js';
+import { publishSubmissionCreated, publishSubmissionVerified } from '../services/realtimeService.js';
 
 // @desc    Create new submission
 // @route   POST /api/submissions
@@ -12,64 +33,67 @@ export const createSubmission = async (req, res, next) => {
   try {
     const { url, title, publisher, country, category, wikipediaArticle, fileType, fileName } = req.body;
 
-    const submission = await Submission.create({
+    const isPdf = fileType === 'pdf' || Boolean(req.file);
+    if (isPdf && !req.file) {
+      return next(new AppError('A PDF file is required for PDF submissions', 400, ErrorCodes.VALIDATION_ERROR));
+    }
+
+    const duplicates = await findDuplicates({
+      url,
+      title,
+      publisher,
+      fileHash: req.file && isPdfBuffer(req.file.buffer) ? getContentHash(req.file.buffer) : undefined
+    });
+
+    // Exact duplicates are not stored again and earn no points
+    if (duplicates.exact) {
+      return res.status(409).json({
+        success: false,
+        errorCode: ErrorCodes.DUPLICATE_SUBMISSION,
+        message: 'This source is already in the directory',
+        submission: duplicates.exact,
+        requestId: req.requestId
+      });
+    }
+
+    const file = req.file ? await storePdf(req.file) : undefined;
+
+    const submission = new Submission({
       url,
       title,
       publisher,
       country,
       category,
       wikipediaArticle,
-      fileType: fileType || 'url',
-      fileName,
+      fileType: isPdf ? 'pdf' : 'url',
+      fileName: file ? file.originalName : fileName,
+      file,
+      possibleDuplicates: duplicates.similar.map(({ submission, score }) => ({ submission: submission._id, score })),
       submitter: req.user.id
     });
 
+    // Uploaded documents without a source URL link to their download route
+    if (!submission.url) {
+      submission.url = `/api/submissions/${submission._id}/file`;
+    }
+
+    await submission.save();
+
     // Award points to user
     await User.findByIdAndUpdate(req.user.id, {
       $inc: { points: 10 }
     });
 
-    // 2. IMPORTANT: Added 'email' to populate so we can send the notification
     const populatedSubmission = await Submission.findById(submission._id)
-      .populate('submitter', 'username country email');
-
-    // --- EMAIL NOTIFICATION LOGIC START ---
-    try {
-      const submitterEmail = populatedSubmission.submitter.email;
-      const submitterName = populatedSubmission.submitter.username;
-      
-      // Email A: Notify Submitter
-      const submitterHtml = `
-        <h3>Hello ${submitterName},</h3>
-        <p>Your submission for <strong>${title}</strong> has been received.</p>
-        <p>It is now pending review by a verifier for <strong>${country}</strong>.</p>
-        <p>Best,<br>WikiSourceVerifier Team</p>
-      `;
-      
-      // Email B: Notify Verifier
-      // Helper function to find the right email (defined at bottom of file)
-      const verifierEmail = getVerifierEmail(country);
-      const verifierHtml = `
-        <h3>New Submission Pending Review</h3>
-        <p>User <strong>${submitterName}</strong> submitted a new source for <strong>${country}</strong>.</p>
-        <p>Please log in to verify.</p>
-      `;
-
-      // Send both emails (using Promise.allSettled so one failure doesn't stop the other)
-      await Promise.allSettled([
-        sendEmail(submitterEmail, "Submission Received", submitterHtml),
-        sendEmail(verifierEmail, `Action Required: New Submission for ${country}`, verifierHtml)
-      ]);
-
-    } catch (emailErr) {
-      // Log error but don't fail the request
-      console.error("Email notification failed:", emailErr);
-    }
-    // --- EMAIL NOTIFICATION LOGIC END ---
+      .populate('submitter', 'username country');
+
+    await notifySubmissionReceived(submission, req.user);
+    publishSubmissionCreated(submission, req.user);
 
     res.status(201).json({
       success: true,
-      submission: populatedSubmission
+      submission: populatedSubmission,
+      possibleDuplicates: duplicates.similar
     });
   } catch (error) {
     next(error);
@@ -77,42 +101,246 @@ export const createSubmission = async (req, res, next) => {
 };
 
 // @desc    Get all submissions with filters
+//          Cursor paginated; facets are returned with the first page
 // @route   GET /api/submissions
 // @access  Public
 export const getSubmissions = async (req, res, next) => {
   try {
-    const { country, category, status, page = 1, limit = 20, search } = req.query;
-
-    const query = {};
-
-    if (country) query.country = country;
-    if (category) query.category = category;
-    if (status) query.status = status;
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { publisher: { $regex: search, $options: 'i' } }
-      ];
+    const query = buildSubmissionFilter(req.query);
+
+    // Text matches carry a relevance score that can be sorted on
+    const ranked = Boolean(query.$text);
+    const sort = req.query.sort === RELEVANCE_SORT && !ranked ? undefined : req.query.sort;
+    const list = parseListParams({ ...req.query, sort }, {
+      sortFields: SUBMISSION_SORT_FIELDS,
+      defaultSort: ranked ? RELEVANCE_SORT : '-createdAt',
+      allowRelevance: ranked
+    });
+    const projection = ranked ? { score: { $meta: 'textScore' } } : {};
+
+    const [found, total, facets] = await Promise.all([
+      Submission.find(applyCursor(query, list), projection)
+        .populate('submitter', 'username country')
+        .populate('verifier', 'username country')
+        .sort(getPageSort(list))
+        .skip(getPageSkip(list))
+        .limit(list.limit + 1),
+      list.includeTotal ? Submission.countDocuments(query) : undefined,
+      list.cursor ? undefined : getSubmissionFacets(req.query)
+    ]);
+
+    const { items, pagination } = buildPage(found, list, total);
+
+    let submissions = items;
+    if (req.query.search) {
+      const parsed = parseSearchQuery(req.query.search);
+      submissions = items.map(submission => ({
+        ...submission.toJSON(),
+        highlights: buildHighlights(submission, parsed)
+      }));
+    }
+
+    res.status(200).json({
+      success: true,
+      count: submissions.length,
+      submissions,
+      pagination,
+      ...(facets && { facets })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Export submissions matching the directory filters as a file
+//          format: csv (default), excel (CSV with a UTF-8 BOM) or jsonl
+// @route   GET /api/submissions/export
+// @access  Public
+export const exportSubmissions = async (req, res, next) => {
+  try {
+    const filter = buildSubmissionFilter(req.query);
+
+    await streamSubmissions(res, {
+      filter,
+      format: req.query.format || 'csv'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Bulk import submissions from a CSV or JSON file
+//          Dry run by default; send dryRun=false to insert the valid rows
+// @route   POST /api/submissions/import
+// @access  Private (verifier, admin)
+export const importSubmissions = async (req, res, next) => {
+  try {
+    const rows = req.file ? parseImportFile(req.file) : req.body.rows;
+    const dryRun = req.body.dryRun !== false && req.body.dryRun !== 'false';
+    const preVerify = req.body.preVerify === true || req.body.preVerify === 'true';
+
+    const result = await runImport(rows, { importer: req.user, dryRun, preVerify });
+
+    if (!dryRun) {
+      await logEvent({
+        action: 'submission.import',
+        message: `Imported ${result.summary.imported} of ${result.summary.total} row(s)`,
+        req,
+        details: { ...result.summary, preVerify, fileName: req.file?.originalname }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      dryRun,
+      preVerify,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Check whether a source is already in the directory
+// @route   GET /api/submissions/check-duplicate
+// @access  Public
+export const checkDuplicate = async (req, res, next) => {
+  try {
+    const url = toValue(req.query.url);
+    const title = toValue(req.query.title);
+    const publisher = toValue(req.query.publisher);
+
+    if (!url && !title) {
+      return next(new AppError('Provide a url or title to check', 400, ErrorCodes.INVALID_INPUT));
+    }
+
+    const { exact, similar } = await findDuplicates({ url, title, publisher });
+
+    res.status(200).json({
+      success: true,
+      exact,
+      similar
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Fetch a page and extract its title, publisher and date to prefill a submission
+// @route   GET /api/submissions/metadata
+// @access  Private
+export const getUrlMetadata = async (req, res, next) => {
+  try {
+    const { url } = req.query;
+
+    if (!url || typeof url !== 'string') {
+      return next(new AppError('Provide a url to look up', 400, ErrorCodes.INVALID_INPUT));
+    }
+
+    const metadata = await fetchUrlMetadata(url.trim());
+
+    res.status(200).json({
+      success: true,
+      metadata
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Check a submission's source link now instead of waiting for the scheduled check
+// @route   POST /api/submissions/:id/check-link
+// @access  Private (verifier, admin)
+export const checkLink = async (req, res, next) => {
+  try {
+    const submission = await Submission.findById(req.params.id);
+
+    if (!submission) {
+      return next(new AppError('Submission not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+    }
+
+    if (submission.fileType !== 'url' || !/^https?:\/\//i.test(submission.url)) {
+      return next(new AppError('Only web sources have a link to check', 400, ErrorCodes.OPERATION_NOT_ALLOWED));
     }
 
-    const skip = (page - 1) * limit;
+    await checkSubmissionLink(submission);
+
+    res.status(200).json({
+      success: true,
+      linkHealth: submission.linkHealth,
+      archiveUrl: submission.archiveUrl
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const MAX_BATCH_CITATIONS = 500;
+
+const getRequestOrigin = (req) => `${req.protocol}://${req.get('host')}`;
+
+// @desc    Render a verified submission as a Wikipedia citation template
+// @route   GET /api/submissions/:id/cite
+// @access  Public
+export const citeSubmission = async (req, res, next) => {
+  try {
+    const submission = await Submission.findById(req.params.id);
+
+    if (!submission) {
+      return next(new AppError('Submission not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+    }
+
+    if (submission.status !== 'approved') {
+      return next(new AppError('Only verified submissions can be cited', 400, ErrorCodes.OPERATION_NOT_ALLOWED));
+    }
+
+    const citation = buildCitation(submission, {
+      template: req.query.template,
+      baseUrl: getRequestOrigin(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      citation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Render every verified submission matching the filters as citations
+// @route   GET /api/submissions/cite
+// @access  Public
+export const citeSubmissions = async (req, res, next) => {
+  try {
+    const { format, template } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || MAX_BATCH_CITATIONS, MAX_BATCH_CITATIONS);
+
+    // Only verified sources belong in an article
+    const query = buildSubmissionFilter({ ...req.query, status: 'approved' });
 
     const submissions = await Submission.find(query)
-      .populate('submitter', 'username country')
-      .populate('verifier', 'username country')
       .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Submission.countDocuments(query);
+      .limit(limit);
+
+    const baseUrl = getRequestOrigin(req);
+    const accessDate = new Date();
+    const citations = submissions.map(submission => ({
+      id: submission._id,
+      title: submission.title,
+      ...buildCitation(submission, { template, accessDate, baseUrl })
+    }));
+
+    if (format === 'wikitext') {
+      res.set('Content-Type', 'text/plain; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="citations.txt"');
+      return res.send(citations.map(citation => citation.wikitext).join('\n\n'));
+    }
 
     res.status(200).json({
       success: true,
-      count: submissions.length,
-      total,
-      page: parseInt(page),
-      pages: Math.ceil(total / limit),
-      submissions
+      count: citations.length,
+      citations
     });
   } catch (error) {
     next(error);
@@ -146,24 +374,58 @@ export const getSubmission = async (req, res, next) => {
 // @access  Private
 export const getMySubmissions = async (req, res, next) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const query = { submitter: req.user._id };
+    const list = parseListParams(req.query, {
+      sortFields: SUBMISSION_SORT_FIELDS,
+      defaultSort: '-createdAt'
+    });
 
-    const submissions = await Submission.find({ submitter: req.user.id })
-      .populate('verifier', 'username country')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const [found, total] = await Promise.all([
+      Submission.find(applyCursor(query, list))
+        .populate('verifier', 'username country')
+        .sort(getPageSort(list))
+        .limit(list.limit + 1),
+      list.includeTotal ? Submission.countDocuments(query) : undefined
+    ]);
 
-    const total = await Submission.countDocuments({ submitter: req.user.id });
+    const { items: submissions, pagination } = buildPage(found, list, total);
 
     res.status(200).json({
       success: true,
       count: submissions.length,
-      total,
-      page: parseInt(page),
-      pages: Math.ceil(total / limit),
-      submissions
+      submissions,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download the PDF uploaded with a submission
+// @route   GET /api/submissions/:id/file
+// @access  Public for approved submissions, otherwise submitter, verifiers and admins
+export const downloadSubmissionFile = async (req, res, next) => {
+  try {
+    const submission = await Submission.findById(req.params.id).select('status submitter file');
+
+    if (!submission || !submission.file?.hash) {
+      return next(new AppError('File not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+    }
+
+    const isSubmitter = req.user && submission.submitter.toString() === req.user._id.toString();
+    const isReviewer = req.user && ['verifier', 'admin'].includes(req.user.role);
+
+    if (submission.status !== 'approved' && !isSubmitter && !isReviewer) {
+      return next(new AppError('Not authorized to access this file', 403, ErrorCodes.UNAUTHORIZED_ACCESS));
+    }
+
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.download(getStoredFilePath(submission.file.hash), submission.file.originalName, (err) => {
+      if (!err || res.headersSent) return;
+      if (err.code === 'ENOENT') {
+        return next(new AppError('File not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+      }
+      next(err);
     });
   } catch (error) {
     next(error);
@@ -175,7 +437,7 @@ export const getMySubmissions = async (req, res, next) => {
 // @access  Private
 export const updateSubmission = async (req, res, next) => {
   try {
-    let submission = await Submission.findById(req.params.id);
+    const submission = await Submission.findById(req.params.id);
 
     if (!submission) {
       return next(new AppError('Submission not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
@@ -193,11 +455,12 @@ export const updateSubmission = async (req, res, next) => {
 
     const { title, publisher, wikipediaArticle, category } = req.body;
 
-    submission = await Submission.findByIdAndUpdate(
-      req.params.id,
-      { title, publisher, wikipediaArticle, category },
-      { new: true, runValidators: true }
-    ).populate('submitter', 'username country');
+    // Save rather than update in place so derived fields such as searchTerms are refreshed
+    Object.entries({ title, publisher, wikipediaArticle, category }).forEach(([field, value]) => {
+      if (value !== undefined) submission[field] = value;
+    });
+    await submission.save();
+    await submission.populate('submitter', 'username country');
 
     res.status(200).json({
       success: true,
@@ -226,6 +489,10 @@ export const deleteSubmission = async (req, res, next) => {
 
     await submission.deleteOne();
 
+    if (submission.status !== 'pending') {
+      await refreshPublisherForSubmission(submission);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Submission deleted successfully'
@@ -235,13 +502,14 @@ export const deleteSubmission = async (req, res, next) => {
   }
 };
 
-// @desc    Verify submission (verifier/admin only)
+// @desc    Review submission (verifier/admin only)
+//          The status becomes final once the country's review quorum agrees;
+//          disagreements are escalated to the admin queue
 // @route   PUT /api/submissions/:id/verify
 // @access  Private (verifier, admin)
 export const verifySubmission = async (req, res, next) => {
   try {
     const { status, credibility, verifierNotes } = req.body;
-    console.log('Verification request:', { status, credibility, verifierNotes });
 
     let submission = await Submission.findById(req.params.id);
 
@@ -253,41 +521,94 @@ export const verifySubmission = async (req, res, next) => {
       return next(new AppError('Submission has already been verified', 400, ErrorCodes.SUBMISSION_LOCKED));
     }
 
-    if (status === 'rejected') {
-      submission.status = 'rejected';
-    } else if (status === 'approved' && credibility) {
-      submission.status = 'approved';
-      submission.credibility = credibility;
-    } else if (status === 'approved' && !credibility) {
+    if (submission.escalation?.isEscalated) {
+      return next(new AppError('Submission is awaiting admin resolution', 400, ErrorCodes.SUBMISSION_LOCKED));
+    }
+
+    if (status === 'approved' && !credibility) {
       return next(new AppError('Credibility rating is required for approved submissions', 400, ErrorCodes.INVALID_INPUT));
-    } else {
+    } else if (!['approved', 'rejected'].includes(status)) {
       return next(new AppError('Invalid status provided', 400, ErrorCodes.INVALID_INPUT));
     }
 
-    submission.verifier = req.user.id;
-    submission.verifierNotes = verifierNotes;
-    submission.verifiedAt = Date.now();
+    if (submission.reviews.some(review => review.verifier.toString() === req.user.id)) {
+      return next(new AppError('You have already reviewed this submission', 400, ErrorCodes.RESOURCE_ALREADY_EXISTS));
+    }
+
+    submission.reviews.push({
+      verifier: req.user.id,
+      vote: status,
+      credibility: status === 'approved' ? credibility : undefined,
+      notes: verifierNotes
+    });
+
+    const quorum = await getReviewQuorum(submission.country);
+    const consensus = evaluateConsensus(submission.reviews, quorum);
+
+    if (consensus.outcome === 'approved' || consensus.outcome === 'rejected') {
+      submission.status = consensus.status;
+      submission.credibility = consensus.credibility;
+      submission.verifier = req.user.id;
+      submission.verifierNotes = verifierNotes;
+      submission.verifiedAt = Date.now();
+    } else if (consensus.outcome === 'escalated') {
+      submission.escalation = {
+        isEscalated: true,
+        reason: consensus.reason,
+        escalatedAt: new Date()
+      };
+    }
 
     await submission.save();
 
-    if (status === 'approved') {
-      const points = credibility === 'credible' ? 25 : 10;
+    if (consensus.outcome === 'approved') {
+      const points = consensus.credibility === 'credible' ? 25 : 10;
       await User.findByIdAndUpdate(submission.submitter, {
         $inc: { points: points }
       });
     }
 
+    if (consensus.outcome === 'approved' || consensus.outcome === 'rejected') {
+      await recordReviewOutcome(submission);
+      await refreshPublisherForSubmission(submission);
+      await notifySubmissionReviewed(submission);
+    }
+
+    publishSubmissionVerified(submission, consensus.outcome);
+
     await User.findByIdAndUpdate(req.user.id, {
       $inc: { points: 5 }
     });
 
+    await logEvent({
+      action: consensus.outcome === 'escalated' ? 'submission.escalated' : 'submission.verified',
+      level: consensus.outcome === 'escalated' ? 'warn' : 'info',
+      message: `Submission ${submission._id} review recorded (${consensus.outcome})`,
+      req,
+      details: {
+        submissionId: submission._id,
+        vote: status,
+        credibility,
+        outcome: consensus.outcome,
+        reviews: submission.reviews.length,
+        quorum,
+        country: submission.country
+      }
+    });
+
     submission = await Submission.findById(submission._id)
       .populate('submitter', 'username country')
-      .populate('verifier', 'username country');
+      .populate('verifier', 'username country')
+      .populate('reviews.verifier', 'username country');
 
     res.status(200).json({
       success: true,
-      submission
+      submission,
+      review: {
+        outcome: consensus.outcome,
+        quorum,
+        reviewsReceived: submission.reviews.length
+      }
     });
   } catch (error) {
     next(error);
@@ -299,30 +620,39 @@ export const verifySubmission = async (req, res, next) => {
 // @access  Private (verifier, admin)
 export const getPendingSubmissionsForCountry = async (req, res, next) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const list = parseListParams(req.query, {
+      sortFields: SUBMISSION_SORT_FIELDS,
+      defaultSort: '-createdAt'
+    });
 
-    let query = { status: 'pending' };
+    // Hide items this verifier already reviewed and items waiting on an admin
+    let query = {
+      status: 'pending',
+      'reviews.verifier': { $ne: req.user._id },
+      'escalation.isEscalated': { $ne: true }
+    };
     
     if (req.user.role !== 'admin') {
       query.country = req.user.country;
     }
 
-    const submissions = await Submission.find(query)
-      .populate('submitter', 'username country')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    // Keep reviews independent: show who reviewed, not how they voted
+    const [found, total] = await Promise.all([
+      Submission.find(applyCursor(query, list))
+        .select('-reviews.vote -reviews.credibility -reviews.notes')
+        .populate('submitter', 'username country')
+        .sort(getPageSort(list))
+        .limit(list.limit + 1),
+      list.includeTotal ? Submission.countDocuments(query) : undefined
+    ]);
 
-    const total = await Submission.countDocuments(query);
+    const { items: submissions, pagination } = buildPage(found, list, total);
 
     res.status(200).json({
       success: true,
       count: submissions.length,
-      total,
-      page: parseInt(page),
-      pages: Math.ceil(total / limit),
-      submissions
+      submissions,
+      pagination
     });
   } catch (error) {
     next(error);
@@ -369,16 +699,3 @@ export const getSubmissionStats = async (req, res, next) => {
     next(error);
   }
 };
-
-// Helper: Get Verifier Email based on Country
-// This uses the ENV variables you set up earlier
-const getVerifierEmail = (country) => {
-    // You can add more countries here as needed
-    const verifiers = {
-        'Ghana': process.env.GHANA_VERIFIER_EMAIL,
-        'Nigeria': process.env.NIGERIA_VERIFIER_EMAIL,
-    };
-    
-    // Return specific verifier or fallback to Admin Email (or a default)
-    return verifiers[country] || process.env.ADMIN_EMAIL || 'admin@wikisourceverifier.org';
-};
\ No newline at end of file
@@ -1,9 +1,14 @@
 
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Submission from '../models/Submission.js';
 import CountryStats from '../models/CountryStats.js';
+import SystemLog from '../models/SystemLog.js';
 import AppError from '../utils/AppError.js';
 import { ErrorCodes } from '../utils/errorCodes.js';
+import { logEvent } from '../services/logService.js';
+import { backfillSubmissionFields } from '../services/backfillService.js';
+import { createBackup, listBackups, getBackup, restoreBackup } from '../services/backupService.js';
 
 class SystemController {
 
@@ -81,50 +86,45 @@ class SystemController {
   static async getSystemLogs(req, res, next) {
     try {
       const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 50;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
       const skip = (page - 1) * limit;
 
-      // Build date filter
-      const dateFilter = {};
-      if (req.query.startDate) dateFilter.$gte = new Date(req.query.startDate);
-      if (req.query.endDate) dateFilter.$lte = new Date(req.query.endDate);
-
-      // Get recent activities from submissions (as example logs)
+      // Build filter. Repeated (?level=a&level=b) and bracketed (?action[$ne]=x) parameters
+      // arrive as arrays and objects, so every value is turned into a plain string first
       const filter = {};
-      if (Object.keys(dateFilter).length > 0) {
-        filter.createdAt = dateFilter;
+      if (req.query.level) {
+        filter.level = { $in: [].concat(req.query.level).join(',').split(',').filter(Boolean) };
       }
-
-      const recentActivities = await Submission.find(filter)
-        .populate('submitter', 'username email country')
-        .populate('verifier', 'username email country')
-        .select('title status createdAt verifiedAt country')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit);
-
-      // Transform to log format
-      const logs = recentActivities.map(submission => ({
-        timestamp: submission.createdAt,
-        level: 'info',
-        action: 'submission_created',
-        details: {
-          submissionId: submission._id,
-          title: submission.title,
-          country: submission.country,
-          status: submission.status,
-          submitter: submission.submitter?.username,
-          verifier: submission.verifier?.username,
-          verifiedAt: submission.verifiedAt
+      if (req.query.action) filter.action = String(req.query.action);
+      if (req.query.user) {
+        const user = String(req.query.user);
+        if (!mongoose.isValidObjectId(user)) {
+          return next(new AppError('user must be a valid ID', 400, ErrorCodes.INVALID_INPUT));
         }
-      }));
+        filter.user = user;
+      }
+      if (req.query.requestId) filter.requestId = String(req.query.requestId);
+      if (req.query.startDate || req.query.endDate) {
+        filter.createdAt = {};
+        if (req.query.startDate) filter.createdAt.$gte = new Date(req.query.startDate);
+        if (req.query.endDate) filter.createdAt.$lte = new Date(req.query.endDate);
+      }
+
+      const [logs, total] = await Promise.all([
+        SystemLog.find(filter)
+          .populate('user', 'username email role')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        SystemLog.countDocuments(filter)
+      ]);
 
       res.json({
         logs,
         pagination: {
           current: page,
-          pages: Math.ceil(logs.length / limit),
-          total: logs.length,
+          pages: Math.ceil(total / limit),
+          total,
           limit
         }
       });
@@ -194,13 +194,13 @@ class SystemController {
         results.operations.push(`Updated stats for ${country.countryName}`);
       }
 
-      // Clean up old refresh tokens
+      // Clean up expired sessions
       const tokenCleanup = await User.updateMany(
-        {},
+        { 'refreshTokens.expiresAt': { $lt: new Date() } },
         {
           $pull: {
             refreshTokens: {
-              createdAt: { $lt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
+              expiresAt: { $lt: new Date() }
             }
           }
         }
@@ -210,6 +210,11 @@ class SystemController {
         results.operations.push(`Cleaned up refresh tokens for ${tokenCleanup.modifiedCount} users`);
       }
 
+      const submissionBackfill = await backfillSubmissionFields();
+      if (submissionBackfill > 0) {
+        results.operations.push(`Filled in canonical URLs, publisher keys and search terms for ${submissionBackfill} submissions`);
+      }
+
       res.json({
         message: 'Database maintenance completed',
         results
@@ -221,16 +226,73 @@ class SystemController {
 
   static async backupDatabase(req, res, next) {
     try {
-      // This would typically trigger a backup process
-      // For now, we'll just return a mock response
-      const backupInfo = {
-        timestamp: new Date(),
-        status: 'initiated',
-        message: 'Database backup process started',
-        backupId: `backup_${Date.now()}`
-      };
+      const backup = await createBackup({ createdBy: req.user, note: req.body.note });
+
+      await logEvent({
+        action: 'system.backup_created',
+        message: `Database backup ${backup.backupId} created`,
+        req,
+        details: { backupId: backup.backupId, collections: backup.collections, size: backup.size }
+      });
+
+      res.status(201).json({
+        message: 'Database backup completed',
+        backup
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getBackups(req, res, next) {
+    try {
+      const backups = await listBackups();
 
-      res.json(backupInfo);
+      res.json({ backups });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async downloadBackup(req, res, next) {
+    try {
+      const backup = await getBackup(req.params.id);
+
+      res.download(backup.archivePath, `${backup.backupId}.jsonl.gz`);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async restoreDatabase(req, res, next) {
+    try {
+      // Only an explicit dryRun: false applies the restore
+      const dryRun = req.body.dryRun !== false;
+      const result = await restoreBackup(req.params.id, { dryRun, createdBy: req.user });
+
+      if (!result.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Backup failed validation',
+          errorCode: ErrorCodes.VALIDATION_ERROR,
+          result
+        });
+      }
+
+      if (result.restored) {
+        await logEvent({
+          action: 'system.restore',
+          level: 'warn',
+          message: `Database restored from backup ${req.params.id}`,
+          req,
+          details: { backupId: req.params.id, safetyBackupId: result.safetyBackupId, collections: result.collections }
+        });
+      }
+
+      res.json({
+        message: result.restored ? 'Database restored successfully' : 'Dry run completed, backup is valid',
+        result
+      });
     } catch (error) {
       next(error);
     }
@@ -0,0 +1,183 @@
+import User from '../models/User.js';
+import AppError from '../utils/AppError.js';
+import { ErrorCodes } from '../utils/errorCodes.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from '../utils/totp.js';
+import { logEvent } from '../services/logService.js';
+import {
+  TWO_FACTOR_FIELDS,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  isTwoFactorRequired
+} from '../services/twoFactorService.js';
+
+const ISSUER = 'WikiSourceVerifier';
+
+// @desc    Get two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private
+export const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.status(200).json({
+      success: true,
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt,
+      required: await isTwoFactorRequired(user.role),
+      recoveryCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start enrolment: create a secret for the authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor?.enabled) {
+      return next(new AppError('Two-factor authentication is already enabled', 400, ErrorCodes.OPERATION_NOT_ALLOWED));
+    }
+
+    // Nothing changes for login until the first code is confirmed
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.username, issuer: ISSUER })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Finish enrolment with a code from the new secret
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+      return next(new AppError('Two-factor authentication is already enabled', 400, ErrorCodes.OPERATION_NOT_ALLOWED));
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return next(new AppError('Start two-factor setup first', 400, ErrorCodes.OPERATION_NOT_ALLOWED));
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return next(new AppError('Invalid authentication code', 400, ErrorCodes.INVALID_INPUT));
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    await user.save();
+
+    await logEvent({
+      action: 'auth.2fa_enabled',
+      message: `User ${user.username} enabled two-factor authentication`,
+      req,
+      user: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes,
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactor?.enabled) {
+      return next(new AppError('Two-factor authentication is not enabled', 400, ErrorCodes.OPERATION_NOT_ALLOWED));
+    }
+    if (await isTwoFactorRequired(user.role)) {
+      return next(new AppError(`Two-factor authentication is required for the ${user.role} role`, 403, ErrorCodes.OPERATION_NOT_ALLOWED));
+    }
+
+    // A stolen session alone is not enough to remove the second factor
+    if (!password || !(await user.comparePassword(password))) {
+      return next(new AppError('Password is incorrect', 401, ErrorCodes.INVALID_CREDENTIALS));
+    }
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return next(new AppError('Invalid authentication code', 401, ErrorCodes.INVALID_CREDENTIALS));
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await logEvent({
+      action: 'auth.2fa_disabled',
+      level: 'warn',
+      message: `User ${user.username} disabled two-factor authentication`,
+      req,
+      user: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor?.enabled) {
+      return next(new AppError('Two-factor authentication is not enabled', 400, ErrorCodes.OPERATION_NOT_ALLOWED));
+    }
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return next(new AppError('Invalid authentication code', 401, ErrorCodes.INVALID_CREDENTIALS));
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+    await logEvent({
+      action: 'auth.2fa_recovery_codes_regenerated',
+      message: `User ${user.username} generated new recovery codes`,
+      req,
+      user: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
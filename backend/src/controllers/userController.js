@@ -2,6 +2,9 @@ import User from '../models/User.js';
 import Submission from '../models/Submission.js';
 import AppError from '../utils/AppError.js';
 import { ErrorCodes } from '../utils/errorCodes.js';
+import { recordAudit, diffFields } from '../services/auditService.js';
+import { logEvent } from '../services/logService.js';
+import { notifyBadgeAwarded, notifyRoleChanged } from '../services/notificationService.js';
 
 // @desc    Get user profile
 // @route   GET /api/users/:id
@@ -98,9 +101,20 @@ export const awardBadge = async (req, res, next) => {
       return next(new AppError('User already has this badge', 400, ErrorCodes.RESOURCE_ALREADY_EXISTS));
     }
 
+    const previousBadges = user.badges.toObject();
     user.badges.push({ name, icon });
     await user.save();
 
+    await recordAudit(req, {
+      action: 'user.badge_award',
+      targetType: 'User',
+      targetId: user._id,
+      changes: diffFields({ badges: previousBadges }, user, ['badges']),
+      reason: req.body.reason
+    });
+
+    await notifyBadgeAwarded(user, { name, icon });
+
     res.status(200).json({
       success: true,
       user: user.getPublicProfile()
@@ -123,14 +137,35 @@ export const updateUserRole = async (req, res, next) => {
       return next(new AppError('Invalid role', 400, ErrorCodes.INVALID_INPUT));
     }
 
+    const existingUser = await User.findById(req.params.id);
+
+    if (!existingUser) {
+      return next(new AppError('User not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
       { role },
       { new: true, runValidators: true }
     );
 
-    if (!user) {
-      return next(new AppError('User not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'User',
+      targetId: user._id,
+      changes: diffFields(existingUser, user, ['role']),
+      reason: req.body.reason
+    });
+
+    await logEvent({
+      action: 'user.role_changed',
+      message: `Role for ${user.username} changed from ${existingUser.role} to ${user.role}`,
+      req,
+      details: { targetUser: user._id, from: existingUser.role, to: user.role }
+    });
+
+    if (user.role !== existingUser.role) {
+      await notifyRoleChanged(user, existingUser.role, user.role);
     }
 
     res.status(200).json({
@@ -188,17 +223,25 @@ export const getUsers = async (req, res, next) => {
 // @access  Private (admin)
 export const deactivateUser = async (req, res, next) => {
   try {
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { isActive: false },
-      { new: true }
-    );
+    const user = await User.findById(req.params.id);
 
 
     if (!user) {
       return next(new AppError('User not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
     }
 
+    const wasActive = user.isActive;
+    user.isActive = false;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      targetType: 'User',
+      targetId: user._id,
+      changes: diffFields({ isActive: wasActive }, user, ['isActive']),
+      reason: req.body.reason
+    });
+
     res.status(200).json({
       success: true,
       message: 'User deactivated successfully',
@@ -215,17 +258,25 @@ export const deactivateUser = async (req, res, next) => {
 // @access  Private (admin)
 export const activateUser = async (req, res, next) => {
   try {
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { isActive: true },
-      { new: true }
-    );
+    const user = await User.findById(req.params.id);
 
 
     if (!user) {
       return next(new AppError('User not found', 404, ErrorCodes.RESOURCE_NOT_FOUND));
     }
 
+    const wasActive = user.isActive;
+    user.isActive = true;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.activate',
+      targetType: 'User',
+      targetId: user._id,
+      changes: diffFields({ isActive: wasActive }, user, ['isActive']),
+      reason: req.body.reason
+    });
+
     res.status(200).json({
       success: true,
       message: 'User activated successfully',
@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import OAuthState from '../models/OAuthState.js';
+import AppError from '../utils/AppError.js';
+import { ErrorCodes } from '../utils/errorCodes.js';
+import { sendTokenResponse } from '../utils/jwt.js';
+import { logEvent } from '../services/logService.js';
+import { createSession } from '../services/sessionService.js';
+import { sendVerificationEmail } from '../services/accountEmailService.js';
+import {
+  isWikimediaConfigured,
+  createPkcePair,
+  getAuthorizationUrl,
+  exchangeCode,
+  fetchProfile
+} from '../services/wikimediaOAuthService.js';
+
+// Store a pending flow and return the raw token that identifies it
+const issueStateToken = async (data) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await OAuthState.create({ tokenHash: User.hashToken(token), ...data });
+  return token;
+};
+
+const findState = (token, modes) => OAuthState.findOne({
+  tokenHash: User.hashToken(token),
+  mode: { $in: modes },
+  expiresAt: { $gt: new Date() }
+});
+
+// Copy the Wikimedia profile onto the user, keeping the original link date
+const applyIdentity = (user, profile) => {
+  user.wikimedia = {
+    id: profile.id,
+    username: profile.username,
+    editCount: profile.editCount,
+    registeredAt: profile.registeredAt,
+    groups: profile.groups,
+    blocked: profile.blocked,
+    linkedAt: user.wikimedia?.linkedAt || new Date(),
+    refreshedAt: new Date()
+  };
+};
+
+// Wikimedia usernames may contain spaces and punctuation that local usernames cannot
+const suggestUsername = (name) =>
+  name.replace(/[^a-zA-Z0-9_]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 30);
+
+// @desc    Start a Wikimedia login, or link a Wikimedia account to the current user
+// @route   GET /api/auth/wikimedia/authorize?mode=login|link
+// @access  Public (link: Private)
+export const authorizeWikimedia = async (req, res, next) => {
+  try {
+    if (!isWikimediaConfigured()) {
+      return next(new AppError('Wikimedia login is not configured', 503, ErrorCodes.SERVICE_UNAVAILABLE));
+    }
+
+    const mode = req.query.mode === 'link' ? 'link' : 'login';
+
+    if (mode === 'link' && !req.user) {
+      return next(new AppError('Log in to link a Wikimedia account', 401, ErrorCodes.UNAUTHORIZED_ACCESS));
+    }
+
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    const state = await issueStateToken({
+      mode,
+      user: mode === 'link' ? req.user._id : undefined,
+      codeVerifier
+    });
+
+    res.status(200).json({
+      success: true,
+      authorizationUrl: getAuthorizationUrl({ state, codeChallenge })
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Finish a Wikimedia login or link with the code from the consent page
+// @route   POST /api/auth/wikimedia/callback
+// @access  Public (link: Private)
+export const wikimediaCallback = async (req, res, next) => {
+  try {
+    const { code, state } = req.body;
+
+    // Each state works once
+    const pending = code && state
+      ? await OAuthState.findOneAndDelete({
+        tokenHash: User.hashToken(state),
+        mode: { $in: ['login', 'link'] },
+        expiresAt: { $gt: new Date() }
+      })
+      : null;
+
+    if (!pending) {
+      return next(new AppError('Wikimedia sign-in has expired, please try again', 400, ErrorCodes.TOKEN_INVALID));
+    }
+
+    const profile = await fetchProfile(await exchangeCode(code, pending.codeVerifier));
+    const owner = await User.findOne({ 'wikimedia.id': profile.id });
+
+    if (pending.mode === 'link') {
+      // Only the account that started linking may finish it
+      if (!req.user || !req.user._id.equals(pending.user)) {
+        return next(new AppError('Log in as the account you are linking', 403, ErrorCodes.UNAUTHORIZED_ACCESS));
+      }
+      if (owner && !owner._id.equals(req.user._id)) {
+        return next(new AppError('This Wikimedia account is linked to another user', 400, ErrorCodes.RESOURCE_ALREADY_EXISTS));
+      }
+
+      const user = await User.findById(req.user._id);
+      applyIdentity(user, profile);
+      await user.save();
+
+      await logEvent({
+        action: 'auth.wikimedia_linked',
+        message: `User ${user.username} linked Wikimedia account ${profile.username}`,
+        req,
+        user: user._id,
+        details: { wikimediaId: profile.id, wikimediaUsername: profile.username, editCount: profile.editCount }
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Wikimedia account linked',
+        user: user.getPublicProfile()
+      });
+    }
+
+    if (!owner) {
+      // New to the site: the client collects the remaining details for registerWithWikimedia
+      const registrationToken = await issueStateToken({ mode: 'register', identity: profile });
+
+      return res.status(200).json({
+        success: true,
+        needsRegistration: true,
+        registrationToken,
+        profile: {
+          username: profile.username,
+          suggestedUsername: suggestUsername(profile.username),
+          editCount: profile.editCount,
+          email: profile.email
+        }
+      });
+    }
+
+    if (!owner.isActive) {
+      await logEvent({
+        action: 'auth.login_failed',
+        level: 'warn',
+        message: 'Wikimedia login for deactivated account',
+        req,
+        user: owner._id,
+        statusCode: 401,
+        details: { reason: 'account_inactive', method: 'wikimedia' }
+      });
+      return next(new AppError('Account is deactivated', 401, ErrorCodes.ACCOUNT_INACTIVE));
+    }
+
+    applyIdentity(owner, profile);
+
+    // Accounts with 2FA still need a code after Wikimedia vouches for them
+    if (owner.twoFactor?.enabled) {
+      const twoFactorToken = owner.createTwoFactorChallenge();
+      await owner.save();
+
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        twoFactorToken
+      });
+    }
+
+    await owner.save();
+
+    await logEvent({
+      action: 'auth.login',
+      message: `User ${owner.username} logged in with Wikimedia`,
+      req,
+      user: owner._id,
+      details: { method: 'wikimedia' }
+    });
+
+    sendTokenResponse(owner, 200, res, await createSession(owner, req));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a local account for a new Wikimedia user
+// @route   POST /api/auth/wikimedia/register
+// @access  Public
+export const registerWithWikimedia = async (req, res, next) => {
+  try {
+    const { registrationToken, username, email, country } = req.body;
+
+    const pending = await findState(registrationToken, ['register']);
+
+    if (!pending) {
+      return next(new AppError('Wikimedia sign-in has expired, please try again', 400, ErrorCodes.TOKEN_INVALID));
+    }
+
+    const { identity } = pending;
+
+    if (await User.exists({ 'wikimedia.id': identity.id })) {
+      await pending.deleteOne();
+      return next(new AppError('This Wikimedia account is linked to another user', 400, ErrorCodes.RESOURCE_ALREADY_EXISTS));
+    }
+
+    const user = new User({
+      username,
+      email,
+      country,
+      // Nobody knows this password; "Forgot password?" sets a real one
+      password: crypto.randomBytes(32).toString('hex'),
+      // Wikimedia has already confirmed this address
+      emailVerified: Boolean(identity.emailConfirmed && identity.email?.toLowerCase() === email)
+    });
+    applyIdentity(user, { ...identity, registeredAt: identity.registeredAt && new Date(identity.registeredAt) });
+
+    const verificationToken = user.emailVerified ? null : user.createEmailVerificationToken();
+    // A taken username fails here and leaves the token usable for another try
+    await user.save();
+    await pending.deleteOne();
+
+    if (verificationToken) {
+      await sendVerificationEmail(user, verificationToken);
+    }
+
+    await logEvent({
+      action: 'auth.register',
+      message: `User ${user.username} registered with Wikimedia account ${identity.username}`,
+      req,
+      user: user._id,
+      details: { method: 'wikimedia', wikimediaId: identity.id }
+    });
+
+    sendTokenResponse(user, 201, res, await createSession(user, req));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlink the Wikimedia account from the current user
+// @route   DELETE /api/auth/wikimedia/link
+// @access  Private
+export const unlinkWikimedia = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.wikimedia?.id) {
+      return next(new AppError('No Wikimedia account is linked', 400, ErrorCodes.OPERATION_NOT_ALLOWED));
+    }
+
+    const { username: wikimediaUsername } = user.wikimedia;
+    user.wikimedia = undefined;
+    await user.save();
+
+    await logEvent({
+      action: 'auth.wikimedia_unlinked',
+      message: `User ${user.username} unlinked Wikimedia account ${wikimediaUsername}`,
+      req,
+      user: user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Wikimedia account unlinked',
+      user: user.getPublicProfile()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
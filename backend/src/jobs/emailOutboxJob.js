@@ -0,0 +1,45 @@
+import { processOutbox, isEmailConfigured } from '../services/emailService.js';
+import { logEvent } from '../services/logService.js';
+
+const RUN_INTERVAL_MS = 15 * 1000;
+
+let running = false;
+
+/**
+ * Deliver the emails waiting in the outbox
+ * Errors are logged so a failed run never takes the server down
+ */
+export const runEmailOutbox = async () => {
+  // A slow SMTP server must not make runs overlap
+  if (running) return null;
+  running = true;
+
+  try {
+    return await processOutbox();
+  } catch (error) {
+    await logEvent({
+      action: 'email.outbox_failed',
+      level: 'error',
+      message: error.message,
+      details: { stack: error.stack }
+    });
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Schedule the outbox sender
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startEmailOutboxJob = () => {
+  if (!isEmailConfigured()) {
+    console.warn('EMAIL_HOST is not set; emails will wait in the outbox until it is');
+  }
+
+  const interval = setInterval(runEmailOutbox, RUN_INTERVAL_MS);
+  // Do not keep the process alive just for the sender
+  interval.unref();
+  return interval;
+};
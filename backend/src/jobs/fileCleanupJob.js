@@ -0,0 +1,42 @@
+import { removeOrphanedFiles } from '../services/fileStorageService.js';
+import { logEvent } from '../services/logService.js';
+import config from '../config/config.js';
+
+/**
+ * Remove uploaded files that are no longer referenced by a submission
+ * Errors are logged so a failed sweep never takes the server down
+ */
+export const runFileCleanup = async () => {
+  try {
+    const result = await removeOrphanedFiles();
+
+    if (result.removed > 0) {
+      await logEvent({
+        action: 'files.orphans_removed',
+        message: `Removed ${result.removed} orphaned upload(s)`,
+        details: result
+      });
+    }
+
+    return result;
+  } catch (error) {
+    await logEvent({
+      action: 'files.cleanup_failed',
+      level: 'error',
+      message: error.message,
+      details: { stack: error.stack }
+    });
+    return null;
+  }
+};
+
+/**
+ * Schedule the orphaned file sweep
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startFileCleanupJob = () => {
+  const interval = setInterval(runFileCleanup, config.fileCleanupIntervalHours * 60 * 60 * 1000);
+  // Do not keep the process alive just for the sweep
+  interval.unref();
+  return interval;
+};
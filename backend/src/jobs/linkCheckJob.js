@@ -0,0 +1,53 @@
+import { runLinkChecks } from '../services/linkCheckService.js';
+import { logEvent } from '../services/logService.js';
+
+// Each run checks one batch of due links, so runs are more frequent than the recheck interval
+const RUN_INTERVAL_MS = 60 * 60 * 1000;
+
+let running = false;
+
+/**
+ * Check the next batch of approved source links
+ * Errors are logged so a failed run never takes the server down
+ */
+export const runLinkCheck = async () => {
+  // A slow batch must not overlap the next run
+  if (running) return null;
+  running = true;
+
+  try {
+    const result = await runLinkChecks();
+
+    if (result.checked > 0) {
+      await logEvent({
+        action: 'links.checked',
+        level: result.flagged > 0 ? 'warn' : 'info',
+        message: `Checked ${result.checked} source link(s), ${result.failed} failing, ${result.flagged} newly flagged`,
+        details: result
+      });
+    }
+
+    return result;
+  } catch (error) {
+    await logEvent({
+      action: 'links.check_failed',
+      level: 'error',
+      message: error.message,
+      details: { stack: error.stack }
+    });
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Schedule the source link checker
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startLinkCheckJob = () => {
+  const interval = setInterval(runLinkCheck, RUN_INTERVAL_MS);
+  // Do not keep the process alive just for the checker
+  interval.unref();
+  return interval;
+};
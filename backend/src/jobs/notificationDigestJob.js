@@ -0,0 +1,56 @@
+import { sendDigests, DIGEST_PERIODS } from '../services/digestService.js';
+import { logEvent } from '../services/logService.js';
+
+// Users become due at different times, so check every hour
+const RUN_INTERVAL_MS = 60 * 60 * 1000;
+
+let running = false;
+
+/**
+ * Queue the daily and weekly notification digests that are due
+ * Errors are logged so a failed run never takes the server down
+ */
+export const runNotificationDigests = async () => {
+  // A slow run must not overlap the next one
+  if (running) return null;
+  running = true;
+
+  try {
+    const results = {};
+    for (const frequency of Object.keys(DIGEST_PERIODS)) {
+      results[frequency] = await sendDigests(frequency);
+    }
+
+    const sent = Object.values(results).reduce((total, result) => total + result.sent, 0);
+    if (sent > 0) {
+      await logEvent({
+        action: 'notifications.digests_sent',
+        message: `Queued ${results.daily.sent} daily and ${results.weekly.sent} weekly digest(s)`,
+        details: results
+      });
+    }
+
+    return results;
+  } catch (error) {
+    await logEvent({
+      action: 'notifications.digest_failed',
+      level: 'error',
+      message: error.message,
+      details: { stack: error.stack }
+    });
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Schedule the digest builder
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startNotificationDigestJob = () => {
+  const interval = setInterval(runNotificationDigests, RUN_INTERVAL_MS);
+  // Do not keep the process alive just for digests
+  interval.unref();
+  return interval;
+};
@@ -3,6 +3,7 @@ import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import AppError from '../utils/AppError.js';
 import { ErrorCodes } from '../utils/errorCodes.js';
+import { isTwoFactorRequired } from '../services/twoFactorService.js';
 
 export const protect = async (req, res, next) => {
   try {
@@ -26,7 +27,7 @@ export const protect = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
       // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+      req.user = await User.findById(decoded.id).select('-password +refreshTokens');
 
       if (!req.user) {
         return next(new AppError('User not found', 401, ErrorCodes.AUTHENTICATION_FAILED));
@@ -36,6 +37,17 @@ export const protect = async (req, res, next) => {
         return next(new AppError('User account is deactivated', 401, ErrorCodes.ACCOUNT_INACTIVE));
       }
 
+      // Resetting or changing a password signs out existing tokens
+      if (req.user.changedPasswordAfter(decoded.iat)) {
+        return next(new AppError('Password was changed, please log in again', 401, ErrorCodes.TOKEN_EXPIRED));
+      }
+
+      // Signing a device out ends its access tokens too, not just its refresh token
+      if (decoded.sid && !req.user.refreshTokens.id(decoded.sid)) {
+        return next(new AppError('Session has been signed out', 401, ErrorCodes.SESSION_REVOKED));
+      }
+      req.sessionId = decoded.sid;
+
       next();
     } catch (error) {
       return next(new AppError('Token is invalid or expired', 401, ErrorCodes.TOKEN_INVALID));
@@ -46,14 +58,36 @@ export const protect = async (req, res, next) => {
 };
 
 export const authorize = (...roles) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!roles.includes(req.user.role)) {
       return next(new AppError(`User role '${req.user.role}' is not authorized to access this route`, 403, ErrorCodes.UNAUTHORIZED_ACCESS));
     }
+
+    // Admins can require 2FA before verifier and admin powers are used
+    try {
+      if (!req.user.twoFactor?.enabled && await isTwoFactorRequired(req.user.role)) {
+        return next(new AppError(
+          'Two-factor authentication is required for your role. Enable it in your account security settings',
+          403,
+          ErrorCodes.TWO_FACTOR_REQUIRED
+        ));
+      }
+    } catch (error) {
+      return next(error);
+    }
+
     next();
   };
 };
 
+// Must run after protect
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return next(new AppError('Please confirm your email address first', 403, ErrorCodes.EMAIL_NOT_VERIFIED));
+  }
+  next();
+};
+
 export const optionalAuth = async (req, res, next) => {
   try {
     let token;
@@ -67,7 +101,8 @@ export const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = await User.findById(decoded.id).select('-password');
+        const user = await User.findById(decoded.id).select('-password +refreshTokens');
+        req.user = user && (!decoded.sid || user.refreshTokens.id(decoded.sid)) ? user : null;
       } catch (error) {
         // Token invalid, but continue without user
         req.user = null;
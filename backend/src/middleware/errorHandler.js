@@ -1,5 +1,6 @@
 
 import { ErrorCodes } from '../utils/errorCodes.js';
+import { logEvent } from '../services/logService.js';
 
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
@@ -76,6 +77,19 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // Persist to the system log so admins can trace it by requestId
+  logEvent({
+    action: 'request.error',
+    level: error.statusCode >= 500 ? 'error' : 'warn',
+    message: error.message,
+    req,
+    statusCode: error.statusCode,
+    details: {
+      errorCode: error.errorCode,
+      ...(error.statusCode >= 500 && { stack: err.stack })
+    }
+  });
+
   res.status(error.statusCode).json({
     success: false,
     message: error.message || 'Server Error',
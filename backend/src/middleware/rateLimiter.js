@@ -1,4 +1,5 @@
 import rateLimit from 'express-rate-limit';
+import { logEvent } from '../services/logService.js';
 
 /**
  * Rate limit configuration based on user roles
@@ -75,6 +76,15 @@ export const createRateLimiter = (options = {}) => {
         'Retry-After': retryAfter.toString(),
       });
 
+      logEvent({
+        action: 'rate_limit.exceeded',
+        level: 'warn',
+        message,
+        req,
+        statusCode: 429,
+        details: { limit, role: req.user?.role || 'anonymous' }
+      });
+
       res.status(429).json({
         success: false,
         message,
@@ -0,0 +1,52 @@
+import multer from 'multer';
+import AppError from '../utils/AppError.js';
+import { ErrorCodes } from '../utils/errorCodes.js';
+import config from '../config/config.js';
+
+// Uploads are kept in memory until they have been checked and hashed
+const submissionUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.maxFileSize,
+    files: 1
+  }
+}).single('file');
+
+// Import spreadsheets are small text files
+const IMPORT_MAX_FILE_SIZE = 2 * 1024 * 1024;
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMPORT_MAX_FILE_SIZE,
+    files: 1
+  }
+}).single('file');
+
+// Run a multer handler and turn its errors into AppErrors
+const handleUpload = (upload, maxFileSize) => (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        const maxSizeMb = Math.round(maxFileSize / (1024 * 1024));
+        return next(new AppError(`File cannot exceed ${maxSizeMb}MB`, 413, ErrorCodes.INVALID_INPUT));
+      }
+      return next(new AppError(err.message, 400, ErrorCodes.INVALID_INPUT));
+    }
+
+    next(err);
+  });
+};
+
+/**
+ * Parse an optional PDF attached to a multipart submission as the "file" field
+ * Requests without a multipart body pass through untouched
+ */
+export const uploadSubmissionFile = handleUpload(submissionUpload, config.maxFileSize);
+
+/**
+ * Parse an optional CSV or JSON import file sent as the "file" field
+ */
+export const uploadImportFile = handleUpload(importUpload, IMPORT_MAX_FILE_SIZE);
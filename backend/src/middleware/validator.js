@@ -49,6 +49,30 @@ export const registerValidation = [
 ];
 
 
+// Registration after a Wikimedia login: no password, Wikimedia vouches for the user
+export const wikimediaRegisterValidation = [
+  body('registrationToken')
+    .notEmpty()
+    .withMessage('Registration token is required'),
+  body('username')
+    .trim()
+    .customSanitizer(sanitizeXSS)
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  body('country')
+    .trim()
+    .notEmpty()
+    .withMessage('Country is required')
+];
+
+
 export const loginValidation = [
   body('username')
     .trim()
@@ -61,8 +85,46 @@ export const loginValidation = [
 ];
 
 
+export const twoFactorLoginValidation = [
+  body('twoFactorToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Two-factor login token is required'),
+  body('code')
+    .if(body('recoveryCode').not().exists({ values: 'falsy' }))
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code or recovery code is required')
+];
+
+export const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+];
+
+
+export const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+];
+
+
 export const submissionValidation = [
+  body('fileType')
+    .optional()
+    .isIn(['url', 'pdf'])
+    .withMessage('File type must be url or pdf'),
+  // PDF submissions may omit the URL, the uploaded file is served instead
   body('url')
+    .if((value, { req }) => req.body.fileType !== 'pdf' || value)
     .trim()
     .notEmpty()
     .withMessage('URL is required')
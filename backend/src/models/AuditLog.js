@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorUsername: {
+    type: String,
+    trim: true
+  },
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true // e.g., "submission.override", "user.update", "user.role_change"
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'Submission', 'CountryStats', 'SystemSettings', 'EmailMessage'],
+    required: [true, 'Target type is required']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Target ID is required']
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  requestId: {
+    type: String
+  },
+  ip: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the admin audit filters
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -36,8 +36,17 @@ const countryStatsSchema = new mongoose.Schema({
     },
     username: String,
     reviewsCompleted: Number,
+    alignedReviews: Number,
     accuracy: Number // percentage of reviews that align with community consensus
   }],
+  reviewPolicy: {
+    quorum: {
+      type: Number,
+      default: 1,
+      min: [1, 'Quorum must be at least 1'],
+      max: [10, 'Quorum cannot exceed 10'] // independent reviews required before a status is final
+    }
+  },
   recentActivity: [{
     type: {
       type: String,
@@ -175,6 +184,39 @@ countryStatsSchema.methods.addActivity = function(type, userId, description, sub
   return this.save();
 };
 
+// Feed consensus alignment into topVerifiers once a submission's status is final
+countryStatsSchema.methods.recordReviewOutcome = async function(reviews, finalStatus, finalCredibility) {
+  const User = mongoose.model('User');
+  const verifierIds = reviews.map(review => review.verifier);
+  const users = await User.find({ _id: { $in: verifierIds } }).select('username');
+
+  reviews.forEach(review => {
+    const aligned = review.vote === finalStatus &&
+      (finalStatus !== 'approved' || review.credibility === finalCredibility);
+
+    let entry = this.topVerifiers.find(v => v.userId?.toString() === review.verifier.toString());
+    if (!entry) {
+      const user = users.find(u => u._id.toString() === review.verifier.toString());
+      this.topVerifiers.push({
+        userId: review.verifier,
+        username: user?.username,
+        reviewsCompleted: 0,
+        alignedReviews: 0,
+        accuracy: 0
+      });
+      entry = this.topVerifiers[this.topVerifiers.length - 1];
+    }
+
+    entry.reviewsCompleted = (entry.reviewsCompleted || 0) + 1;
+    entry.alignedReviews = (entry.alignedReviews || 0) + (aligned ? 1 : 0);
+    entry.accuracy = Math.round((entry.alignedReviews / entry.reviewsCompleted) * 100);
+  });
+
+  this.topVerifiers.sort((a, b) => b.reviewsCompleted - a.reviewsCompleted);
+
+  return this.save();
+};
+
 const CountryStats = mongoose.model('CountryStats', countryStatsSchema);
 
 export default CountryStats;
\ No newline at end of file
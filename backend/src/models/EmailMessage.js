@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+export const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Outbox entry: emails are rendered and stored first, then delivered by the
+// background sender, which retries failures with exponential backoff
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true,
+    lowercase: true
+  },
+  template: {
+    type: String,
+    required: [true, 'Template is required']
+  },
+  templateVersion: {
+    type: Number,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: EMAIL_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When the sender may next pick the message up; while sending, when a
+  // delivery that never finished (e.g. the process died) may be retried
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// The sender claims due messages; admins list by status
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ to: 1, createdAt: -1 });
+
+const EmailMessage = mongoose.model('EmailMessage', emailMessageSchema);
+
+export default EmailMessage;
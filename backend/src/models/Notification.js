@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+const NOTIFICATION_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 180;
+
+export const NOTIFICATION_TYPES = [
+  'submission_received', // to the submitter
+  'review_requested', // to the country's verifiers when a submission arrives
+  'submission_approved',
+  'submission_rejected',
+  'submission_overridden',
+  'badge_awarded',
+  'role_changed'
+];
+
+// How a user wants each type delivered. Every channel but 'off' also keeps the
+// in-app notification; digests are sent by the scheduled digest job
+export const NOTIFICATION_CHANNELS = ['in_app', 'email', 'daily', 'weekly', 'off'];
+
+// Used for types a user has not chosen a channel for
+export const DEFAULT_NOTIFICATION_CHANNELS = {
+  submission_received: 'email',
+  review_requested: 'email',
+  submission_approved: 'in_app',
+  submission_rejected: 'in_app',
+  submission_overridden: 'in_app',
+  badge_awarded: 'in_app',
+  role_changed: 'in_app'
+};
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  // Frontend path to open when the notification is clicked
+  link: {
+    type: String
+  },
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// The inbox lists newest first; the badge counts unread items
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+// Expire old notifications automatically
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
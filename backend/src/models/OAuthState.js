@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Sign-in attempts are abandoned after this long
+export const OAUTH_STATE_TTL_MS = 15 * 60 * 1000;
+
+// Pending Wikimedia OAuth flows. The state parameter sent to Wikimedia and the
+// registration token given to new users are looked up here by their SHA-256 hash.
+const oauthStateSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // login and link wait for Wikimedia's callback; register waits for the new account form
+  mode: {
+    type: String,
+    enum: ['login', 'link', 'register'],
+    required: true
+  },
+  // Account being linked
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // PKCE verifier for the authorization code exchange
+  codeVerifier: {
+    type: String
+  },
+  // Wikimedia profile waiting for a local account
+  identity: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + OAUTH_STATE_TTL_MS)
+  }
+});
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
+
+export default OAuthState;
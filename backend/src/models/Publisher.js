@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Reputation of a publisher within one country, derived from verified submissions
+const publisherSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true // canonical domain, or a slug of the name for uploads without a URL
+  },
+  country: {
+    type: String,
+    required: true
+  },
+  domain: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true // publisher name used most often in submissions
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  counts: {
+    approved: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 },
+    credible: { type: Number, default: 0 },
+    unreliable: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  latestVerdict: {
+    submission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Submission'
+    },
+    title: String,
+    status: {
+      type: String,
+      enum: ['approved', 'rejected']
+    },
+    credibility: {
+      type: String,
+      enum: ['credible', 'unreliable']
+    },
+    verifiedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+publisherSchema.index({ slug: 1, country: 1 }, { unique: true });
+publisherSchema.index({ country: 1, 'counts.total': -1 });
+publisherSchema.index({ name: 'text', aliases: 'text', domain: 'text' });
+
+const Publisher = mongoose.model('Publisher', publisherSchema);
+
+export default Publisher;
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { canonicalizeUrl, canonicalHost } from '../utils/urlCanonicalizer.js';
+import { slugify } from '../utils/slugify.js';
+import { buildSearchTerms, SEARCH_FIELDS } from '../utils/textSearch.js';
 
 const submissionSchema = new mongoose.Schema({
   url: {
@@ -6,6 +9,17 @@ const submissionSchema = new mongoose.Schema({
     required: [true, 'URL is required'],
     trim: true
   },
+  // Normalized form of url used for duplicate detection
+  canonicalUrl: {
+    type: String
+  },
+  canonicalHost: {
+    type: String
+  },
+  // Key of the Publisher record this submission counts towards
+  publisherSlug: {
+    type: String
+  },
   title: {
     type: String,
     required: [true, 'Title is required'],
@@ -72,10 +86,102 @@ const submissionSchema = new mongoose.Schema({
   fileName: {
     type: String
   },
+  // Uploaded document, stored on disk under its content hash
+  file: {
+    hash: String,
+    size: Number,
+    mimeType: String,
+    originalName: String
+  },
+  possibleDuplicates: [{
+    submission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Submission'
+    },
+    score: Number
+  }],
   tags: [{
     type: String,
     trim: true
-  }]
+  }],
+  // Normalized words from the searchable fields, used for prefix search
+  searchTerms: {
+    type: [String],
+    select: false
+  },
+  reviews: [{
+    verifier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    vote: {
+      type: String,
+      enum: ['approved', 'rejected'],
+      required: true
+    },
+    credibility: {
+      type: String,
+      enum: ['credible', 'unreliable']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  escalation: {
+    isEscalated: {
+      type: Boolean,
+      default: false
+    },
+    // 'review' for verifier disagreements, 'link' for approved sources whose link died
+    kind: {
+      type: String,
+      enum: ['review', 'link'],
+      default: 'review'
+    },
+    reason: String,
+    escalatedAt: Date,
+    resolvedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Result of the latest background check of the source URL
+  linkHealth: {
+    status: {
+      type: String,
+      enum: ['unchecked', 'ok', 'redirected', 'broken', 'unreachable'],
+      default: 'unchecked'
+    },
+    httpStatus: Number,
+    finalUrl: String,
+    redirects: [{
+      _id: false,
+      url: String,
+      status: Number
+    }],
+    error: String,
+    lastCheckedAt: Date,
+    lastHealthyAt: Date,
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    // Set when the link was flagged for re-review, cleared once it recovers
+    flaggedAt: Date
+  },
+  // Snapshot of the source in a web archive, for when the original disappears
+  archiveUrl: {
+    type: String,
+    trim: true
+  }
 }, {
   timestamps: true
 });
@@ -85,6 +191,57 @@ submissionSchema.index({ country: 1, status: 1 });
 submissionSchema.index({ submitter: 1 });
 submissionSchema.index({ category: 1 });
 submissionSchema.index({ createdAt: -1 });
+submissionSchema.index({ 'escalation.isEscalated': 1, 'escalation.escalatedAt': 1 });
+submissionSchema.index({ 'file.hash': 1 });
+submissionSchema.index({ canonicalUrl: 1 });
+submissionSchema.index({ canonicalHost: 1 });
+submissionSchema.index({ publisherSlug: 1, country: 1, status: 1 });
+submissionSchema.index({ searchTerms: 1 });
+submissionSchema.index({ status: 1, 'linkHealth.lastCheckedAt': 1 });
+submissionSchema.index({
+  title: 'text',
+  publisher: 'text',
+  url: 'text',
+  tags: 'text',
+  wikipediaArticle: 'text',
+  verifierNotes: 'text'
+}, {
+  name: 'submission_text_search',
+  weights: {
+    title: 10,
+    publisher: 5,
+    tags: 5,
+    wikipediaArticle: 3,
+    url: 2,
+    verifierNotes: 1
+  }
+});
+
+// Keep the canonical URL, publisher key and search terms in sync with the submitted fields
+submissionSchema.pre('save', function(next) {
+  if (this.isModified('url')) {
+    this.canonicalUrl = canonicalizeUrl(this.url) || undefined;
+    this.canonicalHost = canonicalHost(this.url) || undefined;
+  }
+  if (this.isModified('url') || this.isModified('publisher') || !this.publisherSlug) {
+    this.publisherSlug = this.canonicalHost || slugify(this.publisher) || undefined;
+  }
+  if (this.isNew || SEARCH_FIELDS.some(field => this.isModified(field))) {
+    this.searchTerms = buildSearchTerms(this);
+  }
+  next();
+});
+
+// Compute the derived fields from scratch, for documents saved before they existed
+submissionSchema.statics.getDerivedFields = function(submission) {
+  const host = canonicalHost(submission.url) || undefined;
+  return {
+    canonicalUrl: canonicalizeUrl(submission.url) || undefined,
+    canonicalHost: host,
+    publisherSlug: host || slugify(submission.publisher) || undefined,
+    searchTerms: buildSearchTerms(submission)
+  };
+};
 
 // Virtual for submitter details
 submissionSchema.virtual('submitterDetails', {
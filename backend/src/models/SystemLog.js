@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+const LOG_RETENTION_DAYS = parseInt(process.env.LOG_RETENTION_DAYS) || 90;
+
+const systemLogSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: ['debug', 'info', 'warn', 'error'],
+    default: 'info'
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true // e.g., "auth.login", "auth.login_failed", "rate_limit.exceeded"
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestId: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  method: {
+    type: String
+  },
+  path: {
+    type: String
+  },
+  statusCode: {
+    type: Number
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for dashboard filters
+systemLogSchema.index({ action: 1, createdAt: -1 });
+systemLogSchema.index({ user: 1, createdAt: -1 });
+systemLogSchema.index({ requestId: 1 });
+systemLogSchema.index({ level: 1, createdAt: -1 });
+
+// Expire old entries automatically
+systemLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+const SystemLog = mongoose.model('SystemLog', systemLogSchema);
+
+export default SystemLog;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Site-wide settings that admins change at runtime. There is a single document.
+const systemSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  // Members of these roles must enable two-factor authentication before using
+  // verifier and admin routes
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: ['verifier', 'admin']
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// The auth middleware reads the settings on every verifier and admin request, so they
+// are kept in memory briefly. Other server processes pick up a change once this expires.
+const CACHE_TTL_MS = 30 * 1000;
+let cache = null;
+
+const DEFAULT_SETTINGS = { key: 'global', twoFactorRequiredRoles: [] };
+
+/**
+ * Load the settings as a plain object, falling back to the defaults until an admin saves them
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Skip the in-memory cache
+ * @returns {Promise<Object>}
+ */
+systemSettingsSchema.statics.getSettings = async function({ fresh = false } = {}) {
+  if (!fresh && cache && cache.expiresAt > Date.now()) {
+    return cache.settings;
+  }
+
+  const settings = (await this.findOne({ key: 'global' }).lean()) || { ...DEFAULT_SETTINGS };
+  cache = { settings, expiresAt: Date.now() + CACHE_TTL_MS };
+  return settings;
+};
+
+/**
+ * Save changes to the settings, creating the document on first write
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object>} The updated settings document
+ */
+systemSettingsSchema.statics.updateSettings = async function(changes) {
+  const settings = await this.findOneAndUpdate(
+    { key: 'global' },
+    { $set: changes },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+  cache = null;
+  return settings;
+};
+
+systemSettingsSchema.statics.clearCache = function() {
+  cache = null;
+};
+
+const SystemSettings = mongoose.model('SystemSettings', systemSettingsSchema);
+
+export default SystemSettings;
@@ -1,5 +1,13 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import config from '../config/config.js';
+import { NOTIFICATION_CHANNELS, DEFAULT_NOTIFICATION_CHANNELS } from './Notification.js';
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+// Time allowed between the password and the authentication code at login
+export const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000;
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -49,14 +57,115 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  refreshTokens: [{
-    token: String,
-    createdAt: {
-      type: Date,
-      default: Date.now,
-      expires: 604800 // 7 days in seconds
+  // Accounts created before verification existed have no value and count as verified;
+  // registration stores false explicitly
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerifiedAt: Date,
+  // Only SHA-256 hashes of emailed tokens are stored
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: Date,
+  // Failed login tracking; lockCount counts lockouts since the last successful login
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  // TOTP two-factor authentication. pendingSecret holds a new secret until the
+  // first code from it is confirmed; recovery codes are stored as SHA-256 hashes
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last time step accepted, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Issued after a correct password when a code is still needed
+  twoFactorChallenge: {
+    type: String,
+    select: false
+  },
+  twoFactorChallengeExpires: {
+    type: Date,
+    select: false
+  },
+  // Linked Wikimedia account, refreshed on every Wikimedia login
+  wikimedia: {
+    id: String, // Central user ID (the OAuth "sub" claim)
+    username: String,
+    editCount: Number,
+    registeredAt: Date,
+    groups: [String],
+    blocked: Boolean,
+    linkedAt: Date,
+    refreshedAt: Date
+  },
+  // Delivery channel per notification type; types without an entry use the defaults
+  notificationPreferences: {
+    type: Map,
+    of: {
+      type: String,
+      enum: NOTIFICATION_CHANNELS
     }
-  }]
+  },
+  // When the last daily and weekly digests were sent
+  digestSentAt: {
+    daily: Date,
+    weekly: Date
+  },
+  // One entry per signed-in device; only the hash of its current refresh token is kept
+  refreshTokens: {
+    type: [{
+      tokenHash: String,
+      userAgent: String,
+      ip: String,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      },
+      lastUsedAt: Date,
+      expiresAt: Date
+    }],
+    select: false
+  }
 }, {
   timestamps: true
 });
@@ -69,14 +178,118 @@ userSchema.pre('save', async function(next) {
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Backdated a second so tokens issued right after the change stay valid
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
   next();
 });
 
+/**
+ * Hash an emailed token for storage and lookup
+ * @param {string} token - Raw token from the email link
+ * @returns {string} Hex SHA-256 digest
+ */
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Issue a random single-use token, keeping only its hash on the user
+const issueToken = (user, field, expiresField, ttl) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user[field] = user.constructor.hashToken(token);
+  user[expiresField] = new Date(Date.now() + ttl);
+  return token;
+};
+
+// Method to create an email confirmation token; the caller saves the user
+userSchema.methods.createEmailVerificationToken = function() {
+  return issueToken(this, 'emailVerificationToken', 'emailVerificationExpires', EMAIL_VERIFICATION_TTL_MS);
+};
+
+// Method to create a password reset token; the caller saves the user
+userSchema.methods.createPasswordResetToken = function() {
+  return issueToken(this, 'passwordResetToken', 'passwordResetExpires', PASSWORD_RESET_TTL_MS);
+};
+
+// Method to create the token for the second login step; the caller saves the user
+userSchema.methods.createTwoFactorChallenge = function() {
+  return issueToken(this, 'twoFactorChallenge', 'twoFactorChallengeExpires', TWO_FACTOR_CHALLENGE_TTL_MS);
+};
+
+// Method to check whether a JWT was issued before the latest password change
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  return Boolean(this.passwordChangedAt) && issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Method to check whether the account is locked after failed logins
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil) && this.lockUntil.getTime() > Date.now();
+};
+
+/**
+ * Record a failed login and lock the account once config.loginMaxAttempts is reached
+ * @returns {Promise<{attempts: number, lockedUntil: Date|null}>} lockedUntil is set
+ *   only for the attempt that caused the lock
+ */
+userSchema.methods.registerFailedLogin = async function() {
+  const Model = this.constructor;
+
+  // Counted atomically so parallel guesses cannot slip past the limit
+  const { failedLoginAttempts: attempts, lockCount } = await Model.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: 'failedLoginAttempts lockCount' }
+  );
+
+  if (attempts < config.loginMaxAttempts) {
+    this.failedLoginAttempts = attempts;
+    return { attempts, lockedUntil: null };
+  }
+
+  const minutes = Math.min(config.loginLockoutMinutes * 2 ** lockCount, config.loginLockoutMaxMinutes);
+  const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  // Only the attempt that still sees its own count applies the lock
+  const result = await Model.updateOne(
+    { _id: this._id, failedLoginAttempts: attempts },
+    { $set: { lockUntil: lockedUntil, failedLoginAttempts: 0 }, $inc: { lockCount: 1 } }
+  );
+
+  if (result.modifiedCount === 0) {
+    return { attempts, lockedUntil: null };
+  }
+
+  this.lockUntil = lockedUntil;
+  this.lockCount = lockCount + 1;
+  this.failedLoginAttempts = 0;
+  return { attempts, lockedUntil };
+};
+
+// Method to clear failed login tracking after a successful login or an unlock
+userSchema.methods.resetLoginAttempts = async function() {
+  if (!this.failedLoginAttempts && !this.lockCount && !this.lockUntil) return;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0, lockCount: 0 }, $unset: { lockUntil: 1 } }
+  );
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+};
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to get the delivery channel for a notification type
+userSchema.methods.getNotificationChannel = function(type) {
+  return this.notificationPreferences?.get(type) || DEFAULT_NOTIFICATION_CHANNELS[type] || 'in_app';
+};
+
 // Method to get public profile
 userSchema.methods.getPublicProfile = function() {
   return {
@@ -88,10 +301,24 @@ userSchema.methods.getPublicProfile = function() {
     points: this.points,
     badges: this.badges,
     joinDate: this.createdAt,
-    isActive: this.isActive
+    isActive: this.isActive,
+    emailVerified: this.emailVerified,
+    twoFactorEnabled: Boolean(this.twoFactor?.enabled),
+    wikimedia: this.wikimedia?.id ? {
+      username: this.wikimedia.username,
+      editCount: this.wikimedia.editCount,
+      registeredAt: this.wikimedia.registeredAt,
+      linkedAt: this.wikimedia.linkedAt
+    } : null
   };
 };
 
+// A Wikimedia account can be linked to one local account
+userSchema.index(
+  { 'wikimedia.id': 1 },
+  { unique: true, partialFilterExpression: { 'wikimedia.id': { $type: 'string' } } }
+);
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
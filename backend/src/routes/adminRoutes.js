@@ -15,11 +15,25 @@ router.get('/analytics', AdminController.getAnalytics);
 // User Management
 router.get('/users', AdminController.getUsers);
 router.put('/users/:id', AdminController.updateUser);
+router.post('/users/:id/unlock', AdminController.unlockUser);
+router.post('/users/:id/reset-2fa', AdminController.resetUserTwoFactor);
 router.delete('/users/:id', AdminController.deleteUser);
 
 // Submission Management
 router.get('/submissions', AdminController.getSubmissions);
+router.get('/submissions/escalated', AdminController.getEscalations);
 router.put('/submissions/:id/override', AdminController.overrideSubmission);
 router.delete('/submissions/:id', AdminController.deleteSubmission);
 
+// Email Outbox
+router.get('/emails', AdminController.getEmails);
+router.post('/emails/:id/retry', AdminController.retryEmail);
+
+// Audit Log
+router.get('/audit', AdminController.getAuditLogs);
+
+// Settings
+router.get('/settings', AdminController.getSettings);
+router.put('/settings', AdminController.updateSettings);
+
 export default router;
\ No newline at end of file
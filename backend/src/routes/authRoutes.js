@@ -2,23 +2,46 @@ import express from 'express';
 import {
   register,
   login,
+  verifyTwoFactorLogin,
   logout,
   getMe,
   refreshToken,
   updateProfile,
-  changePassword
+  changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessionsForUser
 } from '../controllers/authController.js';
 import { protect } from '../middleware/auth.js';
-import { registerValidation, loginValidation, validate } from '../middleware/validator.js';
+import {
+  registerValidation,
+  loginValidation,
+  twoFactorLoginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  validate
+} from '../middleware/validator.js';
 
 const router = express.Router();
 
 router.post('/register', registerValidation, validate, register);
 router.post('/login', loginValidation, validate, login);
+router.post('/login/2fa', twoFactorLoginValidation, validate, verifyTwoFactorLogin);
 router.post('/logout', protect, logout);
 router.get('/me', protect, getMe);
 router.post('/refresh', refreshToken);
 router.put('/profile', protect, updateProfile);
 router.put('/password', protect, changePassword);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+router.post('/forgot-password', forgotPasswordValidation, validate, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, validate, resetPassword);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessionsForUser);
+router.delete('/sessions/:sessionId', protect, revokeSessionById);
 
 export default router;
@@ -17,6 +17,7 @@ router.post('/', CountryController.createCountry);
 router.put('/:code', CountryController.updateCountry);
 router.delete('/:code', CountryController.deleteCountry);
 router.post('/:code/update-stats', CountryController.updateCountryStats);
+router.put('/:code/review-policy', CountryController.updateReviewPolicy);
 router.post('/:code/assign-verifier', CountryController.assignVerifier);
 router.post('/:code/remove-verifier', CountryController.removeVerifier);
 
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  unsubscribeFromEmails
+} from '../controllers/notificationController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Signed links from emails work without logging in
+router.post('/unsubscribe', unsubscribeFromEmails);
+
+router.use(protect);
+
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.get('/preferences', getNotificationPreferences);
+router.put('/preferences', updateNotificationPreferences);
+router.put('/read-all', markAllAsRead);
+router.put('/:id/read', markAsRead);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import PublisherController from '../controllers/publisherController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', PublisherController.getPublishers);
+router.get('/:slug', PublisherController.getPublisher);
+
+// Protected routes (admin only)
+router.post('/rebuild', protect, authorize('admin'), PublisherController.rebuildPublishers);
+
+export default router;
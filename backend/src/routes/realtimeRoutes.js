@@ -0,0 +1,12 @@
+import express from 'express';
+import { streamEvents, updatePresence } from '../controllers/realtimeController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/stream', streamEvents);
+router.put('/presence', authorize('verifier', 'admin'), updatePresence);
+
+export default router;
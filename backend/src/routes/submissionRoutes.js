@@ -8,19 +8,33 @@ import {
   deleteSubmission,
   verifySubmission,
   getPendingSubmissionsForCountry,
-  getSubmissionStats
+  getSubmissionStats,
+  downloadSubmissionFile,
+  checkDuplicate,
+  citeSubmission,
+  citeSubmissions,
+  importSubmissions,
+  exportSubmissions,
+  checkLink,
+  getUrlMetadata
 } from '../controllers/submissionController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, authorize, requireVerifiedEmail } from '../middleware/auth.js';
 import { submissionValidation, verificationValidation, validate } from '../middleware/validator.js';
+import { uploadSubmissionFile, uploadImportFile } from '../middleware/upload.js';
 
 const router = express.Router();
 
 router.route('/')
   .get(getSubmissions)
-  .post(protect, submissionValidation, validate, createSubmission);
+  .post(protect, requireVerifiedEmail, uploadSubmissionFile, submissionValidation, validate, createSubmission);
 
 router.get('/stats', getSubmissionStats);
+router.get('/check-duplicate', checkDuplicate);
+router.get('/metadata', protect, getUrlMetadata);
+router.get('/cite', citeSubmissions);
+router.get('/export', exportSubmissions);
 router.get('/my/submissions', protect, getMySubmissions);
+router.post('/import', protect, authorize('verifier', 'admin'), uploadImportFile, importSubmissions);
 router.get('/pending/country', protect, authorize('verifier', 'admin'), getPendingSubmissionsForCountry);
 
 router.route('/:id')
@@ -28,6 +42,9 @@ router.route('/:id')
   .put(protect, updateSubmission)
   .delete(protect, deleteSubmission);
 
+router.get('/:id/file', downloadSubmissionFile);
+router.get('/:id/cite', citeSubmission);
+router.post('/:id/check-link', protect, authorize('verifier', 'admin'), checkLink);
 router.put('/:id/verify', protect, authorize('verifier', 'admin'), verificationValidation, validate, verifySubmission);
 
 export default router;
@@ -13,5 +13,8 @@ router.get('/logs', SystemController.getSystemLogs);
 router.get('/stats', SystemController.getSystemStats);
 router.post('/maintenance', SystemController.maintainDatabase);
 router.post('/backup', SystemController.backupDatabase);
+router.get('/backups', SystemController.getBackups);
+router.get('/backups/:id/download', SystemController.downloadBackup);
+router.post('/backups/:id/restore', SystemController.restoreDatabase);
 
 export default router;
\ No newline at end of file
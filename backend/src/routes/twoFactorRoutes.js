@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../controllers/twoFactorController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', getTwoFactorStatus);
+router.post('/setup', setupTwoFactor);
+router.post('/enable', enableTwoFactor);
+router.post('/disable', disableTwoFactor);
+router.post('/recovery-codes', regenerateRecoveryCodes);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  authorizeWikimedia,
+  wikimediaCallback,
+  registerWithWikimedia,
+  unlinkWikimedia
+} from '../controllers/wikimediaAuthController.js';
+import { protect, optionalAuth } from '../middleware/auth.js';
+import { wikimediaRegisterValidation, validate } from '../middleware/validator.js';
+
+const router = express.Router();
+
+router.get('/authorize', optionalAuth, authorizeWikimedia);
+router.post('/callback', optionalAuth, wikimediaCallback);
+router.post('/register', wikimediaRegisterValidation, validate, registerWithWikimedia);
+router.delete('/link', protect, unlinkWikimedia);
+
+export default router;
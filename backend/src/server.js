@@ -9,19 +9,34 @@ import errorHandler from './middleware/errorHandler.js';
 import { optionalAuth } from './middleware/auth.js';
 import { userRateLimiter } from './middleware/rateLimiter.js';
 import authRoutes from './routes/authRoutes.js';
+import wikimediaOAuthRoutes from './routes/wikimediaOAuthRoutes.js';
+import twoFactorRoutes from './routes/twoFactorRoutes.js';
 import submissionRoutes from './routes/submissionRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import countryRoutes from './routes/countryRoutes.js';
 import systemRoutes from './routes/systemRoutes.js';
 import reportsRoutes from './routes/reportsRoutes.js';
+import publisherRoutes from './routes/publisherRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import realtimeRoutes from './routes/realtimeRoutes.js';
 //importing the config file where all the environment variables are stored and loaded
 import config from './config/config.js';
+import { startFileCleanupJob } from './jobs/fileCleanupJob.js';
+import { startLinkCheckJob } from './jobs/linkCheckJob.js';
+import { startEmailOutboxJob } from './jobs/emailOutboxJob.js';
+import { startNotificationDigestJob } from './jobs/notificationDigestJob.js';
 
 
 
 import crypto from 'crypto';
 
+// A default secret would let anyone forge unsubscribe links for any user
+if (!config.unsubscribeSecret) {
+  console.error('UNSUBSCRIBE_SECRET must be set in production');
+  process.exit(1);
+}
+
 // Connect to database
 connectDB();
 
@@ -128,12 +143,17 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/wikimedia', wikimediaOAuthRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/submissions', submissionRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/countries', countryRoutes);
 app.use('/api/system', systemRoutes);
 app.use('/api/reports', reportsRoutes);
+app.use('/api/publishers', publisherRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/realtime', realtimeRoutes);
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -162,6 +182,12 @@ const server = app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Background jobs
+startFileCleanupJob();
+startLinkCheckJob();
+startEmailOutboxJob();
+startNotificationDigestJob();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
@@ -0,0 +1,37 @@
+import config from '../config/config.js';
+import { queueEmail } from './emailService.js';
+
+/**
+ * Email a link that confirms the user's address
+ * @param {Object} user - User document
+ * @param {string} token - Raw token from createEmailVerificationToken
+ */
+export const sendVerificationEmail = (user, token) =>
+  queueEmail(user.email, 'email-verification', {
+    username: user.username,
+    link: `${config.frontendUrl}/auth?verify=${token}`
+  });
+
+/**
+ * Email a single-use password reset link
+ * @param {Object} user - User document
+ * @param {string} token - Raw token from createPasswordResetToken
+ */
+export const sendPasswordResetEmail = (user, token) =>
+  queueEmail(user.email, 'password-reset', {
+    username: user.username,
+    link: `${config.frontendUrl}/auth?reset=${token}`
+  });
+
+/**
+ * Tell the account owner that failed logins locked their account
+ * @param {Object} user - User document
+ * @param {Date} lockedUntil
+ */
+export const sendLockoutEmail = (user, lockedUntil) =>
+  queueEmail(user.email, 'account-locked', {
+    username: user.username,
+    attempts: config.loginMaxAttempts,
+    lockedUntil,
+    link: `${config.frontendUrl}/auth`
+  });
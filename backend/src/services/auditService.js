@@ -0,0 +1,58 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Normalise values so ObjectIds, Dates and subdocuments compare and store cleanly
+const toPlain = (value) => {
+  if (value === undefined || value === null) return value ?? null;
+  if (typeof value.toObject === 'function') return value.toObject();
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Build a field-level diff between two snapshots
+ * @param {Object} before - Values before the mutation
+ * @param {Object} after - Values after the mutation
+ * @param {string[]} fields - Fields to compare
+ * @returns {Array<{field: string, before: *, after: *}>} Changed fields only
+ */
+export const diffFields = (before = {}, after = {}, fields = []) => {
+  return fields.reduce((changes, field) => {
+    const previous = toPlain(before?.[field]);
+    const next = toPlain(after?.[field]);
+
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ field, before: previous, after: next });
+    }
+    return changes;
+  }, []);
+};
+
+/**
+ * Record a privileged mutation in the audit log
+ * Failures are logged but never interrupt the request that triggered them
+ * @param {Object} req - Express request (provides actor and requestId)
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.action - Action name, e.g. "submission.override"
+ * @param {string} entry.targetType - 'User', 'Submission', 'CountryStats', 'SystemSettings' or 'EmailMessage'
+ * @param {*} entry.targetId - ID of the affected document
+ * @param {Array} [entry.changes] - Field diff, see diffFields()
+ * @param {string} [entry.reason] - Reason supplied by the actor
+ */
+export const recordAudit = async (req, { action, targetType, targetId, changes = [], reason }) => {
+  try {
+    return await AuditLog.create({
+      actor: req.user._id,
+      actorUsername: req.user.username,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      targetId,
+      changes,
+      reason,
+      requestId: req.requestId,
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error('Failed to write audit log:', error);
+    return null;
+  }
+};
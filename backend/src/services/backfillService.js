@@ -0,0 +1,50 @@
+import Submission from '../models/Submission.js';
+import { SEARCH_FIELDS } from '../utils/textSearch.js';
+
+const BATCH_SIZE = 500;
+
+/**
+ * Fill in the canonical URL, publisher key and search terms of submissions
+ * saved before those fields existed; the save hook only sets them on later saves
+ * Writes in batches so large collections are not loaded into memory
+ * @returns {Promise<number>} Number of submissions updated
+ */
+export const backfillSubmissionFields = async () => {
+  const cursor = Submission.find({
+    $or: [
+      { searchTerms: { $exists: false } },
+      { publisherSlug: { $exists: false } },
+      // Uploaded documents link to a relative download route with no canonical form
+      { canonicalUrl: { $exists: false }, url: /^https?:\/\//i }
+    ]
+  })
+    .select([...new Set(['url', 'publisher', ...SEARCH_FIELDS])].join(' '))
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Submission.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const submission of cursor) {
+    const fields = Object.entries(Submission.getDerivedFields(submission))
+      .filter(([, value]) => value !== undefined);
+
+    operations.push({
+      updateOne: {
+        filter: { _id: submission._id },
+        update: { $set: Object.fromEntries(fields) }
+      }
+    });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+};
@@ -0,0 +1,287 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import readline from 'readline';
+import { pipeline } from 'stream/promises';
+import { Readable } from 'stream';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Submission from '../models/Submission.js';
+import CountryStats from '../models/CountryStats.js';
+import AppError from '../utils/AppError.js';
+import { ErrorCodes } from '../utils/errorCodes.js';
+import config from '../config/config.js';
+
+const { EJSON } = mongoose.mongo.BSON;
+
+export const BACKUP_FORMAT = 'wikisource-backup';
+export const BACKUP_VERSION = 1;
+
+// Collections included in a backup, in restore order
+const COLLECTIONS = {
+  users: User,
+  submissions: Submission,
+  countryStats: CountryStats
+};
+
+const BACKUP_ID_PATTERN = /^backup_\d{8}T\d{6}Z_[a-f0-9]{6}$/;
+const INSERT_BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 20;
+
+const getBackupDir = () => path.resolve(config.backupPath);
+
+const getArchivePath = (backupId) => path.join(getBackupDir(), `${backupId}.jsonl.gz`);
+
+const getManifestPath = (backupId) => path.join(getBackupDir(), `${backupId}.json`);
+
+const assertValidBackupId = (backupId) => {
+  if (!BACKUP_ID_PATTERN.test(backupId)) {
+    throw new AppError('Invalid backup ID', 400, ErrorCodes.INVALID_INPUT);
+  }
+};
+
+const generateBackupId = () => {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return `backup_${timestamp}_${crypto.randomBytes(3).toString('hex')}`;
+};
+
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+/**
+ * Stream every backed-up collection as newline-delimited Extended JSON
+ * The first line is a header describing the archive format
+ */
+async function* exportLines(createdAt, counts) {
+  yield `${JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt })}\n`;
+
+  for (const [name, Model] of Object.entries(COLLECTIONS)) {
+    counts[name] = 0;
+    // Read from the driver so fields hidden with select: false are kept
+    for await (const doc of Model.collection.find()) {
+      counts[name] += 1;
+      yield `${EJSON.stringify({ collection: name, doc }, { relaxed: false })}\n`;
+    }
+  }
+}
+
+/**
+ * Iterate the records of a backup archive
+ * @param {string} backupId - Backup identifier
+ * @returns {AsyncGenerator<{lineNumber: number, header?: Object, collection?: string, doc?: Object}>}
+ */
+async function* readArchive(backupId) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(getArchivePath(backupId)).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity
+  });
+
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber += 1;
+    if (!line.trim()) continue;
+
+    if (lineNumber === 1) {
+      yield { lineNumber, header: JSON.parse(line) };
+    } else {
+      const { collection, doc } = EJSON.parse(line, { relaxed: false });
+      yield { lineNumber, collection, doc };
+    }
+  }
+}
+
+/**
+ * Export the User, Submission and CountryStats collections to a compressed archive
+ * @param {Object} options
+ * @param {Object} [options.createdBy] - User who requested the backup
+ * @param {string} [options.note] - Optional description stored in the manifest
+ * @returns {Promise<Object>} Backup manifest
+ */
+export const createBackup = async ({ createdBy, note } = {}) => {
+  await fs.promises.mkdir(getBackupDir(), { recursive: true });
+
+  const backupId = generateBackupId();
+  const createdAt = new Date().toISOString();
+  const archivePath = getArchivePath(backupId);
+  const counts = {};
+
+  await pipeline(
+    Readable.from(exportLines(createdAt, counts)),
+    zlib.createGzip(),
+    fs.createWriteStream(archivePath, { mode: 0o600 })
+  );
+
+  const manifest = {
+    backupId,
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt,
+    createdBy: createdBy ? { id: createdBy._id, username: createdBy.username } : null,
+    note,
+    collections: counts,
+    size: (await fs.promises.stat(archivePath)).size,
+    sha256: await hashFile(archivePath)
+  };
+
+  await fs.promises.writeFile(getManifestPath(backupId), JSON.stringify(manifest, null, 2), { mode: 0o600 });
+
+  return manifest;
+};
+
+/**
+ * List existing backups, newest first
+ * @returns {Promise<Object[]>} Backup manifests
+ */
+export const listBackups = async () => {
+  let files;
+  try {
+    files = await fs.promises.readdir(getBackupDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const manifests = await Promise.all(
+    files
+      .filter(file => file.endsWith('.json') && BACKUP_ID_PATTERN.test(path.basename(file, '.json')))
+      .map(async file => JSON.parse(await fs.promises.readFile(path.join(getBackupDir(), file), 'utf8')))
+  );
+
+  return manifests.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Load the manifest for a backup
+ * @param {string} backupId - Backup identifier
+ * @returns {Promise<Object>} Manifest with the archive path
+ */
+export const getBackup = async (backupId) => {
+  assertValidBackupId(backupId);
+
+  try {
+    const manifest = JSON.parse(await fs.promises.readFile(getManifestPath(backupId), 'utf8'));
+    await fs.promises.access(getArchivePath(backupId));
+    return { ...manifest, archivePath: getArchivePath(backupId) };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new AppError('Backup not found', 404, ErrorCodes.RESOURCE_NOT_FOUND);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Check a backup archive without touching the database
+ * Verifies the checksum and header, and validates every document against its schema
+ * @param {string} backupId - Backup identifier
+ * @returns {Promise<Object>} Validation report
+ */
+export const validateBackup = async (backupId) => {
+  const manifest = await getBackup(backupId);
+  const report = {
+    backupId,
+    valid: true,
+    collections: Object.fromEntries(Object.keys(COLLECTIONS).map(name => [name, 0])),
+    errors: [],
+    errorCount: 0
+  };
+
+  const addError = (error) => {
+    report.valid = false;
+    report.errorCount += 1;
+    if (report.errors.length < MAX_REPORTED_ERRORS) report.errors.push(error);
+  };
+
+  if (await hashFile(manifest.archivePath) !== manifest.sha256) {
+    addError({ message: 'Archive checksum does not match manifest' });
+    return report;
+  }
+
+  try {
+    for await (const { lineNumber, header, collection, doc } of readArchive(backupId)) {
+      if (header) {
+        if (header.format !== BACKUP_FORMAT || header.version > BACKUP_VERSION) {
+          addError({ line: lineNumber, message: `Unsupported backup format ${header.format} v${header.version}` });
+          return report;
+        }
+        continue;
+      }
+
+      const Model = COLLECTIONS[collection];
+      if (!Model) {
+        addError({ line: lineNumber, message: `Unknown collection '${collection}'` });
+        continue;
+      }
+
+      report.collections[collection] += 1;
+      const validationError = new Model(doc).validateSync();
+      if (validationError) {
+        addError({
+          line: lineNumber,
+          collection,
+          id: doc._id?.toString(),
+          message: Object.values(validationError.errors).map(err => err.message).join(', ')
+        });
+      }
+    }
+  } catch (error) {
+    addError({ message: `Archive could not be read: ${error.message}` });
+  }
+
+  return report;
+};
+
+/**
+ * Replace the backed-up collections with the contents of an archive
+ * Always validates first and refuses to restore an invalid archive
+ * @param {string} backupId - Backup identifier
+ * @param {Object} options
+ * @param {boolean} [options.dryRun=true] - Only validate, do not modify the database
+ * @param {Object} [options.createdBy] - User requesting the restore (for the safety backup)
+ * @returns {Promise<Object>} Validation report, plus restore details when applied
+ */
+export const restoreBackup = async (backupId, { dryRun = true, createdBy } = {}) => {
+  const report = await validateBackup(backupId);
+
+  if (dryRun || !report.valid) {
+    return { ...report, dryRun: true, restored: false };
+  }
+
+  // Snapshot the current state so the restore itself can be undone
+  const safetyBackup = await createBackup({ createdBy, note: `Automatic snapshot before restoring ${backupId}` });
+
+  for (const Model of Object.values(COLLECTIONS)) {
+    await Model.collection.deleteMany({});
+  }
+
+  const batches = Object.fromEntries(Object.keys(COLLECTIONS).map(name => [name, []]));
+  const flush = async (name) => {
+    if (batches[name].length === 0) return;
+    // Raw inserts keep _ids and already-hashed passwords intact
+    await COLLECTIONS[name].collection.insertMany(batches[name], { ordered: false });
+    batches[name] = [];
+  };
+
+  for await (const { collection, doc } of readArchive(backupId)) {
+    if (!collection) continue;
+    batches[collection].push(doc);
+    if (batches[collection].length >= INSERT_BATCH_SIZE) {
+      await flush(collection);
+    }
+  }
+
+  for (const name of Object.keys(COLLECTIONS)) {
+    await flush(name);
+  }
+
+  return {
+    ...report,
+    dryRun: false,
+    restored: true,
+    safetyBackupId: safetyBackup.backupId
+  };
+};
@@ -0,0 +1,118 @@
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import Submission from '../models/Submission.js';
+import CountryStats from '../models/CountryStats.js';
+import User from '../models/User.js';
+import config from '../config/config.js';
+import { queueEmail } from './emailService.js';
+import { getUnsubscribeLink } from './notificationService.js';
+
+export const DIGEST_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+// Updates listed in one digest; the rest are counted
+const MAX_DIGEST_UPDATES = 20;
+
+// Admins review every country (null); verifiers their own and the ones they are assigned to
+const getReviewCountries = async (user) => {
+  if (user.role === 'admin') return null;
+
+  const assigned = await CountryStats.find({
+    verifiers: { $elemMatch: { userId: user._id, isActive: true } }
+  }).select('countryCode');
+
+  return [...new Set([user.country, ...assigned.map(stats => stats.countryCode)])];
+};
+
+const getPendingSummary = async (countries, since) => {
+  const rows = await Submission.aggregate([
+    { $match: { status: 'pending', ...(countries && { country: { $in: countries } }) } },
+    {
+      $group: {
+        _id: '$country',
+        count: { $sum: 1 },
+        newCount: { $sum: { $cond: [{ $gt: ['$createdAt', since] }, 1, 0] } }
+      }
+    },
+    { $sort: { count: -1, _id: 1 } }
+  ]);
+
+  return rows.map(row => ({ country: row._id, count: row.count, newCount: row.newCount }));
+};
+
+/**
+ * Collect what goes into a user's digest
+ * Review requests are summarized as pending submissions per country; other
+ * types list the notifications still unread since the last digest
+ * @param {Object} user - User document with role, country and preferences
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @param {Date} since - Start of the period covered
+ * @returns {Promise<{pending: Array, notifications: Array, more: number}>}
+ */
+export const buildDigest = async (user, frequency, since) => {
+  const types = NOTIFICATION_TYPES.filter(type => user.getNotificationChannel(type) === frequency);
+
+  const reviews = types.includes('review_requested') && ['verifier', 'admin'].includes(user.role);
+  const pending = reviews ? await getPendingSummary(await getReviewCountries(user), since) : [];
+
+  const updateTypes = types.filter(type => type !== 'review_requested');
+  if (updateTypes.length === 0) {
+    return { pending, notifications: [], more: 0 };
+  }
+
+  const query = {
+    recipient: user._id,
+    type: { $in: updateTypes },
+    readAt: null,
+    createdAt: { $gt: since }
+  };
+  const [notifications, total] = await Promise.all([
+    Notification.find(query).sort({ createdAt: -1 }).limit(MAX_DIGEST_UPDATES).select('title message createdAt'),
+    Notification.countDocuments(query)
+  ]);
+
+  return { pending, notifications, more: total - notifications.length };
+};
+
+/**
+ * Queue the digests that are due
+ * A user is due once a full period has passed since their last digest; users
+ * with nothing to report are skipped until the next period
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @param {Date} [now]
+ * @returns {Promise<{users: number, sent: number}>}
+ */
+export const sendDigests = async (frequency, now = new Date()) => {
+  const periodStart = new Date(now.getTime() - DIGEST_PERIODS[frequency]);
+  const sentAtField = `digestSentAt.${frequency}`;
+
+  const users = await User.find({
+    isActive: true,
+    $and: [
+      { $or: NOTIFICATION_TYPES.map(type => ({ [`notificationPreferences.${type}`]: frequency })) },
+      { $or: [{ [sentAtField]: null }, { [sentAtField]: { $lte: periodStart } }] }
+    ]
+  }).select('username email role country notificationPreferences digestSentAt');
+
+  let sent = 0;
+  for (const user of users) {
+    const since = user.digestSentAt?.[frequency] || periodStart;
+    const digest = await buildDigest(user, frequency, since);
+
+    if (digest.pending.length > 0 || digest.notifications.length > 0) {
+      await queueEmail(user.email, 'notification-digest', {
+        username: user.username,
+        frequency,
+        ...digest,
+        link: config.frontendUrl,
+        unsubscribeLink: getUnsubscribeLink(user, 'all')
+      });
+      sent += 1;
+    }
+
+    await User.updateOne({ _id: user._id }, { $set: { [sentAtField]: now } });
+  }
+
+  return { users: users.length, sent };
+};
@@ -0,0 +1,88 @@
+import Submission from '../models/Submission.js';
+import { canonicalizeUrl, canonicalHost } from '../utils/urlCanonicalizer.js';
+
+// Title similarity at or above this score flags a likely duplicate
+export const SIMILARITY_THRESHOLD = 0.8;
+const MAX_CANDIDATES = 100;
+const MAX_SIMILAR = 5;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'on', 'for', 'to', 'at', 'by', 'with']);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeText = (value) =>
+  (value || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+
+const tokenize = (value) => normalizeText(value).split(' ').filter(word => word && !STOP_WORDS.has(word));
+
+/**
+ * Dice coefficient over the significant words of two titles
+ * @returns {number} Score between 0 and 1
+ */
+export const titleSimilarity = (a, b) => {
+  const wordsA = new Set(tokenize(a));
+  const wordsB = new Set(tokenize(b));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared += 1;
+  });
+
+  return (2 * shared) / (wordsA.size + wordsB.size);
+};
+
+/**
+ * Look for submissions that already cover the same source
+ * Exact duplicates share a canonical URL or an uploaded file; similar submissions
+ * come from the same site or publisher and have a closely matching title
+ * @param {Object} source
+ * @param {string} [source.url] - Submitted URL
+ * @param {string} [source.title] - Submitted title
+ * @param {string} [source.publisher] - Submitted publisher
+ * @param {string} [source.fileHash] - Content hash of an uploaded file
+ * @param {*} [source.excludeId] - Submission to leave out of the results
+ * @returns {Promise<{exact: Object|null, similar: Array<{submission: Object, score: number}>}>}
+ */
+export const findDuplicates = async ({ url, title, publisher, fileHash, excludeId } = {}) => {
+  const canonicalUrl = canonicalizeUrl(url);
+  const host = canonicalHost(url);
+  const baseFilter = excludeId ? { _id: { $ne: excludeId } } : {};
+
+  const exactMatches = [
+    canonicalUrl && { canonicalUrl },
+    fileHash && { 'file.hash': fileHash }
+  ].filter(Boolean);
+
+  const exact = exactMatches.length > 0
+    ? await Submission.findOne({ ...baseFilter, $or: exactMatches })
+      .sort({ createdAt: 1 })
+      .populate('submitter', 'username country')
+    : null;
+
+  const similar = [];
+  const normalizedPublisher = normalizeText(publisher);
+  const candidateMatches = [
+    host && { canonicalHost: host },
+    normalizedPublisher && { publisher: new RegExp(`^\\s*${escapeRegex(publisher.trim())}\\s*$`, 'i') }
+  ].filter(Boolean);
+
+  if (title && candidateMatches.length > 0) {
+    const candidates = await Submission.find({ ...baseFilter, $or: candidateMatches })
+      .select('title publisher url country status credibility createdAt')
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES);
+
+    candidates.forEach(candidate => {
+      if (exact && candidate._id.equals(exact._id)) return;
+      const score = titleSimilarity(title, candidate.title);
+      if (score >= SIMILARITY_THRESHOLD) {
+        similar.push({ submission: candidate, score: Math.round(score * 100) / 100 });
+      }
+    });
+
+    similar.sort((a, b) => b.score - a.score);
+  }
+
+  return { exact, similar: similar.slice(0, MAX_SIMILAR) };
+};
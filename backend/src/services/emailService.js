@@ -1,31 +1,123 @@
 import nodemailer from 'nodemailer';
-import dotenv from 'dotenv';
+import EmailMessage from '../models/EmailMessage.js';
+import config from '../config/config.js';
+import { renderEmail } from './emailTemplates.js';
+import { logEvent } from './logService.js';
 
-dotenv.config();
+// A delivery still running after this long is assumed lost (e.g. the process
+// died mid-send) and the message becomes due again
+const SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
 
-const transporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST,
-  port: process.env.EMAIL_PORT,
-  secure: false, 
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
+/**
+ * Render a template and add the email to the outbox
+ * Delivery happens in the background sender, so SMTP problems never fail the caller
+ * @param {string} to - Recipient address
+ * @param {string} template - Key of EMAIL_TEMPLATES
+ * @param {Object} data - Template values
+ * @returns {Promise<Object>} The outbox entry
+ */
+export const queueEmail = (to, template, data) =>
+  EmailMessage.create({ to, ...renderEmail(template, data) });
 
-export const sendEmail = async (to, subject, htmlContent) => {
-  try {
-    const info = await transporter.sendMail({
-      from: process.env.SYSTEM_EMAIL_FROM,
-      to: to,
-      subject: subject,
-      html: htmlContent,
+export const isEmailConfigured = () => Boolean(config.email.host);
+
+/**
+ * Wait before the next attempt after a number of failed attempts
+ * @param {number} attempts - Failed attempts so far (1 or more)
+ * @returns {number} Milliseconds
+ */
+export const getRetryDelay = (attempts) =>
+  Math.min(config.email.retryBaseSeconds * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+const createTransport = () => {
+  const { host, port, secure, user, pass } = config.email;
+  return nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+};
+
+// Atomically take the next due message so two senders never deliver it twice
+const claimNextMessage = () => {
+  const now = new Date();
+  return EmailMessage.findOneAndUpdate(
+    { status: { $in: ['pending', 'sending'] }, nextAttemptAt: { $lte: now } },
+    {
+      $set: { status: 'sending', nextAttemptAt: new Date(now.getTime() + SENDING_TIMEOUT_MS) },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// 5xx replies such as "550 mailbox unavailable" will not succeed on a retry
+const isPermanentFailure = (error) => error.responseCode >= 500 && error.responseCode < 600;
+
+const recordFailure = async (message, error) => {
+  const gaveUp = isPermanentFailure(error) || message.attempts >= config.email.maxAttempts;
+
+  await EmailMessage.updateOne({ _id: message._id }, {
+    $set: {
+      status: gaveUp ? 'failed' : 'pending',
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + getRetryDelay(message.attempts))
+    }
+  });
+
+  if (gaveUp) {
+    await logEvent({
+      action: 'email.failed',
+      level: 'error',
+      message: `Gave up sending "${message.subject}" to ${message.to} after ${message.attempts} attempt(s)`,
+      details: { emailId: message._id, template: message.template, error: error.message }
     });
-    console.log(`Email sent: ${info.messageId}`);
-    return info;
-  } catch (error) {
-    console.error("Error sending email:", error);
-    // We do not throw the error here to prevent crashing the submission process
-    // if the email server is down.
   }
-};
\ No newline at end of file
+
+  return gaveUp;
+};
+
+/**
+ * Deliver due outbox messages
+ * Does nothing until an SMTP server is configured
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most messages to attempt in this run
+ * @returns {Promise<{sent: number, retrying: number, failed: number}>}
+ */
+export const processOutbox = async ({ limit = config.email.batchSize } = {}) => {
+  const result = { sent: 0, retrying: 0, failed: 0 };
+  if (!isEmailConfigured()) return result;
+
+  const transport = createTransport();
+  try {
+    for (let i = 0; i < limit; i += 1) {
+      const message = await claimNextMessage();
+      if (!message) break;
+
+      try {
+        const info = await transport.sendMail({
+          from: config.email.from,
+          to: message.to,
+          subject: message.subject,
+          html: message.html,
+          text: message.text
+        });
+
+        await EmailMessage.updateOne({ _id: message._id }, {
+          $set: { status: 'sent', sentAt: new Date(), messageId: info.messageId },
+          $unset: { lastError: 1 }
+        });
+        result.sent += 1;
+      } catch (error) {
+        if (await recordFailure(message, error)) result.failed += 1;
+        else result.retrying += 1;
+      }
+    }
+  } finally {
+    transport.close();
+  }
+
+  return result;
+};
@@ -0,0 +1,157 @@
+import { html } from '../utils/html.js';
+
+// Bump a template's version whenever its wording changes, so each outbox
+// entry records which revision the recipient was sent
+export const EMAIL_TEMPLATES = {
+  'email-verification': {
+    version: 1,
+    subject: () => 'Confirm your email address',
+    html: ({ username, link }) => html`
+      <p>Hi ${username},</p>
+      <p>Please confirm your email address for WikiSourceVerifier. The link expires in 24 hours.</p>
+      <p><a href="${link}">${link}</a></p>`,
+    text: ({ username, link }) => `Hi ${username},
+
+Please confirm your email address for WikiSourceVerifier. The link expires in 24 hours.
+
+${link}`
+  },
+
+  'password-reset': {
+    version: 1,
+    subject: () => 'Reset your password',
+    html: ({ username, link }) => html`
+      <p>Hi ${username},</p>
+      <p>Someone asked to reset the password for your WikiSourceVerifier account. The link expires in 1 hour and can only be used once.</p>
+      <p><a href="${link}">${link}</a></p>
+      <p>If this was not you, you can ignore this email.</p>`,
+    text: ({ username, link }) => `Hi ${username},
+
+Someone asked to reset the password for your WikiSourceVerifier account. The link expires in 1 hour and can only be used once.
+
+${link}
+
+If this was not you, you can ignore this email.`
+  },
+
+  'account-locked': {
+    version: 1,
+    subject: () => 'Your account has been locked',
+    html: ({ username, attempts, lockedUntil, link }) => html`
+      <p>Hi ${username},</p>
+      <p>After ${attempts} failed login attempts your WikiSourceVerifier account is locked until ${lockedUntil.toUTCString()}.</p>
+      <p>If this was not you, someone may be guessing your password. You can choose a new one with "Forgot password?" at <a href="${link}">${link}</a>.</p>`,
+    text: ({ username, attempts, lockedUntil, link }) => `Hi ${username},
+
+After ${attempts} failed login attempts your WikiSourceVerifier account is locked until ${lockedUntil.toUTCString()}.
+
+If this was not you, someone may be guessing your password. You can choose a new one with "Forgot password?" at ${link}`
+  },
+
+  'submission-received': {
+    version: 1,
+    subject: () => 'Submission Received',
+    html: ({ username, title, country }) => html`
+      <p>Hello ${username},</p>
+      <p>Your submission for <strong>${title}</strong> has been received.</p>
+      <p>It is now pending review by a verifier for <strong>${country}</strong>.</p>`,
+    text: ({ username, title, country }) => `Hello ${username},
+
+Your submission for "${title}" has been received.
+
+It is now pending review by a verifier for ${country}.`
+  },
+
+  'submission-pending-review': {
+    version: 1,
+    subject: ({ country }) => `Action Required: New Submission for ${country}`,
+    html: ({ username, country, link }) => html`
+      <h3>New Submission Pending Review</h3>
+      <p>User <strong>${username}</strong> submitted a new source for <strong>${country}</strong>.</p>
+      <p>Please <a href="${link}">log in to verify</a>.</p>`,
+    text: ({ username, country, link }) => `New Submission Pending Review
+
+User ${username} submitted a new source for ${country}.
+
+Please log in to verify: ${link}`
+  },
+
+  // Immediate copy of an in-app notification
+  notification: {
+    version: 1,
+    subject: ({ title }) => title,
+    html: ({ username, title, message, link }) => html`
+      <p>Hi ${username},</p>
+      <p><strong>${title}</strong></p>
+      ${message ? html`<p>${message}</p>` : ''}
+      <p><a href="${link}">Open WikiSourceVerifier</a></p>`,
+    text: ({ username, title, message, link }) => `Hi ${username},
+
+${title}
+${message ? `\n${message}\n` : ''}
+${link}`
+  },
+
+  // pending: [{country, count, newCount}]; notifications: [{title, message}]
+  'notification-digest': {
+    version: 1,
+    subject: ({ frequency }) => `Your ${frequency} WikiSourceVerifier digest`,
+    html: ({ username, frequency, pending, notifications, more, link }) => html`
+      <p>Hi ${username},</p>
+      <p>Here is what happened since your last ${frequency} digest.</p>
+      ${pending.length > 0 ? html`
+      <h3>Waiting for review</h3>
+      <ul>${pending.map(item => html`<li><strong>${item.country}</strong>: ${item.count} pending (${item.newCount} new)</li>`)}</ul>
+      <p><a href="${link}/admin">Review submissions</a></p>` : ''}
+      ${notifications.length > 0 ? html`
+      <h3>Updates</h3>
+      <ul>${notifications.map(item => html`<li><strong>${item.title}</strong>${item.message ? html` - ${item.message}` : ''}</li>`)}</ul>
+      ${more > 0 ? html`<p>And ${more} more in <a href="${link}/profile">your notifications</a>.</p>` : ''}` : ''}`,
+    text: ({ username, frequency, pending, notifications, more, link }) => [
+      `Hi ${username},`,
+      `Here is what happened since your last ${frequency} digest.`,
+      pending.length > 0 && [
+        'Waiting for review:',
+        ...pending.map(item => `- ${item.country}: ${item.count} pending (${item.newCount} new)`),
+        `Review submissions: ${link}/admin`
+      ].join('\n'),
+      notifications.length > 0 && [
+        'Updates:',
+        ...notifications.map(item => `- ${item.title}${item.message ? ` - ${item.message}` : ''}`),
+        ...(more > 0 ? [`And ${more} more: ${link}/profile`] : [])
+      ].join('\n')
+    ].filter(Boolean).join('\n\n')
+  }
+};
+
+const layout = (body, unsubscribeLink) => html`<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5;">
+    ${body}
+    <p>Best,<br>WikiSourceVerifier Team</p>
+    ${unsubscribeLink ? html`<p style="font-size: 12px; color: #6b7280;"><a href="${unsubscribeLink}">Unsubscribe</a> from these emails or change your notification settings in your profile.</p>` : ''}
+  </body>
+</html>`;
+
+/**
+ * Render an email from a template
+ * @param {string} name - Key of EMAIL_TEMPLATES
+ * @param {Object} data - Values for the template; escaped in the HTML part.
+ *   An unsubscribeLink adds an unsubscribe footer
+ * @returns {{template: string, templateVersion: number, subject: string, html: string, text: string}}
+ */
+export const renderEmail = (name, data) => {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return {
+    template: name,
+    templateVersion: template.version,
+    subject: template.subject(data),
+    html: String(layout(template.html(data), data.unsubscribeLink)),
+    text: `${template.text(data)}\n\nBest,\nWikiSourceVerifier Team\n${
+      data.unsubscribeLink ? `\nUnsubscribe: ${data.unsubscribeLink}\n` : ''}`
+  };
+};
@@ -0,0 +1,190 @@
+import Submission from '../models/Submission.js';
+import AppError from '../utils/AppError.js';
+import { ErrorCodes } from '../utils/errorCodes.js';
+import { toCsvRow } from '../utils/csv.js';
+
+export const EXPORT_FORMATS = ['csv', 'excel', 'jsonl'];
+export const REPORT_FORMATS = ['json', 'csv', 'excel'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  excel: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+const EXTENSIONS = {
+  csv: 'csv',
+  excel: 'csv',
+  jsonl: 'jsonl',
+  json: 'json'
+};
+
+// Excel only detects UTF-8 CSV files that start with a byte order mark
+const UTF8_BOM = '\uFEFF';
+
+// Columns shared by every submission export format
+const SUBMISSION_COLUMNS = [
+  ['id', s => s._id.toString()],
+  ['title', s => s.title],
+  ['url', s => s.url],
+  ['publisher', s => s.publisher],
+  ['country', s => s.country],
+  ['category', s => s.category],
+  ['fileType', s => s.fileType],
+  ['status', s => s.status],
+  ['credibility', s => s.credibility],
+  ['wikipediaArticle', s => s.wikipediaArticle],
+  ['submitter', s => s.submitter?.username],
+  ['verifier', s => s.verifier?.username],
+  ['verifierNotes', s => s.verifierNotes],
+  ['linkStatus', s => s.linkHealth?.status],
+  ['archiveUrl', s => s.archiveUrl],
+  ['submittedAt', s => s.createdAt],
+  ['verifiedAt', s => s.verifiedAt],
+  ['updatedAt', s => s.updatedAt]
+];
+
+// Excel parses "YYYY-MM-DD HH:MM:SS" as a date but shows ISO strings as text
+const formatExcelDate = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+const formatCell = (value, format) => {
+  if (value instanceof Date && format === 'excel') return formatExcelDate(value);
+  return value;
+};
+
+/**
+ * Build a dated download name such as "submissions-2024-03-31.csv"
+ * @param {string} prefix - Name before the date
+ * @param {string} format - One of EXPORT_FORMATS or REPORT_FORMATS
+ * @returns {string}
+ */
+export const exportFilename = (prefix, format) =>
+  `${prefix}-${new Date().toISOString().slice(0, 10)}.${EXTENSIONS[format]}`;
+
+const setDownloadHeaders = (res, filename, format) => {
+  res.attachment(filename);
+  res.set('Content-Type', CONTENT_TYPES[format]);
+  res.set('X-Content-Type-Options', 'nosniff');
+};
+
+// Respect backpressure so large exports never buffer in memory
+// Resolves on close as well, since a disconnected client never drains
+const write = (res, chunk) => new Promise((resolve) => {
+  if (res.write(chunk)) return resolve();
+
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Stream every submission matching a filter to the response
+ * Rows are read from a cursor so the export size is not bounded by memory
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {Object} options.filter - Mongo filter, usually from buildSubmissionFilter
+ * @param {string} [options.format='csv'] - csv, excel (UTF-8 BOM CSV) or jsonl
+ * @param {string} [options.filename] - Download name
+ * @returns {Promise<number>} Number of rows written
+ */
+export const streamSubmissions = async (res, { filter, format = 'csv', filename }) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new AppError(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400, ErrorCodes.INVALID_INPUT);
+  }
+
+  const cursor = Submission.find(filter)
+    .populate('submitter', 'username')
+    .populate('verifier', 'username')
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor();
+
+  setDownloadHeaders(res, filename || exportFilename('submissions', format), format);
+
+  let count = 0;
+
+  try {
+    if (format === 'excel') await write(res, UTF8_BOM);
+    if (format !== 'jsonl') {
+      await write(res, `${toCsvRow(SUBMISSION_COLUMNS.map(([name]) => name))}\r\n`);
+    }
+
+    for await (const submission of cursor) {
+      if (res.destroyed) break;
+
+      if (format === 'jsonl') {
+        const record = Object.fromEntries(SUBMISSION_COLUMNS.map(([name, get]) => [name, get(submission) ?? null]));
+        await write(res, `${JSON.stringify(record)}\n`);
+      } else {
+        const values = SUBMISSION_COLUMNS.map(([, get]) => formatCell(get(submission), format));
+        await write(res, `${toCsvRow(values)}\r\n`);
+      }
+      count += 1;
+    }
+  } catch (error) {
+    // Headers are already sent, so the client can only see a truncated download
+    await cursor.close().catch(() => {});
+    res.destroy(error);
+    return count;
+  }
+
+  res.end();
+  return count;
+};
+
+// Turn a nested report into [field, value] pairs with dotted paths
+// Array entries are labelled by their _id when it is a plain value
+const flattenReport = (value, prefix = '') => {
+  if (value instanceof Date) return [[prefix, value]];
+  if (value && typeof value.toHexString === 'function') return [[prefix, value.toString()]];
+
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => {
+      if (item && typeof item === 'object' && ['string', 'number'].includes(typeof item._id)) {
+        const { _id, ...rest } = item;
+        return flattenReport(rest, `${prefix}.${_id}`);
+      }
+      return flattenReport(item, `${prefix}.${index}`);
+    });
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(typeof value.toObject === 'function' ? value.toObject() : value);
+    return entries.flatMap(([key, child]) => flattenReport(child, prefix ? `${prefix}.${key}` : key));
+  }
+
+  return [[prefix, value]];
+};
+
+/**
+ * Send a report as JSON, or as a downloadable file when a format is requested
+ * @param {Object} res - Express response
+ * @param {Object} report - Report object
+ * @param {Object} options
+ * @param {string} [options.format] - json, csv or excel; omit for a regular JSON response
+ * @param {string} options.name - Download name prefix, e.g. "overview-report"
+ */
+export const sendReport = (res, report, { format, name }) => {
+  if (!format) {
+    return res.json(report);
+  }
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new AppError(`Format must be one of: ${REPORT_FORMATS.join(', ')}`, 400, ErrorCodes.INVALID_INPUT);
+  }
+
+  setDownloadHeaders(res, exportFilename(name, format), format);
+
+  if (format === 'json') {
+    return res.send(JSON.stringify(report, null, 2));
+  }
+
+  const rows = flattenReport(report).map(([field, value]) => toCsvRow([field, formatCell(value, format)]));
+  const body = [toCsvRow(['field', 'value']), ...rows].join('\r\n');
+
+  res.send(`${format === 'excel' ? UTF8_BOM : ''}${body}\r\n`);
+};
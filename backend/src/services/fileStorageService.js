@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import Submission from '../models/Submission.js';
+import AppError from '../utils/AppError.js';
+import { ErrorCodes } from '../utils/errorCodes.js';
+import config from '../config/config.js';
+
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+// Readers accept the signature anywhere in the first kilobyte
+const PDF_SIGNATURE_WINDOW = 1024;
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+const STORED_FILE_PATTERN = /^([a-f0-9]{64})\.pdf$/;
+const TEMP_FILE_PATTERN = /\.tmp$/;
+
+// Files younger than this may belong to a submission that is still being saved
+const DEFAULT_ORPHAN_MIN_AGE_MS = 60 * 60 * 1000;
+
+const getUploadDir = () => path.resolve(config.uploadPath);
+
+/**
+ * Check the leading bytes of a buffer for the PDF signature
+ * The declared MIME type and extension come from the client and are not trusted
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean}
+ */
+export const isPdf = (buffer) =>
+  Buffer.isBuffer(buffer) && buffer.subarray(0, PDF_SIGNATURE_WINDOW).includes(PDF_SIGNATURE);
+
+/**
+ * Resolve the on-disk location of a stored file
+ * Files are sharded by the first two characters of their SHA-256 hash
+ * @param {string} hash - SHA-256 hex digest of the file contents
+ * @returns {string} Absolute file path
+ */
+export const getStoredFilePath = (hash) => {
+  if (!HASH_PATTERN.test(hash || '')) {
+    throw new AppError('Invalid file reference', 400, ErrorCodes.INVALID_INPUT);
+  }
+  return path.join(getUploadDir(), hash.slice(0, 2), `${hash}.pdf`);
+};
+
+/**
+ * SHA-256 hex digest used as the storage key of a file
+ * @param {Buffer} buffer - File contents
+ * @returns {string}
+ */
+export const getContentHash = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Keep only a safe display name, the stored path never depends on it
+const sanitizeFileName = (name) => {
+  const base = path.basename(name || 'document.pdf').replace(/[^\w.\- ]+/g, '_').slice(0, 200);
+  return /\.pdf$/i.test(base) ? base : `${base}.pdf`;
+};
+
+/**
+ * Store an uploaded PDF under its content hash
+ * Identical uploads share a single file on disk
+ * @param {Object} file - Multer file with an in-memory buffer
+ * @returns {Promise<{hash: string, size: number, mimeType: string, originalName: string}>}
+ */
+export const storePdf = async (file) => {
+  if (!isPdf(file?.buffer)) {
+    throw new AppError('Uploaded file is not a valid PDF', 400, ErrorCodes.INVALID_INPUT);
+  }
+
+  const hash = getContentHash(file.buffer);
+  const filePath = getStoredFilePath(hash);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  // Write to a temporary name first so a partial write is never served
+  const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  await fs.promises.writeFile(tempPath, file.buffer, { mode: 0o640 });
+  await fs.promises.rename(tempPath, filePath);
+
+  return {
+    hash,
+    size: file.buffer.length,
+    mimeType: 'application/pdf',
+    originalName: sanitizeFileName(file.originalname)
+  };
+};
+
+/**
+ * Delete stored files that no submission references any more
+ * @param {Object} options
+ * @param {number} [options.minAgeMs] - Only consider files last modified before this age
+ * @returns {Promise<{scanned: number, removed: number, freedBytes: number}>}
+ */
+export const removeOrphanedFiles = async ({ minAgeMs = DEFAULT_ORPHAN_MIN_AGE_MS } = {}) => {
+  const result = { scanned: 0, removed: 0, freedBytes: 0 };
+  const cutoff = Date.now() - minAgeMs;
+
+  let shards;
+  try {
+    shards = await fs.promises.readdir(getUploadDir(), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return result;
+    throw error;
+  }
+
+  for (const shard of shards.filter(entry => entry.isDirectory())) {
+    const shardDir = path.join(getUploadDir(), shard.name);
+
+    for (const name of await fs.promises.readdir(shardDir)) {
+      const filePath = path.join(shardDir, name);
+      const match = STORED_FILE_PATTERN.exec(name);
+      if (!match && !TEMP_FILE_PATTERN.test(name)) continue;
+
+      result.scanned += 1;
+      const stats = await fs.promises.stat(filePath);
+      if (stats.mtimeMs > cutoff) continue;
+
+      if (match && await Submission.exists({ 'file.hash': match[1] })) continue;
+
+      await fs.promises.rm(filePath, { force: true });
+      result.removed += 1;
+      result.freedBytes += stats.size;
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,170 @@
+import { validationResult } from 'express-validator';
+import Submission from '../models/Submission.js';
+import AppError from '../utils/AppError.js';
+import { ErrorCodes } from '../utils/errorCodes.js';
+import { parseCsv } from '../utils/csv.js';
+import { canonicalizeUrl } from '../utils/urlCanonicalizer.js';
+import { submissionValidation } from '../middleware/validator.js';
+import { findDuplicates } from './duplicateService.js';
+import { refreshPublisherForSubmission } from './publisherService.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Read import rows from an uploaded CSV or JSON file
+ * JSON may be an array of rows or an object with a "rows" array
+ * @param {Object} file - Multer file with an in-memory buffer
+ * @returns {Object[]} Raw rows
+ */
+export const parseImportFile = (file) => {
+  const text = file.buffer.toString('utf8');
+  const isJson = /\.json$/i.test(file.originalname || '') ||
+    file.mimetype === 'application/json' ||
+    /^\s*[[{]/.test(text);
+
+  if (!isJson) {
+    return parseCsv(text);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new AppError(`Invalid JSON: ${error.message}`, 400, ErrorCodes.INVALID_INPUT);
+  }
+
+  const rows = Array.isArray(parsed) ? parsed : parsed?.rows;
+  if (!Array.isArray(rows)) {
+    throw new AppError('JSON imports must be an array of rows', 400, ErrorCodes.INVALID_INPUT);
+  }
+  return rows;
+};
+
+// Run the same validation chains as POST /api/submissions against one row
+const validateRow = async (row) => {
+  const req = { body: { ...row } };
+  for (const chain of submissionValidation) {
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req).array().map(err => ({ field: err.path, message: err.msg }));
+  return { data: req.body, errors };
+};
+
+const canPreVerify = (importer, country) =>
+  importer.role === 'admin' || (importer.role === 'verifier' && importer.country === country);
+
+const validatePreVerification = (data, importer) => {
+  const errors = [];
+  const status = data.status || 'approved';
+
+  if (!canPreVerify(importer, data.country)) {
+    errors.push({ field: 'country', message: 'You can only pre-verify sources for your own country' });
+  }
+  if (!['approved', 'rejected'].includes(status)) {
+    errors.push({ field: 'status', message: 'Status must be approved or rejected' });
+  }
+  if (status === 'approved' && !['credible', 'unreliable'].includes(data.credibility)) {
+    errors.push({ field: 'credibility', message: 'Credibility must be credible or unreliable for approved sources' });
+  }
+
+  return errors;
+};
+
+/**
+ * Validate and optionally insert a batch of submissions
+ * Each row is validated like a single submission; duplicates of existing
+ * submissions or of earlier rows are reported and skipped
+ * @param {Object[]} rows - Raw rows from the import file
+ * @param {Object} options
+ * @param {Object} options.importer - User performing the import
+ * @param {boolean} [options.dryRun=true] - Only report what would be imported
+ * @param {boolean} [options.preVerify=false] - Import rows as already verified
+ * @returns {Promise<{summary: Object, rows: Object[]}>}
+ */
+export const importSubmissions = async (rows, { importer, dryRun = true, preVerify = false }) => {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new AppError('No rows to import', 400, ErrorCodes.INVALID_INPUT);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(`Imports are limited to ${MAX_IMPORT_ROWS} rows`, 400, ErrorCodes.INVALID_INPUT);
+  }
+
+  const summary = { total: rows.length, valid: 0, invalid: 0, duplicates: 0, imported: 0 };
+  const results = [];
+  const seenUrls = new Map();
+  const publishersToRefresh = new Map();
+
+  for (const [index, row] of rows.entries()) {
+    const rowNumber = index + 1;
+    const { data, errors } = await validateRow(row || {});
+
+    if (data.fileType === 'pdf') {
+      errors.push({ field: 'fileType', message: 'PDF sources must be uploaded individually' });
+    }
+    if (preVerify) {
+      errors.push(...validatePreVerification(data, importer));
+    }
+
+    if (errors.length > 0) {
+      summary.invalid += 1;
+      results.push({ row: rowNumber, status: 'invalid', errors });
+      continue;
+    }
+
+    const canonicalUrl = canonicalizeUrl(data.url);
+    if (seenUrls.has(canonicalUrl)) {
+      summary.duplicates += 1;
+      results.push({ row: rowNumber, status: 'duplicate', duplicateOfRow: seenUrls.get(canonicalUrl) });
+      continue;
+    }
+    seenUrls.set(canonicalUrl, rowNumber);
+
+    const { exact } = await findDuplicates({ url: data.url });
+    if (exact) {
+      summary.duplicates += 1;
+      results.push({ row: rowNumber, status: 'duplicate', duplicateOf: exact._id, title: exact.title });
+      continue;
+    }
+
+    summary.valid += 1;
+
+    if (dryRun) {
+      results.push({ row: rowNumber, status: 'valid', title: data.title });
+      continue;
+    }
+
+    const status = preVerify ? data.status || 'approved' : 'pending';
+    const submission = new Submission({
+      url: data.url,
+      title: data.title,
+      publisher: data.publisher,
+      country: data.country,
+      category: data.category,
+      wikipediaArticle: data.wikipediaArticle || undefined,
+      fileType: 'url',
+      submitter: importer._id,
+      ...(preVerify && {
+        status,
+        credibility: status === 'approved' ? data.credibility : undefined,
+        verifier: importer._id,
+        verifierNotes: data.verifierNotes || undefined,
+        verifiedAt: new Date()
+      })
+    });
+    await submission.save();
+
+    if (preVerify) {
+      publishersToRefresh.set(`${submission.publisherSlug}:${submission.country}`, submission);
+    }
+
+    summary.imported += 1;
+    results.push({ row: rowNumber, status: 'imported', submissionId: submission._id, title: submission.title });
+  }
+
+  for (const submission of publishersToRefresh.values()) {
+    await refreshPublisherForSubmission(submission);
+  }
+
+  return { summary, rows: results };
+};
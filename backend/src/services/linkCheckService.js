@@ -0,0 +1,182 @@
+import Submission from '../models/Submission.js';
+import config from '../config/config.js';
+import { fetchUrl, describeFetchError } from '../utils/httpClient.js';
+import { canonicalizeUrl } from '../utils/urlCanonicalizer.js';
+import { logEvent } from './logService.js';
+
+const FLAG_REASON = 'Source link is no longer reachable';
+
+// Checks run a few at a time so one slow host does not hold up the batch
+const CHECK_CONCURRENCY = 4;
+
+const isHealthy = (status) => status === 'ok' || status === 'redirected';
+
+/**
+ * Request a URL and classify the result
+ * HEAD is tried first; servers that reject it get a GET before the link is called broken
+ * @param {string} url - Absolute http(s) URL
+ * @returns {Promise<{status: string, httpStatus?: number, finalUrl?: string, redirects: Array, error?: string}>}
+ *   status is 'ok', 'redirected', 'broken' (HTTP error) or 'unreachable' (no response)
+ */
+export const checkLink = async (url) => {
+  try {
+    const options = { blockPrivateHosts: !config.allowPrivateHosts };
+    let result = await fetchUrl(url, { ...options, method: 'HEAD' });
+    if (result.response.status >= 400) {
+      await result.response.body?.cancel();
+      result = await fetchUrl(url, { ...options, method: 'GET' });
+    }
+    await result.response.body?.cancel();
+
+    const { response, finalUrl, redirects } = result;
+    let status = 'ok';
+    if (response.status >= 400) {
+      status = 'broken';
+    } else if (canonicalizeUrl(finalUrl) !== canonicalizeUrl(url)) {
+      // Scheme or trailing-slash redirects are not worth reporting
+      status = 'redirected';
+    }
+
+    return { status, httpStatus: response.status, finalUrl, redirects };
+  } catch (error) {
+    return { status: 'unreachable', redirects: [], error: describeFetchError(error) };
+  }
+};
+
+/**
+ * Look up the closest Wayback Machine snapshot of a URL
+ * @param {string} url
+ * @returns {Promise<string|null>} Snapshot URL, or null when none exists or the lookup fails
+ */
+export const findArchivedCopy = async (url) => {
+  try {
+    const lookupUrl = `${config.archiveLookupUrl}?url=${encodeURIComponent(url)}`;
+    const { response } = await fetchUrl(lookupUrl, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      await response.body?.cancel();
+      return null;
+    }
+
+    const data = await response.json();
+    const snapshot = data?.archived_snapshots?.closest;
+    return snapshot?.available && typeof snapshot.url === 'string' ? snapshot.url : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Escalate an approved source so an admin re-reviews it
+const flagDeadLink = async (submission) => {
+  const health = submission.linkHealth;
+  health.flaggedAt = new Date();
+
+  if (!submission.archiveUrl) {
+    submission.archiveUrl = (await findArchivedCopy(submission.url)) || undefined;
+  }
+
+  if (submission.status === 'approved' && !submission.escalation?.isEscalated) {
+    submission.escalation = {
+      isEscalated: true,
+      kind: 'link',
+      reason: FLAG_REASON,
+      escalatedAt: health.flaggedAt
+    };
+  }
+
+  await logEvent({
+    action: 'submission.link_dead',
+    level: 'warn',
+    message: `Source link failed ${health.consecutiveFailures} checks in a row`,
+    details: {
+      submissionId: submission._id,
+      url: submission.url,
+      linkStatus: health.status,
+      httpStatus: health.httpStatus,
+      archiveUrl: submission.archiveUrl
+    }
+  });
+};
+
+/**
+ * Check a submission's URL and record the outcome on the submission
+ * After config.linkCheckFailureThreshold failures in a row the link is flagged:
+ * an archived copy is looked up and approved sources are escalated for re-review.
+ * A link escalation is closed again if the link recovers
+ * @param {Object} submission - Submission document
+ * @returns {Promise<Object>} The saved submission
+ */
+export const checkSubmissionLink = async (submission) => {
+  const result = await checkLink(submission.url);
+  const now = new Date();
+
+  const health = submission.linkHealth;
+  health.status = result.status;
+  health.httpStatus = result.httpStatus;
+  health.finalUrl = result.finalUrl;
+  health.redirects = result.redirects;
+  health.error = result.error;
+  health.lastCheckedAt = now;
+
+  if (isHealthy(result.status)) {
+    health.lastHealthyAt = now;
+    health.consecutiveFailures = 0;
+    health.flaggedAt = undefined;
+    // The link came back before an admin got to it, so nothing is left to re-review
+    if (submission.escalation?.isEscalated && submission.escalation.kind === 'link') {
+      submission.escalation.isEscalated = false;
+      submission.escalation.resolvedAt = now;
+    }
+  } else {
+    health.consecutiveFailures += 1;
+    if (health.consecutiveFailures >= config.linkCheckFailureThreshold && !health.flaggedAt) {
+      await flagDeadLink(submission);
+    }
+  }
+
+  // A background check is not an edit, so updatedAt is left alone
+  await submission.save({ timestamps: false });
+  return submission;
+};
+
+/**
+ * Check the approved sources whose links are due for a check, oldest first
+ * @param {Object} [options]
+ * @param {number} [options.limit=config.linkCheckBatchSize] - Maximum links to check
+ * @returns {Promise<{checked: number, healthy: number, failed: number, flagged: number}>}
+ */
+export const runLinkChecks = async ({ limit = config.linkCheckBatchSize } = {}) => {
+  const dueBefore = new Date(Date.now() - config.linkCheckIntervalHours * 60 * 60 * 1000);
+
+  const submissions = await Submission.find({
+    status: 'approved',
+    fileType: 'url',
+    url: /^https?:\/\//i,
+    $or: [
+      { 'linkHealth.lastCheckedAt': { $exists: false } },
+      { 'linkHealth.lastCheckedAt': { $lt: dueBefore } }
+    ]
+  })
+    .sort({ 'linkHealth.lastCheckedAt': 1 })
+    .limit(limit);
+
+  const summary = { checked: 0, healthy: 0, failed: 0, flagged: 0 };
+  const queue = [...submissions];
+
+  const worker = async () => {
+    for (let submission = queue.shift(); submission; submission = queue.shift()) {
+      const wasFlagged = Boolean(submission.linkHealth.flaggedAt);
+      await checkSubmissionLink(submission);
+
+      summary.checked += 1;
+      if (isHealthy(submission.linkHealth.status)) {
+        summary.healthy += 1;
+      } else {
+        summary.failed += 1;
+        if (!wasFlagged && submission.linkHealth.flaggedAt) summary.flagged += 1;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: CHECK_CONCURRENCY }, worker));
+  return summary;
+};
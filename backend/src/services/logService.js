@@ -0,0 +1,33 @@
+import SystemLog from '../models/SystemLog.js';
+
+/**
+ * Write a structured event to the system log
+ * Failures are reported to the console but never interrupt the caller
+ * @param {Object} event - Log event
+ * @param {string} event.action - Event name, e.g. "auth.login_failed"
+ * @param {string} [event.level] - 'debug', 'info', 'warn' or 'error'
+ * @param {string} [event.message] - Human readable summary
+ * @param {Object} [event.req] - Express request, used for requestId, user, ip and route
+ * @param {*} [event.user] - User ID, defaults to req.user
+ * @param {number} [event.statusCode] - HTTP status associated with the event
+ * @param {Object} [event.details] - Additional structured data
+ */
+export const logEvent = async ({ action, level = 'info', message, req, user, statusCode, details }) => {
+  try {
+    return await SystemLog.create({
+      level,
+      action,
+      message,
+      user: user || req?.user?._id,
+      requestId: req?.requestId,
+      ip: req?.ip,
+      method: req?.method,
+      path: req?.originalUrl,
+      statusCode,
+      details
+    });
+  } catch (error) {
+    console.error('Failed to write system log:', error);
+    return null;
+  }
+};
@@ -0,0 +1,106 @@
+import Publisher from '../models/Publisher.js';
+import config from '../config/config.js';
+import AppError from '../utils/AppError.js';
+import { ErrorCodes } from '../utils/errorCodes.js';
+import { fetchUrl, readBody, describeFetchError } from '../utils/httpClient.js';
+import { extractHtmlMetadata, detectCharset } from '../utils/htmlMetadata.js';
+import { canonicalHost } from '../utils/urlCanonicalizer.js';
+
+const FETCH_TIMEOUT_MS = 8000;
+// Metadata lives in the document head, so there is no need to download whole pages
+const MAX_HTML_BYTES = 1024 * 1024;
+
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+
+// Government and intergovernmental domains, e.g. gov.gh, gob.mx, go.ke, europa.eu
+const OFFICIAL_HOST = /(^|\.)(gov|gob|go|gouv|govt|mil)(\.[a-z]{2})?$|(^|\.)(europa\.eu|un\.org|who\.int)$/;
+
+/**
+ * Suggest a submission category from the page type and what verifiers already know
+ * @param {Object} metadata - Result of extractHtmlMetadata
+ * @param {string|null} host - Canonical host of the page
+ * @param {Object|null} publisher - Publisher registry record for the host
+ * @returns {{category: string, reason: string}|null}
+ */
+export const suggestCategory = (metadata, host, publisher) => {
+  if (publisher && publisher.counts.unreliable > publisher.counts.credible) {
+    return { category: 'unreliable', reason: 'Verifiers have marked most sources from this publisher unreliable' };
+  }
+  if (host && OFFICIAL_HOST.test(host)) {
+    return { category: 'primary', reason: 'Official government or intergovernmental website' };
+  }
+  if (metadata.type === 'scholarly') {
+    return { category: 'primary', reason: 'Scholarly article reporting original research' };
+  }
+  if (metadata.type === 'news' || metadata.type === 'article') {
+    return { category: 'secondary', reason: 'News or analysis article' };
+  }
+  return null;
+};
+
+/**
+ * Fetch a web page and extract the details needed to submit it
+ * Requests time out, stop reading after MAX_HTML_BYTES and refuse private network hosts
+ * @param {string} url - URL entered by the contributor
+ * @returns {Promise<Object>} Page metadata plus finalUrl, suggestedCategory and the
+ *   matching publisher registry record, if any
+ * @throws {AppError} For invalid, private, unreachable or non-HTML URLs
+ */
+export const fetchUrlMetadata = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new AppError('Provide an absolute http(s) URL', 400, ErrorCodes.INVALID_INPUT);
+  }
+
+  let result;
+  try {
+    result = await fetchUrl(parsed.toString(), {
+      timeout: FETCH_TIMEOUT_MS,
+      blockPrivateHosts: !config.allowPrivateHosts,
+      headers: { Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1' }
+    });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new AppError(`Could not fetch the page: ${describeFetchError(error)}`, 422, ErrorCodes.INVALID_INPUT);
+  }
+
+  const { response, finalUrl } = result;
+  const contentType = response.headers.get('content-type') || '';
+
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new AppError(`The page responded with HTTP ${response.status}`, 422, ErrorCodes.INVALID_INPUT);
+  }
+  if (!HTML_TYPES.some(type => contentType.toLowerCase().startsWith(type))) {
+    await response.body?.cancel();
+    throw new AppError('The URL does not point to a web page', 422, ErrorCodes.INVALID_INPUT);
+  }
+
+  let body;
+  try {
+    body = await readBody(response, MAX_HTML_BYTES);
+  } catch (error) {
+    throw new AppError(`Could not read the page: ${describeFetchError(error)}`, 422, ErrorCodes.INVALID_INPUT);
+  }
+
+  const html = new TextDecoder(detectCharset(contentType, body)).decode(body);
+  const metadata = extractHtmlMetadata(html, finalUrl);
+
+  const host = canonicalHost(finalUrl);
+  const publisher = host
+    ? await Publisher.findOne({ domain: host }).sort({ 'counts.total': -1 }).select('slug name country counts')
+    : null;
+
+  return {
+    ...metadata,
+    publisher: metadata.publisher || publisher?.name,
+    finalUrl,
+    suggestedCategory: suggestCategory(metadata, host, publisher),
+    knownPublisher: publisher
+  };
+};
@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import User from '../models/User.js';
+import config from '../config/config.js';
+import { queueEmail } from './emailService.js';
+import { findSubmissionReviewers } from './reviewService.js';
+import { publishToUsers } from './realtimeService.js';
+
+// Channels that send email, and so can be unsubscribed from
+const EMAIL_CHANNELS = ['email', 'daily', 'weekly'];
+
+const signUnsubscribe = (userId, scope) =>
+  crypto.createHmac('sha256', config.unsubscribeSecret).update(`unsubscribe:${userId}:${scope}`).digest('base64url');
+
+/**
+ * Build a signed link that stops emails without logging in
+ * @param {Object} user - User document
+ * @param {string} scope - A notification type, or 'all'
+ * @returns {string} Frontend URL
+ */
+export const getUnsubscribeLink = (user, scope) => {
+  const params = new URLSearchParams({ user: user._id.toString(), scope, token: signUnsubscribe(user._id, scope) });
+  return `${config.frontendUrl}/unsubscribe?${params}`;
+};
+
+/**
+ * Move the types in an unsubscribe link from email to in-app only
+ * @param {string} userId
+ * @param {string} scope - A notification type, or 'all'
+ * @param {string} token - Signature from the link
+ * @returns {Promise<Object|null>} The user, or null if the link is not valid
+ */
+export const unsubscribe = async (userId, scope, token) => {
+  if (scope !== 'all' && !NOTIFICATION_TYPES.includes(scope)) return null;
+
+  const expected = Buffer.from(signUnsubscribe(userId, scope));
+  const candidate = Buffer.from(String(token || ''));
+  if (expected.length !== candidate.length || !crypto.timingSafeEqual(expected, candidate)) return null;
+
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const types = scope === 'all' ? NOTIFICATION_TYPES : [scope];
+  types
+    .filter(type => EMAIL_CHANNELS.includes(user.getNotificationChannel(type)))
+    .forEach(type => user.set(`notificationPreferences.${type}`, 'in_app'));
+  await user.save();
+
+  return user;
+};
+
+// Queue emails for the users whose channel for this type is immediate email
+const sendNotificationEmails = (users, type, { template, data }) =>
+  Promise.all(users
+    .filter(user => user.getNotificationChannel(type) === 'email')
+    .map(user => queueEmail(user.email, template, {
+      ...data(user),
+      unsubscribeLink: getUnsubscribeLink(user, type)
+    })));
+
+/**
+ * Store notifications for one or more users and push them to any open streams
+ * Each recipient's preference for the type decides whether it is stored at all
+ * and whether it is also emailed right away
+ * Failures are logged but never interrupt the request that triggered them
+ * @param {Array|*} recipients - User IDs or documents
+ * @param {Object} notification
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {string} notification.title
+ * @param {string} [notification.message]
+ * @param {string} [notification.link] - Frontend path
+ * @param {*} [notification.submission] - Related submission ID
+ * @param {Object} [notification.data] - Extra details for the client
+ * @param {Object} [options]
+ * @param {Object|false} [options.email] - {template, data(user)} for the email, instead of a
+ *   copy of the notification; false to never email
+ * @returns {Promise<Array>} Created notifications
+ */
+export const notify = async (recipients, notification, { email } = {}) => {
+  const ids = [...new Set((Array.isArray(recipients) ? recipients : [recipients])
+    .filter(Boolean)
+    .map(recipient => (recipient._id || recipient).toString()))];
+  if (ids.length === 0) return [];
+
+  try {
+    const users = await User.find({ _id: { $in: ids } }).select('username email notificationPreferences');
+    const wanted = users.filter(user => user.getNotificationChannel(notification.type) !== 'off');
+
+    const created = await Notification.insertMany(wanted.map(user => ({ recipient: user._id, ...notification })));
+    created.forEach(doc => publishToUsers([doc.recipient], 'notification', doc));
+
+    if (email !== false) {
+      await sendNotificationEmails(wanted, notification.type, email || {
+        template: 'notification',
+        data: user => ({
+          username: user.username,
+          title: notification.title,
+          message: notification.message,
+          link: `${config.frontendUrl}${notification.link || '/profile'}`
+        })
+      });
+    }
+
+    return created;
+  } catch (error) {
+    console.error('Failed to create notifications:', error);
+    return [];
+  }
+};
+
+/**
+ * Tell the submitter their source was received, and the country's verifiers
+ * that it is waiting for review
+ * In-app notifications go to the verifiers from the country; review request emails
+ * go to the verifiers assigned to it (see findSubmissionReviewers)
+ * Failures are logged but never interrupt the request that triggered them
+ * @param {Object} submission - Saved submission
+ * @param {Object} submitter - User document
+ */
+export const notifySubmissionReceived = async (submission, submitter) => {
+  let verifiers = [];
+  let reviewers = [];
+  try {
+    [verifiers, reviewers] = await Promise.all([
+      User.find({
+        role: 'verifier',
+        country: submission.country,
+        isActive: true,
+        _id: { $ne: submitter._id }
+      }).select('_id'),
+      findSubmissionReviewers(submission, submitter._id)
+    ]);
+  } catch (error) {
+    // The submitter is still told their source arrived
+    console.error('Failed to look up verifiers to notify:', error);
+  }
+
+  await Promise.all([
+    notify(submitter, {
+      type: 'submission_received',
+      title: 'Submission received',
+      message: `"${submission.title}" is waiting for review by a verifier for ${submission.country}.`,
+      link: '/profile',
+      submission: submission._id
+    }, {
+      email: {
+        template: 'submission-received',
+        data: user => ({ username: user.username, title: submission.title, country: submission.country })
+      }
+    }),
+    notify(verifiers, {
+      type: 'review_requested',
+      title: `New submission for ${submission.country}`,
+      message: `${submitter.username} submitted "${submission.title}" for review.`,
+      link: '/admin',
+      submission: submission._id,
+      data: { submitter: submitter.username }
+    }, { email: false }),
+    sendNotificationEmails(reviewers, 'review_requested', {
+      template: 'submission-pending-review',
+      data: () => ({
+        username: submitter.username,
+        country: submission.country,
+        link: `${config.frontendUrl}/admin`
+      })
+    }).catch(error => console.error('Failed to queue review request emails:', error))
+  ]);
+};
+
+/**
+ * Tell the submitter the outcome of the review
+ * @param {Object} submission - Submission with its final status
+ * @param {Object} [options]
+ * @param {boolean} [options.overridden=false] - The outcome was set by an admin override
+ * @param {string} [options.previousStatus] - Status before an override
+ */
+export const notifySubmissionReviewed = async (submission, { overridden = false, previousStatus } = {}) => {
+  const { status, credibility } = submission;
+  let notification;
+
+  if (overridden) {
+    notification = {
+      type: 'submission_overridden',
+      title: 'Review decision changed',
+      message: `An admin set "${submission.title}" to ${status}${previousStatus && previousStatus !== status ? ` (was ${previousStatus})` : ''}.`
+    };
+  } else if (status === 'approved') {
+    notification = {
+      type: 'submission_approved',
+      title: 'Submission approved',
+      message: `"${submission.title}" was approved and rated ${credibility}.`
+    };
+  } else if (status === 'rejected') {
+    notification = {
+      type: 'submission_rejected',
+      title: 'Submission rejected',
+      message: `"${submission.title}" was not accepted.${submission.verifierNotes ? ` Notes: ${submission.verifierNotes}` : ''}`
+    };
+  } else {
+    return;
+  }
+
+  await notify(submission.submitter, {
+    ...notification,
+    link: '/profile',
+    submission: submission._id,
+    data: { status, credibility, previousStatus }
+  });
+};
+
+/**
+ * @param {Object} user - User who received the badge
+ * @param {{name: string, icon?: string}} badge
+ */
+export const notifyBadgeAwarded = (user, badge) =>
+  notify(user, {
+    type: 'badge_awarded',
+    title: 'New badge',
+    message: `You earned the ${badge.icon ? `${badge.icon} ` : ''}${badge.name} badge.`,
+    link: '/profile',
+    data: { badge: badge.name, icon: badge.icon }
+  });
+
+/**
+ * @param {Object} user - User whose role changed
+ * @param {string} from - Previous role
+ * @param {string} to - New role
+ */
+export const notifyRoleChanged = (user, from, to) =>
+  notify(user, {
+    type: 'role_changed',
+    title: 'Your role has changed',
+    message: `Your role is now ${to} (was ${from}).`,
+    link: to === 'contributor' ? '/profile' : '/admin',
+    data: { from, to }
+  });
@@ -0,0 +1,130 @@
+import Publisher from '../models/Publisher.js';
+import Submission from '../models/Submission.js';
+import { canonicalHost } from '../utils/urlCanonicalizer.js';
+import { slugify } from '../utils/slugify.js';
+
+const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Most frequently used spelling of the publisher name
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+};
+
+/**
+ * Aggregate verified submissions into publisher records
+ * @param {Object} match - Additional submission filter
+ * @returns {Promise<Object[]>} Publisher documents keyed by slug and country
+ */
+const aggregatePublishers = async (match = {}) => {
+  const groups = await Submission.aggregate([
+    { $match: { status: { $in: ['approved', 'rejected'] }, publisherSlug: { $exists: true }, ...match } },
+    { $sort: { verifiedAt: -1, updatedAt: -1 } },
+    {
+      $group: {
+        _id: { slug: '$publisherSlug', country: '$country' },
+        domain: { $first: '$canonicalHost' },
+        names: { $push: '$publisher' },
+        approved: countWhere({ $eq: ['$status', 'approved'] }),
+        rejected: countWhere({ $eq: ['$status', 'rejected'] }),
+        credible: countWhere({ $and: [{ $eq: ['$status', 'approved'] }, { $eq: ['$credibility', 'credible'] }] }),
+        unreliable: countWhere({ $and: [{ $eq: ['$status', 'approved'] }, { $eq: ['$credibility', 'unreliable'] }] }),
+        total: { $sum: 1 },
+        latest: {
+          $first: {
+            submission: '$_id',
+            title: '$title',
+            status: '$status',
+            credibility: '$credibility',
+            verifiedAt: '$verifiedAt'
+          }
+        }
+      }
+    }
+  ]);
+
+  return groups.map(group => ({
+    slug: group._id.slug,
+    country: group._id.country,
+    domain: group.domain,
+    name: mostCommon(group.names),
+    aliases: [...new Set(group.names)],
+    counts: {
+      approved: group.approved,
+      rejected: group.rejected,
+      credible: group.credible,
+      unreliable: group.unreliable,
+      total: group.total
+    },
+    latestVerdict: group.latest
+  }));
+};
+
+const upsertPublishers = async (publishers) => {
+  if (publishers.length === 0) return;
+
+  await Publisher.bulkWrite(publishers.map(publisher => ({
+    updateOne: {
+      filter: { slug: publisher.slug, country: publisher.country },
+      update: { $set: publisher },
+      upsert: true
+    }
+  })));
+};
+
+/**
+ * Recompute the publisher record a submission counts towards
+ * Called whenever a submission reaches or leaves a final status
+ * Failures are reported to the console but never interrupt the caller
+ * @param {Object} submission - Submission document
+ */
+export const refreshPublisherForSubmission = async (submission) => {
+  try {
+    const slug = submission.publisherSlug || canonicalHost(submission.url) || slugify(submission.publisher);
+    if (!slug) return;
+
+    const [publisher] = await aggregatePublishers({ publisherSlug: slug, country: submission.country });
+
+    if (publisher) {
+      await upsertPublishers([publisher]);
+    } else {
+      await Publisher.deleteOne({ slug, country: submission.country });
+    }
+  } catch (error) {
+    console.error('Failed to refresh publisher:', error);
+  }
+};
+
+/**
+ * Rebuild every publisher record from the submissions collection
+ * Also fills in publisher keys for submissions saved before they existed
+ * @returns {Promise<{publishers: number, backfilled: number}>}
+ */
+export const rebuildPublishers = async () => {
+  const missing = await Submission.find({ publisherSlug: { $exists: false } }).select('url publisher');
+  if (missing.length > 0) {
+    await Submission.bulkWrite(missing.map(submission => {
+      const host = canonicalHost(submission.url);
+      return {
+        updateOne: {
+          filter: { _id: submission._id },
+          update: {
+            $set: host
+              ? { canonicalHost: host, publisherSlug: host }
+              : { publisherSlug: slugify(submission.publisher) }
+          }
+        }
+      };
+    }));
+  }
+
+  const publishers = await aggregatePublishers();
+  await upsertPublishers(publishers);
+  // Drop records whose submissions were deleted or reopened
+  await Publisher.deleteMany(
+    publishers.length > 0 ? { $nor: publishers.map(({ slug, country }) => ({ slug, country })) } : {}
+  );
+
+  return { publishers: publishers.length, backfilled: missing.length };
+};
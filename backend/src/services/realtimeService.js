@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import { isTwoFactorRequired } from './twoFactorService.js';
+
+// Server-Sent Events hub. Connections live in this process, so with several
+// API instances an event only reaches clients of the instance that raised it.
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const REVIEWER_ROLES = ['verifier', 'admin'];
+
+// connectionId -> { id, res, user, canReview, viewing }
+const clients = new Map();
+// submissionId -> { country, viewers: Map<connectionId, { _id, username }> }
+const viewing = new Map();
+
+const write = (client, event, data) => {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Whether a client should receive an event
+ * @param {Object} client
+ * @param {Object} scope
+ * @param {boolean} [scope.reviewers] - Only verifiers and admins
+ * @param {string} [scope.country] - With reviewers, only that country's verifiers (admins see all)
+ * @param {Array} [scope.users] - Only these user IDs
+ */
+const inScope = (client, { reviewers, country, users } = {}) => {
+  if (users && !users.includes(client.user._id)) return false;
+  if (reviewers) {
+    if (!client.canReview) return false;
+    if (country && client.user.role !== 'admin' && client.user.country !== country) return false;
+  }
+  return true;
+};
+
+/**
+ * Send an event to every connected client in scope
+ * @param {string} event - Event name, e.g. "submission.created"
+ * @param {Object} data - JSON payload
+ * @param {Object} [scope] - See inScope
+ */
+export const publish = (event, data, scope) => {
+  for (const client of clients.values()) {
+    if (inScope(client, scope)) write(client, event, data);
+  }
+};
+
+/**
+ * Send an event to the given users on all their connections
+ * @param {Array} userIds
+ * @param {string} event
+ * @param {Object} data
+ */
+export const publishToUsers = (userIds, event, data) =>
+  publish(event, data, { users: userIds.map(id => id.toString()) });
+
+const listViewers = (submissionId) => {
+  const entry = viewing.get(submissionId);
+  if (!entry) return [];
+
+  // One entry per person, however many tabs they have open
+  const people = new Map();
+  for (const viewer of entry.viewers.values()) people.set(viewer._id, viewer);
+  return [...people.values()];
+};
+
+const publishPresence = (submissionId) => {
+  const entry = viewing.get(submissionId);
+  const viewers = listViewers(submissionId);
+  if (entry && viewers.length === 0) viewing.delete(submissionId);
+
+  publish('presence', { submission: submissionId, viewers }, {
+    reviewers: true,
+    country: entry?.country
+  });
+};
+
+const stopViewing = (client) => {
+  const submissionId = client.viewing;
+  if (!submissionId) return;
+
+  client.viewing = null;
+  viewing.get(submissionId)?.viewers.delete(client.id);
+  publishPresence(submissionId);
+};
+
+/**
+ * Turn a response into an event stream for the signed-in user
+ * The first event, "ready", carries the connection ID used for presence
+ * and who is viewing which queue item
+ * @param {Object} req - Request authenticated by protect
+ * @param {Object} res
+ * @returns {Promise<Object>} The registered client
+ */
+export const openStream = async (req, res) => {
+  const user = {
+    _id: req.user._id.toString(),
+    username: req.user.username,
+    role: req.user.role,
+    country: req.user.country
+  };
+
+  // Reviewers locked out by the 2FA policy get the same events as contributors
+  const canReview = REVIEWER_ROLES.includes(user.role) &&
+    (Boolean(req.user.twoFactor?.enabled) || !(await isTwoFactorRequired(user.role)));
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const client = { id: crypto.randomUUID(), res, user, canReview, viewing: null };
+  clients.set(client.id, client);
+
+  const presence = [];
+  for (const submissionId of viewing.keys()) {
+    if (inScope(client, { reviewers: true, country: viewing.get(submissionId).country })) {
+      presence.push({ submission: submissionId, viewers: listViewers(submissionId) });
+    }
+  }
+  res.write('retry: 5000\n');
+  write(client, 'ready', { connectionId: client.id, presence });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client.id);
+    stopViewing(client);
+  });
+
+  return client;
+};
+
+/**
+ * Record which queue item a reviewer has open
+ * @param {string} connectionId - From the "ready" event
+ * @param {Object} user - Signed-in user; must own the connection
+ * @param {Object|null} submission - Submission being viewed, or null when closed
+ * @returns {Array|null} Viewers of the submission, or null if the connection is unknown
+ */
+export const setViewing = (connectionId, user, submission) => {
+  const client = clients.get(connectionId);
+  if (!client || client.user._id !== user._id.toString()) return null;
+
+  const submissionId = submission ? submission._id.toString() : null;
+  if (client.viewing === submissionId) return submissionId ? listViewers(submissionId) : [];
+
+  stopViewing(client);
+  if (!submissionId) return [];
+
+  if (!viewing.has(submissionId)) {
+    viewing.set(submissionId, { country: submission.country, viewers: new Map() });
+  }
+  viewing.get(submissionId).viewers.set(client.id, { _id: client.user._id, username: client.user.username });
+  client.viewing = submissionId;
+  publishPresence(submissionId);
+
+  return listViewers(submissionId);
+};
+
+/**
+ * A new submission joins the review queue for its country
+ * @param {Object} submission - Saved submission
+ * @param {Object} submitter - User document
+ */
+export const publishSubmissionCreated = (submission, submitter) =>
+  publish('submission.created', {
+    _id: submission._id,
+    title: submission.title,
+    publisher: submission.publisher,
+    country: submission.country,
+    category: submission.category,
+    submitter: submitter.username,
+    createdAt: submission.createdAt
+  }, { reviewers: true, country: submission.country });
+
+/**
+ * A verifier reviewed a submission
+ * Only final decisions are public; interim votes stay with the country's reviewers
+ * @param {Object} submission - Submission after the review
+ * @param {string} outcome - approved, rejected, escalated or pending
+ */
+export const publishSubmissionVerified = (submission, outcome) => {
+  const isFinal = outcome === 'approved' || outcome === 'rejected';
+
+  publish('submission.verified', {
+    _id: submission._id,
+    country: submission.country,
+    status: submission.status,
+    outcome,
+    reviewsReceived: submission.reviews.length
+  }, isFinal ? undefined : { reviewers: true, country: submission.country });
+};
+
+/**
+ * An admin set a submission's status directly
+ * @param {Object} submission - Submission after the override
+ * @param {string} previousStatus
+ */
+export const publishSubmissionOverridden = (submission, previousStatus) =>
+  publish('submission.overridden', {
+    _id: submission._id,
+    country: submission.country,
+    status: submission.status,
+    previousStatus
+  });
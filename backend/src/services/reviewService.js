@@ -0,0 +1,95 @@
+import CountryStats from '../models/CountryStats.js';
+import User from '../models/User.js';
+
+/**
+ * Look up the number of independent reviews a country requires
+ * Countries without stats or a policy fall back to a single review
+ * @param {string} country - Country code stored on the submission
+ * @returns {Promise<number>} Required number of reviews
+ */
+export const getReviewQuorum = async (country) => {
+  const stats = await CountryStats.findOne({ countryCode: country?.toUpperCase() }).select('reviewPolicy');
+  return stats?.reviewPolicy?.quorum || 1;
+};
+
+/**
+ * Find who should be asked to review a new submission
+ * Active verifiers assigned to the country in CountryStats come first. When some of
+ * them list specializations, those matching the category are asked along with the
+ * generalists; if nobody matches, every assigned verifier is. Countries without an
+ * assignment fall back to the admins.
+ * @param {Object} submission - Submission with country and category
+ * @param {*} [excludeUserId] - Usually the submitter, who should not review their own source
+ * @returns {Promise<Array>} Users with username, email and notification preferences
+ */
+export const findSubmissionReviewers = async (submission, excludeUserId) => {
+  const stats = await CountryStats.findOne({ countryCode: submission.country?.toUpperCase() }).select('verifiers');
+  const assignments = (stats?.verifiers || []).filter(verifier => verifier.isActive);
+
+  const excluded = excludeUserId ? [excludeUserId] : [];
+
+  const users = await User.find({
+    _id: { $in: assignments.map(verifier => verifier.userId), $nin: excluded },
+    role: { $in: ['verifier', 'admin'] },
+    isActive: true
+  }).select('username email notificationPreferences');
+
+  const active = assignments.filter(verifier => users.some(user => user._id.equals(verifier.userId)));
+  const category = submission.category?.toLowerCase();
+  const matching = active.filter(verifier =>
+    verifier.specializations.length === 0 ||
+    verifier.specializations.some(specialization => specialization.toLowerCase() === category));
+  const chosen = matching.length > 0 ? matching : active;
+
+  if (chosen.length > 0) {
+    return users.filter(user => chosen.some(verifier => user._id.equals(verifier.userId)));
+  }
+
+  return User.find({ role: 'admin', isActive: true, _id: { $nin: excluded } })
+    .select('username email notificationPreferences');
+};
+
+/**
+ * Derive a submission outcome from its reviews
+ * A status is only final when every review agrees on the vote and, for approvals, the credibility
+ * @param {Array} reviews - Submission reviews
+ * @param {number} quorum - Required number of reviews
+ * @returns {{outcome: string, status?: string, credibility?: string, reason?: string}}
+ *   outcome is 'pending', 'approved', 'rejected' or 'escalated'
+ */
+export const evaluateConsensus = (reviews, quorum) => {
+  if (reviews.length < quorum) {
+    return { outcome: 'pending' };
+  }
+
+  const votes = new Set(reviews.map(review => review.vote));
+  if (votes.size > 1) {
+    return { outcome: 'escalated', reason: 'Reviewers disagree on approval' };
+  }
+
+  const [status] = votes;
+  if (status === 'rejected') {
+    return { outcome: 'rejected', status };
+  }
+
+  const credibilities = new Set(reviews.map(review => review.credibility));
+  if (credibilities.size > 1) {
+    return { outcome: 'escalated', reason: 'Reviewers disagree on credibility' };
+  }
+
+  const [credibility] = credibilities;
+  return { outcome: 'approved', status, credibility };
+};
+
+/**
+ * Update verifier accuracy in the country's stats once a submission is final
+ * @param {Object} submission - Submission with its reviews and final status
+ */
+export const recordReviewOutcome = async (submission) => {
+  if (!submission.reviews?.length) return;
+
+  const stats = await CountryStats.findOne({ countryCode: submission.country?.toUpperCase() });
+  if (!stats) return;
+
+  await stats.recordReviewOutcome(submission.reviews, submission.status, submission.credibility);
+};
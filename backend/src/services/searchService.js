@@ -0,0 +1,42 @@
+import Submission from '../models/Submission.js';
+import { buildSubmissionFilter, FACET_FIELDS } from '../utils/submissionFilters.js';
+
+/**
+ * Count matching submissions per country, category, status and credibility
+ * Each facet ignores its own selection so the other values stay visible,
+ * e.g. filtering by Ghana still reports how many results Kenya would have
+ * @param {Object} params - Request query, as accepted by buildSubmissionFilter
+ * @returns {Promise<Object<string, Array<{value: string, count: number}>>>}
+ */
+export const getSubmissionFacets = async (params = {}) => {
+  const filter = buildSubmissionFilter(params);
+
+  const shared = { ...filter };
+  const selected = {};
+  for (const field of FACET_FIELDS) {
+    if (field in shared) {
+      selected[field] = shared[field];
+      delete shared[field];
+    }
+  }
+
+  const facetStages = Object.fromEntries(FACET_FIELDS.map(field => {
+    const others = Object.fromEntries(Object.entries(selected).filter(([key]) => key !== field));
+    return [field, [
+      { $match: others },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $match: { _id: { $ne: null } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]];
+  }));
+
+  const [result] = await Submission.aggregate([
+    { $match: shared },
+    { $facet: facetStages }
+  ]);
+
+  return Object.fromEntries(FACET_FIELDS.map(field => [
+    field,
+    (result?.[field] || []).map(({ _id, count }) => ({ value: _id, count }))
+  ]));
+};
@@ -0,0 +1,177 @@
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import AppError from '../utils/AppError.js';
+import { ErrorCodes } from '../utils/errorCodes.js';
+import { generateAccessToken, generateRefreshToken, verifyRefreshToken } from '../utils/jwt.js';
+import { logEvent } from './logService.js';
+
+// Signing in on more devices than this drops the oldest sessions
+export const MAX_SESSIONS = 10;
+
+const describeClient = (req) => ({
+  userAgent: req.get('user-agent')?.slice(0, 300),
+  ip: req.ip
+});
+
+// Sessions last as long as the refresh token they hold
+const expiryOf = (refreshToken) => new Date(jwt.decode(refreshToken).exp * 1000);
+
+/**
+ * Start a session for a device that has just signed in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for the user agent and IP
+ * @returns {Promise<{sessionId: Object, accessToken: string, refreshToken: string}>}
+ */
+export const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(user._id, sessionId);
+  const now = new Date();
+
+  await User.updateOne({ _id: user._id }, { $pull: { refreshTokens: { expiresAt: { $lte: now } } } });
+  await User.updateOne({ _id: user._id }, {
+    $push: {
+      refreshTokens: {
+        $each: [{
+          _id: sessionId,
+          tokenHash: User.hashToken(refreshToken),
+          ...describeClient(req),
+          createdAt: now,
+          lastUsedAt: now,
+          expiresAt: expiryOf(refreshToken)
+        }],
+        $slice: -MAX_SESSIONS
+      }
+    }
+  });
+
+  return { sessionId, accessToken: generateAccessToken(user._id, sessionId), refreshToken };
+};
+
+/**
+ * Swap a refresh token for a new token pair
+ * Every refresh token works once. Presenting one that was already swapped means it
+ * was copied, so the whole session is signed out.
+ * @param {string} refreshToken
+ * @param {Object} req - Express request
+ * @returns {Promise<{user: Object, sessionId: Object, accessToken: string, refreshToken: string}>}
+ * @throws {AppError} 401 for invalid, expired, revoked or reused tokens
+ */
+export const rotateSession = async (refreshToken, req) => {
+  const decoded = verifyRefreshToken(refreshToken);
+
+  if (!decoded?.sid) {
+    throw new AppError('Invalid refresh token', 401, ErrorCodes.TOKEN_INVALID);
+  }
+
+  const user = await User.findById(decoded.id).select('+refreshTokens');
+
+  if (!user || !user.isActive) {
+    throw new AppError('User not found or inactive', 401, ErrorCodes.TOKEN_INVALID);
+  }
+
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw new AppError('Password was changed, please log in again', 401, ErrorCodes.TOKEN_EXPIRED);
+  }
+
+  const session = user.refreshTokens.id(decoded.sid);
+
+  if (!session) {
+    throw new AppError('Session has been signed out', 401, ErrorCodes.SESSION_REVOKED);
+  }
+
+  const nextToken = generateRefreshToken(user._id, session._id);
+
+  // Matching on the old hash makes two refreshes with the same token race safely
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      refreshTokens: { $elemMatch: { _id: session._id, tokenHash: User.hashToken(refreshToken) } }
+    },
+    {
+      $set: {
+        'refreshTokens.$.tokenHash': User.hashToken(nextToken),
+        'refreshTokens.$.lastUsedAt': new Date(),
+        'refreshTokens.$.expiresAt': expiryOf(nextToken),
+        'refreshTokens.$.userAgent': describeClient(req).userAgent,
+        'refreshTokens.$.ip': req.ip
+      }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    await revokeSession(user._id, session._id);
+    await logEvent({
+      action: 'auth.refresh_token_reused',
+      level: 'warn',
+      message: 'A refresh token was used twice; the session was signed out',
+      req,
+      user: user._id,
+      details: { sessionId: session._id }
+    });
+    throw new AppError('Session has been signed out, please log in again', 401, ErrorCodes.SESSION_REVOKED);
+  }
+
+  return {
+    user,
+    sessionId: session._id,
+    accessToken: generateAccessToken(user._id, session._id),
+    refreshToken: nextToken
+  };
+};
+
+/**
+ * Sign out a single session
+ * @param {Object} userId
+ * @param {Object|string} sessionId
+ * @returns {Promise<boolean>} Whether the session existed
+ */
+export const revokeSession = async (userId, sessionId) => {
+  const result = await User.updateOne(
+    { _id: userId },
+    { $pull: { refreshTokens: { _id: sessionId } } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Sign out every session, optionally keeping one
+ * @param {Object} userId
+ * @param {Object|string} [keepSessionId] - Session to leave signed in, usually the current one
+ * @returns {Promise<number>} Number of sessions signed out
+ */
+export const revokeOtherSessions = async (userId, keepSessionId) => {
+  const user = await User.findById(userId).select('+refreshTokens');
+  if (!user) return 0;
+
+  const revoked = user.refreshTokens.filter(session => !session._id.equals(keepSessionId));
+  if (revoked.length === 0) return 0;
+
+  await User.updateOne(
+    { _id: userId },
+    { $pull: { refreshTokens: { _id: { $in: revoked.map(session => session._id) } } } }
+  );
+  return revoked.length;
+};
+
+/**
+ * List a user's signed-in devices, most recently used first
+ * @param {Object} user - User document loaded with +refreshTokens
+ * @param {Object|string} [currentSessionId] - Session making the request
+ * @returns {Object[]}
+ */
+export const listSessions = (user, currentSessionId) => {
+  const now = Date.now();
+  return user.refreshTokens
+    .filter(session => !session.expiresAt || session.expiresAt.getTime() > now)
+    .sort((a, b) => (b.lastUsedAt || b.createdAt) - (a.lastUsedAt || a.createdAt))
+    .map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: Boolean(currentSessionId) && session._id.equals(currentSessionId)
+    }));
+};
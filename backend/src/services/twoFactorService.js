@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import SystemSettings from '../models/SystemSettings.js';
+import { base32Encode, verifyCode } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Fields needed to check a code; all are excluded from queries by default
+export const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Codes are compared without case, spaces or dashes so they can be typed loosely
+const normalizeRecoveryCode = (code) => String(code ?? '').toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Create a fresh set of single-use recovery codes
+ * @returns {{codes: string[], hashes: string[]}} codes are shown to the user once;
+ *   only the hashes are stored
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map(code => User.hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+/**
+ * Check an authenticator code or a recovery code for a user with 2FA enabled
+ * Accepted TOTP steps and recovery codes are consumed atomically, so each works once
+ * even when the same code is submitted twice at the same moment
+ * @param {Object} user - User document loaded with TWO_FACTOR_FIELDS
+ * @param {Object} input
+ * @param {string} [input.code] - Code from the authenticator app
+ * @param {string} [input.recoveryCode] - One of the user's recovery codes
+ * @returns {Promise<'totp'|'recovery'|null>} How the user was verified, or null
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  const { twoFactor } = user;
+  if (!twoFactor?.enabled || !twoFactor.secret) return null;
+
+  if (recoveryCode) {
+    const hash = User.hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (result.modifiedCount === 0) return null;
+
+    twoFactor.recoveryCodes = twoFactor.recoveryCodes.filter(stored => stored !== hash);
+    return 'recovery';
+  }
+
+  const step = verifyCode(twoFactor.secret, code, { afterStep: twoFactor.lastUsedStep });
+  if (step === null) return null;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  if (result.modifiedCount === 0) return null;
+
+  twoFactor.lastUsedStep = step;
+  return 'totp';
+};
+
+/**
+ * Whether the admin policy requires 2FA for a role
+ * @param {string} role
+ * @returns {Promise<boolean>}
+ */
+export const isTwoFactorRequired = async (role) => {
+  if (role === 'contributor') return false;
+  const settings = await SystemSettings.getSettings();
+  return settings.twoFactorRequiredRoles.includes(role);
+};
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import AppError from '../utils/AppError.js';
+import { ErrorCodes } from '../utils/errorCodes.js';
+import { USER_AGENT, describeFetchError } from '../utils/httpClient.js';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Whether a Wikimedia OAuth consumer is configured
+ * @returns {boolean}
+ */
+export const isWikimediaConfigured = () =>
+  Boolean(config.wikimedia.clientId && config.wikimedia.clientSecret);
+
+/**
+ * Create a PKCE verifier and its S256 challenge
+ * @returns {{codeVerifier: string, codeChallenge: string}}
+ */
+export const createPkcePair = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Build the Wikimedia consent page URL
+ * @param {Object} params
+ * @param {string} params.state - Opaque value returned with the callback
+ * @param {string} params.codeChallenge - PKCE S256 challenge
+ * @returns {string}
+ */
+export const getAuthorizationUrl = ({ state, codeChallenge }) => {
+  const query = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.wikimedia.clientId,
+    redirect_uri: config.wikimedia.callbackUrl,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  return `${config.wikimedia.oauthUrl}/oauth2/authorize?${query.toString()}`;
+};
+
+// Call a Wikimedia OAuth endpoint and parse its JSON answer
+const callWikimedia = async (path, options) => {
+  let response;
+  try {
+    response = await fetch(`${config.wikimedia.oauthUrl}${path}`, {
+      ...options,
+      headers: { 'User-Agent': USER_AGENT, Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new AppError(`Could not reach Wikimedia: ${describeFetchError(error)}`, 503, ErrorCodes.SERVICE_UNAVAILABLE);
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (response.status >= 500) {
+    throw new AppError(`Wikimedia responded with HTTP ${response.status}`, 503, ErrorCodes.SERVICE_UNAVAILABLE);
+  }
+  if (!response.ok) {
+    const reason = data.error_description || data.message || data.error || `HTTP ${response.status}`;
+    throw new AppError(`Wikimedia sign-in failed: ${reason}`, 401, ErrorCodes.AUTHENTICATION_FAILED);
+  }
+
+  return data;
+};
+
+/**
+ * Exchange the authorization code from the callback for an access token
+ * @param {string} code
+ * @param {string} codeVerifier - PKCE verifier created with the authorization URL
+ * @returns {Promise<string>} Access token
+ */
+export const exchangeCode = async (code, codeVerifier) => {
+  const data = await callWikimedia('/oauth2/access_token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.wikimedia.callbackUrl,
+      client_id: config.wikimedia.clientId,
+      client_secret: config.wikimedia.clientSecret,
+      code_verifier: codeVerifier
+    })
+  });
+
+  if (!data.access_token) {
+    throw new AppError('Wikimedia did not return an access token', 401, ErrorCodes.AUTHENTICATION_FAILED);
+  }
+  return data.access_token;
+};
+
+/**
+ * Fetch the signed-in Wikimedia user's profile
+ * @param {string} accessToken
+ * @returns {Promise<Object>} id, username, editCount, registeredAt, groups, blocked,
+ *   and email/emailConfirmed when the consumer may read the email address
+ */
+export const fetchProfile = async (accessToken) => {
+  const profile = await callWikimedia('/oauth2/resource/profile', {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+
+  if (!profile.sub || !profile.username) {
+    throw new AppError('Wikimedia returned an incomplete profile', 401, ErrorCodes.AUTHENTICATION_FAILED);
+  }
+
+  // MediaWiki timestamps look like 20150322152354
+  const registered = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(profile.registered || '');
+
+  return {
+    id: String(profile.sub),
+    username: profile.username,
+    editCount: Number(profile.editcount) || 0,
+    registeredAt: registered
+      ? new Date(Date.UTC(registered[1], registered[2] - 1, registered[3], registered[4], registered[5], registered[6]))
+      : undefined,
+    groups: Array.isArray(profile.groups) ? profile.groups : [],
+    blocked: Boolean(profile.blocked),
+    email: profile.email,
+    emailConfirmed: Boolean(profile.confirmed_email)
+  };
+};
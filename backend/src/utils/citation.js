@@ -0,0 +1,77 @@
+export const CITATION_TEMPLATES = ['cite web', 'cite news', 'cite journal'];
+
+// Submissions only record who published a source, so that name goes in the field
+// each template expects for it: news outlets and journals are the periodical
+const PUBLISHER_PARAMS = {
+  'cite web': 'publisher',
+  'cite news': 'work',
+  'cite journal': 'journal'
+};
+
+/**
+ * Pick a citation template for a submission
+ * Secondary sources are cited as news and everything else, including PDFs, as a
+ * web page; cite journal needs a journal name and is only used when asked for
+ * @param {Object} submission - Submission with category
+ * @returns {string} Template name
+ */
+export const selectTemplate = (submission) => {
+  if (submission.category === 'secondary') return 'cite news';
+  return 'cite web';
+};
+
+// Keep parameter values from breaking out of the template
+const escapeWikitext = (value) =>
+  String(value)
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/\{\{/g, '&#123;&#123;')
+    .replace(/\}\}/g, '&#125;&#125;')
+    .replace(/\|/g, '{{!}}');
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Wayback Machine snapshot URLs carry their capture time, e.g. /web/20240131120000/
+const getArchiveDate = (archiveUrl) => {
+  const match = /\/web\/(\d{4})(\d{2})(\d{2})\d*/.exec(archiveUrl || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : undefined;
+};
+
+const DEAD_LINK_STATUSES = ['broken', 'unreachable'];
+
+/**
+ * Render a submission as a Wikipedia citation template
+ * @param {Object} submission - Submission document
+ * @param {Object} [options]
+ * @param {string} [options.template] - Override the automatically selected template
+ * @param {Date|string} [options.accessDate] - Defaults to today
+ * @param {string} [options.baseUrl] - Origin used to make relative file URLs absolute
+ * @returns {{template: string, wikitext: string}}
+ */
+export const buildCitation = (submission, { template, accessDate = new Date(), baseUrl } = {}) => {
+  const name = CITATION_TEMPLATES.includes(template) ? template : selectTemplate(submission);
+
+  let url = submission.url;
+  if (url && url.startsWith('/') && baseUrl) {
+    url = `${baseUrl.replace(/\/$/, '')}${url}`;
+  }
+
+  // Citation templates reject an archive-url without its archive-date
+  const archiveDate = getArchiveDate(submission.archiveUrl);
+  const isDead = DEAD_LINK_STATUSES.includes(submission.linkHealth?.status);
+
+  const params = [
+    ['url', url?.replace(/ /g, '%20')],
+    ['title', submission.title],
+    [PUBLISHER_PARAMS[name], submission.publisher],
+    ['format', submission.fileType === 'pdf' ? 'PDF' : undefined],
+    ['access-date', formatDate(accessDate)],
+    ['archive-url', archiveDate && submission.archiveUrl],
+    ['archive-date', archiveDate],
+    ['url-status', archiveDate && (isDead ? 'dead' : 'live')]
+  ].filter(([, value]) => value);
+
+  const wikitext = `{{${name} ${params.map(([key, value]) => `|${key}=${escapeWikitext(value)}`).join(' ')}}}`;
+
+  return { template: name, wikitext };
+};
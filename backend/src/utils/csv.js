@@ -0,0 +1,68 @@
+/**
+ * Parse RFC 4180 CSV text into objects keyed by the header row
+ * Handles quoted fields, escaped quotes, embedded newlines and a UTF-8 BOM
+ * @param {string} text - CSV content
+ * @returns {Object[]} One object per data row
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+  const keys = header.map(key => key.trim());
+
+  return rows.map(row =>
+    Object.fromEntries(keys.map((key, index) => [key, row[index] !== undefined ? row[index].trim() : '']))
+  );
+};
+
+/**
+ * Format values as one CSV line
+ * Values that a spreadsheet would treat as a formula are prefixed with a quote
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line without a trailing newline
+ */
+export const toCsvRow = (values) =>
+  values.map(value => {
+    if (value === undefined || value === null) return '';
+    let cell = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  }).join(',');
@@ -4,8 +4,11 @@ export const ErrorCodes = {
   INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
   TOKEN_EXPIRED: 'TOKEN_EXPIRED',
   TOKEN_INVALID: 'TOKEN_INVALID',
+  SESSION_REVOKED: 'SESSION_REVOKED',
   ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
   ACCOUNT_INACTIVE: 'ACCOUNT_INACTIVE',
+  EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+  TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',
   UNAUTHORIZED_ACCESS: 'UNAUTHORIZED_ACCESS',
   
   // Resource Errors
@@ -22,7 +25,8 @@ export const ErrorCodes = {
   
   // Business Logic Errors
   OPERATION_NOT_ALLOWED: 'OPERATION_NOT_ALLOWED',
-  SUBMISSION_LOCKED: 'SUBMISSION_LOCKED'
+  SUBMISSION_LOCKED: 'SUBMISSION_LOCKED',
+  DUPLICATE_SUBMISSION: 'DUPLICATE_SUBMISSION'
 };
 
 export const ErrorMessages = {
@@ -0,0 +1,39 @@
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for use in HTML content or attribute values
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ESCAPES[char]);
+
+// Markup built by html``, which is inserted into other templates as is
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Tagged template literal that escapes every interpolated value
+ * Results of nested html`` calls are trusted and not escaped again; arrays are joined
+ * @example html`<p>Hi ${user.username}</p>`
+ * @returns {SafeHtml} Use String() to get the markup
+ */
+export const html = (strings, ...values) =>
+  new SafeHtml(strings.reduce((out, string, i) => {
+    if (i === values.length) return out + string;
+    const value = values[i];
+    const items = Array.isArray(value) ? value : [value];
+    return out + string + items.map(item => (item instanceof SafeHtml ? item.value : escapeHtml(item))).join('');
+  }, ''));
@@ -0,0 +1,190 @@
+// Schema.org types that describe the page itself rather than a site or author
+const ARTICLE_TYPES = [
+  'Article', 'NewsArticle', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'OpinionNewsArticle',
+  'BlogPosting', 'ScholarlyArticle', 'Report', 'WebPage'
+];
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+const clean = (value) => {
+  if (typeof value !== 'string') return undefined;
+  const text = decodeEntities(value).replace(/\s+/g, ' ').trim();
+  return text || undefined;
+};
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern = /([^\s=/>]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  for (const [, name, double, single, bare] of tag.matchAll(pattern)) {
+    attributes[name.toLowerCase()] = double ?? single ?? bare ?? '';
+  }
+  return attributes;
+};
+
+// meta tags keyed by their name, property or itemprop, lowercased; repeated keys keep every value
+const collectMetaTags = (html) => {
+  const meta = new Map();
+  for (const [, attributeText] of html.matchAll(/<meta\b([^>]*)>/gi)) {
+    const attributes = parseAttributes(attributeText);
+    const key = (attributes.name || attributes.property || attributes.itemprop || '').toLowerCase();
+    const content = clean(attributes.content);
+    if (!key || !content) continue;
+    meta.set(key, [...(meta.get(key) || []), content]);
+  }
+  return meta;
+};
+
+const toArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+const nameOf = (value) => clean(typeof value === 'string' ? value : value?.name);
+
+// Flatten JSON-LD blocks, including @graph containers, into a list of typed nodes
+const collectJsonLd = (html) => {
+  const nodes = [];
+  const pattern = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+
+  for (const [, body] of html.matchAll(pattern)) {
+    let data;
+    try {
+      data = JSON.parse(body.trim());
+    } catch (error) {
+      continue;
+    }
+    const queue = toArray(data);
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (!node || typeof node !== 'object') continue;
+      if (node['@graph']) queue.push(...toArray(node['@graph']));
+      if (node['@type']) nodes.push(node);
+    }
+  }
+
+  return nodes;
+};
+
+const findArticle = (nodes) => {
+  const isType = (node, types) => toArray(node['@type']).some(type => types.includes(type));
+  // Prefer a specific article type over a generic WebPage
+  return nodes.find(node => isType(node, ARTICLE_TYPES.filter(type => type !== 'WebPage')))
+    || nodes.find(node => isType(node, ['WebPage']));
+};
+
+/**
+ * Normalize the date formats found in meta tags to YYYY-MM-DD
+ * Accepts ISO timestamps, "2024/03/01", "2024-3-1" and a bare year
+ * @param {string} value
+ * @returns {string|undefined}
+ */
+export const normalizeDate = (value) => {
+  const text = clean(value);
+  if (!text) return undefined;
+
+  const parts = /^(\d{4})(?:[-/.](\d{1,2})(?:[-/.](\d{1,2}))?)?(?:$|[T\s])/.exec(text);
+  if (parts) {
+    const [, year, month, day] = parts;
+    return [year, month?.padStart(2, '0'), day?.padStart(2, '0')].filter(Boolean).join('-');
+  }
+
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString().slice(0, 10);
+};
+
+const first = (...values) => values.find(value => value !== undefined);
+
+/**
+ * Extract citation metadata from an HTML document
+ * Sources are tried from most to least specific: Highwire/Google Scholar citation_* tags,
+ * schema.org JSON-LD, OpenGraph and article:* tags, Dublin Core, then the <title> element
+ * @param {string} html - Document markup
+ * @param {string} [baseUrl] - Document URL, used to resolve the canonical link
+ * @returns {Object} title, publisher, publishedDate, authors, description, language,
+ *   canonicalUrl, doi and type ('scholarly', 'news', 'article' or 'webpage'); missing values are omitted
+ */
+export const extractHtmlMetadata = (html, baseUrl) => {
+  const meta = collectMetaTags(html);
+  const get = (...keys) => first(...keys.map(key => meta.get(key)?.[0]));
+  const article = findArticle(collectJsonLd(html)) || {};
+
+  const titleElement = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1];
+  const canonicalTag = [...html.matchAll(/<link\b([^>]*)>/gi)]
+    .map(([, attributeText]) => parseAttributes(attributeText))
+    .find(attributes => attributes.rel?.toLowerCase().split(/\s+/).includes('canonical'));
+
+  let canonicalUrl;
+  try {
+    canonicalUrl = canonicalTag?.href ? new URL(decodeEntities(canonicalTag.href), baseUrl).toString() : undefined;
+  } catch (error) {
+    canonicalUrl = undefined;
+  }
+
+  const authors = meta.get('citation_author')
+    || toArray(article.author).map(nameOf).filter(Boolean);
+
+  const articleTypes = toArray(article['@type']);
+  let type = 'webpage';
+  if (meta.has('citation_title') || articleTypes.includes('ScholarlyArticle')) {
+    type = 'scholarly';
+  } else if (articleTypes.some(articleType => /NewsArticle$/.test(articleType))) {
+    type = 'news';
+  } else if ((articleTypes.length > 0 && !articleTypes.includes('WebPage')) || get('og:type') === 'article') {
+    type = 'article';
+  }
+
+  const metadata = {
+    title: first(
+      get('citation_title', 'dc.title'),
+      clean(article.headline),
+      clean(article.name),
+      get('og:title', 'twitter:title'),
+      clean(titleElement)
+    ),
+    publisher: first(
+      get('citation_publisher', 'citation_journal_title', 'dc.publisher'),
+      nameOf(article.publisher),
+      get('og:site_name', 'application-name')
+    ),
+    publishedDate: normalizeDate(first(
+      get('citation_publication_date', 'citation_date', 'citation_online_date'),
+      clean(article.datePublished),
+      get('article:published_time', 'dc.date', 'dc.date.issued', 'date', 'pubdate')
+    )),
+    authors: authors.length > 0 ? authors : undefined,
+    description: get('description', 'og:description', 'dc.description') || clean(article.description),
+    language: get('citation_language', 'dc.language', 'og:locale')
+      || clean(/<html\b[^>]*\blang\s*=\s*["']?([\w-]+)/i.exec(html)?.[1]),
+    canonicalUrl,
+    doi: get('citation_doi', 'dc.identifier')?.replace(/^(doi:|https?:\/\/(dx\.)?doi\.org\/)/i, ''),
+    type
+  };
+
+  // DC identifiers are not always DOIs
+  if (metadata.doi && !/^10\.\d{4,}\//.test(metadata.doi)) delete metadata.doi;
+
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Work out the character set of an HTML response
+ * @param {string} [contentType] - Content-Type header
+ * @param {Buffer} body - Raw body; the first 1024 bytes are searched for a meta charset
+ * @returns {string} Encoding label understood by TextDecoder, utf-8 when unknown
+ */
+export const detectCharset = (contentType, body) => {
+  const declared = /charset\s*=\s*["']?([\w-]+)/i.exec(contentType || '')?.[1]
+    || /<meta\b[^>]*charset\s*=\s*["']?([\w-]+)/i.exec(body.subarray(0, 1024).toString('latin1'))?.[1];
+
+  try {
+    return declared ? new TextDecoder(declared).encoding : 'utf-8';
+  } catch (error) {
+    return 'utf-8';
+  }
+};
@@ -0,0 +1,194 @@
+import dns from 'dns';
+import net from 'net';
+import { Agent, fetch } from 'undici';
+import AppError from './AppError.js';
+import { ErrorCodes } from './errorCodes.js';
+
+// Identify ourselves so site owners can tell where requests come from
+export const USER_AGENT = 'WikiSourceVerifier/1.0 (+https://source-wiki.vercel.app)';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_REDIRECTS = 5;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address belongs to a private or reserved range
+ * IPv4-mapped IPv6 addresses are checked as IPv4
+ * @param {string} address
+ * @returns {boolean}
+ */
+export const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return privateRanges.check(mapped[1], 'ipv4');
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return privateRanges.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const blockedHost = () =>
+  new AppError('URLs on private or local networks cannot be fetched', 400, ErrorCodes.INVALID_INPUT);
+
+// Reject hosts that resolve to an internal address, so user-supplied URLs
+// cannot be used to reach services behind the firewall
+const assertPublicHost = async (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    const notFound = new Error('Host not found');
+    notFound.cause = error;
+    throw notFound;
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw blockedHost();
+  }
+};
+
+// The host is resolved again when the socket connects, and a rebinding DNS server
+// can answer differently the second time, so the connection checks the addresses too
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(blockedHost());
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const publicOnlyAgent = new Agent({ connect: { lookup: publicOnlyLookup } });
+
+/**
+ * Request a URL, following redirects by hand so every hop is recorded
+ * The response body is left unread; callers consume or cancel it
+ * @param {string} url - Absolute http(s) URL
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {number} [options.timeout=10000] - Milliseconds allowed for the whole chain
+ * @param {number} [options.maxRedirects=5]
+ * @param {boolean} [options.blockPrivateHosts=false] - Refuse hosts that resolve to private
+ *   addresses, checked at every redirect and again when connecting; use for URLs supplied by users
+ * @returns {Promise<{response: Response, finalUrl: string, redirects: Array<{url: string, status: number}>}>}
+ * @throws {Error} On network errors, timeouts, non-http URLs or too many redirects
+ * @throws {AppError} When blockPrivateHosts is set and a host is private
+ */
+export const fetchUrl = async (url, {
+  method = 'GET',
+  headers = {},
+  timeout = DEFAULT_TIMEOUT_MS,
+  maxRedirects = DEFAULT_MAX_REDIRECTS,
+  blockPrivateHosts = false
+} = {}) => {
+  const signal = AbortSignal.timeout(timeout);
+  const redirects = [];
+  let currentUrl = url;
+  let currentMethod = method;
+
+  for (;;) {
+    const { protocol, hostname } = new URL(currentUrl);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new Error(`Unsupported protocol ${protocol}`);
+    }
+    if (blockPrivateHosts) {
+      await assertPublicHost(hostname);
+    }
+
+    let response;
+    try {
+      response = await fetch(currentUrl, {
+        method: currentMethod,
+        headers: { 'User-Agent': USER_AGENT, ...headers },
+        redirect: 'manual',
+        signal,
+        dispatcher: blockPrivateHosts ? publicOnlyAgent : undefined
+      });
+    } catch (error) {
+      // fetch wraps the lookup's refusal in a generic "fetch failed" error
+      if (error.cause instanceof AppError) throw error.cause;
+      throw error;
+    }
+
+    const location = response.headers.get('location');
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return { response, finalUrl: currentUrl, redirects };
+    }
+
+    await response.body?.cancel();
+    if (redirects.length >= maxRedirects) {
+      throw new Error(`Stopped after ${maxRedirects} redirects`);
+    }
+
+    redirects.push({ url: currentUrl, status: response.status });
+    currentUrl = new URL(location, currentUrl).toString();
+    // 303 always switches to GET, as browsers do for 301/302 after a POST
+    if (response.status === 303 || (currentMethod === 'POST' && response.status <= 302)) {
+      currentMethod = 'GET';
+    }
+  }
+};
+
+/**
+ * Read a response body, stopping once maxBytes have been received
+ * Larger bodies are truncated rather than rejected, which is enough for reading page headers
+ * @param {Response} response
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>}
+ */
+export const readBody = async (response, maxBytes) => {
+  if (!response.body) return Buffer.alloc(0);
+
+  const chunks = [];
+  let size = 0;
+  const reader = response.body.getReader();
+
+  try {
+    while (size < maxBytes) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      size += value.length;
+    }
+  } finally {
+    await reader.cancel().catch(() => {});
+  }
+
+  return Buffer.concat(chunks).subarray(0, maxBytes);
+};
+
+/**
+ * Describe a failed request in a short, user-facing way
+ * @param {Error} error
+ * @returns {string}
+ */
+export const describeFetchError = (error) => {
+  if (error instanceof AppError) return error.message;
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') return 'Request timed out';
+  const code = error.cause?.code;
+  if (code === 'ENOTFOUND' || code === 'EAI_AGAIN') return 'Host not found';
+  if (code === 'ECONNREFUSED') return 'Connection refused';
+  if (code === 'ECONNRESET') return 'Connection reset';
+  if (code?.startsWith?.('CERT_') || code?.includes?.('SSL') || code === 'DEPTH_ZERO_SELF_SIGNED_CERT') {
+    return 'Invalid TLS certificate';
+  }
+  // fetch wraps network failures in a generic "fetch failed" error
+  return error.cause?.message || error.message;
+};
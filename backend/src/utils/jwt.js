@@ -1,18 +1,21 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 
-export const generateAccessToken = (userId) => {
+// sid ties a token to the session in User.refreshTokens that issued it
+export const generateAccessToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    sessionId ? { id: userId, sid: sessionId } : { id: userId },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
-export const generateRefreshToken = (userId) => {
+// The random jwtid keeps every rotated token distinct, even within the same second
+export const generateRefreshToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    sessionId ? { id: userId, sid: sessionId } : { id: userId },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d', jwtid: crypto.randomUUID() }
   );
 };
 
@@ -24,9 +27,14 @@ export const verifyRefreshToken = (token) => {
   }
 };
 
-export const sendTokenResponse = (user, statusCode, res) => {
-  const accessToken = generateAccessToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+/**
+ * Send a session's tokens as cookies and in the response body
+ * @param {Object} user - User document
+ * @param {number} statusCode
+ * @param {Object} res - Express response
+ * @param {{accessToken: string, refreshToken: string}} tokens - From createSession or rotateSession
+ */
+export const sendTokenResponse = (user, statusCode, res, { accessToken, refreshToken }) => {
 
   const cookieOptions = {
     httpOnly: true,
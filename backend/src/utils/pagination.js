@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+import AppError from './AppError.js';
+import { ErrorCodes } from './errorCodes.js';
+
+const { EJSON } = mongoose.mongo.BSON;
+const { ObjectId } = mongoose.mongo;
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Text search results are ordered by a computed score, which cannot be used
+// as a range condition, so relevance pages fall back to an offset
+export const RELEVANCE_SORT = 'relevance';
+
+const invalidCursor = () => new AppError('Invalid or expired cursor', 400, ErrorCodes.INVALID_INPUT);
+
+const encodeCursor = (payload) =>
+  Buffer.from(EJSON.stringify(payload, { relaxed: true })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    return EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'), { relaxed: true });
+  } catch (error) {
+    throw invalidCursor();
+  }
+};
+
+// Cursors come from clients, so only plain values may reach the query
+const isCursorValue = (value) =>
+  value === null || value instanceof Date || ['string', 'number'].includes(typeof value);
+
+const getPath = (doc, path) =>
+  typeof doc.get === 'function' ? doc.get(path) : path.split('.').reduce((value, key) => value?.[key], doc);
+
+/**
+ * Read limit, sort and cursor parameters for a listing endpoint
+ * `sort` names a whitelisted field, prefixed with "-" for descending order
+ * @param {Object} query - Request query
+ * @param {Object} options
+ * @param {Object<string, string>} options.sortFields - Public sort names mapped to document paths
+ * @param {string} options.defaultSort - Sort used when none is given, e.g. "-createdAt"
+ * @param {boolean} [options.allowRelevance=false] - Accept sort=relevance for text searches
+ * @returns {Object} Listing parameters for applyCursor, getPageSort and buildPage
+ * @throws {AppError} For unknown sort fields or cursors from a different sort
+ */
+export const parseListParams = (query, { sortFields, defaultSort, allowRelevance = false }) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const sort = query.sort ? String(query.sort) : defaultSort;
+  const includeTotal = query.includeTotal === 'true';
+
+  if (sort === RELEVANCE_SORT && allowRelevance) {
+    const cursor = query.cursor ? decodeCursor(query.cursor) : { s: sort, o: 0 };
+    if (cursor.s !== sort || !Number.isInteger(cursor.o) || cursor.o < 0) throw invalidCursor();
+    return { limit, sort, includeTotal, offset: cursor.o, cursor: query.cursor ? cursor : null };
+  }
+
+  const field = sort.replace(/^-/, '');
+  if (!sortFields[field]) {
+    const options = Object.keys(sortFields).concat(allowRelevance ? [RELEVANCE_SORT] : []);
+    throw new AppError(`Sort must be one of: ${options.join(', ')} (prefix with - for descending)`, 400, ErrorCodes.INVALID_INPUT);
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (cursor && (cursor.s !== sort || !isCursorValue(cursor.v) || !(cursor.id instanceof ObjectId))) {
+    throw invalidCursor();
+  }
+
+  return {
+    limit,
+    sort,
+    includeTotal,
+    path: sortFields[field],
+    order: sort.startsWith('-') ? -1 : 1,
+    cursor
+  };
+};
+
+/**
+ * Mongo sort for a listing; ties are broken by _id so the order is stable
+ * @param {Object} params - Result of parseListParams
+ * @returns {Object}
+ */
+export const getPageSort = (params) => {
+  if (params.sort === RELEVANCE_SORT) {
+    return { score: { $meta: 'textScore' }, _id: -1 };
+  }
+  return { [params.path]: params.order, _id: params.order };
+};
+
+/**
+ * Restrict a filter to the documents after the cursor
+ * Missing values sort before everything else, as MongoDB orders them
+ * @param {Object} filter - Listing filter
+ * @param {Object} params - Result of parseListParams
+ * @returns {Object} Filter for the requested page
+ */
+export const applyCursor = (filter, params) => {
+  if (!params.cursor || params.sort === RELEVANCE_SORT) return filter;
+
+  const { path, order, cursor: { v: value, id } } = params;
+  const isNull = value === null || value === undefined;
+
+  let conditions;
+  if (order === 1) {
+    conditions = isNull
+      ? [{ [path]: null, _id: { $gt: id } }, { [path]: { $ne: null } }]
+      : [{ [path]: { $gt: value } }, { [path]: value, _id: { $gt: id } }];
+  } else {
+    conditions = isNull
+      ? [{ [path]: null, _id: { $lt: id } }]
+      : [{ [path]: { $lt: value } }, { [path]: value, _id: { $lt: id } }, { [path]: null }];
+  }
+
+  // Keep the caller's conditions top-level so $text still works
+  return { ...filter, $and: [...(filter.$and || []), { $or: conditions }] };
+};
+
+/**
+ * Number of documents to skip; only relevance pages use an offset
+ * @param {Object} params - Result of parseListParams
+ * @returns {number}
+ */
+export const getPageSkip = (params) => params.offset || 0;
+
+/**
+ * Trim the extra document fetched to detect a next page and build the envelope
+ * Queries should request params.limit + 1 documents
+ * @param {Array} docs - Documents returned by the query
+ * @param {Object} params - Result of parseListParams
+ * @param {number} [total] - Total matches, when includeTotal was requested
+ * @returns {{items: Array, pagination: Object}}
+ */
+export const buildPage = (docs, params, total) => {
+  const hasMore = docs.length > params.limit;
+  const items = hasMore ? docs.slice(0, params.limit) : docs;
+  const last = items[items.length - 1];
+
+  let nextCursor = null;
+  if (hasMore && params.sort === RELEVANCE_SORT) {
+    nextCursor = encodeCursor({ s: params.sort, o: getPageSkip(params) + items.length });
+  } else if (hasMore) {
+    nextCursor = encodeCursor({ s: params.sort, v: getPath(last, params.path) ?? null, id: last._id });
+  }
+
+  const pagination = { limit: params.limit, sort: params.sort, hasMore, nextCursor };
+  if (total !== undefined) pagination.total = total;
+
+  return { items, pagination };
+};
@@ -0,0 +1,14 @@
+/**
+ * Lowercase, ASCII-only identifier for use in URLs
+ * e.g. "Ministère des Finances" -> "ministere-des-finances"
+ * @param {string} value - Text to convert
+ * @returns {string}
+ */
+export const slugify = (value) =>
+  (value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 100);
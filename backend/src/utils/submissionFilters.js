@@ -0,0 +1,84 @@
+import AppError from './AppError.js';
+import { ErrorCodes } from './errorCodes.js';
+import { parseSearchQuery, buildSearchFilter } from './textSearch.js';
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${name} must be a valid date`, 400, ErrorCodes.INVALID_INPUT);
+  }
+  return date;
+};
+
+// Query values may arrive as arrays or objects; only plain strings are used as filters
+export const toValue = (value) => (value === undefined || value === '' ? undefined : String(value));
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+const dateRange = (from, to, fromName, toName) => {
+  const range = {};
+  if (from) range.$gte = parseDate(from, fromName);
+  if (to) range.$lte = parseDate(to, toName);
+  return range;
+};
+
+// Fields that the directory reports facet counts for
+export const FACET_FIELDS = ['country', 'category', 'status', 'credibility'];
+
+// Sort fields accepted by submission listings, mapped to document paths
+export const SUBMISSION_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  verifiedAt: 'verifiedAt',
+  title: 'title',
+  publisher: 'publisher'
+};
+
+/**
+ * Build a Submission query from request query parameters
+ * Shared by the directory listing, citation export and file exports
+ * @param {Object} params - Request query
+ * @param {string} [params.country]
+ * @param {string} [params.category]
+ * @param {string} [params.status]
+ * @param {string} [params.credibility]
+ * @param {string} [params.fileType]
+ * @param {string} [params.linkStatus] - Result of the latest link check, e.g. "broken"
+ * @param {string|string[]} [params.tags] - Comma separated; submissions must have every tag
+ * @param {string} [params.search] - Full-text search, see parseSearchQuery for the syntax
+ * @param {string} [params.startDate] - Earliest creation date
+ * @param {string} [params.endDate] - Latest creation date
+ * @param {string} [params.verifiedStartDate] - Earliest verification date
+ * @param {string} [params.verifiedEndDate] - Latest verification date
+ * @returns {Object} Mongo filter
+ * @throws {AppError} When a date parameter cannot be parsed
+ */
+export const buildSubmissionFilter = (params = {}) => {
+  const { search, startDate, endDate, verifiedStartDate, verifiedEndDate } = params;
+  const filter = {};
+
+  for (const field of [...FACET_FIELDS, 'fileType']) {
+    const value = toValue(params[field]);
+    if (value) filter[field] = value;
+  }
+
+  const linkStatus = toValue(params.linkStatus);
+  if (linkStatus) filter['linkHealth.status'] = linkStatus;
+
+  const tags = params.tags ? toList(params.tags) : [];
+  if (tags.length > 0) filter.tags = { $all: tags };
+
+  if (search) {
+    Object.assign(filter, buildSearchFilter(parseSearchQuery(search)));
+  }
+  if (startDate || endDate) {
+    filter.createdAt = dateRange(startDate, endDate, 'startDate', 'endDate');
+  }
+  if (verifiedStartDate || verifiedEndDate) {
+    filter.verifiedAt = dateRange(verifiedStartDate, verifiedEndDate, 'verifiedStartDate', 'verifiedEndDate');
+  }
+
+  return filter;
+};
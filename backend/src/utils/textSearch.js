@@ -0,0 +1,181 @@
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fields covered by the text index, in the order highlights are reported
+export const SEARCH_FIELDS = ['title', 'publisher', 'tags', 'wikipediaArticle', 'url', 'verifierNotes'];
+
+// Cap stored terms so a long note cannot bloat the multikey index
+const MAX_SEARCH_TERMS = 200;
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Lowercase, strip accents and split text into word tokens
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+/**
+ * Collect the distinct tokens of a submission for prefix search
+ * The text index handles whole words; this array backs "term*" queries
+ * @param {Object} submission - Submission document or plain object
+ * @returns {string[]}
+ */
+export const buildSearchTerms = (submission) => {
+  const terms = new Set();
+
+  for (const field of SEARCH_FIELDS) {
+    let value = submission[field];
+    if (field === 'url' && value) {
+      value = String(value).replace(/^https?:\/\/(www\.)?/i, '');
+    }
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach(item => tokenize(item).forEach(token => terms.add(token)));
+  }
+
+  // Single characters match too much to be useful as prefixes
+  return [...terms].filter(term => term.length > 1).slice(0, MAX_SEARCH_TERMS);
+};
+
+/**
+ * Split a search string into words, quoted phrases, prefixes and exclusions
+ * Supports `"exact phrase"`, `prefix*` and `-excluded`
+ * @param {string} input - Raw search string
+ * @returns {{words: string[], phrases: string[], prefixes: string[], excluded: string[]}}
+ */
+export const parseSearchQuery = (input) => {
+  const parsed = { words: [], phrases: [], prefixes: [], excluded: [] };
+  const text = String(input || '').slice(0, 200);
+
+  const rest = text.replace(/"([^"]*)"/g, (match, phrase) => {
+    const cleaned = phrase.replace(/\s+/g, ' ').trim();
+    if (cleaned) parsed.phrases.push(cleaned);
+    return ' ';
+  });
+
+  for (const part of rest.split(/\s+/).filter(Boolean)) {
+    if (part.startsWith('-') && part.length > 1) {
+      parsed.excluded.push(...tokenize(part.slice(1)));
+    } else if (part.endsWith('*')) {
+      const tokens = tokenize(part.slice(0, -1));
+      // Only the last token of "foo-ba*" is a prefix
+      const prefix = tokens.pop();
+      parsed.words.push(...tokens);
+      if (prefix) parsed.prefixes.push(prefix);
+    } else {
+      parsed.words.push(...tokenize(part));
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Build the Mongo conditions for a parsed search
+ * Whole words and phrases use the text index, prefixes use the searchTerms index
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object|null} Filter to merge into the query, or null if nothing to search
+ */
+export const buildSearchFilter = (parsed) => {
+  const filter = {};
+
+  const textParts = [
+    ...parsed.phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`),
+    ...parsed.words
+  ];
+  if (textParts.length > 0) {
+    filter.$text = {
+      $search: [...textParts, ...parsed.excluded.map(word => `-${word}`)].join(' ')
+    };
+  }
+
+  if (parsed.prefixes.length > 0) {
+    filter.$and = parsed.prefixes.map(prefix => ({ searchTerms: { $regex: `^${escapeRegex(prefix)}` } }));
+  }
+
+  if (!filter.$text && parsed.excluded.length > 0) {
+    filter.searchTerms = { $nin: parsed.excluded };
+  }
+
+  return Object.keys(filter).length > 0 ? filter : null;
+};
+
+// Fold accents one character at a time so match offsets stay aligned with the original text
+const foldText = (text) =>
+  [...text].map(char => {
+    if (char.length > 1) return char;
+    return char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().charAt(0) || char;
+  }).join('');
+
+// The text index stems words, so "elections" should also highlight "election"
+const stem = (word) => (word.length > 3 ? word.replace(/(es|s)$/, '') : word);
+
+const findMatches = (text, parsed) => {
+  const folded = foldText(text);
+  const ranges = [];
+
+  const patterns = [
+    ...parsed.phrases.map(phrase => escapeRegex(foldText(phrase)).replace(/\s+/g, '\\s+')),
+    ...parsed.words.map(word => `${escapeRegex(stem(word))}[\\p{L}\\p{N}]*`),
+    ...parsed.prefixes.map(prefix => `${escapeRegex(prefix)}[\\p{L}\\p{N}]*`)
+  ];
+  if (patterns.length === 0) return ranges;
+
+  const regex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})`, 'gu');
+  for (const match of folded.matchAll(regex)) {
+    if (match[0].length === 0) continue;
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+
+  return ranges;
+};
+
+// Cut a window around the first match and shift the ranges into it
+const toSnippet = (text, ranges) => {
+  if (text.length <= SNIPPET_LENGTH) {
+    return { snippet: text, ranges };
+  }
+
+  const start = Math.max(0, Math.min(ranges[0][0] - 40, text.length - SNIPPET_LENGTH));
+  const end = start + SNIPPET_LENGTH;
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < text.length ? '...' : '';
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    ranges: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+  };
+};
+
+/**
+ * Locate search matches in a submission for highlighting
+ * Ranges are [start, end) character offsets into the returned snippet
+ * @param {Object} submission - Submission document or plain object
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Array<{field: string, snippet: string, ranges: number[][]}>}
+ */
+export const buildHighlights = (submission, parsed) => {
+  const highlights = [];
+
+  for (const field of SEARCH_FIELDS) {
+    const value = submission[field];
+    const values = Array.isArray(value) ? value : [value];
+
+    for (const text of values) {
+      if (!text) continue;
+      const ranges = findMatches(String(text), parsed);
+      if (ranges.length > 0) {
+        highlights.push({ field, ...toSnippet(String(text), ranges) });
+      }
+    }
+  }
+
+  return highlights;
+};
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+
+// RFC 6238 defaults, which is what authenticator apps assume when the URI omits them
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+export const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Create a random shared secret for an authenticator app
+ * @returns {string} 160-bit secret, base32 encoded
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Current time step number
+ * @param {number} [now=Date.now()] - Time in milliseconds
+ * @returns {number}
+ */
+export const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the code for one time step (HOTP with the step as counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step number
+ * @returns {string} Zero-padded code
+ */
+export const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current time step and its neighbours
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user; spaces are ignored
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Steps either side accepted, for clock drift
+ * @param {number} [options.afterStep] - Reject this step and earlier ones, so a code cannot be replayed
+ * @returns {number|null} The matching step, or null
+ */
+export const verifyCode = (secret, code, { window = 1, afterStep } = {}) => {
+  const candidate = String(code ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+  const now = currentStep();
+  for (let step = now - window; step <= now + window; step += 1) {
+    if (afterStep !== undefined && step <= afterStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Shown under the issuer in the app
+ * @param {string} params.issuer - Service name
+ * @returns {string}
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
@@ -0,0 +1,96 @@
+// Query parameters that only identify where a click came from
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+  '_ga', '_gl', 'ref', 'ref_src', 'ref_url', 'cmpid', 'ocid', 'smid', 'sr_share',
+  'amp', 'outputtype'
+]);
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'hsa_', 'ns_'];
+
+// Host labels that mark mobile or AMP variants of the same site
+const VARIANT_LABELS = new Set(['www', 'm', 'mobile', 'amp']);
+
+const isTrackingParam = (name) => {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some(prefix => key.startsWith(prefix));
+};
+
+/**
+ * Unwrap Google AMP viewer and AMP cache links to the publisher URL
+ * e.g. https://www.google.com/amp/s/example.com/story or
+ *      https://example-com.cdn.ampproject.org/c/s/example.com/story
+ */
+const unwrapAmpCache = (parsed) => {
+  const isGoogleAmp = /(^|\.)google\.[a-z.]+$/.test(parsed.hostname) && parsed.pathname.startsWith('/amp/');
+  const isAmpCache = parsed.hostname.endsWith('.cdn.ampproject.org');
+  if (!isGoogleAmp && !isAmpCache) return parsed;
+
+  const match = parsed.pathname.match(/^\/(?:amp|[a-z](?:\/s)?)\/(s\/)?(.+)$/);
+  if (!match) return parsed;
+
+  try {
+    return new URL(`https://${match[2]}${parsed.search}`);
+  } catch {
+    return parsed;
+  }
+};
+
+/**
+ * Host name without variant labels, e.g. "en.m.wikipedia.org" -> "en.wikipedia.org"
+ * @param {string} hostname - Lowercase host name
+ * @returns {string}
+ */
+const normalizeHost = (hostname) => {
+  const labels = hostname.replace(/\.$/, '').split('.');
+  // Never strip the registrable domain itself (e.g. "m.com")
+  const prefix = labels.slice(0, -2).filter(label => !VARIANT_LABELS.has(label));
+  return [...prefix, ...labels.slice(-2)].join('.');
+};
+
+/**
+ * Reduce a URL to a canonical form so that variants of the same page compare equal
+ * Normalizes the scheme, host variants (www, mobile, AMP), default ports, trailing
+ * slashes and query ordering, and removes tracking parameters and fragments
+ * @param {string} url - URL as submitted
+ * @returns {string|null} Canonical URL, or null when the input is not an absolute http(s) URL
+ */
+export const canonicalizeUrl = (url) => {
+  if (!url || typeof url !== 'string') return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+  parsed = unwrapAmpCache(parsed);
+
+  const host = normalizeHost(parsed.hostname.toLowerCase()) + (parsed.port ? `:${parsed.port}` : '');
+
+  let pathname = parsed.pathname
+    .replace(/\/{2,}/g, '/')
+    // AMP article variants: /story/amp, /amp/story, /story.amp.html
+    .replace(/\/amp(\/|$)/g, '/')
+    .replace(/\.amp(\.html?)$/, '$1')
+    .replace(/\/index\.(html?|php)$/, '/');
+  if (pathname.length > 1) pathname = pathname.replace(/\/+$/, '');
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+
+  return `https://${host}${pathname === '/' ? '' : pathname}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Canonical host of a URL, used to group submissions by site
+ * @param {string} url - URL as submitted
+ * @returns {string|null}
+ */
+export const canonicalHost = (url) => {
+  const canonical = canonicalizeUrl(url);
+  return canonical ? new URL(canonical).hostname : null;
+};
@@ -0,0 +1,203 @@
+import request from 'supertest';
+import { createTestApp } from '../utils/testApp.js';
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestSubmission,
+  getAuthHeader
+} from '../utils/testHelpers.js';
+import AuditLog from '../../src/models/AuditLog.js';
+
+describe('Admin API Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  describe('PUT /api/admin/submissions/:id/override', () => {
+    it('should record the original status and verifier in the audit log', async () => {
+      const admin = await createTestAdmin({ username: 'audit_admin', email: 'audit_admin@test.com' });
+      const submission = await createTestSubmission({ status: 'pending' });
+
+      await request(app)
+        .put(`/api/admin/submissions/${submission._id}/override`)
+        .set('Authorization', getAuthHeader(admin))
+        .send({ status: 'rejected', adminNotes: 'Spam site', reason: 'Reported by editors' })
+        .expect(200);
+
+      const entry = await AuditLog.findOne({ targetId: submission._id });
+      expect(entry).not.toBeNull();
+      expect(entry.action).toBe('submission.override');
+      expect(entry.actor.toString()).toBe(admin._id.toString());
+      expect(entry.reason).toBe('Reported by editors');
+
+      const statusChange = entry.changes.find(change => change.field === 'status');
+      expect(statusChange.before).toBe('pending');
+      expect(statusChange.after).toBe('rejected');
+    });
+  });
+
+  describe('GET /api/admin/users', () => {
+    it('should page through a numeric sort with cursors', async () => {
+      const admin = await createTestAdmin({ username: 'points_admin', email: 'points_admin@test.com' });
+      await createTestUser({ username: 'points_high', email: 'points_high@test.com', points: 50 });
+      await createTestUser({ username: 'points_low', email: 'points_low@test.com', points: 20 });
+
+      const first = await request(app)
+        .get('/api/admin/users?sort=-points&limit=1')
+        .set('Authorization', getAuthHeader(admin))
+        .expect(200);
+
+      expect(first.body.users.map(user => user.username)).toEqual(['points_high']);
+
+      const second = await request(app)
+        .get('/api/admin/users')
+        .query({ sort: '-points', limit: 2, cursor: first.body.pagination.nextCursor })
+        .set('Authorization', getAuthHeader(admin))
+        .expect(200);
+
+      expect(second.body.users.map(user => user.username)).toEqual(['points_low', 'points_admin']);
+      expect(second.body.pagination.hasMore).toBe(false);
+    });
+  });
+
+  describe('PUT /api/admin/users/:id', () => {
+    it('should audit role changes', async () => {
+      const admin = await createTestAdmin({ username: 'audit_admin', email: 'audit_admin@test.com' });
+      const user = await createTestUser({ username: 'audit_user', email: 'audit_user@test.com' });
+
+      await request(app)
+        .put(`/api/admin/users/${user._id}`)
+        .set('Authorization', getAuthHeader(admin))
+        .send({ role: 'verifier', reason: 'Trusted contributor' })
+        .expect(200);
+
+      const entry = await AuditLog.findOne({ targetId: user._id });
+      expect(entry.action).toBe('user.role_change');
+      expect(entry.targetType).toBe('User');
+      expect(entry.toObject().changes).toEqual([{ field: 'role', before: 'contributor', after: 'verifier' }]);
+    });
+  });
+
+  describe('POST /api/admin/users/:id/unlock', () => {
+    it('should unlock a locked account and audit it', async () => {
+      const admin = await createTestAdmin({ username: 'unlock_admin', email: 'unlock_admin@test.com' });
+      const user = await createTestUser({
+        username: 'locked_user',
+        email: 'locked_user@test.com',
+        failedLoginAttempts: 2,
+        lockCount: 1,
+        lockUntil: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'locked_user', password: 'password123' })
+        .expect(423);
+
+      await request(app)
+        .post(`/api/admin/users/${user._id}/unlock`)
+        .set('Authorization', getAuthHeader(admin))
+        .send({ reason: 'Owner confirmed by email' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'locked_user', password: 'password123' })
+        .expect(200);
+
+      const entry = await AuditLog.findOne({ targetId: user._id, action: 'user.unlock' });
+      expect(entry.reason).toBe('Owner confirmed by email');
+    });
+
+    it('should not be available to other roles', async () => {
+      const user = await createTestUser({ username: 'plain_user', email: 'plain_user@test.com' });
+
+      await request(app)
+        .post(`/api/admin/users/${user._id}/unlock`)
+        .set('Authorization', getAuthHeader(user))
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/admin/audit', () => {
+    it('should filter audit entries by target type', async () => {
+      const admin = await createTestAdmin({ username: 'audit_admin', email: 'audit_admin@test.com' });
+      const user = await createTestUser({ username: 'audit_user', email: 'audit_user@test.com' });
+      const submission = await createTestSubmission();
+      const authHeader = getAuthHeader(admin);
+
+      await request(app)
+        .put(`/api/admin/users/${user._id}`)
+        .set('Authorization', authHeader)
+        .send({ points: 50 })
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/admin/submissions/${submission._id}`)
+        .set('Authorization', authHeader)
+        .send({ reason: 'Duplicate' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/admin/audit?targetType=Submission')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.logs).toHaveLength(1);
+      expect(response.body.logs[0].action).toBe('submission.delete');
+      expect(response.body.logs[0].actor.username).toBe(admin.username);
+      expect(response.body.pagination.total).toBe(1);
+    });
+
+    it('should treat filters as plain values, not query operators', async () => {
+      const admin = await createTestAdmin({ username: 'audit_admin', email: 'audit_admin@test.com' });
+      const user = await createTestUser({ username: 'audit_user', email: 'audit_user@test.com' });
+      const authHeader = getAuthHeader(admin);
+
+      await request(app)
+        .put(`/api/admin/users/${user._id}`)
+        .set('Authorization', authHeader)
+        .send({ points: 50 })
+        .expect(200);
+
+      const byOperator = await request(app)
+        .get('/api/admin/audit?action[$regex]=.*&targetType[$ne]=x')
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(byOperator.body.logs).toHaveLength(0);
+
+      await request(app)
+        .get('/api/admin/audit?actor[$ne]=x')
+        .set('Authorization', authHeader)
+        .expect(400);
+
+      await request(app)
+        .get('/api/admin/audit?targetId=not-an-id')
+        .set('Authorization', authHeader)
+        .expect(400);
+
+      const byActor = await request(app)
+        .get(`/api/admin/audit?actor=${admin._id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(byActor.body.logs).toHaveLength(1);
+
+      const escalations = await request(app)
+        .get('/api/admin/submissions/escalated?country[$ne]=x')
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(escalations.body.submissions).toHaveLength(0);
+    });
+
+    it('should return 403 for non-admin users', async () => {
+      const user = await createTestUser({ username: 'audit_user', email: 'audit_user@test.com' });
+
+      await request(app)
+        .get('/api/admin/audit')
+        .set('Authorization', getAuthHeader(user))
+        .expect(403);
+    });
+  });
+});
@@ -1,7 +1,10 @@
 import request from 'supertest';
+import jwt from 'jsonwebtoken';
 import { createTestApp } from '../utils/testApp.js';
-import { createTestUser, getAuthHeader, generateToken } from '../utils/testHelpers.js';
+import { createTestUser, getAuthHeader } from '../utils/testHelpers.js';
 import User from '../../src/models/User.js';
+import SystemLog from '../../src/models/SystemLog.js';
+import config from '../../src/config/config.js';
 
 describe('Auth API Integration Tests', () => {
   let app;
@@ -30,6 +33,10 @@ describe('Auth API Integration Tests', () => {
       expect(response.body.user.email).toBe(userData.email);
       expect(response.body.user).not.toHaveProperty('password');
       expect(response.body).toHaveProperty('accessToken');
+      expect(response.body.user.emailVerified).toBe(false);
+
+      const saved = await User.findOne({ username: userData.username }).select('+emailVerificationToken');
+      expect(saved.emailVerificationToken).toMatch(/^[a-f0-9]{64}$/);
     });
 
     it('should return 400 for missing required fields', async () => {
@@ -168,6 +175,61 @@ describe('Auth API Integration Tests', () => {
     });
   });
 
+  describe('Account lockout', () => {
+    const attempt = (username, password) =>
+      request(app)
+        .post('/api/auth/login')
+        .send({ username, password });
+
+    const failRepeatedly = async (username, times) => {
+      for (let i = 0; i < times; i += 1) {
+        await attempt(username, 'wrongpassword');
+      }
+    };
+
+    it('should lock the account after repeated failed logins', async () => {
+      const user = await createTestUser({ username: 'lockeduser' });
+
+      await failRepeatedly('lockeduser', config.loginMaxAttempts - 1);
+      const locking = await attempt('lockeduser', 'wrongpassword').expect(423);
+
+      expect(locking.body.errorCode).toBe('ACCOUNT_LOCKED');
+      expect(Number(locking.headers['retry-after'])).toBeGreaterThan(0);
+
+      // Even the right password is refused while locked
+      await attempt('lockeduser', 'password123').expect(423);
+
+      const lockEvent = await SystemLog.findOne({ action: 'auth.account_locked', user: user._id });
+      expect(lockEvent).not.toBeNull();
+      const failures = await SystemLog.countDocuments({ action: 'auth.login_failed', user: user._id });
+      expect(failures).toBe(config.loginMaxAttempts + 1);
+    });
+
+    it('should lock for longer each time before a successful login', async () => {
+      const user = await createTestUser({ username: 'repeatuser' });
+      await User.updateOne({ _id: user._id }, { lockCount: 2, lockUntil: new Date(Date.now() - 1000) });
+
+      await failRepeatedly('repeatuser', config.loginMaxAttempts);
+
+      const saved = await User.findById(user._id);
+      const minutes = (saved.lockUntil.getTime() - Date.now()) / 60000;
+      expect(minutes).toBeGreaterThan(config.loginLockoutMinutes * 4 - 1);
+      expect(saved.lockCount).toBe(3);
+    });
+
+    it('should reset the failure count after a successful login', async () => {
+      const user = await createTestUser({ username: 'recovereduser' });
+
+      await failRepeatedly('recovereduser', config.loginMaxAttempts - 1);
+      await attempt('recovereduser', 'password123').expect(200);
+      await attempt('recovereduser', 'wrongpassword').expect(401);
+
+      const saved = await User.findById(user._id);
+      expect(saved.failedLoginAttempts).toBe(1);
+      expect(saved.lockCount).toBe(0);
+    });
+  });
+
   describe('GET /api/auth/me', () => {
     it('should return current user when authenticated', async () => {
       const user = await createTestUser({ username: 'meuser', email: 'me@test.com' });
@@ -217,13 +279,17 @@ describe('Auth API Integration Tests', () => {
   });
 
   describe('POST /api/auth/refresh', () => {
-    it('should refresh access token with valid refresh token', async () => {
-      const user = await createTestUser();
-      const refreshToken = generateToken(user, 'refresh');
+    const signIn = async (username) => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username, password: 'password123' })
+        .expect(200);
+      return response.body;
+    };
 
-      // Add refresh token to user's refreshTokens array
-      user.refreshTokens.push({ token: refreshToken });
-      await user.save();
+    it('should rotate the refresh token on every refresh', async () => {
+      await createTestUser({ username: 'rotateuser' });
+      const { refreshToken } = await signIn('rotateuser');
 
       const response = await request(app)
         .post('/api/auth/refresh')
@@ -232,6 +298,85 @@ describe('Auth API Integration Tests', () => {
 
       expect(response.body.success).toBe(true);
       expect(response.body).toHaveProperty('accessToken');
+      expect(response.body.refreshToken).not.toBe(refreshToken);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: response.body.refreshToken })
+        .expect(200);
+    });
+
+    it('should store only hashes of refresh tokens', async () => {
+      const user = await createTestUser({ username: 'hashuser' });
+      const { refreshToken } = await signIn('hashuser');
+
+      const saved = await User.findById(user._id).select('+refreshTokens');
+
+      expect(saved.refreshTokens).toHaveLength(1);
+      expect(saved.refreshTokens[0].tokenHash).toBe(User.hashToken(refreshToken));
+    });
+
+    it('should sign out the session when a refresh token is reused', async () => {
+      await createTestUser({ username: 'reuseuser' });
+      const { refreshToken } = await signIn('reuseuser');
+
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const reused = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(reused.body.errorCode).toBe('SESSION_REVOKED');
+
+      // The token issued by the rotation belonged to the same session
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.refreshToken })
+        .expect(401);
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${rotated.body.accessToken}`)
+        .expect(401);
+    });
+
+    it('should reject refresh tokens after logout', async () => {
+      await createTestUser({ username: 'logoutuser' });
+      const { accessToken, refreshToken } = await signIn('logoutuser');
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+
+    it('should reject refresh tokens after a password change', async () => {
+      await createTestUser({ username: 'changeuser' });
+      const laptop = await signIn('changeuser');
+      const phone = await signIn('changeuser');
+
+      const response = await request(app)
+        .put('/api/auth/password')
+        .set('Authorization', `Bearer ${laptop.accessToken}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: phone.refreshToken })
+        .expect(401);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: response.body.refreshToken })
+        .expect(200);
     });
 
     it('should return 401 for invalid refresh token', async () => {
@@ -244,6 +389,90 @@ describe('Auth API Integration Tests', () => {
     });
   });
 
+  describe('Sessions', () => {
+    const signIn = async (username, userAgent) => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', userAgent)
+        .send({ username, password: 'password123' })
+        .expect(200);
+      return response.body;
+    };
+
+    it('should list active sessions and mark the current one', async () => {
+      await createTestUser({ username: 'sessionuser' });
+      const laptop = await signIn('sessionuser', 'Laptop Browser');
+      await signIn('sessionuser', 'Phone Browser');
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.accessToken}`)
+        .expect(200);
+
+      expect(response.body.sessions).toHaveLength(2);
+      const current = response.body.sessions.find(session => session.current);
+      expect(current.userAgent).toBe('Laptop Browser');
+      expect(response.body.sessions[0]).not.toHaveProperty('tokenHash');
+    });
+
+    it('should sign out another device', async () => {
+      await createTestUser({ username: 'revokeuser' });
+      const laptop = await signIn('revokeuser', 'Laptop Browser');
+      const phone = await signIn('revokeuser', 'Phone Browser');
+
+      const listing = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.accessToken}`)
+        .expect(200);
+      const phoneSession = listing.body.sessions.find(session => !session.current);
+
+      await request(app)
+        .delete(`/api/auth/sessions/${phoneSession.id}`)
+        .set('Authorization', `Bearer ${laptop.accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${phone.accessToken}`)
+        .expect(401);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: phone.refreshToken })
+        .expect(401);
+    });
+
+    it('should sign out every other device', async () => {
+      await createTestUser({ username: 'everyuser' });
+      const laptop = await signIn('everyuser', 'Laptop Browser');
+      await signIn('everyuser', 'Phone Browser');
+      await signIn('everyuser', 'Tablet Browser');
+
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.accessToken}`)
+        .expect(200);
+
+      expect(response.body.revoked).toBe(2);
+
+      const listing = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.accessToken}`)
+        .expect(200);
+
+      expect(listing.body.sessions).toHaveLength(1);
+      expect(listing.body.sessions[0].current).toBe(true);
+    });
+
+    it('should return 404 for sessions that are not the user\'s', async () => {
+      const user = await createTestUser({ username: 'nosessionuser' });
+
+      await request(app)
+        .delete('/api/auth/sessions/507f1f77bcf86cd799439011')
+        .set('Authorization', getAuthHeader(user))
+        .expect(404);
+    });
+  });
+
   describe('PUT /api/auth/profile', () => {
     it('should update user profile when authenticated', async () => {
       const user = await createTestUser({ username: 'profileuser', country: 'Ghana' });
@@ -324,5 +553,140 @@ describe('Auth API Integration Tests', () => {
       expect(response.body.success).toBe(false);
     });
   });
-});
 
+  describe('POST /api/auth/verify-email', () => {
+    it('should confirm the email address with a valid token', async () => {
+      const user = await createTestUser({ emailVerified: false });
+      const token = user.createEmailVerificationToken();
+      await user.save();
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(200);
+
+      expect(response.body.user.emailVerified).toBe(true);
+
+      // Tokens are single use
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(400);
+    });
+
+    it('should reject expired tokens', async () => {
+      const user = await createTestUser({ emailVerified: false });
+      const token = user.createEmailVerificationToken();
+      user.emailVerificationExpires = new Date(Date.now() - 1000);
+      await user.save();
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(400);
+
+      expect(response.body.errorCode).toBe('TOKEN_INVALID');
+    });
+
+    it('should keep unconfirmed users from submitting sources', async () => {
+      const user = await createTestUser({ emailVerified: false });
+
+      const response = await request(app)
+        .post('/api/submissions')
+        .set('Authorization', getAuthHeader(user))
+        .send({
+          url: 'https://example.com/unverified',
+          title: 'Unverified source',
+          publisher: 'Example',
+          country: 'Ghana',
+          category: 'secondary'
+        })
+        .expect(403);
+
+      expect(response.body.errorCode).toBe('EMAIL_NOT_VERIFIED');
+    });
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    it('should store a hashed reset token for known accounts', async () => {
+      const user = await createTestUser({ email: 'forgetful@test.com' });
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'forgetful@test.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      const saved = await User.findById(user._id).select('+passwordResetToken +passwordResetExpires');
+      expect(saved.passwordResetToken).toMatch(/^[a-f0-9]{64}$/);
+      expect(saved.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should give the same answer for unknown emails', async () => {
+      await createTestUser({ email: 'known@test.com' });
+
+      const known = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'known@test.com' })
+        .expect(200);
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@test.com' })
+        .expect(200);
+
+      expect(unknown.body).toEqual(known.body);
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('should reset the password once per token', async () => {
+      const user = await createTestUser({ username: 'resetuser', password: 'oldpassword' });
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'resetuser', password: 'newpassword123' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'anotherpassword' })
+        .expect(400);
+    });
+
+    it('should invalidate tokens issued before the reset', async () => {
+      const user = await createTestUser();
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      const issuedAt = Math.floor(Date.now() / 1000) - 60;
+      const oldToken = jwt.sign({ id: user._id, iat: issuedAt }, process.env.JWT_SECRET);
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword123' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${oldToken}`)
+        .expect(401);
+
+      expect(response.body.errorCode).toBe('TOKEN_EXPIRED');
+    });
+
+    it('should reject invalid tokens', async () => {
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'not-a-real-token', password: 'newpassword123' })
+        .expect(400);
+    });
+  });
+});
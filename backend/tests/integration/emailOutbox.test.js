@@ -0,0 +1,281 @@
+import request from 'supertest';
+import { createTestApp } from '../utils/testApp.js';
+import { createTestUser, createTestAdmin, createTestVerifier, getAuthHeader } from '../utils/testHelpers.js';
+import { startMockSmtp } from '../utils/mockSmtpServer.js';
+import config from '../../src/config/config.js';
+import CountryStats from '../../src/models/CountryStats.js';
+import EmailMessage from '../../src/models/EmailMessage.js';
+import SystemLog from '../../src/models/SystemLog.js';
+import { processOutbox } from '../../src/services/emailService.js';
+
+describe('Email outbox', () => {
+  let app;
+  let smtp;
+  const originalEmail = config.email;
+
+  beforeAll(async () => {
+    app = createTestApp();
+    smtp = await startMockSmtp();
+    config.email = {
+      ...originalEmail,
+      host: '127.0.0.1',
+      port: smtp.port,
+      secure: false,
+      user: undefined,
+      from: 'WikiSourceVerifier <no-reply@test.org>',
+      maxAttempts: 3,
+      retryBaseSeconds: 60
+    };
+  });
+
+  afterEach(() => {
+    smtp.messages.length = 0;
+  });
+
+  afterAll(async () => {
+    config.email = originalEmail;
+    await smtp.close();
+  });
+
+  const register = (username) =>
+    request(app)
+      .post('/api/auth/register')
+      .send({ username, email: `${username}@test.com`, password: 'password123', country: 'Ghana' })
+      .expect(201);
+
+  // Make retries due now instead of waiting out the backoff
+  const makeDue = () => EmailMessage.updateMany({}, { nextAttemptAt: new Date(Date.now() - 1000) });
+
+  it('should queue emails and deliver them with HTML and plain-text parts', async () => {
+    await register('outboxuser');
+
+    const queued = await EmailMessage.findOne({ to: 'outboxuser@test.com' });
+    expect(queued).toMatchObject({ template: 'email-verification', templateVersion: 1, status: 'pending' });
+    expect(smtp.messages).toHaveLength(0);
+
+    const result = await processOutbox();
+    expect(result).toEqual({ sent: 1, retrying: 0, failed: 0 });
+
+    const [message] = smtp.messages;
+    expect(message.to).toEqual(['outboxuser@test.com']);
+    expect(message.subject).toBe('Confirm your email address');
+    expect(message.body).toContain('Content-Type: text/plain');
+    expect(message.body).toContain('Content-Type: text/html');
+    expect(message.body).toMatch(/\/auth\?verify=[a-f0-9]+/);
+
+    const sent = await EmailMessage.findById(queued._id);
+    expect(sent.status).toBe('sent');
+    expect(sent.attempts).toBe(1);
+    expect(sent.messageId).toBeTruthy();
+  });
+
+  it('should escape user-supplied values in HTML', async () => {
+    const user = await createTestUser({ username: 'escaper', email: 'escaper@test.com' });
+
+    await request(app)
+      .post('/api/submissions')
+      .set('Authorization', getAuthHeader(user))
+      .send({
+        url: 'https://example.com/escaped',
+        // Links pass the input sanitiser but must not become live in the email
+        title: '<a href="https://evil.example">Claim prize</a> & Sons',
+        publisher: 'Example News',
+        country: 'Ghana',
+        category: 'secondary'
+      })
+      .expect(201);
+
+    await processOutbox();
+
+    const message = smtp.messages.find(item => item.subject === 'Submission Received');
+    const html = message.body.slice(message.body.indexOf('Content-Type: text/html'));
+    expect(html).toContain('&lt;a href=&quot;https://evil.example&quot;&gt;Claim prize&lt;/a&gt; &amp; Sons');
+    expect(html).not.toContain('href="https://evil.example"');
+
+    // The plain-text part shows the title as written
+    expect(message.body).toContain('"<a href="https://evil.example">Claim prize</a> & Sons"');
+  });
+
+  it('should retry temporary failures with exponential backoff', async () => {
+    await register('retryuser');
+    smtp.failNext(2);
+
+    expect(await processOutbox()).toEqual({ sent: 0, retrying: 1, failed: 0 });
+
+    let email = await EmailMessage.findOne({ to: 'retryuser@test.com' });
+    expect(email.status).toBe('pending');
+    expect(email.lastError).toContain('451');
+    const firstDelay = email.nextAttemptAt - Date.now();
+    expect(firstDelay).toBeGreaterThan(55 * 1000);
+    expect(firstDelay).toBeLessThanOrEqual(60 * 1000);
+
+    // Not due yet
+    expect(await processOutbox()).toEqual({ sent: 0, retrying: 0, failed: 0 });
+
+    await makeDue();
+    await processOutbox();
+    email = await EmailMessage.findOne({ to: 'retryuser@test.com' });
+    expect(email.nextAttemptAt - Date.now()).toBeGreaterThan(115 * 1000);
+
+    await makeDue();
+    expect(await processOutbox()).toEqual({ sent: 1, retrying: 0, failed: 0 });
+    email = await EmailMessage.findOne({ to: 'retryuser@test.com' });
+    expect(email.status).toBe('sent');
+    expect(email.attempts).toBe(3);
+    expect(email.lastError).toBeUndefined();
+  });
+
+  it('should give up after the last attempt, or straight away on a permanent failure', async () => {
+    await register('bouncer');
+    smtp.failNext(1, '550 5.1.1 No such user');
+
+    expect(await processOutbox()).toEqual({ sent: 0, retrying: 0, failed: 1 });
+    const bounced = await EmailMessage.findOne({ to: 'bouncer@test.com' });
+    expect(bounced.status).toBe('failed');
+
+    await register('unlucky');
+    smtp.failNext(config.email.maxAttempts);
+    for (let i = 0; i < config.email.maxAttempts; i += 1) {
+      await makeDue();
+      await processOutbox();
+    }
+
+    const email = await EmailMessage.findOne({ to: 'unlucky@test.com' });
+    expect(email.status).toBe('failed');
+    expect(email.attempts).toBe(config.email.maxAttempts);
+
+    const event = await SystemLog.findOne({ action: 'email.failed', 'details.emailId': email._id });
+    expect(event.level).toBe('error');
+  });
+
+  it('should not send anything until SMTP is configured', async () => {
+    await register('waiting');
+    config.email = { ...config.email, host: undefined };
+
+    try {
+      expect(await processOutbox()).toEqual({ sent: 0, retrying: 0, failed: 0 });
+    } finally {
+      config.email = { ...config.email, host: '127.0.0.1' };
+    }
+
+    const email = await EmailMessage.findOne({ to: 'waiting@test.com' });
+    expect(email.status).toBe('pending');
+  });
+
+  describe('Review requests', () => {
+    const submit = (user, data) =>
+      request(app)
+        .post('/api/submissions')
+        .set('Authorization', getAuthHeader(user))
+        .send({ publisher: 'Example News', ...data })
+        .expect(201);
+
+    const reviewRequestsTo = async () => {
+      const emails = await EmailMessage.find({ template: 'submission-pending-review' });
+      return emails.map(email => email.to).sort();
+    };
+
+    it('should go to the active verifiers assigned to the country, by specialization', async () => {
+      const submitter = await createTestUser({ username: 'routedsubmitter', email: 'routedsubmitter@test.com' });
+      const generalist = await createTestVerifier({ username: 'generalist', email: 'generalist@test.com', country: 'GH' });
+      const specialist = await createTestVerifier({ username: 'specialist', email: 'specialist@test.com', country: 'GH' });
+      const retired = await createTestVerifier({ username: 'retired', email: 'retired@test.com', country: 'GH' });
+      await createTestVerifier({ username: 'unassigned', email: 'unassigned@test.com', country: 'GH' });
+      await createTestAdmin({ username: 'routingadmin', email: 'routingadmin@test.com' });
+
+      await CountryStats.create({
+        countryCode: 'GH',
+        countryName: 'Ghana',
+        verifiers: [
+          { userId: generalist._id },
+          { userId: specialist._id, specializations: ['Primary'] },
+          { userId: retired._id, isActive: false }
+        ]
+      });
+
+      await submit(submitter, { url: 'https://example.com/secondary', title: 'Secondary Source', country: 'GH', category: 'secondary' });
+      expect(await reviewRequestsTo()).toEqual(['generalist@test.com']);
+
+      await EmailMessage.deleteMany({});
+      await submit(submitter, { url: 'https://example.com/primary', title: 'Primary Source', country: 'GH', category: 'primary' });
+      expect(await reviewRequestsTo()).toEqual(['generalist@test.com', 'specialist@test.com']);
+    });
+
+    it('should ask every assigned verifier when no specialization matches', async () => {
+      const submitter = await createTestUser({ username: 'nomatchsubmitter', email: 'nomatchsubmitter@test.com' });
+      const specialist = await createTestVerifier({ username: 'newsonly', email: 'newsonly@test.com', country: 'NG' });
+      await CountryStats.create({
+        countryCode: 'NG',
+        countryName: 'Nigeria',
+        verifiers: [{ userId: specialist._id, specializations: ['primary'] }]
+      });
+
+      await submit(submitter, { url: 'https://example.com/unreliable', title: 'Rumour Mill', country: 'NG', category: 'unreliable' });
+      expect(await reviewRequestsTo()).toEqual(['newsonly@test.com']);
+    });
+
+    it('should fall back to the admins for countries without assigned verifiers', async () => {
+      const submitter = await createTestVerifier({ username: 'selfassigned', email: 'selfassigned@test.com', country: 'KE' });
+      await createTestAdmin({ username: 'fallbackadmin', email: 'fallbackadmin@test.com' });
+      await createTestVerifier({ username: 'kenyaverifier', email: 'kenyaverifier@test.com', country: 'KE' });
+      // Submitters are never asked to review their own source
+      await CountryStats.create({ countryCode: 'KE', countryName: 'Kenya', verifiers: [{ userId: submitter._id }] });
+
+      await submit(submitter, { url: 'https://example.com/kenya', title: 'Kenyan Source', country: 'KE', category: 'secondary' });
+      expect(await reviewRequestsTo()).toEqual(['fallbackadmin@test.com']);
+    });
+  });
+
+  describe('Admin', () => {
+    it('should list emails by status without their bodies and retry failed ones', async () => {
+      const admin = await createTestAdmin({ username: 'mailadmin', email: 'mailadmin@test.com' });
+      await register('failing');
+      smtp.failNext(1, '554 5.7.1 Rejected');
+      await processOutbox();
+
+      const list = await request(app)
+        .get('/api/admin/emails?status=failed')
+        .set('Authorization', getAuthHeader(admin))
+        .expect(200);
+
+      expect(list.body.emails).toHaveLength(1);
+      expect(list.body.emails[0].to).toBe('failing@test.com');
+      expect(list.body.emails[0]).not.toHaveProperty('html');
+      expect(list.body.emails[0]).not.toHaveProperty('text');
+
+      const id = list.body.emails[0]._id;
+      await request(app)
+        .post(`/api/admin/emails/${id}/retry`)
+        .set('Authorization', getAuthHeader(admin))
+        .send({ reason: 'Mailbox restored' })
+        .expect(200);
+
+      // Only failed emails can be retried
+      await request(app)
+        .post(`/api/admin/emails/${id}/retry`)
+        .set('Authorization', getAuthHeader(admin))
+        .expect(400);
+
+      expect(await processOutbox()).toMatchObject({ sent: 1 });
+      expect((await EmailMessage.findById(id)).status).toBe('sent');
+    });
+
+    it('should treat filters as plain values, not query operators', async () => {
+      const admin = await createTestAdmin({ username: 'filteradmin', email: 'filteradmin@test.com' });
+      await register('filtered');
+
+      const injected = await request(app)
+        .get('/api/admin/emails?status[$ne]=x&template[$ne]=x')
+        .set('Authorization', getAuthHeader(admin))
+        .expect(200);
+      expect(injected.body.emails).toHaveLength(0);
+
+      const arrayTo = await request(app)
+        .get('/api/admin/emails?to[]=FILTERED@test.com')
+        .set('Authorization', getAuthHeader(admin))
+        .expect(200);
+      expect(arrayTo.body.emails.length).toBeGreaterThan(0);
+      expect(arrayTo.body.emails.every(email => email.to === 'filtered@test.com')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+import http from 'http';
+import request from 'supertest';
+import { createTestApp } from '../utils/testApp.js';
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestVerifier,
+  createTestSubmission,
+  getAuthHeader
+} from '../utils/testHelpers.js';
+import config from '../../src/config/config.js';
+import CountryStats from '../../src/models/CountryStats.js';
+import { checkSubmissionLink, runLinkChecks } from '../../src/services/linkCheckService.js';
+
+// Toggled by tests to bring /flaky back up
+let flakyIsUp = false;
+
+// Stand-in for the sites that sources link to, and for the Wayback Machine API
+const routes = {
+  '/ok': (req, res) => res.writeHead(200).end('ok'),
+  '/moved': (req, res) => res.writeHead(301, { Location: '/new-home' }).end(),
+  '/new-home': (req, res) => res.writeHead(200).end('moved here'),
+  '/gone': (req, res) => res.writeHead(404).end('not found'),
+  '/flaky': (req, res) => res.writeHead(flakyIsUp ? 200 : 503).end(),
+  // Rejects HEAD like some real servers do
+  '/get-only': (req, res) => res.writeHead(req.method === 'HEAD' ? 405 : 200).end(),
+  '/wayback': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      archived_snapshots: {
+        closest: { available: true, url: 'https://web.archive.org/web/20240131120000/https://example.com/gone' }
+      }
+    }));
+  }
+};
+
+describe('Source link checks', () => {
+  let app;
+  let server;
+  let baseUrl;
+  const originalConfig = { ...config };
+
+  beforeAll(async () => {
+    app = createTestApp();
+    server = http.createServer((req, res) => {
+      const handler = routes[new URL(req.url, 'http://localhost').pathname];
+      if (handler) return handler(req, res);
+      res.writeHead(500).end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    config.archiveLookupUrl = `${baseUrl}/wayback`;
+    config.linkCheckFailureThreshold = 2;
+    config.allowPrivateHosts = true;
+  });
+
+  afterAll(async () => {
+    Object.assign(config, originalConfig);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const createApproved = (path, submitter, overrides = {}) =>
+    createTestSubmission({
+      url: `${baseUrl}${path}`,
+      status: 'approved',
+      credibility: 'credible',
+      ...overrides
+    }, submitter);
+
+  it('should record a healthy link', async () => {
+    const submission = await createApproved('/ok');
+
+    await checkSubmissionLink(submission);
+
+    expect(submission.linkHealth.status).toBe('ok');
+    expect(submission.linkHealth.httpStatus).toBe(200);
+    expect(submission.linkHealth.lastCheckedAt).toBeInstanceOf(Date);
+    expect(submission.linkHealth.consecutiveFailures).toBe(0);
+  });
+
+  it('should record redirects and the final URL', async () => {
+    const submission = await createApproved('/moved');
+
+    await checkSubmissionLink(submission);
+
+    expect(submission.linkHealth.status).toBe('redirected');
+    expect(submission.linkHealth.finalUrl).toBe(`${baseUrl}/new-home`);
+    expect(submission.linkHealth.redirects.map(hop => hop.status)).toEqual([301]);
+  });
+
+  it('should fall back to GET when a server rejects HEAD', async () => {
+    const submission = await createApproved('/get-only');
+
+    await checkSubmissionLink(submission);
+
+    expect(submission.linkHealth.status).toBe('ok');
+  });
+
+  it('should flag a dead link for re-review after repeated failures', async () => {
+    const submission = await createApproved('/gone');
+
+    await checkSubmissionLink(submission);
+    expect(submission.linkHealth.status).toBe('broken');
+    expect(submission.linkHealth.httpStatus).toBe(404);
+    expect(submission.escalation.isEscalated).toBe(false);
+
+    await checkSubmissionLink(submission);
+    expect(submission.linkHealth.consecutiveFailures).toBe(2);
+    expect(submission.linkHealth.flaggedAt).toBeInstanceOf(Date);
+    expect(submission.escalation.isEscalated).toBe(true);
+    expect(submission.escalation.kind).toBe('link');
+    expect(submission.archiveUrl).toBe('https://web.archive.org/web/20240131120000/https://example.com/gone');
+  });
+
+  it('should clear the flag once the link recovers', async () => {
+    flakyIsUp = false;
+    const submission = await createApproved('/flaky');
+
+    await checkSubmissionLink(submission);
+    await checkSubmissionLink(submission);
+    expect(submission.escalation.isEscalated).toBe(true);
+
+    flakyIsUp = true;
+    await checkSubmissionLink(submission);
+
+    expect(submission.linkHealth.status).toBe('ok');
+    expect(submission.linkHealth.flaggedAt).toBeUndefined();
+    expect(submission.escalation.isEscalated).toBe(false);
+    expect(submission.escalation.resolvedAt).toBeInstanceOf(Date);
+  });
+
+  it('should not count reviews again when an admin resolves a dead link', async () => {
+    const admin = await createTestAdmin();
+    const verifier = await createTestVerifier({ username: 'linkverifier', email: 'linkverifier@test.com' });
+    await CountryStats.create({
+      countryCode: 'GH',
+      countryName: 'Ghana',
+      topVerifiers: [{ userId: verifier._id, username: 'linkverifier', reviewsCompleted: 1, alignedReviews: 1, accuracy: 100 }]
+    });
+    const submission = await createApproved('/gone', null, {
+      country: 'GH',
+      reviews: [{ verifier: verifier._id, vote: 'approved', credibility: 'credible' }]
+    });
+
+    await checkSubmissionLink(submission);
+    await checkSubmissionLink(submission);
+    expect(submission.escalation.isEscalated).toBe(true);
+
+    await request(app)
+      .put(`/api/admin/submissions/${submission._id}/override`)
+      .set('Authorization', getAuthHeader(admin))
+      .send({ status: 'rejected', adminNotes: 'Link is gone for good' })
+      .expect(200);
+
+    const stats = await CountryStats.findOne({ countryCode: 'GH' });
+    expect(stats.topVerifiers[0].reviewsCompleted).toBe(1);
+    expect(stats.topVerifiers[0].accuracy).toBe(100);
+  });
+
+  it('should report unreachable hosts without throwing', async () => {
+    // Reserve a port and release it so nothing is listening there
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const submission = await createApproved('/ok', null, { url: `http://127.0.0.1:${port}/unreachable` });
+
+    await checkSubmissionLink(submission);
+
+    expect(submission.linkHealth.status).toBe('unreachable');
+    expect(submission.linkHealth.error).toBe('Connection refused');
+  });
+
+  it('should only check approved links that are due', async () => {
+    const submitter = await createTestUser({ username: 'linkuser', email: 'linkuser@test.com' });
+    await createApproved('/ok', submitter);
+    await createApproved('/gone', submitter, {
+      linkHealth: { status: 'ok', lastCheckedAt: new Date() }
+    });
+    await createTestSubmission({ url: `${baseUrl}/gone` }, submitter);
+
+    const result = await runLinkChecks();
+
+    expect(result).toEqual({ checked: 1, healthy: 1, failed: 0, flagged: 0 });
+  });
+
+  describe('POST /api/submissions/:id/check-link', () => {
+    it('should check a link on demand for verifiers', async () => {
+      const verifier = await createTestVerifier();
+      const submission = await createApproved('/gone');
+
+      const response = await request(app)
+        .post(`/api/submissions/${submission._id}/check-link`)
+        .set('Authorization', getAuthHeader(verifier))
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.linkHealth.status).toBe('broken');
+
+      const listing = await request(app)
+        .get('/api/submissions?linkStatus=broken')
+        .expect(200);
+
+      expect(listing.body.count).toBe(1);
+    });
+
+    it('should not be available to contributors', async () => {
+      const user = await createTestUser({ username: 'contributor', email: 'contributor@test.com' });
+      const submission = await createApproved('/ok', user);
+
+      await request(app)
+        .post(`/api/submissions/${submission._id}/check-link`)
+        .set('Authorization', getAuthHeader(user))
+        .expect(403);
+    });
+  });
+});
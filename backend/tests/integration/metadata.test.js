@@ -0,0 +1,184 @@
+import dns from 'dns';
+import http from 'http';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import { createTestApp } from '../utils/testApp.js';
+import { createTestUser, getAuthHeader } from '../utils/testHelpers.js';
+import config from '../../src/config/config.js';
+import Publisher from '../../src/models/Publisher.js';
+
+const NEWS_PAGE = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Budget passed | Daily Graphic</title>
+  <meta property="og:title" content="Parliament passes the 2024 budget">
+  <meta property="og:site_name" content="Daily Graphic">
+  <meta name="description" content="MPs approved the budget &amp; the finance bill.">
+  <script type="application/ld+json">
+    {"@context": "https://schema.org", "@type": "NewsArticle",
+     "headline": "Parliament passes the 2024 budget",
+     "datePublished": "2024-03-01T10:00:00Z",
+     "author": [{"@type": "Person", "name": "Ama Mensah"}],
+     "publisher": {"@type": "Organization", "name": "Graphic Communications Group"}}
+  </script>
+</head>
+<body><p>Story</p></body>
+</html>`;
+
+const PAPER_PAGE = `<html><head>
+  <title>Journal page</title>
+  <meta name="citation_title" content="Malaria incidence in coastal districts">
+  <meta name="citation_author" content="Owusu, K.">
+  <meta name="citation_author" content="Boateng, E.">
+  <meta name="citation_publication_date" content="2021/05/07">
+  <meta name="citation_journal_title" content="Ghana Medical Journal">
+  <meta name="citation_doi" content="10.4314/gmj.v55i2.1">
+</head><body></body></html>`;
+
+const routes = {
+  '/news': (req, res) => res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end(NEWS_PAGE),
+  '/paper': (req, res) => res.writeHead(200, { 'Content-Type': 'text/html' }).end(PAPER_PAGE),
+  '/old-news': (req, res) => res.writeHead(301, { Location: '/news' }).end(),
+  '/report.pdf': (req, res) => res.writeHead(200, { 'Content-Type': 'application/pdf' }).end('%PDF-1.4'),
+  '/huge': (req, res) => {
+    // Metadata first, then far more markup than the reader will accept
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.write('<html><head><title>Huge page</title></head><body>');
+    const filler = '<p>filler</p>'.repeat(10000);
+    for (let i = 0; i < 20; i += 1) res.write(filler);
+    res.end('</body></html>');
+  }
+};
+
+describe('URL metadata extraction', () => {
+  let app;
+  let server;
+  let baseUrl;
+  let user;
+  const originalAllowPrivateHosts = config.allowPrivateHosts;
+
+  beforeAll(async () => {
+    app = createTestApp();
+    server = http.createServer((req, res) => {
+      const handler = routes[req.url];
+      if (handler) return handler(req, res);
+      res.writeHead(404).end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    config.allowPrivateHosts = originalAllowPrivateHosts;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    // The stub server is on localhost, which the SSRF guard would refuse
+    config.allowPrivateHosts = true;
+    user = await createTestUser({ username: 'metauser', email: 'metauser@test.com' });
+  });
+
+  const lookup = (url) =>
+    request(app)
+      .get('/api/submissions/metadata')
+      .query({ url })
+      .set('Authorization', getAuthHeader(user));
+
+  it('should extract news article metadata and suggest a category', async () => {
+    const response = await lookup(`${baseUrl}/news`).expect(200);
+    const { metadata } = response.body;
+
+    expect(metadata.title).toBe('Parliament passes the 2024 budget');
+    expect(metadata.publisher).toBe('Graphic Communications Group');
+    expect(metadata.publishedDate).toBe('2024-03-01');
+    expect(metadata.authors).toEqual(['Ama Mensah']);
+    expect(metadata.description).toBe('MPs approved the budget & the finance bill.');
+    expect(metadata.suggestedCategory.category).toBe('secondary');
+  });
+
+  it('should prefer citation_* tags for scholarly pages', async () => {
+    const response = await lookup(`${baseUrl}/paper`).expect(200);
+    const { metadata } = response.body;
+
+    expect(metadata.title).toBe('Malaria incidence in coastal districts');
+    expect(metadata.publisher).toBe('Ghana Medical Journal');
+    expect(metadata.publishedDate).toBe('2021-05-07');
+    expect(metadata.authors).toEqual(['Owusu, K.', 'Boateng, E.']);
+    expect(metadata.doi).toBe('10.4314/gmj.v55i2.1');
+    expect(metadata.suggestedCategory.category).toBe('primary');
+  });
+
+  it('should follow redirects and report the final URL', async () => {
+    const response = await lookup(`${baseUrl}/old-news`).expect(200);
+
+    expect(response.body.metadata.finalUrl).toBe(`${baseUrl}/news`);
+  });
+
+  it('should suggest unreliable for publishers verifiers have rejected', async () => {
+    await Publisher.create({
+      slug: '127.0.0.1',
+      country: 'Ghana',
+      domain: '127.0.0.1',
+      name: 'Known Publisher',
+      counts: { approved: 3, rejected: 0, credible: 0, unreliable: 3, total: 3 }
+    });
+
+    const response = await lookup(`${baseUrl}/news`).expect(200);
+
+    expect(response.body.metadata.suggestedCategory.category).toBe('unreliable');
+    expect(response.body.metadata.knownPublisher.name).toBe('Known Publisher');
+  });
+
+  it('should read only the start of very large pages', async () => {
+    const response = await lookup(`${baseUrl}/huge`).expect(200);
+
+    expect(response.body.metadata.title).toBe('Huge page');
+  });
+
+  it('should reject URLs that are not web pages', async () => {
+    await lookup(`${baseUrl}/report.pdf`).expect(422);
+    await lookup(`${baseUrl}/missing`).expect(422);
+    await lookup('ftp://example.com/file').expect(400);
+  });
+
+  it('should refuse private network addresses', async () => {
+    config.allowPrivateHosts = false;
+
+    const response = await lookup(`${baseUrl}/news`).expect(400);
+
+    expect(response.body.message).toMatch(/private or local networks/);
+  });
+
+  it('should refuse hosts that resolve to a private address once connecting', async () => {
+    config.allowPrivateHosts = false;
+    const { port } = server.address();
+    const checkLookup = dns.promises.lookup;
+    const connectLookup = dns.lookup;
+
+    // A rebinding DNS server passes the first lookup, then points the connection at the stub server
+    const checkSpy = jest.spyOn(dns.promises, 'lookup').mockImplementation((host, options) =>
+      host === 'rebind.test' ? Promise.resolve([{ address: '93.184.216.34', family: 4 }]) : checkLookup(host, options));
+    const connectSpy = jest.spyOn(dns, 'lookup').mockImplementation((host, options, callback) =>
+      host === 'rebind.test' ? callback(null, [{ address: '127.0.0.1', family: 4 }]) : connectLookup(host, options, callback));
+
+    try {
+      const response = await lookup(`http://rebind.test:${port}/news`).expect(400);
+
+      expect(response.body.message).toMatch(/private or local networks/);
+      expect(checkSpy).toHaveBeenCalledWith('rebind.test', expect.anything());
+      expect(connectSpy).toHaveBeenCalledWith('rebind.test', expect.anything(), expect.any(Function));
+    } finally {
+      checkSpy.mockRestore();
+      connectSpy.mockRestore();
+    }
+  });
+
+  it('should require authentication', async () => {
+    await request(app)
+      .get('/api/submissions/metadata')
+      .query({ url: `${baseUrl}/news` })
+      .expect(401);
+  });
+});
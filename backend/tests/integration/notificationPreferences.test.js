@@ -0,0 +1,213 @@
+import request from 'supertest';
+import { createTestApp } from '../utils/testApp.js';
+import {
+  createTestUser,
+  createTestVerifier,
+  createTestSubmission,
+  getAuthHeader
+} from '../utils/testHelpers.js';
+import CountryStats from '../../src/models/CountryStats.js';
+import Notification from '../../src/models/Notification.js';
+import EmailMessage from '../../src/models/EmailMessage.js';
+import User from '../../src/models/User.js';
+import { notifyBadgeAwarded, getUnsubscribeLink } from '../../src/services/notificationService.js';
+import { sendDigests } from '../../src/services/digestService.js';
+
+describe('Notification preferences', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  const setPreferences = (user, preferences) =>
+    request(app)
+      .put('/api/notifications/preferences')
+      .set('Authorization', getAuthHeader(user))
+      .send({ preferences });
+
+  const submit = (user, data = {}) =>
+    request(app)
+      .post('/api/submissions')
+      .set('Authorization', getAuthHeader(user))
+      .send({
+        url: 'https://example.com/preferences',
+        title: 'Preferences Article',
+        publisher: 'Example News',
+        country: 'Ghana',
+        category: 'secondary',
+        ...data
+      })
+      .expect(201);
+
+  describe('Settings', () => {
+    it('should return the defaults for every type', async () => {
+      const user = await createTestUser({ username: 'defaultprefs', email: 'defaultprefs@test.com' });
+
+      const response = await request(app)
+        .get('/api/notifications/preferences')
+        .set('Authorization', getAuthHeader(user))
+        .expect(200);
+
+      expect(response.body.preferences).toMatchObject({
+        submission_received: 'email',
+        review_requested: 'email',
+        submission_approved: 'in_app',
+        badge_awarded: 'in_app'
+      });
+      expect(response.body.channels).toEqual(['in_app', 'email', 'daily', 'weekly', 'off']);
+    });
+
+    it('should update channels and reject unknown types or channels', async () => {
+      const user = await createTestUser({ username: 'changeprefs', email: 'changeprefs@test.com' });
+
+      const response = await setPreferences(user, { badge_awarded: 'weekly', submission_received: 'off' }).expect(200);
+      expect(response.body.preferences).toMatchObject({
+        badge_awarded: 'weekly',
+        submission_received: 'off',
+        review_requested: 'email'
+      });
+
+      await setPreferences(user, { newsletter: 'email' }).expect(400);
+      await setPreferences(user, { badge_awarded: 'hourly' }).expect(400);
+      await setPreferences(user, 'email').expect(400);
+
+      const stored = await User.findById(user._id);
+      expect(stored.getNotificationChannel('badge_awarded')).toBe('weekly');
+    });
+
+    it('should require authentication', async () => {
+      await request(app).get('/api/notifications/preferences').expect(401);
+    });
+  });
+
+  describe('Delivery', () => {
+    it('should skip types that are off and email the ones set to email', async () => {
+      const user = await createTestUser({ username: 'deliveryuser', email: 'deliveryuser@test.com' });
+      await setPreferences(user, { submission_received: 'off', badge_awarded: 'email' }).expect(200);
+
+      await submit(user);
+      expect(await Notification.countDocuments({ recipient: user._id })).toBe(0);
+      expect(await EmailMessage.countDocuments({ to: 'deliveryuser@test.com' })).toBe(0);
+
+      await notifyBadgeAwarded(user, { name: 'First Source', icon: '🏅' });
+      expect(await Notification.countDocuments({ recipient: user._id, type: 'badge_awarded' })).toBe(1);
+
+      const email = await EmailMessage.findOne({ to: 'deliveryuser@test.com' });
+      expect(email.template).toBe('notification');
+      expect(email.subject).toBe('New badge');
+      expect(email.text).toContain('/unsubscribe?');
+    });
+
+    it('should keep review requests in-app for verifiers who chose a digest', async () => {
+      const submitter = await createTestUser({ username: 'digestsubmitter', email: 'digestsubmitter@test.com' });
+      const verifier = await createTestVerifier({ username: 'digestverifier', email: 'digestverifier@test.com', country: 'GH' });
+      await CountryStats.create({ countryCode: 'GH', countryName: 'Ghana', verifiers: [{ userId: verifier._id }] });
+      await setPreferences(verifier, { review_requested: 'daily' }).expect(200);
+
+      await submit(submitter, { country: 'GH' });
+
+      const notification = await Notification.findOne({ recipient: verifier._id });
+      expect(notification.type).toBe('review_requested');
+      expect(await EmailMessage.countDocuments({ template: 'submission-pending-review' })).toBe(0);
+    });
+  });
+
+  describe('Digests', () => {
+    it('should summarize pending submissions per country and unread updates', async () => {
+      const submitter = await createTestUser({ username: 'digestcontributor', email: 'digestcontributor@test.com' });
+      const verifier = await createTestVerifier({ username: 'dailyverifier', email: 'dailyverifier@test.com' });
+      await setPreferences(verifier, { review_requested: 'daily', badge_awarded: 'daily' }).expect(200);
+
+      await createTestSubmission({ title: 'Waiting One', url: 'https://example.com/one' }, submitter);
+      await createTestSubmission({ title: 'Waiting Two', url: 'https://example.com/two' }, submitter);
+      await createTestSubmission({ title: 'Elsewhere', url: 'https://example.com/three', country: 'Kenya' }, submitter);
+      await notifyBadgeAwarded(verifier, { name: 'Reviewer' });
+
+      // Digest types are never emailed right away
+      expect(await EmailMessage.countDocuments({ to: 'dailyverifier@test.com' })).toBe(0);
+
+      const now = new Date();
+      expect(await sendDigests('daily', now)).toEqual({ users: 1, sent: 1 });
+
+      const digest = await EmailMessage.findOne({ to: 'dailyverifier@test.com' });
+      expect(digest.template).toBe('notification-digest');
+      expect(digest.subject).toBe('Your daily WikiSourceVerifier digest');
+      expect(digest.text).toContain('- Ghana: 2 pending (2 new)');
+      expect(digest.text).not.toContain('Kenya');
+      expect(digest.text).toContain('- New badge - You earned the Reviewer badge.');
+
+      // Not due again until a day has passed
+      expect(await sendDigests('daily', new Date(now.getTime() + 60 * 60 * 1000))).toEqual({ users: 0, sent: 0 });
+      expect(await sendDigests('weekly', now)).toEqual({ users: 0, sent: 0 });
+    });
+
+    it('should skip users with nothing to report', async () => {
+      const user = await createTestUser({ username: 'quietuser', email: 'quietuser@test.com' });
+      await setPreferences(user, { submission_approved: 'weekly' }).expect(200);
+
+      expect(await sendDigests('weekly')).toEqual({ users: 1, sent: 0 });
+      expect(await EmailMessage.countDocuments({ to: 'quietuser@test.com' })).toBe(0);
+    });
+  });
+
+  describe('Unsubscribe', () => {
+    const linkParams = (user, scope) =>
+      Object.fromEntries(new URL(getUnsubscribeLink(user, scope)).searchParams);
+
+    it('should move emailed types to in-app only from a signed link', async () => {
+      const user = await createTestUser({ username: 'leaver', email: 'leaver@test.com' });
+      await setPreferences(user, { badge_awarded: 'weekly', role_changed: 'off' }).expect(200);
+
+      const response = await request(app)
+        .post('/api/notifications/unsubscribe')
+        .send(linkParams(user, 'all'))
+        .expect(200);
+
+      expect(response.body.preferences).toMatchObject({
+        submission_received: 'in_app',
+        review_requested: 'in_app',
+        badge_awarded: 'in_app',
+        // Types that were off stay off
+        role_changed: 'off'
+      });
+    });
+
+    it('should unsubscribe from a single type', async () => {
+      const user = await createTestUser({ username: 'singleleaver', email: 'singleleaver@test.com' });
+
+      await request(app)
+        .post('/api/notifications/unsubscribe')
+        .send(linkParams(user, 'submission_received'))
+        .expect(200);
+
+      const stored = await User.findById(user._id);
+      expect(stored.getNotificationChannel('submission_received')).toBe('in_app');
+      expect(stored.getNotificationChannel('review_requested')).toBe('email');
+    });
+
+    it('should reject tampered links', async () => {
+      const user = await createTestUser({ username: 'tampered', email: 'tampered@test.com' });
+      const other = await createTestUser({ username: 'othertampered', email: 'othertampered@test.com' });
+      const params = linkParams(user, 'submission_received');
+
+      await request(app)
+        .post('/api/notifications/unsubscribe')
+        .send({ ...params, scope: 'all' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/notifications/unsubscribe')
+        .send({ ...params, user: other._id.toString() })
+        .expect(400);
+
+      await request(app)
+        .post('/api/notifications/unsubscribe')
+        .send({ ...params, token: 'not-a-token' })
+        .expect(400);
+
+      const stored = await User.findById(user._id);
+      expect(stored.getNotificationChannel('submission_received')).toBe('email');
+    });
+  });
+});
@@ -0,0 +1,222 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import { createTestApp } from '../utils/testApp.js';
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestVerifier,
+  createTestSubmission,
+  getAuthHeader
+} from '../utils/testHelpers.js';
+import Notification from '../../src/models/Notification.js';
+import Submission from '../../src/models/Submission.js';
+import User from '../../src/models/User.js';
+
+describe('Notifications API', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  const inbox = (user, query = '') =>
+    request(app)
+      .get(`/api/notifications${query}`)
+      .set('Authorization', getAuthHeader(user));
+
+  describe('Events', () => {
+    it('should notify the submitter and the country\'s verifiers of a new submission', async () => {
+      const submitter = await createTestUser({ username: 'notifysubmitter', email: 'notifysubmitter@test.com' });
+      const verifier = await createTestVerifier({ username: 'ghanaverifier', email: 'ghanaverifier@test.com' });
+      const otherVerifier = await createTestVerifier({
+        username: 'kenyaverifier',
+        email: 'kenyaverifier@test.com',
+        country: 'Kenya'
+      });
+
+      await request(app)
+        .post('/api/submissions')
+        .set('Authorization', getAuthHeader(submitter))
+        .send({
+          url: 'https://example.com/notify-article',
+          title: 'Notify Article',
+          publisher: 'Example News',
+          country: 'Ghana',
+          category: 'secondary'
+        })
+        .expect(201);
+
+      const submitterInbox = await inbox(submitter).expect(200);
+      expect(submitterInbox.body.notifications).toHaveLength(1);
+      expect(submitterInbox.body.notifications[0].type).toBe('submission_received');
+      expect(submitterInbox.body.unreadCount).toBe(1);
+
+      const verifierInbox = await inbox(verifier).expect(200);
+      expect(verifierInbox.body.notifications[0].title).toBe('New submission for Ghana');
+      expect(verifierInbox.body.notifications[0].link).toBe('/admin');
+
+      const otherInbox = await inbox(otherVerifier).expect(200);
+      expect(otherInbox.body.notifications).toHaveLength(0);
+    });
+
+    it('should still accept a submission when verifiers cannot be looked up', async () => {
+      const submitter = await createTestUser({ username: 'lookupsubmitter', email: 'lookupsubmitter@test.com' });
+      const find = User.find.bind(User);
+      const spy = jest.spyOn(User, 'find').mockImplementation((filter, ...rest) => {
+        if (filter?.role === 'verifier') throw new Error('Database unavailable');
+        return find(filter, ...rest);
+      });
+
+      try {
+        await request(app)
+          .post('/api/submissions')
+          .set('Authorization', getAuthHeader(submitter))
+          .send({
+            url: 'https://example.com/lookup-failure',
+            title: 'Lookup Failure',
+            publisher: 'Example News',
+            country: 'Ghana',
+            category: 'secondary'
+          })
+          .expect(201);
+      } finally {
+        spy.mockRestore();
+      }
+
+      expect(await Submission.countDocuments({ submitter: submitter._id })).toBe(1);
+      const submitterInbox = await inbox(submitter).expect(200);
+      expect(submitterInbox.body.notifications[0].type).toBe('submission_received');
+    });
+
+    it('should tell the submitter when a verifier approves or rejects their source', async () => {
+      const submitter = await createTestUser({ username: 'reviewedsubmitter', email: 'reviewedsubmitter@test.com' });
+      const verifier = await createTestVerifier({ username: 'reviewer', email: 'reviewer@test.com' });
+      const approved = await createTestSubmission({ title: 'Good Source' }, submitter);
+      const rejected = await createTestSubmission({ title: 'Bad Source', url: 'https://example.com/bad' }, submitter);
+
+      await request(app)
+        .put(`/api/submissions/${approved._id}/verify`)
+        .set('Authorization', getAuthHeader(verifier))
+        .send({ status: 'approved', credibility: 'credible' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/submissions/${rejected._id}/verify`)
+        .set('Authorization', getAuthHeader(verifier))
+        .send({ status: 'rejected', verifierNotes: 'Page is a press release' })
+        .expect(200);
+
+      const response = await inbox(submitter).expect(200);
+      const types = response.body.notifications.map(notification => notification.type);
+
+      expect(types).toEqual(['submission_rejected', 'submission_approved']);
+      expect(response.body.notifications[0].message).toContain('Page is a press release');
+      expect(response.body.notifications[1].submission).toBe(approved._id.toString());
+    });
+
+    it('should notify on admin overrides, badges and role changes', async () => {
+      const admin = await createTestAdmin({ username: 'notifyadmin', email: 'notifyadmin@test.com' });
+      const user = await createTestUser({ username: 'eventuser', email: 'eventuser@test.com' });
+      const submission = await createTestSubmission({ status: 'approved', credibility: 'credible' }, user);
+
+      await request(app)
+        .put(`/api/admin/submissions/${submission._id}/override`)
+        .set('Authorization', getAuthHeader(admin))
+        .send({ status: 'rejected', reason: 'Duplicate of an existing source' })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/users/${user._id}/badge`)
+        .set('Authorization', getAuthHeader(admin))
+        .send({ name: 'Fact Finder', icon: '🔎' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/users/${user._id}/role`)
+        .set('Authorization', getAuthHeader(admin))
+        .send({ role: 'verifier' })
+        .expect(200);
+
+      const response = await inbox(user).expect(200);
+      const [role, badge, override] = response.body.notifications;
+
+      expect(override.type).toBe('submission_overridden');
+      expect(override.message).toContain('(was approved)');
+      expect(badge.type).toBe('badge_awarded');
+      expect(badge.data.badge).toBe('Fact Finder');
+      expect(role.type).toBe('role_changed');
+      expect(role.data).toEqual({ from: 'contributor', to: 'verifier' });
+    });
+  });
+
+  describe('Inbox', () => {
+    let user;
+
+    beforeEach(async () => {
+      user = await createTestUser({ username: 'inboxuser', email: 'inboxuser@test.com' });
+      // Written directly so the timestamps stay as given
+      await Notification.collection.insertMany([1, 2, 3].map(n => ({
+        recipient: user._id,
+        type: 'badge_awarded',
+        title: `Notification ${n}`,
+        createdAt: new Date(Date.now() - n * 1000)
+      })));
+    });
+
+    it('should page through notifications newest first', async () => {
+      const first = await inbox(user, '?limit=2').expect(200);
+
+      expect(first.body.notifications.map(n => n.title)).toEqual(['Notification 1', 'Notification 2']);
+      expect(first.body.pagination.hasMore).toBe(true);
+
+      const second = await inbox(user, `?limit=2&cursor=${first.body.pagination.nextCursor}`).expect(200);
+      expect(second.body.notifications.map(n => n.title)).toEqual(['Notification 3']);
+    });
+
+    it('should count and mark notifications as read', async () => {
+      const { body } = await inbox(user).expect(200);
+
+      const count = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', getAuthHeader(user))
+        .expect(200);
+      expect(count.body.unreadCount).toBe(3);
+
+      const marked = await request(app)
+        .put(`/api/notifications/${body.notifications[0]._id}/read`)
+        .set('Authorization', getAuthHeader(user))
+        .expect(200);
+      expect(marked.body.notification.readAt).toBeTruthy();
+
+      const unread = await inbox(user, '?unread=true').expect(200);
+      expect(unread.body.notifications).toHaveLength(2);
+      expect(unread.body.unreadCount).toBe(2);
+
+      const all = await request(app)
+        .put('/api/notifications/read-all')
+        .set('Authorization', getAuthHeader(user))
+        .expect(200);
+      expect(all.body.updated).toBe(2);
+
+      const after = await inbox(user).expect(200);
+      expect(after.body.unreadCount).toBe(0);
+    });
+
+    it('should not let users read other users\' notifications', async () => {
+      const other = await createTestUser({ username: 'nosyuser', email: 'nosyuser@test.com' });
+      const { body } = await inbox(user).expect(200);
+
+      await request(app)
+        .put(`/api/notifications/${body.notifications[0]._id}/read`)
+        .set('Authorization', getAuthHeader(other))
+        .expect(404);
+
+      const otherInbox = await inbox(other).expect(200);
+      expect(otherInbox.body.notifications).toHaveLength(0);
+    });
+
+    it('should require authentication', async () => {
+      await request(app).get('/api/notifications').expect(401);
+    });
+  });
+});
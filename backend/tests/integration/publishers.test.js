@@ -0,0 +1,150 @@
+import request from 'supertest';
+import { createTestApp } from '../utils/testApp.js';
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestVerifier,
+  createTestSubmission,
+  getAuthHeader
+} from '../utils/testHelpers.js';
+import Publisher from '../../src/models/Publisher.js';
+import Submission from '../../src/models/Submission.js';
+
+describe('Publishers API Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  describe('Publisher registry', () => {
+    it('should aggregate verified submissions per domain and country', async () => {
+      const verifier = await createTestVerifier({ username: 'pubverifier', email: 'pubverifier@test.com' });
+      const submitter = await createTestUser({ username: 'pubsubmitter', email: 'pubsubmitter@test.com' });
+      const first = await createTestSubmission({
+        url: 'https://www.graphic.com.gh/news/politics/budget.html',
+        publisher: 'Daily Graphic'
+      }, submitter);
+      const second = await createTestSubmission({
+        url: 'https://graphic.com.gh/news/general/election.html',
+        publisher: 'Graphic Online'
+      }, submitter);
+
+      await request(app)
+        .put(`/api/submissions/${first._id}/verify`)
+        .set('Authorization', getAuthHeader(verifier))
+        .send({ status: 'approved', credibility: 'credible' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/submissions/${second._id}/verify`)
+        .set('Authorization', getAuthHeader(verifier))
+        .send({ status: 'rejected' })
+        .expect(200);
+
+      const listResponse = await request(app)
+        .get('/api/publishers?country=Ghana')
+        .expect(200);
+
+      expect(listResponse.body.publishers).toHaveLength(1);
+      const [publisher] = listResponse.body.publishers;
+      expect(publisher.slug).toBe('graphic.com.gh');
+      expect(publisher.aliases).toEqual(expect.arrayContaining(['Daily Graphic', 'Graphic Online']));
+      expect(publisher.counts).toMatchObject({ approved: 1, rejected: 1, credible: 1, unreliable: 0, total: 2 });
+
+      const detailResponse = await request(app)
+        .get('/api/publishers/graphic.com.gh')
+        .expect(200);
+
+      expect(detailResponse.body.publisher.counts.total).toBe(2);
+      expect(detailResponse.body.countries).toHaveLength(1);
+      expect(detailResponse.body.submissions).toHaveLength(2);
+    });
+
+    it('should not count pending submissions', async () => {
+      await createTestSubmission({ url: 'https://example.org/pending-story' });
+
+      const response = await request(app)
+        .get('/api/publishers')
+        .expect(200);
+
+      expect(response.body.publishers).toHaveLength(0);
+    });
+
+    it('should treat filters as plain values, not query operators', async () => {
+      const admin = await createTestAdmin({ username: 'filteradmin', email: 'filteradmin@test.com' });
+      await createTestSubmission({
+        url: 'https://www.graphic.com.gh/news/politics/budget.html',
+        publisher: 'Daily Graphic',
+        status: 'approved',
+        credibility: 'credible'
+      });
+      await request(app)
+        .post('/api/publishers/rebuild')
+        .set('Authorization', getAuthHeader(admin))
+        .expect(200);
+
+      const injected = await request(app)
+        .get('/api/publishers?country[$ne]=Kenya')
+        .expect(200);
+      expect(injected.body.publishers).toHaveLength(0);
+
+      const arraySearch = await request(app)
+        .get('/api/publishers?search[]=graphic')
+        .expect(200);
+      expect(arraySearch.body.publishers).toHaveLength(1);
+
+      await request(app)
+        .get('/api/publishers/graphic.com.gh?country[$ne]=Kenya')
+        .expect(404);
+
+      const detail = await request(app)
+        .get('/api/publishers/graphic.com.gh?limit=100000')
+        .expect(200);
+      expect(detail.body.submissions).toHaveLength(1);
+    });
+
+    it('should return 404 for an unknown publisher', async () => {
+      await request(app)
+        .get('/api/publishers/unknown.example')
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/publishers/rebuild', () => {
+    it('should rebuild the registry including submissions saved before it existed', async () => {
+      const admin = await createTestAdmin({ username: 'pubadmin', email: 'pubadmin@test.com' });
+      await Submission.collection.insertOne({
+        url: 'https://m.myjoyonline.com/story',
+        title: 'Legacy submission',
+        publisher: 'MyJoyOnline',
+        country: 'Ghana',
+        category: 'secondary',
+        status: 'approved',
+        credibility: 'unreliable',
+        submitter: admin._id,
+        verifiedAt: new Date()
+      });
+
+      const response = await request(app)
+        .post('/api/publishers/rebuild')
+        .set('Authorization', getAuthHeader(admin))
+        .expect(200);
+
+      expect(response.body.result).toEqual({ publishers: 1, backfilled: 1 });
+
+      const publisher = await Publisher.findOne({ slug: 'myjoyonline.com' });
+      expect(publisher.counts.unreliable).toBe(1);
+      expect(publisher.name).toBe('MyJoyOnline');
+    });
+
+    it('should only allow admins to rebuild', async () => {
+      const user = await createTestUser({ username: 'pubuser', email: 'pubuser@test.com' });
+
+      await request(app)
+        .post('/api/publishers/rebuild')
+        .set('Authorization', getAuthHeader(user))
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+import http from 'http';
+import request from 'supertest';
+import { createTestApp } from '../utils/testApp.js';
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestVerifier,
+  createTestSubmission,
+  getAuthHeader
+} from '../utils/testHelpers.js';
+import CountryStats from '../../src/models/CountryStats.js';
+
+describe('Real-time events', () => {
+  let server;
+  let streams;
+
+  beforeAll((done) => {
+    server = createTestApp().listen(0, done);
+  });
+
+  afterEach(() => {
+    streams.forEach(stream => stream.close());
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    streams = [];
+  });
+
+  // Open an event stream and collect its events as they arrive
+  const connect = (user) => new Promise((resolve, reject) => {
+    const events = [];
+    const waiting = [];
+    let buffer = '';
+
+    const req = http.get({
+      port: server.address().port,
+      path: '/api/realtime/stream',
+      headers: { Authorization: getAuthHeader(user) }
+    }, (res) => {
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        blocks.forEach((block) => {
+          const event = block.match(/^event: (.*)$/m);
+          const data = block.match(/^data: (.*)$/m);
+          if (!event || !data) return;
+
+          events.push({ event: event[1], data: JSON.parse(data[1]) });
+          waiting.splice(0).forEach(check => check());
+        });
+      });
+
+      const stream = {
+        events,
+        close: () => req.destroy(),
+        // Resolves with the first matching event, including ones already received
+        next: (name, match = () => true) => new Promise((resolveEvent) => {
+          const check = () => {
+            const found = events.find(item => item.event === name && match(item.data));
+            if (found) resolveEvent(found.data);
+            else waiting.push(check);
+          };
+          check();
+        })
+      };
+      streams.push(stream);
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+
+  const submit = (user) =>
+    request(server)
+      .post('/api/submissions')
+      .set('Authorization', getAuthHeader(user))
+      .send({
+        url: 'https://example.com/live-article',
+        title: 'Live Article',
+        publisher: 'Example News',
+        country: 'Ghana',
+        category: 'secondary'
+      })
+      .expect(201);
+
+  it('should require authentication', async () => {
+    await request(server).get('/api/realtime/stream').expect(401);
+  });
+
+  it('should send new submissions to reviewers for that country only', async () => {
+    const submitter = await createTestUser({ username: 'livesubmitter', email: 'livesubmitter@test.com' });
+    const verifier = await createTestVerifier({ username: 'liveghana', email: 'liveghana@test.com' });
+    const otherVerifier = await createTestVerifier({
+      username: 'livekenya',
+      email: 'livekenya@test.com',
+      country: 'Kenya'
+    });
+    const admin = await createTestAdmin({ username: 'liveadmin', email: 'liveadmin@test.com', country: 'Kenya' });
+
+    const [verifierStream, otherStream, adminStream, contributorStream] = await Promise.all(
+      [verifier, otherVerifier, admin, submitter].map(connect)
+    );
+
+    const { body } = await submit(submitter);
+    const id = body.submission._id;
+
+    const created = await verifierStream.next('submission.created');
+    expect(created).toMatchObject({ _id: id, country: 'Ghana', submitter: 'livesubmitter' });
+    await adminStream.next('submission.created');
+
+    await request(server)
+      .put(`/api/submissions/${id}/verify`)
+      .set('Authorization', getAuthHeader(verifier))
+      .send({ status: 'approved', credibility: 'credible' })
+      .expect(200);
+
+    // Final decisions reach everyone, and arrive after any earlier events
+    for (const stream of [otherStream, contributorStream]) {
+      const verified = await stream.next('submission.verified', data => data._id === id);
+      expect(verified.status).toBe('approved');
+      expect(stream.events.some(item => item.event === 'submission.created')).toBe(false);
+    }
+  });
+
+  it('should keep interim review votes within the country\'s reviewers', async () => {
+    await CountryStats.create({ countryCode: 'GH', countryName: 'Ghana', reviewPolicy: { quorum: 2 } });
+    const submitter = await createTestUser({ username: 'quorumsubmitter', email: 'quorumsubmitter@test.com' });
+    const verifier = await createTestVerifier({ username: 'quorumverifier', email: 'quorumverifier@test.com', country: 'GH' });
+    const admin = await createTestAdmin({ username: 'quorumadmin', email: 'quorumadmin@test.com' });
+    const submission = await createTestSubmission({ country: 'GH' }, submitter);
+
+    const [verifierStream, contributorStream] = await Promise.all([verifier, submitter].map(connect));
+
+    await request(server)
+      .put(`/api/submissions/${submission._id}/verify`)
+      .set('Authorization', getAuthHeader(verifier))
+      .send({ status: 'approved', credibility: 'credible' })
+      .expect(200);
+
+    const reviewed = await verifierStream.next('submission.verified');
+    expect(reviewed).toMatchObject({ outcome: 'pending', reviewsReceived: 1 });
+
+    await request(server)
+      .put(`/api/admin/submissions/${submission._id}/override`)
+      .set('Authorization', getAuthHeader(admin))
+      .send({ status: 'approved', credibility: 'credible', reason: 'Well known outlet' })
+      .expect(200);
+
+    const overridden = await contributorStream.next('submission.overridden');
+    expect(overridden).toMatchObject({ status: 'approved', previousStatus: 'pending' });
+    expect(contributorStream.events.some(item => item.event === 'submission.verified')).toBe(false);
+
+    // Notifications are pushed to their recipient as well as stored
+    const notification = await contributorStream.next('notification');
+    expect(notification.type).toBe('submission_overridden');
+  });
+
+  describe('Presence', () => {
+    it('should show reviewers who else has a queue item open', async () => {
+      const submission = await createTestSubmission();
+      const first = await createTestVerifier({ username: 'firstviewer', email: 'firstviewer@test.com' });
+      const second = await createTestVerifier({ username: 'secondviewer', email: 'secondviewer@test.com' });
+
+      const firstStream = await connect(first);
+      const { connectionId } = await firstStream.next('ready');
+
+      const response = await request(server)
+        .put('/api/realtime/presence')
+        .set('Authorization', getAuthHeader(first))
+        .send({ connectionId, submission: submission._id })
+        .expect(200);
+      expect(response.body.viewers.map(viewer => viewer.username)).toEqual(['firstviewer']);
+
+      // Late joiners get the current state straight away
+      const secondStream = await connect(second);
+      const ready = await secondStream.next('ready');
+      expect(ready.presence).toEqual([{
+        submission: submission._id.toString(),
+        viewers: [{ _id: first._id.toString(), username: 'firstviewer' }]
+      }]);
+
+      // Closing the connection ends the presence
+      firstStream.close();
+      const left = await secondStream.next('presence', data => data.viewers.length === 0);
+      expect(left.submission).toBe(submission._id.toString());
+    });
+
+    it('should only accept the caller\'s own connection and country', async () => {
+      const submission = await createTestSubmission({ country: 'Kenya' });
+      const verifier = await createTestVerifier({ username: 'ghanaonly', email: 'ghanaonly@test.com' });
+      const other = await createTestVerifier({ username: 'borrower', email: 'borrower@test.com' });
+
+      const stream = await connect(verifier);
+      const { connectionId } = await stream.next('ready');
+
+      await request(server)
+        .put('/api/realtime/presence')
+        .set('Authorization', getAuthHeader(verifier))
+        .send({ connectionId, submission: submission._id })
+        .expect(403);
+
+      await request(server)
+        .put('/api/realtime/presence')
+        .set('Authorization', getAuthHeader(other))
+        .send({ connectionId, submission: null })
+        .expect(404);
+    });
+
+    it('should not accept presence from contributors', async () => {
+      const user = await createTestUser();
+
+      await request(server)
+        .put('/api/realtime/presence')
+        .set('Authorization', getAuthHeader(user))
+        .send({ connectionId: 'anything' })
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import request from 'supertest';
+import { createTestApp } from '../utils/testApp.js';
+import {
+  createTestUser,
+  createTestVerifier,
+  createTestSubmission,
+  getAuthHeader
+} from '../utils/testHelpers.js';
+
+describe('Reports API Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  describe('GET /api/reports/overview', () => {
+    it('should return the report as JSON by default', async () => {
+      const verifier = await createTestVerifier();
+      await createTestSubmission({ category: 'primary' });
+
+      const response = await request(app)
+        .get('/api/reports/overview')
+        .set('Authorization', getAuthHeader(verifier))
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body.summary.totalSubmissions).toBe(1);
+      expect(response.headers['content-disposition']).toBeUndefined();
+    });
+
+    it('should download the report as a CSV file', async () => {
+      const verifier = await createTestVerifier();
+      const submitter = await createTestUser({ username: 'reportuser', email: 'reportuser@test.com' });
+      await createTestSubmission({ category: 'primary' }, submitter);
+      await createTestSubmission({ category: 'primary', status: 'approved', credibility: 'credible' }, submitter);
+
+      const response = await request(app)
+        .get('/api/reports/overview?format=csv')
+        .set('Authorization', getAuthHeader(verifier))
+        .expect('Content-Type', /text\/csv/)
+        .expect('Content-Disposition', /attachment; filename="overview-report-.*\.csv"/)
+        .expect(200);
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).toBe('field,value');
+      expect(lines).toContain('summary.totalSubmissions,2');
+      expect(lines).toContain('breakdown.byCategory.primary.count,2');
+    });
+
+    it('should reject unsupported report formats', async () => {
+      const verifier = await createTestVerifier();
+
+      await request(app)
+        .get('/api/reports/overview?format=pdf')
+        .set('Authorization', getAuthHeader(verifier))
+        .expect(400);
+    });
+
+    it('should not be available to contributors', async () => {
+      const user = await createTestUser();
+
+      await request(app)
+        .get('/api/reports/overview?format=csv')
+        .set('Authorization', getAuthHeader(user))
+        .expect(403);
+    });
+  });
+});
@@ -1,3 +1,6 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import request from 'supertest';
 import { createTestApp } from '../utils/testApp.js';
 import {
@@ -9,6 +12,10 @@ import {
   seedTestData
 } from '../utils/testHelpers.js';
 import Submission from '../../src/models/Submission.js';
+import User from '../../src/models/User.js';
+import CountryStats from '../../src/models/CountryStats.js';
+import config from '../../src/config/config.js';
+import { removeOrphanedFiles, getStoredFilePath } from '../../src/services/fileStorageService.js';
 
 describe('Submissions API Integration Tests', () => {
   let app;
@@ -94,6 +101,80 @@ describe('Submissions API Integration Tests', () => {
     });
   });
 
+  describe('Duplicate detection', () => {
+    const submissionData = {
+      title: 'Ghana Budget Statement 2024',
+      publisher: 'Ministry of Finance',
+      country: 'Ghana',
+      category: 'primary'
+    };
+
+    it('should return the existing submission for a URL variant without awarding points', async () => {
+      const user = await createTestUser({ username: 'dupuser', email: 'dupuser@test.com' });
+      const existing = await createTestSubmission({
+        ...submissionData,
+        url: 'https://mofep.gov.gh/budget/2024'
+      });
+
+      const response = await request(app)
+        .post('/api/submissions')
+        .set('Authorization', getAuthHeader(user))
+        .send({ ...submissionData, url: 'http://www.mofep.gov.gh/budget/2024/?utm_source=twitter#summary' })
+        .expect(409);
+
+      expect(response.body.errorCode).toBe('DUPLICATE_SUBMISSION');
+      expect(response.body.submission._id).toBe(existing._id.toString());
+      expect(await Submission.countDocuments()).toBe(1);
+      expect((await User.findById(user._id)).points).toBe(user.points);
+    });
+
+    it('should flag submissions with a closely matching title from the same publisher', async () => {
+      const user = await createTestUser({ username: 'dupuser', email: 'dupuser@test.com' });
+      const existing = await createTestSubmission({
+        ...submissionData,
+        url: 'https://mofep.gov.gh/budget/2024'
+      });
+
+      const response = await request(app)
+        .post('/api/submissions')
+        .set('Authorization', getAuthHeader(user))
+        .send({ ...submissionData, title: 'The Ghana Budget Statement, 2024', url: 'https://mofep.gov.gh/docs/budget-2024.html' })
+        .expect(201);
+
+      expect(response.body.possibleDuplicates).toHaveLength(1);
+      expect(response.body.possibleDuplicates[0].submission._id).toBe(existing._id.toString());
+      expect(response.body.submission.possibleDuplicates[0].submission).toBe(existing._id.toString());
+    });
+
+    it('should report existing sources before submitting', async () => {
+      await createTestSubmission({ ...submissionData, url: 'https://mofep.gov.gh/budget/2024' });
+
+      const response = await request(app)
+        .get('/api/submissions/check-duplicate')
+        .query({ url: 'https://mofep.gov.gh/budget/2024/amp' })
+        .expect(200);
+
+      expect(response.body.exact.canonicalUrl).toBe('https://mofep.gov.gh/budget/2024');
+      expect(response.body.similar).toHaveLength(0);
+    });
+
+    it('should treat array and object params as plain text', async () => {
+      await createTestSubmission(submissionData);
+
+      const response = await request(app)
+        .get('/api/submissions/check-duplicate')
+        .query({ 'title[]': 'Ghana Budget Statement 2024', 'publisher[]': 'Ministry of Finance' })
+        .expect(200);
+
+      expect(response.body.exact).toBeNull();
+      expect(response.body.similar).toHaveLength(1);
+
+      await request(app)
+        .get('/api/submissions/check-duplicate?title[x]=1&publisher[y]=2')
+        .expect(200);
+    });
+  });
+
   describe('GET /api/submissions', () => {
     it('should get all submissions (public)', async () => {
       const { submissions } = await seedTestData({ submissions: 3 });
@@ -144,12 +225,137 @@ describe('Submissions API Integration Tests', () => {
       await seedTestData({ submissions: 10 });
 
       const response = await request(app)
-        .get('/api/submissions?page=1&limit=5')
+        .get('/api/submissions?limit=5')
         .expect(200);
 
       expect(response.body.success).toBe(true);
       expect(response.body.submissions.length).toBeLessThanOrEqual(5);
-      expect(response.body).toHaveProperty('page');
+      expect(response.body).toHaveProperty('pagination');
+    });
+
+    it('should walk every page with cursors in a stable order', async () => {
+      const submitter = await createTestUser({ username: 'cursoruser', email: 'cursoruser@test.com' });
+      const createdAt = new Date('2024-01-01T00:00:00Z');
+      // Identical timestamps force the _id tie-breaker
+      for (let i = 0; i < 5; i += 1) {
+        await createTestSubmission({ title: `Source ${i}`, createdAt }, submitter);
+      }
+
+      const seen = [];
+      let cursor;
+      do {
+        const response = await request(app)
+          .get('/api/submissions')
+          .query({ limit: 2, ...(cursor && { cursor }) })
+          .expect(200);
+
+        expect(response.body.submissions.length).toBeLessThanOrEqual(2);
+        seen.push(...response.body.submissions.map(submission => submission.title));
+        cursor = response.body.pagination.nextCursor;
+        expect(response.body.pagination.hasMore).toBe(Boolean(cursor));
+      } while (cursor);
+
+      expect(seen).toHaveLength(5);
+      expect(new Set(seen).size).toBe(5);
+    });
+
+    it('should page through a sort on a field some submissions lack', async () => {
+      const submitter = await createTestUser({ username: 'cursoruser', email: 'cursoruser@test.com' });
+      await createTestSubmission({ title: 'Old', status: 'approved', credibility: 'credible', verifiedAt: new Date('2023-01-01') }, submitter);
+      await createTestSubmission({ title: 'New', status: 'approved', credibility: 'credible', verifiedAt: new Date('2024-01-01') }, submitter);
+      await createTestSubmission({ title: 'Unverified' }, submitter);
+
+      const first = await request(app)
+        .get('/api/submissions?sort=-verifiedAt&limit=2&includeTotal=true')
+        .expect(200);
+
+      expect(first.body.submissions.map(submission => submission.title)).toEqual(['New', 'Old']);
+      expect(first.body.pagination.total).toBe(3);
+
+      const second = await request(app)
+        .get('/api/submissions')
+        .query({ sort: '-verifiedAt', limit: 2, cursor: first.body.pagination.nextCursor })
+        .expect(200);
+
+      expect(second.body.submissions.map(submission => submission.title)).toEqual(['Unverified']);
+      expect(second.body.pagination.hasMore).toBe(false);
+    });
+
+    it('should reject cursors issued for a different sort', async () => {
+      const submitter = await createTestUser({ username: 'cursoruser', email: 'cursoruser@test.com' });
+      await createTestSubmission({ title: 'A' }, submitter);
+      await createTestSubmission({ title: 'B' }, submitter);
+
+      const first = await request(app)
+        .get('/api/submissions?sort=title&limit=1')
+        .expect(200);
+
+      await request(app)
+        .get('/api/submissions')
+        .query({ sort: '-createdAt', cursor: first.body.pagination.nextCursor })
+        .expect(400);
+
+      await request(app)
+        .get('/api/submissions?cursor=not-a-cursor')
+        .expect(400);
+    });
+
+    it('should return facet counts that ignore their own selection', async () => {
+      const submitter = await createTestUser({ username: 'facetuser', email: 'facetuser@test.com' });
+      await createTestSubmission({ country: 'Ghana', status: 'approved', credibility: 'credible' }, submitter);
+      await createTestSubmission({ country: 'Ghana', status: 'approved', credibility: 'unreliable', fileType: 'pdf' }, submitter);
+      await createTestSubmission({ country: 'Kenya', status: 'approved', credibility: 'credible' }, submitter);
+      await createTestSubmission({ country: 'Kenya', status: 'pending' }, submitter);
+
+      const response = await request(app)
+        .get('/api/submissions?country=Ghana&credibility=credible')
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.facets.country).toEqual([
+        { value: 'Ghana', count: 1 },
+        { value: 'Kenya', count: 1 }
+      ]);
+      expect(response.body.facets.credibility).toEqual([
+        { value: 'credible', count: 1 },
+        { value: 'unreliable', count: 1 }
+      ]);
+      expect(response.body.facets.status).toEqual([{ value: 'approved', count: 1 }]);
+    });
+
+    it('should filter by file type, tags and verification date and sort on the server', async () => {
+      const submitter = await createTestUser({ username: 'facetuser', email: 'facetuser@test.com' });
+      await createTestSubmission({
+        title: 'Alpha',
+        tags: ['budget', 'economy'],
+        status: 'approved',
+        credibility: 'credible',
+        verifiedAt: new Date('2024-02-01')
+      }, submitter);
+      await createTestSubmission({
+        title: 'Beta',
+        tags: ['budget'],
+        status: 'approved',
+        credibility: 'credible',
+        verifiedAt: new Date('2023-06-01')
+      }, submitter);
+      await createTestSubmission({ title: 'Gamma', fileType: 'pdf', tags: ['budget', 'economy'] }, submitter);
+
+      const tagged = await request(app)
+        .get('/api/submissions?tags=budget,economy&sort=-title')
+        .expect(200);
+
+      expect(tagged.body.submissions.map(submission => submission.title)).toEqual(['Gamma', 'Alpha']);
+
+      const urlsOnly = await request(app)
+        .get('/api/submissions?fileType=url&verifiedStartDate=2024-01-01')
+        .expect(200);
+
+      expect(urlsOnly.body.submissions.map(submission => submission.title)).toEqual(['Alpha']);
+
+      await request(app)
+        .get('/api/submissions?sort=random')
+        .expect(400);
     });
   });
 
@@ -405,5 +611,505 @@ describe('Submissions API Integration Tests', () => {
       expect(response.body).toHaveProperty('topCountries');
     });
   });
-});
+  describe('PDF uploads', () => {
+    const originalUploadPath = config.uploadPath;
+    const pdfBuffer = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\n%%EOF\n');
+
+    const uploadPdf = (user, buffer = pdfBuffer, filename = 'report.pdf') =>
+      request(app)
+        .post('/api/submissions')
+        .set('Authorization', getAuthHeader(user))
+        .field('title', 'Annual Report')
+        .field('publisher', 'Ministry of Finance')
+        .field('country', 'Ghana')
+        .field('category', 'primary')
+        .field('fileType', 'pdf')
+        .attach('file', buffer, filename);
+
+    beforeEach(() => {
+      config.uploadPath = fs.mkdtempSync(path.join(os.tmpdir(), 'wsv-uploads-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(config.uploadPath, { recursive: true, force: true });
+      config.uploadPath = originalUploadPath;
+    });
+
+    it('should store an uploaded PDF under its content hash', async () => {
+      const user = await createTestUser({ username: 'pdfuser', email: 'pdfuser@test.com' });
+
+      const response = await uploadPdf(user).expect(201);
+      const { submission } = response.body;
+
+      expect(submission.fileType).toBe('pdf');
+      expect(submission.fileName).toBe('report.pdf');
+      expect(submission.file.size).toBe(pdfBuffer.length);
+      expect(submission.url).toBe(`/api/submissions/${submission._id}/file`);
+      expect(fs.readFileSync(getStoredFilePath(submission.file.hash))).toEqual(pdfBuffer);
+    });
+
+    it('should reject files that are not PDFs', async () => {
+      const user = await createTestUser({ username: 'pdfuser', email: 'pdfuser@test.com' });
+
+      const response = await uploadPdf(user, Buffer.from('<html>not a pdf</html>')).expect(400);
+
+      expect(response.body.errorCode).toBe('INVALID_INPUT');
+      expect(await Submission.countDocuments()).toBe(0);
+    });
+
+    it('should require a file for PDF submissions', async () => {
+      const user = await createTestUser({ username: 'pdfuser', email: 'pdfuser@test.com' });
+
+      await request(app)
+        .post('/api/submissions')
+        .set('Authorization', getAuthHeader(user))
+        .send({ title: 'Report', publisher: 'Publisher', country: 'Ghana', category: 'primary', fileType: 'pdf' })
+        .expect(400);
+    });
+
+    it('should only serve pending files to the submitter and reviewers', async () => {
+      const user = await createTestUser({ username: 'pdfuser', email: 'pdfuser@test.com' });
+      const other = await createTestUser({ username: 'otheruser', email: 'other@test.com' });
+      const verifier = await createTestVerifier({ username: 'pdfverifier', email: 'pdfverifier@test.com' });
+
+      const { body } = await uploadPdf(user).expect(201);
+      const fileUrl = `/api/submissions/${body.submission._id}/file`;
+
+      await request(app).get(fileUrl).expect(403);
+      await request(app).get(fileUrl).set('Authorization', getAuthHeader(other)).expect(403);
+
+      const download = await request(app)
+        .get(fileUrl)
+        .set('Authorization', getAuthHeader(verifier))
+        .responseType('blob')
+        .expect('Content-Type', /application\/pdf/)
+        .expect('Content-Disposition', /attachment; filename="report.pdf"/)
+        .expect(200);
+
+      expect(download.body).toEqual(pdfBuffer);
+
+      await Submission.findByIdAndUpdate(body.submission._id, { status: 'approved', credibility: 'credible' });
+      await request(app).get(fileUrl).expect(200);
+    });
+
+    it('should remove files no submission references', async () => {
+      const user = await createTestUser({ username: 'pdfuser', email: 'pdfuser@test.com' });
+
+      const kept = await uploadPdf(user).expect(201);
+      const removed = await uploadPdf(user, Buffer.from('%PDF-1.7\nother document')).expect(201);
+      await Submission.findByIdAndDelete(removed.body.submission._id);
+
+      const result = await removeOrphanedFiles({ minAgeMs: 0 });
+
+      expect(result.removed).toBe(1);
+      expect(fs.existsSync(getStoredFilePath(kept.body.submission.file.hash))).toBe(true);
+      expect(fs.existsSync(getStoredFilePath(removed.body.submission.file.hash))).toBe(false);
+    });
+  });
+
+  describe('Bulk import', () => {
+    const csv = [
+      'url,title,publisher,country,category',
+      'https://www.graphic.com.gh/news/one,Story one,Graphic,Ghana,secondary',
+      'https://graphic.com.gh/news/one?utm_source=x,Story one again,Graphic,Ghana,secondary',
+      'not-a-url,Broken,Graphic,Ghana,secondary',
+      'https://existing.example.com/page,Already here,Existing,Ghana,primary'
+    ].join('\n');
+
+    it('should report valid, invalid and duplicate rows on a dry run', async () => {
+      const verifier = await createTestVerifier({ username: 'importer', email: 'importer@test.com' });
+      await createTestSubmission({ url: 'https://existing.example.com/page' });
+
+      const response = await request(app)
+        .post('/api/submissions/import')
+        .set('Authorization', getAuthHeader(verifier))
+        .attach('file', Buffer.from(csv), 'sources.csv')
+        .expect(200);
+
+      expect(response.body.dryRun).toBe(true);
+      expect(response.body.summary).toEqual({ total: 4, valid: 1, invalid: 1, duplicates: 2, imported: 0 });
+      expect(response.body.rows[1]).toMatchObject({ row: 2, status: 'duplicate', duplicateOfRow: 1 });
+      expect(response.body.rows[2].status).toBe('invalid');
+      expect(await Submission.countDocuments()).toBe(1);
+    });
+
+    it('should insert valid rows when dryRun is false', async () => {
+      const admin = await createTestAdmin();
+
+      const response = await request(app)
+        .post('/api/submissions/import')
+        .set('Authorization', getAuthHeader(admin))
+        .send({
+          dryRun: false,
+          rows: [
+            { url: 'https://example.com/a', title: 'Source A', publisher: 'Example', country: 'Ghana', category: 'primary' },
+            { url: 'https://example.com/b', title: 'Source B', publisher: 'Example', country: 'Ghana', category: 'tertiary' }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body.summary.imported).toBe(2);
+      const submissions = await Submission.find();
+      expect(submissions).toHaveLength(2);
+      expect(submissions.every(submission => submission.status === 'pending')).toBe(true);
+    });
+
+    it('should only let verifiers pre-verify sources for their own country', async () => {
+      const verifier = await createTestVerifier({ username: 'importer', email: 'importer@test.com' });
+      const row = { url: 'https://example.com/verified', title: 'Verified', publisher: 'Example', category: 'primary', credibility: 'credible' };
+
+      const foreign = await request(app)
+        .post('/api/submissions/import')
+        .set('Authorization', getAuthHeader(verifier))
+        .send({ dryRun: false, preVerify: true, rows: [{ ...row, country: 'Kenya' }] })
+        .expect(200);
+
+      expect(foreign.body.summary.invalid).toBe(1);
+      expect(await Submission.countDocuments()).toBe(0);
+
+      await request(app)
+        .post('/api/submissions/import')
+        .set('Authorization', getAuthHeader(verifier))
+        .send({ dryRun: false, preVerify: true, rows: [{ ...row, country: 'Ghana' }] })
+        .expect(200);
+
+      const submission = await Submission.findOne();
+      expect(submission.status).toBe('approved');
+      expect(submission.credibility).toBe('credible');
+      expect(submission.verifier.toString()).toBe(verifier._id.toString());
+    });
+
+    it('should not allow contributors to import', async () => {
+      const user = await createTestUser({ username: 'contrib', email: 'contrib@test.com' });
+
+      await request(app)
+        .post('/api/submissions/import')
+        .set('Authorization', getAuthHeader(user))
+        .send({ rows: [] })
+        .expect(403);
+    });
+  });
+
+  describe('Full-text search', () => {
+    let submitter;
 
+    beforeAll(async () => {
+      // The text index must exist before $text queries run
+      await Submission.init();
+    });
+
+    beforeEach(async () => {
+      submitter = await createTestUser({ username: 'searchuser', email: 'searchuser@test.com' });
+      await createTestSubmission({
+        url: 'https://mofep.gov.gh/budget-2024',
+        title: 'Budget Statement and Economic Policy 2024',
+        publisher: 'Ministry of Finance',
+        status: 'approved',
+        credibility: 'credible'
+      }, submitter);
+      await createTestSubmission({
+        url: 'https://citinewsroom.com/analysis',
+        title: 'Analysis of government spending',
+        publisher: 'Citi Newsroom',
+        status: 'approved',
+        credibility: 'credible',
+        verifierNotes: 'Cross-checked against the budget statement'
+      }, submitter);
+      await createTestSubmission({
+        url: 'https://ec.gov.gh/results',
+        title: 'Presidential election results',
+        publisher: 'Electoral Commission',
+        status: 'approved',
+        credibility: 'credible'
+      }, submitter);
+    });
+
+    it('should rank title matches above matches in verifier notes', async () => {
+      const response = await request(app)
+        .get('/api/submissions?search=budget')
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.submissions[0].title).toBe('Budget Statement and Economic Policy 2024');
+      expect(response.body.submissions[0].score).toBeGreaterThan(response.body.submissions[1].score);
+      expect(response.body.submissions[0].highlights[0]).toEqual({
+        field: 'title',
+        snippet: 'Budget Statement and Economic Policy 2024',
+        ranges: [[0, 6]]
+      });
+      expect(response.body.submissions[1].highlights.map(highlight => highlight.field)).toEqual(['verifierNotes']);
+    });
+
+    it('should page through results ranked by relevance', async () => {
+      const first = await request(app)
+        .get('/api/submissions?search=budget&limit=1')
+        .expect(200);
+
+      expect(first.body.pagination.sort).toBe('relevance');
+      expect(first.body.submissions[0].title).toBe('Budget Statement and Economic Policy 2024');
+
+      const second = await request(app)
+        .get('/api/submissions')
+        .query({ search: 'budget', limit: 1, cursor: first.body.pagination.nextCursor })
+        .expect(200);
+
+      expect(second.body.submissions[0].title).toBe('Analysis of government spending');
+      expect(second.body.pagination.hasMore).toBe(false);
+    });
+
+    it('should support phrase and prefix search', async () => {
+      const phrase = await request(app)
+        .get(`/api/submissions?search=${encodeURIComponent('"economic policy"')}`)
+        .expect(200);
+
+      expect(phrase.body.submissions.map(submission => submission.title))
+        .toEqual(['Budget Statement and Economic Policy 2024']);
+
+      const prefix = await request(app)
+        .get('/api/submissions?search=elect*')
+        .expect(200);
+
+      expect(prefix.body.submissions.map(submission => submission.title))
+        .toEqual(['Presidential election results']);
+      expect(prefix.body.submissions[0].highlights[0].ranges).toEqual([[13, 21]]);
+    });
+
+    it('should treat regex metacharacters as plain text', async () => {
+      const response = await request(app)
+        .get(`/api/submissions?search=${encodeURIComponent('budg.t')}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(0);
+    });
+
+    it('should find submissions by their updated title', async () => {
+      const submission = await createTestSubmission({ title: 'Draft title' }, submitter);
+
+      await request(app)
+        .put(`/api/submissions/${submission._id}`)
+        .set('Authorization', getAuthHeader(submitter))
+        .send({ title: 'Cocoa production figures' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/submissions?search=coco*&status=pending')
+        .expect(200);
+
+      expect(response.body.submissions.map(result => result._id)).toEqual([submission._id.toString()]);
+    });
+  });
+
+  describe('File exports', () => {
+    it('should stream matching submissions as CSV with verifier notes', async () => {
+      const submitter = await createTestUser({ username: 'exportuser', email: 'exportuser@test.com' });
+      await createTestSubmission({
+        title: 'Budget, 2024 "final"',
+        status: 'approved',
+        credibility: 'credible',
+        verifierNotes: 'Checked against the gazette',
+        verifiedAt: new Date('2024-03-01T10:00:00Z')
+      }, submitter);
+      await createTestSubmission({ title: 'Kenya source', country: 'Kenya' }, submitter);
+
+      const response = await request(app)
+        .get('/api/submissions/export?country=Ghana')
+        .expect('Content-Type', /text\/csv/)
+        .expect('Content-Disposition', /attachment; filename="submissions-.*\.csv"/)
+        .expect(200);
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toContain('verifierNotes');
+      expect(lines[1]).toContain('"Budget, 2024 ""final"""');
+      expect(lines[1]).toContain('Checked against the gazette');
+      expect(lines[1]).toContain('2024-03-01T10:00:00.000Z');
+    });
+
+    it('should export JSON Lines and Excel-friendly CSV', async () => {
+      const submitter = await createTestUser({ username: 'exportuser', email: 'exportuser@test.com' });
+      await createTestSubmission({ title: 'First' }, submitter);
+      await createTestSubmission({ title: '=HYPERLINK("http://evil")' }, submitter);
+
+      const jsonl = await request(app)
+        .get('/api/submissions/export?format=jsonl')
+        .expect('Content-Type', /application\/x-ndjson/)
+        .expect(200);
+
+      const records = jsonl.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(records).toHaveLength(2);
+      expect(records.map(record => record.submitter)).toEqual(['exportuser', 'exportuser']);
+
+      const excel = await request(app)
+        .get('/api/submissions/export?format=excel')
+        .expect(200);
+
+      expect(excel.text.startsWith('\uFEFF')).toBe(true);
+      expect(excel.text).toContain(`"'=HYPERLINK(""http://evil"")"`);
+    });
+
+    it('should reject unknown formats and invalid dates', async () => {
+      await request(app).get('/api/submissions/export?format=pdf').expect(400);
+      await request(app).get('/api/submissions/export?startDate=yesterday').expect(400);
+    });
+  });
+
+  describe('Citation export', () => {
+    it('should render a verified news source as cite news', async () => {
+      const submission = await createTestSubmission({
+        url: 'https://www.myjoyonline.com/story',
+        title: 'Budget | 2024',
+        publisher: 'MyJoyOnline',
+        category: 'secondary',
+        status: 'approved',
+        credibility: 'credible'
+      });
+
+      const response = await request(app)
+        .get(`/api/submissions/${submission._id}/cite`)
+        .expect(200);
+
+      const today = new Date().toISOString().slice(0, 10);
+      expect(response.body.citation.template).toBe('cite news');
+      expect(response.body.citation.wikitext).toBe(
+        `{{cite news |url=https://www.myjoyonline.com/story |title=Budget {{!}} 2024 |work=MyJoyOnline |access-date=${today}}}`
+      );
+    });
+
+    it('should cite PDFs as web pages and name the journal when cite journal is chosen', async () => {
+      const submission = await createTestSubmission({
+        url: 'https://journals.example.org/malaria.pdf',
+        title: 'Malaria incidence in coastal districts',
+        publisher: 'Ghana Medical Journal',
+        category: 'primary',
+        fileType: 'pdf',
+        status: 'approved',
+        credibility: 'credible'
+      });
+
+      const automatic = await request(app)
+        .get(`/api/submissions/${submission._id}/cite`)
+        .expect(200);
+
+      expect(automatic.body.citation.template).toBe('cite web');
+      expect(automatic.body.citation.wikitext).toContain('|publisher=Ghana Medical Journal |format=PDF');
+
+      const journal = await request(app)
+        .get(`/api/submissions/${submission._id}/cite?template=${encodeURIComponent('cite journal')}`)
+        .expect(200);
+
+      expect(journal.body.citation.template).toBe('cite journal');
+      expect(journal.body.citation.wikitext).toContain('|journal=Ghana Medical Journal');
+      expect(journal.body.citation.wikitext).not.toContain('|publisher=');
+    });
+
+    it('should not cite unverified submissions', async () => {
+      const submission = await createTestSubmission({ status: 'pending' });
+
+      await request(app)
+        .get(`/api/submissions/${submission._id}/cite`)
+        .expect(400);
+    });
+
+    it('should batch export verified submissions matching the filters', async () => {
+      const submitter = await createTestUser({ username: 'citeuser', email: 'citeuser@test.com' });
+      await createTestSubmission({ title: 'Ghana primary', category: 'primary', status: 'approved', credibility: 'credible' }, submitter);
+      await createTestSubmission({ title: 'Ghana pending', category: 'primary', status: 'pending' }, submitter);
+      await createTestSubmission({ title: 'Kenya primary', country: 'Kenya', category: 'primary', status: 'approved', credibility: 'credible' }, submitter);
+
+      const response = await request(app)
+        .get('/api/submissions/cite?country=Ghana')
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.citations[0].template).toBe('cite web');
+
+      const text = await request(app)
+        .get('/api/submissions/cite?category=primary&format=wikitext')
+        .expect('Content-Type', /text\/plain/)
+        .expect(200);
+
+      expect(text.text.split('\n\n')).toHaveLength(2);
+    });
+  });
+
+  describe('Consensus review with a country quorum', () => {
+    const review = (app, submission, verifier, body) =>
+      request(app)
+        .put(`/api/submissions/${submission._id}/verify`)
+        .set('Authorization', getAuthHeader(verifier))
+        .send(body);
+
+    beforeEach(async () => {
+      await CountryStats.create({ countryCode: 'GH', countryName: 'Ghana', reviewPolicy: { quorum: 2 } });
+    });
+
+    it('should keep the submission pending until the quorum agrees', async () => {
+      const first = await createTestVerifier({ username: 'verifier_a', email: 'a@test.com', country: 'GH' });
+      const second = await createTestVerifier({ username: 'verifier_b', email: 'b@test.com', country: 'GH' });
+      const submission = await createTestSubmission({ country: 'GH' });
+
+      const firstResponse = await review(app, submission, first, { status: 'approved', credibility: 'credible' })
+        .expect(200);
+
+      expect(firstResponse.body.review).toEqual({ outcome: 'pending', quorum: 2, reviewsReceived: 1 });
+      expect(firstResponse.body.submission.status).toBe('pending');
+
+      const secondResponse = await review(app, submission, second, { status: 'approved', credibility: 'credible' })
+        .expect(200);
+
+      expect(secondResponse.body.review.outcome).toBe('approved');
+      expect(secondResponse.body.submission.status).toBe('approved');
+      expect(secondResponse.body.submission.credibility).toBe('credible');
+
+      const stats = await CountryStats.findOne({ countryCode: 'GH' });
+      expect(stats.topVerifiers).toHaveLength(2);
+      expect(stats.topVerifiers.every(v => v.accuracy === 100)).toBe(true);
+    });
+
+    it('should escalate disagreements and lock further reviews', async () => {
+      const first = await createTestVerifier({ username: 'verifier_a', email: 'a@test.com', country: 'GH' });
+      const second = await createTestVerifier({ username: 'verifier_b', email: 'b@test.com', country: 'GH' });
+      const third = await createTestVerifier({ username: 'verifier_c', email: 'c@test.com', country: 'GH' });
+      const admin = await createTestAdmin({ username: 'admin_a', email: 'admin_a@test.com' });
+      const submission = await createTestSubmission({ country: 'GH' });
+
+      await review(app, submission, first, { status: 'approved', credibility: 'credible' }).expect(200);
+      const response = await review(app, submission, second, { status: 'rejected' }).expect(200);
+
+      expect(response.body.review.outcome).toBe('escalated');
+      expect(response.body.submission.status).toBe('pending');
+      expect(response.body.submission.escalation.isEscalated).toBe(true);
+
+      const locked = await review(app, submission, third, { status: 'rejected' }).expect(400);
+      expect(locked.body.errorCode).toBe('SUBMISSION_LOCKED');
+
+      const queue = await request(app)
+        .get('/api/admin/submissions/escalated')
+        .set('Authorization', getAuthHeader(admin))
+        .expect(200);
+
+      expect(queue.body.submissions).toHaveLength(1);
+      expect(queue.body.submissions[0].reviews).toHaveLength(2);
+
+      await request(app)
+        .put(`/api/admin/submissions/${submission._id}/override`)
+        .set('Authorization', getAuthHeader(admin))
+        .send({ status: 'rejected', reason: 'Publisher fabricates quotes' })
+        .expect(200);
+
+      const stats = await CountryStats.findOne({ countryCode: 'GH' });
+      const accuracy = Object.fromEntries(stats.topVerifiers.map(v => [v.username, v.accuracy]));
+      expect(accuracy).toEqual({ verifier_a: 0, verifier_b: 100 });
+    });
+
+    it('should not allow the same verifier to review twice', async () => {
+      const verifier = await createTestVerifier({ username: 'verifier_a', email: 'a@test.com', country: 'GH' });
+      const submission = await createTestSubmission({ country: 'GH' });
+
+      await review(app, submission, verifier, { status: 'rejected' }).expect(200);
+      const response = await review(app, submission, verifier, { status: 'rejected' }).expect(400);
+
+      expect(response.body.errorCode).toBe('RESOURCE_ALREADY_EXISTS');
+    });
+  });
+});
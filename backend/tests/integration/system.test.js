@@ -0,0 +1,230 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createTestApp } from '../utils/testApp.js';
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestSubmission,
+  getAuthHeader
+} from '../utils/testHelpers.js';
+import SystemLog from '../../src/models/SystemLog.js';
+import Submission from '../../src/models/Submission.js';
+import config from '../../src/config/config.js';
+
+describe('System API Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  describe('GET /api/system/logs', () => {
+    it('should record failed and successful logins', async () => {
+      const admin = await createTestAdmin({ username: 'logadmin', email: 'logadmin@test.com' });
+      await createTestUser({ username: 'loguser', email: 'loguser@test.com', password: 'password123' });
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'loguser', password: 'wrongpassword' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'loguser', password: 'password123' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/system/logs?action=auth.login_failed')
+        .set('Authorization', getAuthHeader(admin))
+        .expect(200);
+
+      expect(response.body.logs).toHaveLength(1);
+      expect(response.body.logs[0].level).toBe('warn');
+      expect(response.body.logs[0].details.reason).toBe('invalid_password');
+      expect(response.body.logs[0].user.username).toBe('loguser');
+    });
+
+    it('should report the filtered total in pagination', async () => {
+      const admin = await createTestAdmin({ username: 'logadmin', email: 'logadmin@test.com' });
+      await SystemLog.insertMany(
+        Array.from({ length: 5 }, (_, i) => ({ action: 'test.event', level: 'info', message: `Event ${i}` }))
+      );
+
+      const response = await request(app)
+        .get('/api/system/logs?action=test.event&limit=2')
+        .set('Authorization', getAuthHeader(admin))
+        .expect(200);
+
+      expect(response.body.logs).toHaveLength(2);
+      expect(response.body.pagination.total).toBe(5);
+      expect(response.body.pagination.pages).toBe(3);
+    });
+
+    it('should filter logs by level and requestId', async () => {
+      const admin = await createTestAdmin({ username: 'logadmin', email: 'logadmin@test.com' });
+      await SystemLog.insertMany([
+        { action: 'request.error', level: 'error', requestId: 'req-1' },
+        { action: 'request.error', level: 'warn', requestId: 'req-2' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/system/logs?level=error&requestId=req-1')
+        .set('Authorization', getAuthHeader(admin))
+        .expect(200);
+
+      expect(response.body.logs).toHaveLength(1);
+      expect(response.body.logs[0].requestId).toBe('req-1');
+    });
+
+    it('should accept repeated parameters and ignore bracketed operators', async () => {
+      const admin = await createTestAdmin({ username: 'logadmin', email: 'logadmin@test.com' });
+      const authHeader = getAuthHeader(admin);
+      await SystemLog.insertMany([
+        { action: 'request.error', level: 'error', requestId: 'req-1' },
+        { action: 'request.error', level: 'warn', requestId: 'req-2' },
+        { action: 'test.event', level: 'info', requestId: 'req-3' }
+      ]);
+
+      const repeated = await request(app)
+        .get('/api/system/logs?level=error&level=warn')
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(repeated.body.logs).toHaveLength(2);
+
+      const bracketed = await request(app)
+        .get('/api/system/logs?action[$ne]=x&requestId[$regex]=.*')
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(bracketed.body.logs).toHaveLength(0);
+
+      await request(app)
+        .get('/api/system/logs?user[$ne]=x')
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/system/maintenance', () => {
+    it('should fill in derived fields on submissions saved before they existed', async () => {
+      const admin = await createTestAdmin({ username: 'maintadmin', email: 'maintadmin@test.com' });
+      const submitter = await createTestUser({ username: 'legacysubmitter', email: 'legacysubmitter@test.com' });
+
+      // Written straight to the collection, as older versions stored them
+      const { insertedId } = await Submission.collection.insertOne({
+        url: 'https://www.mofep.gov.gh/budget/2019?utm_source=twitter',
+        title: 'Legacy Budget Statement',
+        publisher: 'Ministry of Finance',
+        country: 'Ghana',
+        category: 'primary',
+        status: 'approved',
+        submitter: submitter._id,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+
+      await request(app)
+        .post('/api/system/maintenance')
+        .set('Authorization', getAuthHeader(admin))
+        .expect(200);
+
+      const legacy = await Submission.findById(insertedId);
+      expect(legacy.canonicalUrl).toBe('https://mofep.gov.gh/budget/2019');
+      expect(legacy.canonicalHost).toBe('mofep.gov.gh');
+      expect(legacy.publisherSlug).toBe('mofep.gov.gh');
+      expect(legacy.searchTerms).toContain('legacy');
+
+      const duplicate = await request(app)
+        .get('/api/submissions/check-duplicate')
+        .query({ url: 'https://mofep.gov.gh/budget/2019' })
+        .expect(200);
+      expect(duplicate.body.exact._id).toBe(insertedId.toString());
+    });
+  });
+
+  describe('Database backups', () => {
+    const originalBackupPath = config.backupPath;
+
+    beforeEach(() => {
+      config.backupPath = fs.mkdtempSync(path.join(os.tmpdir(), 'wsv-backups-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(config.backupPath, { recursive: true, force: true });
+      config.backupPath = originalBackupPath;
+    });
+
+    it('should create, list and download a backup', async () => {
+      const admin = await createTestAdmin({ username: 'backupadmin', email: 'backupadmin@test.com' });
+      const authHeader = getAuthHeader(admin);
+      await createTestSubmission({}, admin);
+
+      const createResponse = await request(app)
+        .post('/api/system/backup')
+        .set('Authorization', authHeader)
+        .send({ note: 'Before cleanup' })
+        .expect(201);
+
+      const { backup } = createResponse.body;
+      expect(backup.backupId).toMatch(/^backup_/);
+      expect(backup.collections).toEqual({ users: 1, submissions: 1, countryStats: 0 });
+
+      const listResponse = await request(app)
+        .get('/api/system/backups')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(listResponse.body.backups).toHaveLength(1);
+      expect(listResponse.body.backups[0].note).toBe('Before cleanup');
+
+      await request(app)
+        .get(`/api/system/backups/${backup.backupId}/download`)
+        .set('Authorization', authHeader)
+        .expect('Content-Disposition', /attachment/)
+        .expect(200);
+    });
+
+    it('should only validate on dry run and restore when confirmed', async () => {
+      const admin = await createTestAdmin({ username: 'backupadmin', email: 'backupadmin@test.com' });
+      const authHeader = getAuthHeader(admin);
+      const submission = await createTestSubmission({ title: 'Original title' }, admin);
+
+      const { body } = await request(app)
+        .post('/api/system/backup')
+        .set('Authorization', authHeader)
+        .expect(201);
+
+      await Submission.findByIdAndUpdate(submission._id, { title: 'Changed title' });
+
+      const dryRun = await request(app)
+        .post(`/api/system/backups/${body.backup.backupId}/restore`)
+        .set('Authorization', authHeader)
+        .send({})
+        .expect(200);
+
+      expect(dryRun.body.result.valid).toBe(true);
+      expect(dryRun.body.result.restored).toBe(false);
+      expect((await Submission.findById(submission._id)).title).toBe('Changed title');
+
+      const restore = await request(app)
+        .post(`/api/system/backups/${body.backup.backupId}/restore`)
+        .set('Authorization', authHeader)
+        .send({ dryRun: false })
+        .expect(200);
+
+      expect(restore.body.result.restored).toBe(true);
+      expect(restore.body.result.safetyBackupId).toMatch(/^backup_/);
+      expect((await Submission.findById(submission._id)).title).toBe('Original title');
+    });
+
+    it('should reject malformed backup IDs', async () => {
+      const admin = await createTestAdmin({ username: 'backupadmin', email: 'backupadmin@test.com' });
+
+      await request(app)
+        .get('/api/system/backups/..%2F..%2Fetc%2Fpasswd/download')
+        .set('Authorization', getAuthHeader(admin))
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,285 @@
+import request from 'supertest';
+import { createTestApp } from '../utils/testApp.js';
+import {
+  createTestUser,
+  createTestAdmin,
+  createTestVerifier,
+  getAuthHeader
+} from '../utils/testHelpers.js';
+import User from '../../src/models/User.js';
+import SystemLog from '../../src/models/SystemLog.js';
+import SystemSettings from '../../src/models/SystemSettings.js';
+import config from '../../src/config/config.js';
+import { generateCode, currentStep } from '../../src/utils/totp.js';
+
+describe('Two-factor authentication', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  // Codes for neighbouring steps are accepted, which lets a test use a fresh step
+  // each time without waiting out the 30 second period
+  const codeFor = (secret, offset = 0) => generateCode(secret, currentStep() + offset);
+
+  // Enrol through the API, confirming with the previous step's code
+  const enroll = async (user) => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', getAuthHeader(user))
+      .expect(200);
+
+    const enabled = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', getAuthHeader(user))
+      .send({ code: codeFor(setup.body.secret, -1) })
+      .expect(200);
+
+    return { secret: setup.body.secret, recoveryCodes: enabled.body.recoveryCodes };
+  };
+
+  const login = (username, password = 'password123') =>
+    request(app)
+      .post('/api/auth/login')
+      .send({ username, password });
+
+  const completeLogin = (twoFactorToken, body) =>
+    request(app)
+      .post('/api/auth/login/2fa')
+      .send({ twoFactorToken, ...body });
+
+  describe('Enrolment', () => {
+    it('should provide a provisioning URI and enable 2FA after a valid code', async () => {
+      const user = await createTestUser({ username: 'enroller', email: 'enroller@test.com' });
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', getAuthHeader(user))
+        .expect(200);
+
+      expect(setup.body.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(setup.body.otpauthUri).toMatch(/^otpauth:\/\/totp\/WikiSourceVerifier%3Aenroller\?/);
+      expect(setup.body.otpauthUri).toContain(`secret=${setup.body.secret}`);
+
+      await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', getAuthHeader(user))
+        .send({ code: '000000' })
+        .expect(400);
+
+      const enabled = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', getAuthHeader(user))
+        .send({ code: codeFor(setup.body.secret) })
+        .expect(200);
+
+      expect(enabled.body.recoveryCodes).toHaveLength(10);
+      expect(enabled.body.user.twoFactorEnabled).toBe(true);
+
+      const saved = await User.findById(user._id).select('+twoFactor.secret +twoFactor.recoveryCodes');
+      expect(saved.twoFactor.secret).toBe(setup.body.secret);
+      expect(saved.twoFactor.recoveryCodes).not.toContain(enabled.body.recoveryCodes[0]);
+
+      const status = await request(app)
+        .get('/api/auth/2fa')
+        .set('Authorization', getAuthHeader(user))
+        .expect(200);
+
+      expect(status.body.enabled).toBe(true);
+      expect(status.body.recoveryCodesRemaining).toBe(10);
+    });
+
+    it('should require the password and a code to disable 2FA', async () => {
+      const user = await createTestUser({ username: 'disabler', email: 'disabler@test.com' });
+      const { secret } = await enroll(user);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', getAuthHeader(user))
+        .send({ password: 'wrongpassword', code: codeFor(secret) })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', getAuthHeader(user))
+        .send({ password: 'password123', code: '000000' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', getAuthHeader(user))
+        .send({ password: 'password123', code: codeFor(secret) })
+        .expect(200);
+
+      const response = await login('disabler').expect(200);
+      expect(response.body).toHaveProperty('accessToken');
+    });
+  });
+
+  describe('Login', () => {
+    it('should ask for a code after the password and issue tokens once it is given', async () => {
+      const user = await createTestUser({ username: 'twostep', email: 'twostep@test.com' });
+      const { secret } = await enroll(user);
+
+      const first = await login('twostep').expect(200);
+
+      expect(first.body.twoFactorRequired).toBe(true);
+      expect(first.body).not.toHaveProperty('accessToken');
+
+      const second = await completeLogin(first.body.twoFactorToken, { code: codeFor(secret) }).expect(200);
+
+      expect(second.body).toHaveProperty('accessToken');
+      expect(second.body.user.username).toBe('twostep');
+
+      // The token is spent
+      await completeLogin(first.body.twoFactorToken, { code: codeFor(secret, 1) }).expect(401);
+    });
+
+    it('should not accept the same code twice', async () => {
+      const user = await createTestUser({ username: 'replayer', email: 'replayer@test.com' });
+      const { secret } = await enroll(user);
+      const code = codeFor(secret);
+
+      const first = await login('replayer');
+      await completeLogin(first.body.twoFactorToken, { code }).expect(200);
+
+      const second = await login('replayer');
+      await completeLogin(second.body.twoFactorToken, { code }).expect(401);
+    });
+
+    it('should accept each recovery code once', async () => {
+      const user = await createTestUser({ username: 'recoverer', email: 'recoverer@test.com' });
+      const { recoveryCodes } = await enroll(user);
+
+      const first = await login('recoverer');
+      await completeLogin(first.body.twoFactorToken, { recoveryCode: recoveryCodes[0].toUpperCase() }).expect(200);
+
+      const second = await login('recoverer');
+      await completeLogin(second.body.twoFactorToken, { recoveryCode: recoveryCodes[0] }).expect(401);
+
+      const event = await SystemLog.findOne({ action: 'auth.login', user: user._id });
+      expect(event.details.twoFactor).toBe('recovery');
+      expect(event.details.recoveryCodesRemaining).toBe(9);
+    });
+
+    it('should count wrong codes towards the account lockout', async () => {
+      const user = await createTestUser({ username: 'codeguesser', email: 'codeguesser@test.com' });
+      const { secret } = await enroll(user);
+
+      const { body } = await login('codeguesser');
+      for (let i = 0; i < config.loginMaxAttempts - 1; i += 1) {
+        await completeLogin(body.twoFactorToken, { code: '000000' }).expect(401);
+      }
+      await completeLogin(body.twoFactorToken, { code: '000000' }).expect(423);
+
+      await completeLogin(body.twoFactorToken, { code: codeFor(secret) }).expect(423);
+      await login('codeguesser').expect(423);
+    });
+
+    it('should reject unknown or expired login tokens', async () => {
+      const user = await createTestUser({ username: 'slowuser', email: 'slowuser@test.com' });
+      const { secret } = await enroll(user);
+
+      await completeLogin('not-a-real-token', { code: codeFor(secret) }).expect(401);
+
+      const { body } = await login('slowuser');
+      await User.updateOne({ _id: user._id }, { twoFactorChallengeExpires: new Date(Date.now() - 1000) });
+
+      await completeLogin(body.twoFactorToken, { code: codeFor(secret) }).expect(401);
+    });
+  });
+
+  describe('Admin policy', () => {
+    it('should block verifier routes until a required 2FA is enabled', async () => {
+      const admin = await createTestAdmin({ username: 'policyadmin', email: 'policyadmin@test.com' });
+      const verifier = await createTestVerifier({ username: 'policyverifier', email: 'policyverifier@test.com' });
+
+      await request(app)
+        .put('/api/admin/settings')
+        .set('Authorization', getAuthHeader(admin))
+        .send({ twoFactorRequiredRoles: ['verifier'] })
+        .expect(200);
+
+      const blocked = await request(app)
+        .get('/api/submissions/pending/country')
+        .set('Authorization', getAuthHeader(verifier))
+        .expect(403);
+
+      expect(blocked.body.errorCode).toBe('TWO_FACTOR_REQUIRED');
+
+      const status = await request(app)
+        .get('/api/auth/2fa')
+        .set('Authorization', getAuthHeader(verifier))
+        .expect(200);
+      expect(status.body.required).toBe(true);
+
+      const { secret } = await enroll(verifier);
+
+      await request(app)
+        .get('/api/submissions/pending/country')
+        .set('Authorization', getAuthHeader(verifier))
+        .expect(200);
+
+      // Required 2FA cannot be switched off by its owner
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', getAuthHeader(verifier))
+        .send({ password: 'password123', code: codeFor(secret) })
+        .expect(403);
+    });
+
+    it('should only create the settings document when an admin saves it', async () => {
+      const admin = await createTestAdmin({ username: 'readadmin', email: 'readadmin@test.com' });
+      const verifier = await createTestVerifier({ username: 'readverifier', email: 'readverifier@test.com' });
+
+      await request(app)
+        .get('/api/submissions/pending/country')
+        .set('Authorization', getAuthHeader(verifier))
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/admin/settings')
+        .set('Authorization', getAuthHeader(admin))
+        .expect(200);
+
+      expect(response.body.settings.twoFactorRequiredRoles).toEqual([]);
+      expect(await SystemSettings.countDocuments()).toBe(0);
+    });
+
+    it('should not let an admin without 2FA require it for admins', async () => {
+      const admin = await createTestAdmin({ username: 'plainadmin', email: 'plainadmin@test.com' });
+
+      await request(app)
+        .put('/api/admin/settings')
+        .set('Authorization', getAuthHeader(admin))
+        .send({ twoFactorRequiredRoles: ['admin'] })
+        .expect(400);
+
+      await enroll(admin);
+
+      const response = await request(app)
+        .put('/api/admin/settings')
+        .set('Authorization', getAuthHeader(admin))
+        .send({ twoFactorRequiredRoles: ['admin', 'verifier'] })
+        .expect(200);
+
+      expect(response.body.settings.twoFactorRequiredRoles).toEqual(['admin', 'verifier']);
+    });
+
+    it('should let an admin reset a user\'s 2FA', async () => {
+      const admin = await createTestAdmin({ username: 'resetadmin', email: 'resetadmin@test.com' });
+      const user = await createTestUser({ username: 'lostphone', email: 'lostphone@test.com' });
+      await enroll(user);
+
+      await request(app)
+        .post(`/api/admin/users/${user._id}/reset-2fa`)
+        .set('Authorization', getAuthHeader(admin))
+        .send({ reason: 'Lost device, identity confirmed by email' })
+        .expect(200);
+
+      const response = await login('lostphone').expect(200);
+      expect(response.body).toHaveProperty('accessToken');
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import request from 'supertest';
+import { createTestApp } from '../utils/testApp.js';
+import { createTestUser, getAuthHeader } from '../utils/testHelpers.js';
+import { startMockWikimedia } from '../utils/mockWikimediaOAuth.js';
+import config from '../../src/config/config.js';
+import User from '../../src/models/User.js';
+
+const CLIENT = { clientId: 'test-client', clientSecret: 'test-secret' };
+
+const wikiProfile = (overrides = {}) => ({
+  sub: '4815162342',
+  username: 'Ama Mensah',
+  editcount: 1520,
+  confirmed_email: true,
+  email: 'ama@example.org',
+  blocked: false,
+  registered: '20150322152354',
+  groups: ['*', 'user', 'autoconfirmed'],
+  ...overrides
+});
+
+describe('Wikimedia OAuth', () => {
+  let app;
+  let provider;
+  const originalWikimedia = config.wikimedia;
+
+  beforeAll(async () => {
+    app = createTestApp();
+    provider = await startMockWikimedia(CLIENT);
+    config.wikimedia = {
+      ...CLIENT,
+      oauthUrl: provider.url,
+      callbackUrl: 'http://localhost:5173/auth/wikimedia/callback'
+    };
+  });
+
+  afterAll(async () => {
+    config.wikimedia = originalWikimedia;
+    await provider.close();
+  });
+
+  // Start a flow and approve it on the mock consent page
+  const consent = async (profile, { mode = 'login', authHeader } = {}) => {
+    const authorize = request(app).get('/api/auth/wikimedia/authorize').query({ mode });
+    if (authHeader) authorize.set('Authorization', authHeader);
+    const response = await authorize.expect(200);
+    return provider.approve(response.body.authorizationUrl, profile);
+  };
+
+  const callback = (params, authHeader) => {
+    const call = request(app).post('/api/auth/wikimedia/callback').send(params);
+    return authHeader ? call.set('Authorization', authHeader) : call;
+  };
+
+  it('should build a PKCE authorization URL for the consumer', async () => {
+    const response = await request(app)
+      .get('/api/auth/wikimedia/authorize')
+      .expect(200);
+
+    const url = new URL(response.body.authorizationUrl);
+    expect(url.pathname).toBe('/oauth2/authorize');
+    expect(url.searchParams.get('client_id')).toBe('test-client');
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('state')).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  it('should register a new Wikimedia user', async () => {
+    const response = await callback(await consent(wikiProfile())).expect(200);
+
+    expect(response.body.needsRegistration).toBe(true);
+    expect(response.body.profile.suggestedUsername).toBe('Ama_Mensah');
+
+    const registered = await request(app)
+      .post('/api/auth/wikimedia/register')
+      .send({
+        registrationToken: response.body.registrationToken,
+        username: 'Ama_Mensah',
+        email: 'ama@example.org',
+        country: 'Ghana'
+      })
+      .expect(201);
+
+    expect(registered.body).toHaveProperty('accessToken');
+    expect(registered.body.user.emailVerified).toBe(true);
+    expect(registered.body.user.wikimedia.username).toBe('Ama Mensah');
+    expect(registered.body.user.wikimedia.editCount).toBe(1520);
+    expect(new Date(registered.body.user.wikimedia.registeredAt).toISOString()).toBe('2015-03-22T15:23:54.000Z');
+  });
+
+  it('should log in a linked user and refresh their edit count', async () => {
+    const user = await createTestUser({ username: 'linked_editor', email: 'linked@test.com' });
+    await User.updateOne({ _id: user._id }, { wikimedia: { id: '4815162342', username: 'Ama Mensah', editCount: 10 } });
+
+    const response = await callback(await consent(wikiProfile({ editcount: 2000 }))).expect(200);
+
+    expect(response.body.user.username).toBe('linked_editor');
+    expect(response.body).toHaveProperty('refreshToken');
+
+    const saved = await User.findById(user._id);
+    expect(saved.wikimedia.editCount).toBe(2000);
+  });
+
+  it('should accept each state only once', async () => {
+    const params = await consent(wikiProfile());
+
+    await callback(params).expect(200);
+    await callback(params).expect(400);
+  });
+
+  it('should reject codes the provider does not accept', async () => {
+    const { state } = await consent(wikiProfile());
+
+    const response = await callback({ code: 'forged-code', state }).expect(401);
+
+    expect(response.body.message).toMatch(/Wikimedia sign-in failed/);
+  });
+
+  describe('account linking', () => {
+    it('should link a Wikimedia account to the current user', async () => {
+      const user = await createTestUser({ username: 'local_editor', email: 'local@test.com' });
+      const authHeader = getAuthHeader(user);
+
+      const response = await callback(await consent(wikiProfile(), { mode: 'link', authHeader }), authHeader)
+        .expect(200);
+
+      expect(response.body.user.wikimedia.username).toBe('Ama Mensah');
+
+      const profile = await request(app)
+        .get(`/api/users/${user._id}`)
+        .expect(200);
+      expect(profile.body.user.wikimedia.editCount).toBe(1520);
+    });
+
+    it('should require the user who started linking', async () => {
+      const user = await createTestUser({ username: 'starter', email: 'starter@test.com' });
+      const other = await createTestUser({ username: 'finisher', email: 'finisher@test.com' });
+
+      const params = await consent(wikiProfile(), { mode: 'link', authHeader: getAuthHeader(user) });
+
+      await callback(params, getAuthHeader(other)).expect(403);
+    });
+
+    it('should refuse a Wikimedia account linked to someone else', async () => {
+      const owner = await createTestUser({ username: 'first_owner', email: 'first@test.com' });
+      await User.updateOne({ _id: owner._id }, { wikimedia: { id: '4815162342', username: 'Ama Mensah' } });
+      const user = await createTestUser({ username: 'second_owner', email: 'second@test.com' });
+      const authHeader = getAuthHeader(user);
+
+      await callback(await consent(wikiProfile(), { mode: 'link', authHeader }), authHeader).expect(400);
+    });
+
+    it('should unlink the Wikimedia account', async () => {
+      const user = await createTestUser({ username: 'unlinker', email: 'unlinker@test.com' });
+      await User.updateOne({ _id: user._id }, { wikimedia: { id: '4815162342', username: 'Ama Mensah' } });
+
+      const response = await request(app)
+        .delete('/api/auth/wikimedia/link')
+        .set('Authorization', getAuthHeader(user))
+        .expect(200);
+
+      expect(response.body.user.wikimedia).toBeNull();
+    });
+
+    it('should need a logged-in user to start linking', async () => {
+      await request(app)
+        .get('/api/auth/wikimedia/authorize')
+        .query({ mode: 'link' })
+        .expect(401);
+    });
+  });
+
+  it('should report when no consumer is configured', async () => {
+    config.wikimedia = { ...config.wikimedia, clientId: undefined };
+
+    try {
+      await request(app)
+        .get('/api/auth/wikimedia/authorize')
+        .expect(503);
+    } finally {
+      config.wikimedia = { ...config.wikimedia, clientId: CLIENT.clientId };
+    }
+  });
+});
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import { MongoMemoryServer } from 'mongodb-memory-server';
+import SystemSettings from '../src/models/SystemSettings.js';
 
 let mongoServer;
 let useMemoryServer = true;
@@ -76,6 +77,9 @@ beforeAll(async () => {
 
 // Cleanup after each test
 afterEach(async () => {
+  // Settings are cached in memory and would outlive the cleared collection
+  SystemSettings.clearCache();
+
   try {
     // Clear all collections
     if (mongoose.connection.readyState === 1) {
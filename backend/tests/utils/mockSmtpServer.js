@@ -0,0 +1,113 @@
+import net from 'net';
+
+// Undo quoted-printable so tests can search message bodies as written
+const decodeQuotedPrintable = (raw) => raw
+  .replace(/=\r?\n/g, '')
+  .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+/**
+ * Start a minimal SMTP server on a local port that keeps every message it accepts
+ * @returns {Promise<Object>} port, messages, failNext(count, reply) and close()
+ */
+export const startMockSmtp = async () => {
+  const messages = [];
+  const failures = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    let envelope = { from: null, to: [] };
+    let data = null;
+    let buffer = '';
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const handleCommand = (line) => {
+      const command = line.slice(0, 4).toUpperCase();
+
+      if (command === 'EHLO' || command === 'HELO') return reply('250 localhost');
+      if (command === 'MAIL') {
+        // Failures are served per message, at the start of the transaction
+        if (failures.length > 0) return reply(failures.shift());
+        envelope = { from: line.match(/<(.*)>/)?.[1], to: [] };
+        return reply('250 OK');
+      }
+      if (command === 'RCPT') {
+        envelope.to.push(line.match(/<(.*)>/)?.[1]);
+        return reply('250 OK');
+      }
+      if (command === 'DATA') {
+        data = '';
+        return reply('354 End data with <CR><LF>.<CR><LF>');
+      }
+      if (command === 'RSET') {
+        envelope = { from: null, to: [] };
+        return reply('250 OK');
+      }
+      if (command === 'NOOP') return reply('250 OK');
+      if (command === 'QUIT') {
+        reply('221 Bye');
+        return socket.end();
+      }
+      reply('502 Command not implemented');
+    };
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+
+      while (true) {
+        if (data !== null) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+
+          const raw = (data + buffer.slice(0, end)).replace(/^\.\./gm, '.');
+          buffer = buffer.slice(end + 5);
+          data = null;
+
+          const headers = raw.slice(0, raw.indexOf('\r\n\r\n'));
+          messages.push({
+            from: envelope.from,
+            to: envelope.to,
+            subject: headers.match(/^Subject: (.*)$/m)?.[1],
+            raw,
+            body: decodeQuotedPrintable(raw)
+          });
+          reply(`250 OK: queued as ${messages.length}`);
+          continue;
+        }
+
+        const newline = buffer.indexOf('\r\n');
+        if (newline === -1) return;
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        handleCommand(line);
+      }
+    });
+
+    reply('220 localhost ESMTP test server');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    messages,
+
+    /**
+     * Reject the next messages with an SMTP error reply
+     * @param {number} [count=1]
+     * @param {string} [reply] - Defaults to a temporary (4xx) failure
+     */
+    failNext(count = 1, reply = '451 4.3.0 Temporary local problem') {
+      for (let i = 0; i < count; i += 1) failures.push(reply);
+    },
+
+    close: () => new Promise((resolve) => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+};
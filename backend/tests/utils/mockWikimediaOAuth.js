@@ -0,0 +1,81 @@
+import http from 'http';
+import crypto from 'crypto';
+
+const readForm = (req) => new Promise((resolve) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(body)));
+});
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+/**
+ * Start a stand-in for Wikimedia's OAuth 2.0 provider on a local port
+ * It checks the client credentials, redirect URI and PKCE verifier like the real one
+ * @param {Object} client
+ * @param {string} client.clientId
+ * @param {string} client.clientSecret
+ * @returns {Promise<Object>} url, approve(authorizationUrl, profile) and close()
+ */
+export const startMockWikimedia = async ({ clientId, clientSecret }) => {
+  const codes = new Map();
+  const tokens = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'POST' && pathname === '/oauth2/access_token') {
+      const form = await readForm(req);
+      const grant = codes.get(form.get('code'));
+      codes.delete(form.get('code'));
+
+      if (form.get('client_id') !== clientId || form.get('client_secret') !== clientSecret) {
+        return sendJson(res, 401, { error: 'invalid_client', error_description: 'Client authentication failed' });
+      }
+      const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (!grant || grant.redirectUri !== form.get('redirect_uri') || grant.codeChallenge !== challenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Authorization code is invalid' });
+      }
+
+      const accessToken = crypto.randomBytes(16).toString('hex');
+      tokens.set(accessToken, grant.profile);
+      return sendJson(res, 200, { token_type: 'Bearer', access_token: accessToken, expires_in: 14400 });
+    }
+
+    if (req.method === 'GET' && pathname === '/oauth2/resource/profile') {
+      const profile = tokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+      if (!profile) return sendJson(res, 401, { error: 'invalid_token' });
+      return sendJson(res, 200, profile);
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+
+    /**
+     * Play the user approving the consent page
+     * @param {string} authorizationUrl - URL returned by /api/auth/wikimedia/authorize
+     * @param {Object} profile - Profile to return, in Wikimedia's format (sub, username, editcount, ...)
+     * @returns {{code: string, state: string}} What Wikimedia appends to the callback URL
+     */
+    approve(authorizationUrl, profile) {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        profile,
+        redirectUri: params.get('redirect_uri'),
+        codeChallenge: params.get('code_challenge')
+      });
+      return { code, state: params.get('state') };
+    },
+
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
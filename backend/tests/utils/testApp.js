@@ -6,13 +6,17 @@ import errorHandler from '../../src/middleware/errorHandler.js';
 import { optionalAuth } from '../../src/middleware/auth.js';
 import { userRateLimiter } from '../../src/middleware/rateLimiter.js';
 import authRoutes from '../../src/routes/authRoutes.js';
-import wikimediaOAuth1Routes from '../../src/routes/wikimediaOAuth1Routes.js';
+import wikimediaOAuthRoutes from '../../src/routes/wikimediaOAuthRoutes.js';
+import twoFactorRoutes from '../../src/routes/twoFactorRoutes.js';
 import submissionRoutes from '../../src/routes/submissionRoutes.js';
 import userRoutes from '../../src/routes/userRoutes.js';
 import adminRoutes from '../../src/routes/adminRoutes.js';
 import countryRoutes from '../../src/routes/countryRoutes.js';
 import systemRoutes from '../../src/routes/systemRoutes.js';
 import reportsRoutes from '../../src/routes/reportsRoutes.js';
+import publisherRoutes from '../../src/routes/publisherRoutes.js';
+import notificationRoutes from '../../src/routes/notificationRoutes.js';
+import realtimeRoutes from '../../src/routes/realtimeRoutes.js';
 
 /**
  * Create a test Express app instance
@@ -60,13 +64,17 @@ export const createTestApp = () => {
 
   // API routes
   app.use('/api/auth', authRoutes);
-  app.use('/api/auth/wikimedia', wikimediaOAuth1Routes);
+  app.use('/api/auth/wikimedia', wikimediaOAuthRoutes);
+  app.use('/api/auth/2fa', twoFactorRoutes);
   app.use('/api/submissions', submissionRoutes);
   app.use('/api/users', userRoutes);
   app.use('/api/admin', adminRoutes);
   app.use('/api/countries', countryRoutes);
   app.use('/api/system', systemRoutes);
   app.use('/api/reports', reportsRoutes);
+  app.use('/api/publishers', publisherRoutes);
+  app.use('/api/notifications', notificationRoutes);
+  app.use('/api/realtime', realtimeRoutes);
 
   // Welcome route
   app.get('/', (req, res) => {
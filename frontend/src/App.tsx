@@ -3,17 +3,21 @@ import { Routes, Route, Link } from "react-router-dom";
 
 
 import { AuthProvider } from "./lib/auth-context";
+import { RealtimeProvider } from "./lib/realtime-context";
 import { Navigation } from "./components/Navigation";
 import { CountryNavigation } from "./components/CountryNavigation";
 
 import {
   LandingPage,
   AuthPage,
+  WikimediaCallback,
   SubmissionForm,
   AdminDashboard,
   PublicDirectory,
   UserProfile,
   CountryPage,
+  PublisherPage,
+  UnsubscribePage,
 } from "./pages";
 import { Toaster } from './components/ui/sonner';
 import { TooltipProvider } from './components/ui/tooltip';
@@ -48,14 +52,20 @@ function AppContent() {
             <Routes>
               <Route path="/" element={<LandingPage />} />
               <Route path="/auth" element={<AuthPage />} />
+              <Route path="/auth/wikimedia/callback" element={<WikimediaCallback />} />
               <Route path="/submit" element={<SubmissionForm />} />
               <Route path="/admin" element={<AdminDashboard />} />
               <Route path="/directory" element={<PublicDirectory />} />
               <Route path="/profile" element={<UserProfile />} />
+              <Route path="/unsubscribe" element={<UnsubscribePage />} />
               <Route
                 path="/country/:countryCode"
                 element={<CountryPage />}
               />
+              <Route
+                path="/publishers/:slug"
+                element={<PublisherPage />}
+              />
 
               {/* 404 */}
               <Route path="*" element={<NotFound />} />
@@ -125,7 +135,9 @@ function AppContent() {
 export default function App() {
   return (
     <AuthProvider>
-      <AppContent />
+      <RealtimeProvider>
+        <AppContent />
+      </RealtimeProvider>
     </AuthProvider>
   );
 }
@@ -0,0 +1,164 @@
+import React, { useEffect, useState } from 'react';
+import { Loader2, LogOut, Monitor, Smartphone } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { authApi } from '../lib/api';
+
+interface Session {
+  id: string;
+  userAgent?: string;
+  ip?: string;
+  createdAt: string;
+  lastUsedAt?: string;
+  expiresAt?: string;
+  current: boolean;
+}
+
+const BROWSERS: Array<[RegExp, string]> = [
+  [/Edg\//, 'Edge'],
+  [/OPR\//, 'Opera'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\//, 'Chrome'],
+  [/Safari\//, 'Safari'],
+];
+
+const SYSTEMS: Array<[RegExp, string]> = [
+  [/Android/, 'Android'],
+  [/iPhone|iPad/, 'iOS'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X/, 'macOS'],
+  [/Linux/, 'Linux'],
+];
+
+const isMobile = (userAgent?: string) => /Mobile|Android|iPhone|iPad/.test(userAgent || '');
+
+const describeDevice = (userAgent?: string) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (!browser && !system) return userAgent.slice(0, 60);
+  return [browser, system].filter(Boolean).join(' on ');
+};
+
+export const ActiveSessions: React.FC = () => {
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState<string | null>(null);
+
+  const loadSessions = async () => {
+    try {
+      const response = await authApi.getSessions();
+      setSessions(response.sessions);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId: string) => {
+    setRevoking(sessionId);
+    try {
+      await authApi.revokeSession(sessionId);
+      setSessions((current) => current.filter((session) => session.id !== sessionId));
+      toast.success('Device signed out');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to sign out the device');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setRevoking('others');
+    try {
+      const response = await authApi.revokeOtherSessions();
+      setSessions((current) => current.filter((session) => session.current));
+      toast.success(`Signed out ${response.revoked} other ${response.revoked === 1 ? 'device' : 'devices'}`);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to sign out other devices');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const otherSessions = sessions.filter((session) => !session.current);
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <CardTitle>Active Sessions</CardTitle>
+            <CardDescription>
+              Devices signed in to your account. Sign out any you do not recognise.
+            </CardDescription>
+          </div>
+          {otherSessions.length > 0 && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleRevokeOthers}
+              disabled={revoking !== null}
+            >
+              {revoking === 'others' ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <LogOut className="h-4 w-4 mr-2" />
+              )}
+              Sign Out Other Devices
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : sessions.length === 0 ? (
+          <p className="text-sm text-gray-500">No active sessions.</p>
+        ) : (
+          <div className="divide-y">
+            {sessions.map((session) => {
+              const DeviceIcon = isMobile(session.userAgent) ? Smartphone : Monitor;
+              return (
+                <div key={session.id} className="flex items-center justify-between py-3 gap-4">
+                  <div className="flex items-center gap-3">
+                    <DeviceIcon className="h-5 w-5 text-gray-500" />
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium">{describeDevice(session.userAgent)}</span>
+                        {session.current && <Badge variant="secondary">This device</Badge>}
+                      </div>
+                      <p className="text-sm text-gray-500">
+                        {session.ip && `${session.ip} · `}
+                        Last active {new Date(session.lastUsedAt || session.createdAt).toLocaleString()}
+                      </p>
+                    </div>
+                  </div>
+                  {!session.current && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleRevoke(session.id)}
+                      disabled={revoking !== null}
+                    >
+                      {revoking === session.id ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Sign Out'}
+                    </Button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
@@ -23,6 +23,7 @@ import {
 import { Badge } from "./ui/badge";
 import { Menu } from "lucide-react";
 import { Sheet, SheetContent, SheetTrigger } from "./ui/sheet";
+import { NotificationBell } from "./NotificationBell";
 
 
 const countries = [
@@ -152,6 +153,7 @@ export const Navigation: React.FC = () => {
           </div>
 
           <div className="flex items-center space-x-4">
+            {user && <NotificationBell />}
             {user ? (
               <DropdownMenu>
                 <DropdownMenuTrigger asChild>
@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bell, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
+import { notificationApi } from '../lib/api';
+import { useRealtimeEvent } from '../lib/realtime-context';
+
+interface Notification {
+  _id: string;
+  type: string;
+  title: string;
+  message?: string;
+  link?: string;
+  readAt?: string | null;
+  createdAt: string;
+}
+
+// New notifications are pushed over the real-time stream; polling catches up after a dropped connection
+const POLL_INTERVAL_MS = 5 * 60 * 1000;
+
+export const NotificationBell: React.FC = () => {
+  const navigate = useNavigate();
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [notifications, setNotifications] = useState<Notification[] | null>(null);
+
+  const loadUnreadCount = async () => {
+    try {
+      const response = await notificationApi.getUnreadCount();
+      setUnreadCount(response.unreadCount);
+    } catch {
+      // The badge is best effort; the next poll will try again
+    }
+  };
+
+  useEffect(() => {
+    loadUnreadCount();
+    const interval = setInterval(loadUnreadCount, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  useRealtimeEvent('notification', (notification: Notification) => {
+    setUnreadCount((count) => count + 1);
+    setNotifications((current) => current && [notification, ...current]);
+  });
+
+  const handleOpenChange = async (open: boolean) => {
+    if (!open) return;
+    try {
+      const response = await notificationApi.getAll({ limit: 10 });
+      setNotifications(response.notifications);
+      setUnreadCount(response.unreadCount);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load notifications');
+    }
+  };
+
+  const handleSelect = async (notification: Notification) => {
+    if (!notification.readAt) {
+      try {
+        await notificationApi.markAsRead(notification._id);
+        setNotifications((current) => (current || []).map((item) => (
+          item._id === notification._id ? { ...item, readAt: new Date().toISOString() } : item
+        )));
+        setUnreadCount((count) => Math.max(0, count - 1));
+      } catch {
+        // Still follow the link; it stays unread for next time
+      }
+    }
+    if (notification.link) navigate(notification.link);
+  };
+
+  const handleMarkAllAsRead = async () => {
+    try {
+      await notificationApi.markAllAsRead();
+      const readAt = new Date().toISOString();
+      setNotifications((current) => (current || []).map((item) => ({ ...item, readAt: item.readAt || readAt })));
+      setUnreadCount(0);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to mark notifications as read');
+    }
+  };
+
+  return (
+    <DropdownMenu onOpenChange={handleOpenChange}>
+      <DropdownMenuTrigger asChild>
+        <Button variant="ghost" size="icon" className="relative" aria-label="Notifications">
+          <Bell className="h-5 w-5" />
+          {unreadCount > 0 && (
+            <span className="absolute -top-0.5 -right-0.5 flex h-4 min-w-4 items-center justify-center rounded-full bg-red-600 px-1 text-[10px] font-medium text-white">
+              {unreadCount > 9 ? '9+' : unreadCount}
+            </span>
+          )}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-80">
+        <DropdownMenuLabel className="flex items-center justify-between">
+          <span>Notifications</span>
+          {unreadCount > 0 && (
+            <button
+              type="button"
+              className="text-xs font-normal text-blue-600 hover:underline"
+              onClick={handleMarkAllAsRead}
+            >
+              Mark all as read
+            </button>
+          )}
+        </DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {!notifications ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+          </div>
+        ) : notifications.length === 0 ? (
+          <p className="px-2 py-4 text-center text-sm text-gray-500">No notifications yet</p>
+        ) : (
+          notifications.map((notification) => (
+            <DropdownMenuItem
+              key={notification._id}
+              onClick={() => handleSelect(notification)}
+              className="flex items-start gap-2"
+            >
+              <span
+                className={`mt-1.5 h-2 w-2 shrink-0 rounded-full ${notification.readAt ? 'bg-transparent' : 'bg-blue-600'}`}
+              />
+              <div className="flex flex-col space-y-1">
+                <span className={notification.readAt ? 'text-gray-600' : 'font-medium'}>
+                  {notification.title}
+                </span>
+                {notification.message && (
+                  <span className="text-xs text-gray-500">{notification.message}</span>
+                )}
+                <span className="text-xs text-gray-400">
+                  {new Date(notification.createdAt).toLocaleString()}
+                </span>
+              </div>
+            </DropdownMenuItem>
+          ))
+        )}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react';
+import { Bell, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { notificationApi } from '../lib/api';
+import { useAuth } from '../lib/auth-context';
+
+const NOTIFICATION_TYPES: { type: string; label: string; description: string; reviewersOnly?: boolean }[] = [
+  { type: 'submission_received', label: 'Submission received', description: 'When a source you submitted is received' },
+  {
+    type: 'review_requested',
+    label: 'Review requests',
+    description: 'New submissions waiting for review in your countries; digests list pending items per country',
+    reviewersOnly: true,
+  },
+  { type: 'submission_approved', label: 'Submission approved', description: 'When a verifier approves your source' },
+  { type: 'submission_rejected', label: 'Submission rejected', description: 'When a verifier rejects your source' },
+  { type: 'submission_overridden', label: 'Decision changed', description: 'When an admin overrides a review decision' },
+  { type: 'badge_awarded', label: 'Badges', description: 'When you earn a new badge' },
+  { type: 'role_changed', label: 'Role changes', description: 'When your role on the site changes' },
+];
+
+const CHANNEL_LABELS: Record<string, string> = {
+  in_app: 'In-app only',
+  email: 'Email right away',
+  daily: 'Daily digest',
+  weekly: 'Weekly digest',
+  off: 'Off',
+};
+
+export const NotificationSettings: React.FC = () => {
+  const { user } = useAuth();
+  const [preferences, setPreferences] = useState<Record<string, string> | null>(null);
+  const [channels, setChannels] = useState<string[]>(Object.keys(CHANNEL_LABELS));
+  const [saving, setSaving] = useState<string | null>(null);
+
+  useEffect(() => {
+    notificationApi.getPreferences()
+      .then((response) => {
+        setPreferences(response.preferences);
+        setChannels(response.channels);
+      })
+      .catch((error) => {
+        toast.error(error instanceof Error ? error.message : 'Failed to load notification settings');
+      });
+  }, []);
+
+  const handleChange = async (type: string, channel: string) => {
+    setSaving(type);
+    try {
+      const response = await notificationApi.updatePreferences({ [type]: channel });
+      setPreferences(response.preferences);
+      toast.success('Notification settings saved');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to save notification settings');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const isReviewer = user?.role === 'verifier' || user?.role === 'admin';
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Bell className="h-5 w-5" />
+          Notifications
+        </CardTitle>
+        <CardDescription>
+          Choose how you hear about each event. Everything except "Off" also shows up under the notification bell.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!preferences ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+          </div>
+        ) : (
+          NOTIFICATION_TYPES
+            .filter((item) => !item.reviewersOnly || isReviewer)
+            .map((item) => (
+              <div key={item.type} className="flex items-center justify-between gap-4">
+                <div>
+                  <Label htmlFor={`notification-${item.type}`}>{item.label}</Label>
+                  <p className="text-sm text-gray-500">{item.description}</p>
+                </div>
+                <div className="flex items-center gap-2">
+                  {saving === item.type && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />}
+                  <Select
+                    value={preferences[item.type]}
+                    onValueChange={(channel: string) => handleChange(item.type, channel)}
+                    disabled={saving !== null}
+                  >
+                    <SelectTrigger id={`notification-${item.type}`} className="w-44">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {channels.map((channel) => (
+                        <SelectItem key={channel} value={channel}>
+                          {CHANNEL_LABELS[channel] || channel}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+            ))
+        )}
+      </CardContent>
+    </Card>
+  );
+};
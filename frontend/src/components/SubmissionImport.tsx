@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { Upload } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Input } from './ui/input';
+import { Checkbox } from './ui/checkbox';
+import { Label } from './ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from './ui/table';
+import { submissionApi } from '../lib/api';
+
+interface ImportRowError {
+  field: string;
+  message: string;
+}
+
+interface ImportRowResult {
+  row: number;
+  status: 'valid' | 'invalid' | 'duplicate' | 'imported';
+  title?: string;
+  errors?: ImportRowError[];
+  duplicateOf?: string;
+  duplicateOfRow?: number;
+  submissionId?: string;
+}
+
+interface ImportResult {
+  dryRun: boolean;
+  summary: {
+    total: number;
+    valid: number;
+    invalid: number;
+    duplicates: number;
+    imported: number;
+  };
+  rows: ImportRowResult[];
+}
+
+const STATUS_COLORS: Record<ImportRowResult['status'], string> = {
+  valid: 'bg-blue-100 text-blue-800',
+  imported: 'bg-green-100 text-green-800',
+  duplicate: 'bg-yellow-100 text-yellow-800',
+  invalid: 'bg-red-100 text-red-800',
+};
+
+const describeRow = (row: ImportRowResult) => {
+  if (row.errors) return row.errors.map((error) => `${error.field}: ${error.message}`).join('; ');
+  if (row.duplicateOfRow) return `Same source as row ${row.duplicateOfRow}`;
+  if (row.duplicateOf) return `Already in the directory${row.title ? ` as "${row.title}"` : ''}`;
+  return row.title || '';
+};
+
+interface SubmissionImportProps {
+  onImported?: () => void;
+}
+
+export const SubmissionImport: React.FC<SubmissionImportProps> = ({ onImported }) => {
+  const [file, setFile] = useState<File | null>(null);
+  const [preVerify, setPreVerify] = useState(false);
+  const [result, setResult] = useState<ImportResult | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const runImport = async (dryRun: boolean) => {
+    if (!file) return;
+
+    setLoading(true);
+    try {
+      const response: ImportResult = await submissionApi.importFile(file, { dryRun, preVerify });
+      setResult(response);
+
+      if (!dryRun) {
+        toast.success(`Imported ${response.summary.imported} of ${response.summary.total} rows`);
+        onImported?.();
+      }
+    } catch (error: any) {
+      toast.error(error.message || 'Import failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Bulk Import</CardTitle>
+        <CardDescription>
+          Upload a CSV or JSON file with url, title, publisher, country, category and optional
+          wikipediaArticle columns. Pre-verified rows also take status, credibility and verifierNotes.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-4">
+          <Input
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            className="max-w-sm"
+            onChange={(e) => {
+              setFile(e.target.files?.[0] || null);
+              setResult(null);
+            }}
+          />
+          <div className="flex items-center space-x-2">
+            <Checkbox
+              id="import-preverify"
+              checked={preVerify}
+              onCheckedChange={(checked: boolean | 'indeterminate') => {
+                setPreVerify(checked === true);
+                setResult(null);
+              }}
+            />
+            <Label htmlFor="import-preverify">Import as already verified</Label>
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          <Button variant="outline" disabled={!file || loading} onClick={() => runImport(true)}>
+            Preview
+          </Button>
+          <Button
+            disabled={!file || loading || !result?.dryRun || result.summary.valid === 0}
+            onClick={() => runImport(false)}
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            Import {result?.dryRun ? result.summary.valid : ''} Rows
+          </Button>
+        </div>
+
+        {result && (
+          <>
+            <div className="flex flex-wrap gap-2 text-sm">
+              <Badge variant="outline">{result.summary.total} rows</Badge>
+              <Badge className={STATUS_COLORS.valid}>{result.summary.valid} valid</Badge>
+              <Badge className={STATUS_COLORS.duplicate}>{result.summary.duplicates} duplicates</Badge>
+              <Badge className={STATUS_COLORS.invalid}>{result.summary.invalid} invalid</Badge>
+              {!result.dryRun && (
+                <Badge className={STATUS_COLORS.imported}>{result.summary.imported} imported</Badge>
+              )}
+            </div>
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Row</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Details</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {result.rows.map((row) => (
+                  <TableRow key={row.row}>
+                    <TableCell>{row.row}</TableCell>
+                    <TableCell>
+                      <Badge className={STATUS_COLORS[row.status]}>{row.status}</Badge>
+                    </TableCell>
+                    <TableCell className="text-sm text-gray-600">{describeRow(row)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import { Checkbox } from './ui/checkbox';
+import { Label } from './ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { adminApi } from '../lib/api';
+
+const ROLES = [
+  { value: 'verifier', label: 'Verifiers' },
+  { value: 'admin', label: 'Admins' },
+];
+
+// Admin setting for which privileged roles must use two-factor authentication
+export const TwoFactorPolicy: React.FC = () => {
+  const [roles, setRoles] = useState<string[] | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    adminApi.getSettings()
+      .then((response) => setRoles(response.settings.twoFactorRequiredRoles))
+      .catch((error) => toast.error(error instanceof Error ? error.message : 'Failed to load settings'));
+  }, []);
+
+  const toggleRole = (role: string, checked: boolean) => {
+    setRoles((current) => {
+      const others = (current || []).filter((value) => value !== role);
+      return checked ? [...others, role] : others;
+    });
+  };
+
+  const handleSave = async () => {
+    if (!roles) return;
+    setSaving(true);
+    try {
+      const response = await adminApi.updateSettings({ twoFactorRequiredRoles: roles });
+      setRoles(response.settings.twoFactorRequiredRoles);
+      toast.success('Settings saved');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to save settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Two-Factor Authentication Policy</CardTitle>
+        <CardDescription>
+          Members of these roles cannot use verification or admin tools until they turn on
+          two-factor authentication
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!roles ? (
+          <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+        ) : (
+          <>
+            {ROLES.map((role) => (
+              <div key={role.value} className="flex items-center gap-2">
+                <Checkbox
+                  id={`require-2fa-${role.value}`}
+                  checked={roles.includes(role.value)}
+                  onCheckedChange={(checked: boolean | 'indeterminate') => toggleRole(role.value, checked === true)}
+                />
+                <Label htmlFor={`require-2fa-${role.value}`}>{role.label}</Label>
+              </div>
+            ))}
+            <Button onClick={handleSave} disabled={saving}>
+              {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Save
+            </Button>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { Loader2, ShieldCheck } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { useAuth } from '../lib/auth-context';
+
+interface TwoFactorPromptProps {
+  twoFactorToken: string;
+  onSuccess: () => void;
+  onCancel: () => void;
+}
+
+// Second login step, shown after a correct password for accounts with 2FA
+export const TwoFactorPrompt: React.FC<TwoFactorPromptProps> = ({ twoFactorToken, onSuccess, onCancel }) => {
+  const { completeTwoFactorLogin } = useAuth();
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+
+    const success = await completeTwoFactorLogin(
+      twoFactorToken,
+      useRecoveryCode ? { recoveryCode: value } : { code: value }
+    );
+
+    setLoading(false);
+    if (success) {
+      onSuccess();
+    } else {
+      setValue('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="flex items-start gap-2 text-sm text-gray-600">
+        <ShieldCheck className="h-5 w-5 shrink-0 text-blue-600" />
+        {useRecoveryCode
+          ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication.'
+          : 'Enter the 6-digit code from your authenticator app.'}
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="two-factor-code">{useRecoveryCode ? 'Recovery code' : 'Authentication code'}</Label>
+        <Input
+          id="two-factor-code"
+          type="text"
+          autoComplete="one-time-code"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+          maxLength={useRecoveryCode ? 11 : 6}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          autoFocus
+          required
+        />
+      </div>
+
+      <Button type="submit" className="w-full" disabled={loading}>
+        {loading ? (
+          <>
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            Verifying...
+          </>
+        ) : (
+          'Verify'
+        )}
+      </Button>
+
+      <div className="flex justify-between text-sm">
+        <button
+          type="button"
+          className="text-blue-600 hover:underline"
+          onClick={() => {
+            setUseRecoveryCode(!useRecoveryCode);
+            setValue('');
+          }}
+        >
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <button type="button" className="text-gray-500 hover:underline" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
@@ -0,0 +1,285 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle, Copy, Loader2, ShieldCheck } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { authApi } from '../lib/api';
+import { useAuth } from '../lib/auth-context';
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt?: string;
+  required: boolean;
+  recoveryCodesRemaining: number;
+}
+
+type Step = 'idle' | 'setup' | 'disable' | 'regenerate';
+
+// Groups of four are easier to type into an authenticator app by hand
+const formatSecret = (secret: string) => secret.match(/.{1,4}/g)?.join(' ') ?? secret;
+
+export const TwoFactorSettings: React.FC = () => {
+  const { updateUser } = useAuth();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [step, setStep] = useState<Step>('idle');
+  const [setup, setSetup] = useState<{ secret: string; otpauthUri: string } | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await authApi.getTwoFactorStatus());
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to load two-factor status');
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const reset = () => {
+    setStep('idle');
+    setSetup(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const run = async (action: () => Promise<void>) => {
+    setWorking(true);
+    try {
+      await action();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Something went wrong');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    setSetup(await authApi.setupTwoFactor());
+    setRecoveryCodes(null);
+    setStep('setup');
+  });
+
+  const handleEnable = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await authApi.enableTwoFactor(code);
+      setRecoveryCodes(response.recoveryCodes);
+      updateUser({ twoFactorEnabled: true });
+      toast.success('Two-factor authentication enabled');
+      reset();
+      await loadStatus();
+    });
+  };
+
+  const handleDisable = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      await authApi.disableTwoFactor(password, code);
+      updateUser({ twoFactorEnabled: false });
+      toast.success('Two-factor authentication disabled');
+      reset();
+      await loadStatus();
+    });
+  };
+
+  const handleRegenerate = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await authApi.regenerateRecoveryCodes(code);
+      setRecoveryCodes(response.recoveryCodes);
+      toast.success('New recovery codes generated');
+      reset();
+      await loadStatus();
+    });
+  };
+
+  const copyRecoveryCodes = async () => {
+    if (!recoveryCodes) return;
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch {
+      toast.error('Could not copy, please select the codes and copy them by hand');
+    }
+  };
+
+  const codeInput = (
+    <div className="space-y-2">
+      <Label htmlFor="two-factor-settings-code">Authentication code</Label>
+      <Input
+        id="two-factor-settings-code"
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        placeholder="123456"
+        maxLength={6}
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        required
+      />
+    </div>
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <ShieldCheck className="h-5 w-5" />
+              Two-Factor Authentication
+            </CardTitle>
+            <CardDescription>
+              Require a code from an authenticator app, as well as your password, when you log in
+            </CardDescription>
+          </div>
+          {status && (
+            <Badge variant={status.enabled ? 'default' : 'secondary'}>
+              {status.enabled ? 'On' : 'Off'}
+            </Badge>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!status ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : (
+          <>
+            {status.required && !status.enabled && (
+              <div className="flex items-start gap-2 rounded-md border border-yellow-200 bg-yellow-50 p-3 text-sm text-yellow-800">
+                <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+                Two-factor authentication is required for your role. Verification and admin tools
+                stay unavailable until you turn it on.
+              </div>
+            )}
+
+            {recoveryCodes && (
+              <div className="space-y-3 rounded-md border p-4">
+                <p className="text-sm">
+                  Save these recovery codes somewhere safe. Each one lets you log in once if you lose
+                  your authenticator. They will not be shown again.
+                </p>
+                <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+                  {recoveryCodes.map((recoveryCode) => (
+                    <span key={recoveryCode}>{recoveryCode}</span>
+                  ))}
+                </div>
+                <div className="flex gap-2">
+                  <Button variant="outline" size="sm" onClick={copyRecoveryCodes}>
+                    <Copy className="h-4 w-4 mr-2" />
+                    Copy
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => setRecoveryCodes(null)}>
+                    I have saved them
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {step === 'setup' && setup && (
+              <form onSubmit={handleEnable} className="space-y-4">
+                <ol className="list-decimal space-y-2 pl-5 text-sm text-gray-600">
+                  <li>
+                    Add an account in your authenticator app using this key:
+                    <div className="mt-1 font-mono text-base text-gray-900">{formatSecret(setup.secret)}</div>
+                    <a href={setup.otpauthUri} className="text-blue-600 hover:underline">
+                      Or open it directly in an authenticator app on this device
+                    </a>
+                  </li>
+                  <li>Enter the 6-digit code the app shows to finish.</li>
+                </ol>
+                {codeInput}
+                <div className="flex gap-2">
+                  <Button type="submit" disabled={working}>
+                    {working && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                    Turn On
+                  </Button>
+                  <Button type="button" variant="ghost" onClick={reset}>
+                    Cancel
+                  </Button>
+                </div>
+              </form>
+            )}
+
+            {step === 'disable' && (
+              <form onSubmit={handleDisable} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="two-factor-settings-password">Password</Label>
+                  <Input
+                    id="two-factor-settings-password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                  />
+                </div>
+                {codeInput}
+                <div className="flex gap-2">
+                  <Button type="submit" variant="destructive" disabled={working}>
+                    {working && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                    Turn Off
+                  </Button>
+                  <Button type="button" variant="ghost" onClick={reset}>
+                    Cancel
+                  </Button>
+                </div>
+              </form>
+            )}
+
+            {step === 'regenerate' && (
+              <form onSubmit={handleRegenerate} className="space-y-4">
+                <p className="text-sm text-gray-600">Your current recovery codes will stop working.</p>
+                {codeInput}
+                <div className="flex gap-2">
+                  <Button type="submit" disabled={working}>
+                    {working && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                    Generate New Codes
+                  </Button>
+                  <Button type="button" variant="ghost" onClick={reset}>
+                    Cancel
+                  </Button>
+                </div>
+              </form>
+            )}
+
+            {step === 'idle' && (
+              status.enabled ? (
+                <div className="flex flex-wrap items-center justify-between gap-4">
+                  <p className="text-sm text-gray-500">
+                    {status.enabledAt && `Turned on ${new Date(status.enabledAt).toLocaleDateString()} · `}
+                    {status.recoveryCodesRemaining} recovery codes left
+                  </p>
+                  <div className="flex gap-2">
+                    <Button variant="outline" onClick={() => setStep('regenerate')}>
+                      New Recovery Codes
+                    </Button>
+                    {!status.required && (
+                      <Button variant="outline" onClick={() => setStep('disable')}>
+                        Turn Off
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ) : (
+                <Button onClick={handleStartSetup} disabled={working}>
+                  {working && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  Set Up Two-Factor Authentication
+                </Button>
+              )
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
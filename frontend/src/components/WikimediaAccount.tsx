@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Globe, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { Button } from './ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { authApi } from '../lib/api';
+import { useAuth } from '../lib/auth-context';
+
+export const WikimediaAccount: React.FC = () => {
+  const { user, updateUser } = useAuth();
+  const [working, setWorking] = useState(false);
+  const wikimedia = user?.wikimedia;
+
+  const handleLink = async () => {
+    setWorking(true);
+    try {
+      const response = await authApi.wikimediaAuthorize('link');
+      window.location.href = response.authorizationUrl;
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Could not start Wikimedia sign-in');
+      setWorking(false);
+    }
+  };
+
+  const handleUnlink = async () => {
+    setWorking(true);
+    try {
+      await authApi.unlinkWikimedia();
+      updateUser({ wikimedia: null });
+      toast.success('Wikimedia account unlinked');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Could not unlink the account');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Globe className="h-5 w-5" />
+          Wikimedia Account
+        </CardTitle>
+        <CardDescription>
+          Link your Wikipedia account to log in with it and show your editing history on your profile
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="flex items-center justify-between gap-4">
+        {wikimedia ? (
+          <div>
+            <p className="font-medium">{wikimedia.username}</p>
+            <p className="text-sm text-gray-500">
+              {wikimedia.editCount.toLocaleString()} edits
+              {wikimedia.linkedAt && ` · linked ${new Date(wikimedia.linkedAt).toLocaleDateString()}`}
+            </p>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No Wikimedia account linked.</p>
+        )}
+        <Button
+          variant={wikimedia ? 'outline' : 'default'}
+          onClick={wikimedia ? handleUnlink : handleLink}
+          disabled={working}
+        >
+          {working && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+          {wikimedia ? 'Unlink' : 'Link Wikimedia Account'}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+};
@@ -11,6 +11,7 @@ class ApiClient {
   private baseURL: string;
   private accessToken: string | null = null;
   private refreshToken: string | null = null;
+  private refreshing: Promise<boolean> | null = null;
 
   constructor(baseURL: string) {
     this.baseURL = baseURL;
@@ -36,7 +37,19 @@ class ApiClient {
     localStorage.removeItem('refreshToken');
   }
 
-  private async refreshAccessToken(): Promise<boolean> {
+  // Refresh tokens are single use, so concurrent 401s must share one refresh
+  private refreshAccessToken(): Promise<boolean> {
+    if (!this.refreshing) {
+      this.refreshing = this.doRefresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  private async doRefresh(): Promise<boolean> {
+    // Another tab may already have rotated the token
+    this.loadTokens();
     if (!this.refreshToken) return false;
 
     try {
@@ -50,7 +63,7 @@ class ApiClient {
 
       if (response.ok) {
         const data = await response.json();
-        this.saveTokens(data.accessToken, this.refreshToken!);
+        this.saveTokens(data.accessToken, data.refreshToken);
         return true;
       }
       
@@ -67,8 +80,10 @@ class ApiClient {
     options: RequestInit = {}
   ): Promise<T> {
     const url = `${this.baseURL}${endpoint}`;
+    // Let the browser set the multipart boundary for form uploads
+    const isFormData = options.body instanceof FormData;
     const headers: Record<string, string> = {
-      'Content-Type': 'application/json',
+      ...(!isFormData && { 'Content-Type': 'application/json' }),
       ...(options.headers as Record<string, string>),
     };
 
@@ -145,6 +160,54 @@ class ApiClient {
     });
   }
 
+  async postForm<T = any>(endpoint: string, formData: FormData): Promise<T> {
+    return this.request<T>(endpoint, {
+      method: 'POST',
+      body: formData,
+    });
+  }
+
+  async getBlob(endpoint: string): Promise<Blob> {
+    const headers: Record<string, string> = {};
+    if (this.accessToken) {
+      headers['Authorization'] = `Bearer ${this.accessToken}`;
+    }
+
+    const response = await fetch(`${this.baseURL}${endpoint}`, {
+      headers,
+      credentials: 'include',
+    });
+
+    if (!response.ok) {
+      throw new Error(`Download failed with status ${response.status}`);
+    }
+
+    return response.blob();
+  }
+
+  // Long-lived streams can outlast an access token, so each (re)connect may refresh it
+  async openStream(endpoint: string, signal: AbortSignal): Promise<Response> {
+    const connect = () => fetch(`${this.baseURL}${endpoint}`, {
+      headers: {
+        Accept: 'text/event-stream',
+        ...(this.accessToken && { Authorization: `Bearer ${this.accessToken}` }),
+      },
+      credentials: 'include',
+      signal,
+    });
+
+    let response = await connect();
+    if (response.status === 401 && this.refreshToken && await this.refreshAccessToken()) {
+      response = await connect();
+    }
+
+    if (!response.ok || !response.body) {
+      throw new Error(`Stream failed with status ${response.status}`);
+    }
+
+    return response;
+  }
+
   async put<T = any>(endpoint: string, data?: any): Promise<T> {
     return this.request<T>(endpoint, {
       method: 'PUT',
@@ -179,6 +242,9 @@ export const authApi = {
   login: (username: string, password: string) =>
     api.post('/auth/login', { username, password }),
 
+  verifyTwoFactorLogin: (twoFactorToken: string, proof: { code?: string; recoveryCode?: string }) =>
+    api.post('/auth/login/2fa', { twoFactorToken, ...proof }),
+
   logout: () => api.post('/auth/logout'),
 
   getMe: () => api.get('/auth/me'),
@@ -188,12 +254,53 @@ export const authApi = {
 
   changePassword: (currentPassword: string, newPassword: string) =>
     api.put('/auth/password', { currentPassword, newPassword }),
+
+  verifyEmail: (token: string) => api.post('/auth/verify-email', { token }),
+
+  resendVerification: () => api.post('/auth/resend-verification'),
+
+  forgotPassword: (email: string) => api.post('/auth/forgot-password', { email }),
+
+  resetPassword: (token: string, password: string) =>
+    api.post('/auth/reset-password', { token, password }),
+
+  getSessions: () => api.get('/auth/sessions'),
+
+  revokeSession: (sessionId: string) => api.delete(`/auth/sessions/${sessionId}`),
+
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+
+  wikimediaAuthorize: (mode: 'login' | 'link' = 'login') =>
+    api.get(`/auth/wikimedia/authorize?mode=${mode}`),
+
+  wikimediaCallback: (code: string, state: string) =>
+    api.post('/auth/wikimedia/callback', { code, state }),
+
+  wikimediaRegister: (data: {
+    registrationToken: string;
+    username: string;
+    email: string;
+    country: string;
+  }) => api.post('/auth/wikimedia/register', data),
+
+  unlinkWikimedia: () => api.delete('/auth/wikimedia/link'),
+
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+
+  enableTwoFactor: (code: string) => api.post('/auth/2fa/enable', { code }),
+
+  disableTwoFactor: (password: string, code: string) =>
+    api.post('/auth/2fa/disable', { password, code }),
+
+  regenerateRecoveryCodes: (code: string) => api.post('/auth/2fa/recovery-codes', { code }),
 };
 
 // Submission API
 export const submissionApi = {
   create: (data: {
-    url: string;
+    url?: string;
     title: string;
     publisher: string;
     country: string;
@@ -201,15 +308,92 @@ export const submissionApi = {
     wikipediaArticle?: string;
     fileType?: string;
     fileName?: string;
-  }) => api.post('/submissions', data),
+  }, file?: File) => {
+    if (!file) return api.post('/submissions', data);
+
+    const formData = new FormData();
+    Object.entries(data).forEach(([key, value]) => {
+      if (value !== undefined) formData.append(key, value);
+    });
+    formData.append('file', file);
+    return api.postForm('/submissions', formData);
+  },
+
+  getFile: (id: string) => api.getBlob(`/submissions/${id}/file`),
+
+  cite: (id: string, template?: string) =>
+    api.get(`/submissions/${id}/cite${template ? `?template=${encodeURIComponent(template)}` : ''}`),
+
+  exportCitations: (params?: {
+    country?: string;
+    category?: string;
+    credibility?: string;
+    fileType?: string;
+    search?: string;
+  }) => {
+    const query = new URLSearchParams({ format: 'wikitext' });
+    if (params) {
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined) query.append(key, String(value));
+      });
+    }
+    return api.getBlob(`/submissions/cite?${query.toString()}`);
+  },
+
+  exportFile: (format: 'csv' | 'excel' | 'jsonl', params?: {
+    country?: string;
+    category?: string;
+    status?: string;
+    credibility?: string;
+    fileType?: string;
+    search?: string;
+    startDate?: string;
+    endDate?: string;
+  }) => {
+    const query = new URLSearchParams({ format });
+    if (params) {
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined) query.append(key, String(value));
+      });
+    }
+    return api.getBlob(`/submissions/export?${query.toString()}`);
+  },
+
+  importFile: (file: File, options: { dryRun: boolean; preVerify?: boolean }) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', String(options.dryRun));
+    formData.append('preVerify', String(Boolean(options.preVerify)));
+    return api.postForm('/submissions/import', formData);
+  },
+
+  checkDuplicate: (params: { url?: string; title?: string; publisher?: string }) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) query.append(key, value);
+    });
+    return api.get(`/submissions/check-duplicate?${query.toString()}`);
+  },
+
+  getMetadata: (url: string) =>
+    api.get(`/submissions/metadata?url=${encodeURIComponent(url)}`),
 
   getAll: (params?: {
     country?: string;
     category?: string;
     status?: string;
+    credibility?: string;
+    fileType?: string;
+    tags?: string;
+    startDate?: string;
+    endDate?: string;
+    verifiedStartDate?: string;
+    verifiedEndDate?: string;
+    sort?: string;
     search?: string;
-    page?: number;
+    cursor?: string;
     limit?: number;
+    includeTotal?: boolean;
   }) => {
     const query = new URLSearchParams();
     if (params) {
@@ -222,8 +406,11 @@ export const submissionApi = {
 
   getById: (id: string) => api.get(`/submissions/${id}`),
 
-  getMy: (page = 1, limit = 20) =>
-    api.get(`/submissions/my/submissions?page=${page}&limit=${limit}`),
+  getMy: (cursor?: string, limit = 20) => {
+    const query = new URLSearchParams({ limit: String(limit) });
+    if (cursor) query.append('cursor', cursor);
+    return api.get(`/submissions/my/submissions?${query.toString()}`);
+  },
 
   update: (id: string, data: any) => api.put(`/submissions/${id}`, data),
 
@@ -237,8 +424,11 @@ export const submissionApi = {
     return api.put(`/submissions/${id}/verify`, payload);
   },
 
-  getPendingForCountry: (page = 1, limit = 20) =>
-    api.get(`/submissions/pending/country?page=${page}&limit=${limit}`),
+  getPendingForCountry: (cursor?: string, limit = 20) => {
+    const query = new URLSearchParams({ limit: String(limit) });
+    if (cursor) query.append('cursor', cursor);
+    return api.get(`/submissions/pending/country?${query.toString()}`);
+  },
 
   getStats: (country?: string) => {
     const query = country ? `?country=${country}` : '';
@@ -284,4 +474,99 @@ export const userApi = {
   activate: (id: string) => api.put(`/users/${id}/activate`),
 };
 
+// Admin API
+export const adminApi = {
+  getEscalations: (page = 1, limit = 20) =>
+    api.get(`/admin/submissions/escalated?page=${page}&limit=${limit}`),
+
+  overrideSubmission: (
+    id: string,
+    data: { status: string; credibility?: string; adminNotes?: string; reason?: string }
+  ) => api.put(`/admin/submissions/${id}/override`, data),
+
+  getSettings: () => api.get('/admin/settings'),
+
+  updateSettings: (data: { twoFactorRequiredRoles?: string[]; reason?: string }) =>
+    api.put('/admin/settings', data),
+};
+
+// Publisher API
+export const publisherApi = {
+  getAll: (params?: {
+    country?: string;
+    search?: string;
+    sortBy?: string;
+    page?: number;
+    limit?: number;
+  }) => {
+    const query = new URLSearchParams();
+    if (params) {
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') query.append(key, String(value));
+      });
+    }
+    return api.get(`/publishers?${query.toString()}`);
+  },
+
+  getBySlug: (slug: string, country?: string) =>
+    api.get(`/publishers/${encodeURIComponent(slug)}${country ? `?country=${encodeURIComponent(country)}` : ''}`),
+};
+
+// Notification API
+export const notificationApi = {
+  getAll: (params?: { unread?: boolean; cursor?: string; limit?: number }) => {
+    const query = new URLSearchParams();
+    if (params) {
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined) query.append(key, String(value));
+      });
+    }
+    return api.get(`/notifications?${query.toString()}`);
+  },
+
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+
+  markAsRead: (id: string) => api.put(`/notifications/${id}/read`),
+
+  markAllAsRead: () => api.put('/notifications/read-all'),
+
+  getPreferences: () => api.get('/notifications/preferences'),
+
+  updatePreferences: (preferences: Record<string, string>) =>
+    api.put('/notifications/preferences', { preferences }),
+
+  unsubscribe: (params: { user: string; scope: string; token: string }) =>
+    api.post('/notifications/unsubscribe', params),
+};
+
+// Real-time API
+export const realtimeApi = {
+  openStream: (signal: AbortSignal) => api.openStream('/realtime/stream', signal),
+
+  updatePresence: (connectionId: string, submission: string | null) =>
+    api.put('/realtime/presence', { connectionId, submission }),
+};
+
+// System API (admin)
+export const systemApi = {
+  getLogs: (params?: {
+    level?: string;
+    action?: string;
+    user?: string;
+    requestId?: string;
+    startDate?: string;
+    endDate?: string;
+    page?: number;
+    limit?: number;
+  }) => {
+    const query = new URLSearchParams();
+    if (params) {
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') query.append(key, String(value));
+      });
+    }
+    return api.get(`/system/logs?${query.toString()}`);
+  },
+};
+
 export default api;
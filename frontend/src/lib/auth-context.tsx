@@ -12,15 +12,34 @@ export interface User {
   badges: Array<{ name: string; icon: string; earnedAt: string }>;
   joinDate: string;
   isActive: boolean;
+  emailVerified?: boolean;
+  twoFactorEnabled?: boolean;
+  wikimedia?: {
+    username: string;
+    editCount: number;
+    registeredAt?: string;
+    linkedAt?: string;
+  } | null;
+}
+
+// twoFactorToken is set when the password was right but an authentication code is still needed
+export interface LoginResult {
+  success: boolean;
+  twoFactorToken?: string;
 }
 
 interface AuthContextType {
   user: User | null;
   loading: boolean;
-  login: (username: string, password: string) => Promise<boolean>;
+  login: (username: string, password: string) => Promise<LoginResult>;
+  completeTwoFactorLogin: (
+    twoFactorToken: string,
+    proof: { code?: string; recoveryCode?: string }
+  ) => Promise<boolean>;
   logout: () => void;
   register: (username: string, email: string, password: string, country: string) => Promise<boolean>;
   updateUser: (updates: Partial<User>) => void;
+  startSession: (response: { accessToken: string; refreshToken: string; user: User }) => void;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
@@ -47,25 +66,51 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     checkAuth();
   }, []);
 
-  const login = async (username: string, password: string): Promise<boolean> => {
+  const login = async (username: string, password: string): Promise<LoginResult> => {
     try {
       const response = await authApi.login(username, password);
+
+      if (response.twoFactorRequired) {
+        return { success: false, twoFactorToken: response.twoFactorToken };
+      }
       
       if (response.success) {
         api.setTokens(response.accessToken, response.refreshToken);
         setUser(response.user);
         toast.success('Login successful!');
-        return true;
+        return { success: true };
       }
       
       toast.error('Invalid credentials');
-      return false;
+      return { success: false };
     } catch (error) {
       toast.error(error instanceof Error ? error.message : 'Login failed');
+      return { success: false };
+    }
+  };
+
+  const completeTwoFactorLogin = async (
+    twoFactorToken: string,
+    proof: { code?: string; recoveryCode?: string }
+  ): Promise<boolean> => {
+    try {
+      const response = await authApi.verifyTwoFactorLogin(twoFactorToken, proof);
+      api.setTokens(response.accessToken, response.refreshToken);
+      setUser(response.user);
+      toast.success('Login successful!');
+      return true;
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Verification failed');
       return false;
     }
   };
 
+  // Used by sign-in flows that do not go through login(), such as Wikimedia OAuth
+  const startSession = (response: { accessToken: string; refreshToken: string; user: User }) => {
+    api.setTokens(response.accessToken, response.refreshToken);
+    setUser(response.user);
+  };
+
   const logout = async () => {
     try {
       await authApi.logout();
@@ -122,7 +167,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
   };
 
   return (
-    <AuthContext.Provider value={{ user, loading, login, logout, register, updateUser }}>
+    <AuthContext.Provider value={{ user, loading, login, completeTwoFactorLogin, logout, register, updateUser, startSession }}>
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,158 @@
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { realtimeApi } from './api';
+import { useAuth } from './auth-context';
+
+export interface Viewer {
+  _id: string;
+  username: string;
+}
+
+type EventHandler = (data: any) => void;
+
+interface RealtimeContextType {
+  connected: boolean;
+  subscribe: (event: string, handler: EventHandler) => () => void;
+  getViewers: (submissionId: string) => Viewer[];
+  setViewing: (submissionId: string | null) => void;
+}
+
+const RECONNECT_DELAY_MS = 5000;
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+
+const RealtimeContext = createContext<RealtimeContextType | undefined>(undefined);
+
+// Server-Sent Events are read with fetch rather than EventSource,
+// which cannot send the Authorization header
+const readEvents = async (response: Response, onEvent: (event: string, data: any) => void) => {
+  const reader = response.body!.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return;
+
+    buffer += value;
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop() || '';
+
+    for (const block of blocks) {
+      let event = 'message';
+      const data: string[] = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        else if (line.startsWith('data: ')) data.push(line.slice(6));
+      }
+      if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+    }
+  }
+};
+
+export const RealtimeProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  const { user } = useAuth();
+  const [connected, setConnected] = useState(false);
+  const [presence, setPresence] = useState<Record<string, Viewer[]>>({});
+  const handlers = useRef(new Map<string, Set<EventHandler>>());
+  const connectionId = useRef<string | null>(null);
+  const viewing = useRef<string | null>(null);
+
+  const sendPresence = () => {
+    if (!connectionId.current) return;
+    realtimeApi.updatePresence(connectionId.current, viewing.current).catch(() => {
+      // Presence is a hint for other reviewers; a failed update is not worth surfacing
+    });
+  };
+
+  const userId = user?.id;
+  const canReview = user?.role === 'verifier' || user?.role === 'admin';
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const controller = new AbortController();
+    let delay = RECONNECT_DELAY_MS;
+
+    const dispatch = (event: string, data: any) => {
+      if (event === 'ready') {
+        connectionId.current = data.connectionId;
+        setPresence(Object.fromEntries(
+          data.presence.map((entry: { submission: string; viewers: Viewer[] }) => [entry.submission, entry.viewers])
+        ));
+        // A reconnect starts a new connection, so restore what this tab has open
+        if (canReview && viewing.current) sendPresence();
+      } else if (event === 'presence') {
+        setPresence((current) => ({ ...current, [data.submission]: data.viewers }));
+      }
+      handlers.current.get(event)?.forEach((handler) => handler(data));
+    };
+
+    const run = async () => {
+      while (!controller.signal.aborted) {
+        try {
+          const response = await realtimeApi.openStream(controller.signal);
+          setConnected(true);
+          delay = RECONNECT_DELAY_MS;
+          await readEvents(response, dispatch);
+        } catch {
+          // Fall through to the reconnect below
+        }
+
+        setConnected(false);
+        connectionId.current = null;
+        if (controller.signal.aborted) return;
+
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        delay = Math.min(delay * 2, MAX_RECONNECT_DELAY_MS);
+      }
+    };
+
+    run();
+
+    return () => {
+      controller.abort();
+      setPresence({});
+    };
+  }, [userId, canReview]);
+
+  const subscribe = useCallback((event: string, handler: EventHandler) => {
+    if (!handlers.current.has(event)) handlers.current.set(event, new Set());
+    handlers.current.get(event)!.add(handler);
+    return () => {
+      handlers.current.get(event)?.delete(handler);
+    };
+  }, []);
+
+  // Other people viewing the item, not this user
+  const getViewers = useCallback(
+    (submissionId: string) => (presence[submissionId] || []).filter((viewer) => viewer._id !== userId),
+    [presence, userId]
+  );
+
+  const setViewing = useCallback((submissionId: string | null) => {
+    if (!canReview || viewing.current === submissionId) return;
+    viewing.current = submissionId;
+    sendPresence();
+  }, [canReview]);
+
+  return (
+    <RealtimeContext.Provider value={{ connected, subscribe, getViewers, setViewing }}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
+
+export const useRealtime = () => {
+  const context = useContext(RealtimeContext);
+  if (context === undefined) {
+    throw new Error('useRealtime must be used within a RealtimeProvider');
+  }
+  return context;
+};
+
+// Run a handler for each event of a type while the component is mounted
+export const useRealtimeEvent = (event: string, handler: EventHandler) => {
+  const { subscribe } = useRealtime();
+  const latest = useRef(handler);
+  latest.current = handler;
+
+  useEffect(() => subscribe(event, (data) => latest.current(data)), [event, subscribe]);
+};
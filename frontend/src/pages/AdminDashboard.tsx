@@ -4,6 +4,7 @@ import { Button } from '../components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
 import { Badge } from '../components/ui/badge';
 import { Textarea } from '../components/ui/textarea';
+import { Input } from '../components/ui/input';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '../components/ui/tabs';
 import {
   Select,
@@ -21,6 +22,7 @@ import {
   DialogTitle,
 } from '../components/ui/dialog';
 import { useAuth } from '../lib/auth-context';
+import { useRealtime, useRealtimeEvent, Viewer } from '../lib/realtime-context';
 import {
   getCategoryIcon,
   getCategoryColor,
@@ -28,8 +30,10 @@ import {
   getCountryName,
   getStatusColor,
 } from '../lib/mock-data';
-import { submissionApi } from '../lib/api';
+import { submissionApi, systemApi, adminApi } from '../lib/api';
 import { toast } from 'sonner';
+import { SubmissionImport } from '../components/SubmissionImport';
+import { TwoFactorPolicy } from '../components/TwoFactorPolicy';
 
 interface Submission {
   id: string;
@@ -44,9 +48,45 @@ interface Submission {
   wikipediaArticle?: string;
   verifierNotes?: string;
   verifiedAt?: string;
+  fileType?: 'url' | 'pdf';
+  fileName?: string;
+  possibleDuplicates?: Array<{ submission: string; score: number }>;
   createdAt: string;
   updatedAt: string;
+  reviews?: Array<{
+    verifier?: { username: string };
+    vote?: 'approved' | 'rejected';
+    credibility?: 'credible' | 'unreliable';
+    notes?: string;
+    createdAt: string;
+  }>;
+  escalation?: {
+    isEscalated: boolean;
+    reason?: string;
+    escalatedAt?: string;
+  };
+}
+
+interface SystemLogEntry {
+  _id: string;
+  level: 'debug' | 'info' | 'warn' | 'error';
+  action: string;
+  message?: string;
+  user?: { username: string; email: string; role: string };
+  requestId?: string;
+  method?: string;
+  path?: string;
+  statusCode?: number;
+  details?: Record<string, any>;
+  createdAt: string;
 }
+
+const LOG_LEVEL_COLORS: Record<string, string> = {
+  debug: 'bg-gray-100 text-gray-800 border-gray-300',
+  info: 'bg-blue-100 text-blue-800 border-blue-300',
+  warn: 'bg-yellow-100 text-yellow-800 border-yellow-300',
+  error: 'bg-red-100 text-red-800 border-red-300',
+};
 import { CheckCircle, XCircle, Eye, Clock, TrendingUp, Users, FileCheck } from 'lucide-react';
 
 export const AdminDashboard: React.FC = () => {
@@ -59,11 +99,110 @@ export const AdminDashboard: React.FC = () => {
   const [filterCategory, setFilterCategory] = useState<string>('all');
   const [showDialog, setShowDialog] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [escalations, setEscalations] = useState<Submission[]>([]);
+  const [logs, setLogs] = useState<SystemLogEntry[]>([]);
+  const [logLevel, setLogLevel] = useState<string>('all');
+  const [logAction, setLogAction] = useState('');
+  const [logRequestId, setLogRequestId] = useState('');
+  const [logFilters, setLogFilters] = useState({ action: '', requestId: '' });
+  const [logPage, setLogPage] = useState(1);
+  const [logPages, setLogPages] = useState(1);
 
   useEffect(() => {
     loadSubmissions();
   }, [user]);
 
+  useEffect(() => {
+    loadEscalations();
+  }, [user]);
+
+  const { getViewers, setViewing } = useRealtime();
+
+  // Let other reviewers see which item is open here
+  useEffect(() => {
+    setViewing(showDialog && selectedSubmission ? selectedSubmission.id : null);
+  }, [showDialog, selectedSubmission]);
+
+  useEffect(() => () => setViewing(null), []);
+
+  useRealtimeEvent('submission.created', (data) => {
+    toast.info(`New submission: ${data.title}`);
+    loadSubmissions();
+  });
+
+  // Decisions in other countries are broadcast too but do not touch this queue
+  const isInQueue = (data: { country: string }) => user?.role === 'admin' || data.country === user?.country;
+
+  useRealtimeEvent('submission.verified', (data) => {
+    if (!isInQueue(data)) return;
+    loadSubmissions();
+    if (data.outcome === 'escalated') loadEscalations();
+  });
+
+  useRealtimeEvent('submission.overridden', (data) => {
+    if (!isInQueue(data)) return;
+    loadSubmissions();
+    loadEscalations();
+  });
+
+  const formatViewers = (viewers: Viewer[]) => viewers.map((viewer) => viewer.username).join(', ');
+
+  const loadEscalations = async () => {
+    if (!user || user.role !== 'admin') return;
+
+    try {
+      const response = await adminApi.getEscalations();
+      setEscalations(response.submissions);
+    } catch (error) {
+      toast.error('Failed to load escalated submissions');
+    }
+  };
+
+  const handleResolve = async (
+    submission: Submission,
+    status: 'approved' | 'rejected',
+    credibility?: 'credible' | 'unreliable'
+  ) => {
+    try {
+      await adminApi.overrideSubmission(submission.id, {
+        status,
+        credibility,
+        reason: 'Resolved escalated review disagreement',
+      });
+      toast.success('Escalation resolved');
+      await loadEscalations();
+    } catch (error) {
+      toast.error('Failed to resolve escalation');
+    }
+  };
+
+  useEffect(() => {
+    loadLogs();
+  }, [user, logLevel, logPage, logFilters]);
+
+  const loadLogs = async () => {
+    if (!user || user.role !== 'admin') return;
+
+    try {
+      const response = await systemApi.getLogs({
+        level: logLevel === 'all' ? undefined : logLevel,
+        action: logFilters.action || undefined,
+        requestId: logFilters.requestId || undefined,
+        page: logPage,
+      });
+      setLogs(response.logs);
+      setLogPages(Math.max(response.pagination.pages, 1));
+    } catch (error) {
+      toast.error('Failed to load system logs');
+    }
+  };
+
+  const handleLogSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setLogFilters({ action: logAction.trim(), requestId: logRequestId.trim() });
+    setLogPage(1);
+  };
+
   const loadSubmissions = async () => {
     if (!user) return;
     
@@ -96,9 +235,16 @@ export const AdminDashboard: React.FC = () => {
       );
 
       if (response.success) {
-        toast.success(
-          `Reference ${status === 'approved' ? '✅ Approved' : '❌ Rejected'} (+5 points)`
-        );
+        const { outcome, quorum, reviewsReceived } = response.review;
+        if (outcome === 'pending') {
+          toast.success(`Review recorded (${reviewsReceived}/${quorum} reviews) (+5 points)`);
+        } else if (outcome === 'escalated') {
+          toast.warning('Reviewers disagree — escalated to an admin (+5 points)');
+        } else {
+          toast.success(
+            `Reference ${outcome === 'approved' ? '✅ Approved' : '❌ Rejected'} (+5 points)`
+          );
+        }
         
         // Update user points locally
         if (user) {
@@ -122,6 +268,23 @@ export const AdminDashboard: React.FC = () => {
     await handleVerify(submission, 'rejected');
   };
 
+  const openSource = async (submission: Submission) => {
+    if (submission.fileType !== 'pdf') {
+      window.open(submission.url, '_blank');
+      return;
+    }
+
+    // Uploaded files need the auth header, so fetch them before opening
+    try {
+      const blob = await submissionApi.getFile(submission.id);
+      const objectUrl = URL.createObjectURL(blob);
+      window.open(objectUrl, '_blank');
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 60 * 1000);
+    } catch (error) {
+      toast.error('Failed to open the uploaded file');
+    }
+  };
+
   const openVerificationDialog = (submission: Submission) => {
     setSelectedSubmission(submission);
     setVerificationNotes('');
@@ -250,6 +413,12 @@ export const AdminDashboard: React.FC = () => {
             Pending ({pendingSubmissions.length})
           </TabsTrigger>
           <TabsTrigger value="verified">Verified ({verifiedSubmissions.length})</TabsTrigger>
+          {user.role === 'admin' && (
+            <TabsTrigger value="escalated">Escalated ({escalations.length})</TabsTrigger>
+          )}
+          <TabsTrigger value="import">Import</TabsTrigger>
+          {user.role === 'admin' && <TabsTrigger value="logs">System Logs</TabsTrigger>}
+          {user.role === 'admin' && <TabsTrigger value="settings">Settings</TabsTrigger>}
         </TabsList>
 
         <TabsContent value="pending" className="space-y-4">
@@ -281,17 +450,38 @@ export const AdminDashboard: React.FC = () => {
                                 {getCountryFlag(submission.country)} {getCountryName(submission.country)}
                               </Badge>
                               <Badge variant="outline">
-                                {submission.mediaType === 'pdf' ? '📄 PDF' : '🔗 URL'}
+                                {submission.fileType === 'pdf' ? '📄 PDF' : '🔗 URL'}
                               </Badge>
+                              {submission.possibleDuplicates && submission.possibleDuplicates.length > 0 && (
+                                <Badge variant="outline" className="bg-yellow-100 text-yellow-800 border-yellow-300">
+                                  Possible duplicate
+                                </Badge>
+                              )}
+                              {getViewers(submission.id).length > 0 && (
+                                <Badge variant="outline" className="bg-blue-100 text-blue-800 border-blue-300">
+                                  <Eye className="h-3 w-3 mr-1" />
+                                  {formatViewers(getViewers(submission.id))} viewing
+                                </Badge>
+                              )}
                             </div>
-                            <a
-                              href={submission.url}
-                              target="_blank"
-                              rel="noopener noreferrer"
-                              className="text-sm text-blue-600 hover:underline block mb-2"
-                            >
-                              {submission.url}
-                            </a>
+                            {submission.fileType === 'pdf' ? (
+                              <button
+                                type="button"
+                                onClick={() => openSource(submission)}
+                                className="text-sm text-blue-600 hover:underline block mb-2"
+                              >
+                                {submission.fileName || 'Uploaded PDF'}
+                              </button>
+                            ) : (
+                              <a
+                                href={submission.url}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-sm text-blue-600 hover:underline block mb-2"
+                              >
+                                {submission.url}
+                              </a>
+                            )}
                             {submission.wikipediaArticle && (
                               <a
                                 href={submission.wikipediaArticle}
@@ -305,6 +495,12 @@ export const AdminDashboard: React.FC = () => {
                             <p className="text-sm text-gray-500 mt-2">
                               Submitted by {submission.submitterName} on {submission.submittedDate}
                             </p>
+                            {submission.reviews?.length > 0 && (
+                              <p className="text-sm text-gray-500">
+                                Reviewed by {submission.reviews.length} other verifier
+                                {submission.reviews.length === 1 ? '' : 's'}
+                              </p>
+                            )}
                           </div>
                         </div>
                       </div>
@@ -320,7 +516,7 @@ export const AdminDashboard: React.FC = () => {
                         </Button>
                         <Button
                           variant="outline"
-                          onClick={() => window.open(submission.url, '_blank')}
+                          onClick={() => openSource(submission)}
                         >
                           <Eye className="h-4 w-4 mr-2" />
                           View Source
@@ -412,6 +608,185 @@ export const AdminDashboard: React.FC = () => {
             ))}
           </div>
         </TabsContent>
+
+        {user.role === 'admin' && (
+          <TabsContent value="escalated" className="space-y-4">
+            {escalations.length === 0 ? (
+              <Card>
+                <CardContent className="flex flex-col items-center justify-center py-12">
+                  <CheckCircle className="h-12 w-12 text-green-500 mb-4" />
+                  <p className="text-lg mb-2">No escalated submissions</p>
+                  <p className="text-gray-500">Reviewers are in agreement.</p>
+                </CardContent>
+              </Card>
+            ) : (
+              escalations.map((submission) => (
+                <Card key={submission.id}>
+                  <CardContent className="pt-6 space-y-4">
+                    <div>
+                      <h3 className="mb-1">{submission.title}</h3>
+                      <p className="text-gray-600 mb-2">{submission.publisher}</p>
+                      <a
+                        href={submission.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-sm text-blue-600 hover:underline block mb-2"
+                      >
+                        {submission.url}
+                      </a>
+                      <Badge variant="outline" className="bg-yellow-100 text-yellow-800 border-yellow-300">
+                        {submission.escalation?.reason}
+                      </Badge>
+                    </div>
+
+                    <div className="space-y-2">
+                      {submission.reviews?.map((review, index) => (
+                        <div key={index} className="p-3 bg-gray-50 rounded-md text-sm">
+                          <strong>{review.verifier?.username}</strong>:{' '}
+                          {review.vote === 'approved'
+                            ? `Approved (${review.credibility})`
+                            : 'Rejected'}
+                          {review.notes && <p className="text-gray-600 mt-1">{review.notes}</p>}
+                        </div>
+                      ))}
+                    </div>
+
+                    <div className="flex flex-wrap gap-2">
+                      <Button variant="outline" onClick={() => handleResolve(submission, 'rejected')}>
+                        <XCircle className="h-4 w-4 mr-2" />
+                        Reject
+                      </Button>
+                      <Button
+                        variant="destructive"
+                        onClick={() => handleResolve(submission, 'approved', 'unreliable')}
+                      >
+                        🚫 Mark Unreliable
+                      </Button>
+                      <Button
+                        className="bg-green-600 hover:bg-green-700"
+                        onClick={() => handleResolve(submission, 'approved', 'credible')}
+                      >
+                        ✅ Mark Credible
+                      </Button>
+                    </div>
+                  </CardContent>
+                </Card>
+              ))
+            )}
+          </TabsContent>
+        )}
+
+        {user.role === 'admin' && (
+          <TabsContent value="logs" className="space-y-4">
+            <form onSubmit={handleLogSearch} className="flex flex-wrap gap-4">
+              <Select
+                value={logLevel}
+                onValueChange={(value: string) => {
+                  setLogLevel(value);
+                  setLogPage(1);
+                }}
+              >
+                <SelectTrigger className="w-[160px]">
+                  <SelectValue placeholder="Level" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All levels</SelectItem>
+                  <SelectItem value="info">Info</SelectItem>
+                  <SelectItem value="warn">Warning</SelectItem>
+                  <SelectItem value="error">Error</SelectItem>
+                </SelectContent>
+              </Select>
+              <Input
+                className="w-[220px]"
+                placeholder="Action (e.g. auth.login_failed)"
+                value={logAction}
+                onChange={(e) => setLogAction(e.target.value)}
+              />
+              <Input
+                className="w-[280px]"
+                placeholder="Request ID"
+                value={logRequestId}
+                onChange={(e) => setLogRequestId(e.target.value)}
+              />
+              <Button type="submit" variant="outline">Search</Button>
+            </form>
+
+            <Card>
+              <CardContent className="pt-6">
+                {logs.length === 0 ? (
+                  <p className="text-center text-gray-500 py-8">No log entries found</p>
+                ) : (
+                  <div className="divide-y">
+                    {logs.map((log) => (
+                      <div key={log._id} className="py-3 flex flex-col md:flex-row md:items-start gap-2 md:gap-4">
+                        <span className="text-xs text-gray-500 md:w-44 shrink-0">
+                          {new Date(log.createdAt).toLocaleString()}
+                        </span>
+                        <Badge variant="outline" className={`${LOG_LEVEL_COLORS[log.level]} w-fit`}>
+                          {log.level}
+                        </Badge>
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm">
+                            <span className="font-mono">{log.action}</span>
+                            {log.message && <span className="text-gray-600"> — {log.message}</span>}
+                          </p>
+                          <p className="text-xs text-gray-500 break-all">
+                            {log.user && <>User: {log.user.username} · </>}
+                            {log.method && log.path && <>{log.method} {log.path} · </>}
+                            {log.statusCode && <>Status {log.statusCode} · </>}
+                            {log.requestId && (
+                              <button
+                                type="button"
+                                className="hover:underline"
+                                onClick={() => {
+                                  setLogRequestId(log.requestId!);
+                                  setLogFilters({ action: logFilters.action, requestId: log.requestId! });
+                                  setLogPage(1);
+                                }}
+                              >
+                                {log.requestId}
+                              </button>
+                            )}
+                          </p>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            <div className="flex items-center justify-between">
+              <Button
+                variant="outline"
+                disabled={logPage <= 1}
+                onClick={() => setLogPage(logPage - 1)}
+              >
+                Previous
+              </Button>
+              <span className="text-sm text-gray-600">
+                Page {logPage} of {logPages}
+              </span>
+              <Button
+                variant="outline"
+                disabled={logPage >= logPages}
+                onClick={() => setLogPage(logPage + 1)}
+              >
+                Next
+              </Button>
+            </div>
+          </TabsContent>
+        )}
+
+        <TabsContent value="import">
+          <SubmissionImport onImported={loadSubmissions} />
+        </TabsContent>
+
+        {user.role === 'admin' && (
+          <TabsContent value="settings">
+            <TwoFactorPolicy />
+          </TabsContent>
+        )}
       </Tabs>
 
       {/* Verification Dialog */}
@@ -426,6 +801,11 @@ export const AdminDashboard: React.FC = () => {
 
           {selectedSubmission && (
             <div className="space-y-4">
+              {getViewers(selectedSubmission.id).length > 0 && (
+                <div className="rounded-md border border-blue-200 bg-blue-50 p-3 text-sm text-blue-800">
+                  Also open for {formatViewers(getViewers(selectedSubmission.id))}
+                </div>
+              )}
               <div>
                 <h4 className="mb-2">{selectedSubmission.title}</h4>
                 <p className="text-gray-600 mb-2">{selectedSubmission.publisher}</p>
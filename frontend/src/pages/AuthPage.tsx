@@ -1,24 +1,42 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
 import { Label } from '../components/ui/label';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '../components/ui/tabs';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { TwoFactorPrompt } from '../components/TwoFactorPrompt';
 import { useAuth } from '../lib/auth-context';
+import { authApi } from '../lib/api';
 import { COUNTRIES } from '../lib/mock-data';
 import { toast } from 'sonner';
-import { Loader2 } from 'lucide-react';
+import { Loader2, CheckCircle, XCircle, Globe } from 'lucide-react';
 
 export const AuthPage: React.FC = () => {
   const navigate = useNavigate();
-  const { login, register } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { user, login, register, updateUser } = useAuth();
   const [loading, setLoading] = useState(false);
 
+  // Tokens arrive through the links in confirmation and reset emails
+  const verifyToken = searchParams.get('verify');
+  const resetToken = searchParams.get('reset');
+
+  const [verifyStatus, setVerifyStatus] = useState<'pending' | 'success' | 'error'>('pending');
+  const [verifyMessage, setVerifyMessage] = useState('');
+
+  // Forgot / reset password state
+  const [showForgot, setShowForgot] = useState(false);
+  const [forgotEmail, setForgotEmail] = useState('');
+  const [forgotSent, setForgotSent] = useState(false);
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+
   // Login form state
   const [loginUsername, setLoginUsername] = useState('');
   const [loginPassword, setLoginPassword] = useState('');
+  const [twoFactorToken, setTwoFactorToken] = useState<string | null>(null);
 
   // Register form state
   const [registerUsername, setRegisterUsername] = useState('');
@@ -26,13 +44,90 @@ export const AuthPage: React.FC = () => {
   const [registerPassword, setRegisterPassword] = useState('');
   const [registerCountry, setRegisterCountry] = useState('');
 
+  useEffect(() => {
+    if (!verifyToken) return;
+
+    setVerifyStatus('pending');
+    authApi.verifyEmail(verifyToken)
+      .then((response) => {
+        setVerifyStatus('success');
+        setVerifyMessage(response.message || 'Email address confirmed');
+      })
+      .catch((error) => {
+        setVerifyStatus('error');
+        setVerifyMessage(error instanceof Error ? error.message : 'Confirmation failed');
+      });
+  }, [verifyToken]);
+
+  // Mirror the confirmation in the signed-in session without another profile request
+  useEffect(() => {
+    if (verifyStatus === 'success' && user && !user.emailVerified) {
+      updateUser({ emailVerified: true });
+    }
+  }, [verifyStatus, user, updateUser]);
+
+  const leaveTokenScreen = () => {
+    setSearchParams({});
+  };
+
+  const handleForgotPassword = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await authApi.forgotPassword(forgotEmail);
+      setForgotSent(true);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Could not send the reset email');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResetPassword = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (newPassword !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authApi.resetPassword(resetToken as string, newPassword);
+      toast.success(response.message || 'Password has been reset');
+      setNewPassword('');
+      setConfirmPassword('');
+      leaveTokenScreen();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Could not reset the password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleWikimediaLogin = async () => {
+    setLoading(true);
+
+    try {
+      const response = await authApi.wikimediaAuthorize('login');
+      window.location.href = response.authorizationUrl;
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Could not start Wikimedia sign-in');
+      setLoading(false);
+    }
+  };
+
   const handleLogin = async (e: React.FormEvent) => {
     e.preventDefault();
     setLoading(true);
 
     try {
-      const success = await login(loginUsername, loginPassword);
-      if (success) {
+      const result = await login(loginUsername, loginPassword);
+      if (result.twoFactorToken) {
+        setTwoFactorToken(result.twoFactorToken);
+      } else if (result.success) {
         navigate('/');
       }
     } catch (error) {
@@ -55,6 +150,7 @@ export const AuthPage: React.FC = () => {
     try {
       const success = await register(registerUsername, registerEmail, registerPassword, registerCountry);
       if (success) {
+        toast.info(`We sent a confirmation link to ${registerEmail}`);
         navigate('/');
       }
     } catch (error) {
@@ -64,6 +160,183 @@ export const AuthPage: React.FC = () => {
     }
   };
 
+  if (verifyToken) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4 py-12">
+        <Card className="w-full max-w-md">
+          <CardHeader>
+            <CardTitle>Email Confirmation</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {verifyStatus === 'pending' && (
+              <div className="flex items-center text-gray-600">
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Confirming your email address...
+              </div>
+            )}
+            {verifyStatus === 'success' && (
+              <div className="flex items-center text-green-700">
+                <CheckCircle className="mr-2 h-5 w-5" />
+                {verifyMessage}
+              </div>
+            )}
+            {verifyStatus === 'error' && (
+              <div className="flex items-center text-red-700">
+                <XCircle className="mr-2 h-5 w-5" />
+                {verifyMessage}
+              </div>
+            )}
+            {verifyStatus !== 'pending' && (
+              <Button
+                className="w-full"
+                onClick={() => (user ? navigate('/') : leaveTokenScreen())}
+              >
+                {user ? 'Continue' : 'Go to Login'}
+              </Button>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  if (resetToken) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4 py-12">
+        <Card className="w-full max-w-md">
+          <CardHeader>
+            <CardTitle>Choose a New Password</CardTitle>
+            <CardDescription>
+              Reset links expire after an hour and can only be used once
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleResetPassword} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="reset-password">New Password</Label>
+                <Input
+                  id="reset-password"
+                  type="password"
+                  placeholder="At least 6 characters"
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  minLength={6}
+                  required
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="reset-confirm">Confirm Password</Label>
+                <Input
+                  id="reset-confirm"
+                  type="password"
+                  placeholder="Repeat the new password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  minLength={6}
+                  required
+                />
+              </div>
+
+              <Button type="submit" className="w-full" disabled={loading}>
+                {loading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    Resetting password...
+                  </>
+                ) : (
+                  'Reset Password'
+                )}
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  if (showForgot) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4 py-12">
+        <Card className="w-full max-w-md">
+          <CardHeader>
+            <CardTitle>Forgot Password</CardTitle>
+            <CardDescription>
+              Enter the email address on your account and we will send you a reset link
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {forgotSent ? (
+              <div className="bg-blue-50 p-4 rounded-md">
+                <p className="text-sm text-blue-800">
+                  If an account exists for {forgotEmail}, a reset link is on its way. Check your inbox and spam folder.
+                </p>
+              </div>
+            ) : (
+              <form onSubmit={handleForgotPassword} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="forgot-email">Email</Label>
+                  <Input
+                    id="forgot-email"
+                    type="email"
+                    placeholder="your.email@example.com"
+                    value={forgotEmail}
+                    onChange={(e) => setForgotEmail(e.target.value)}
+                    required
+                  />
+                </div>
+
+                <Button type="submit" className="w-full" disabled={loading}>
+                  {loading ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Sending...
+                    </>
+                  ) : (
+                    'Send Reset Link'
+                  )}
+                </Button>
+              </form>
+            )}
+            <Button
+              variant="link"
+              className="w-full mt-2"
+              onClick={() => {
+                setShowForgot(false);
+                setForgotSent(false);
+              }}
+            >
+              Back to Login
+            </Button>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  if (twoFactorToken) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4 py-12">
+        <Card className="w-full max-w-md">
+          <CardHeader>
+            <CardTitle>Two-Factor Authentication</CardTitle>
+            <CardDescription>One more step to log in as {loginUsername}</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <TwoFactorPrompt
+              twoFactorToken={twoFactorToken}
+              onSuccess={() => navigate('/')}
+              onCancel={() => {
+                setTwoFactorToken(null);
+                setLoginPassword('');
+              }}
+            />
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4 py-12">
       <div className="w-full max-w-md">
@@ -110,6 +383,13 @@ export const AuthPage: React.FC = () => {
                       onChange={(e) => setLoginPassword(e.target.value)}
                       required
                     />
+                    <button
+                      type="button"
+                      className="text-sm text-blue-600 hover:underline"
+                      onClick={() => setShowForgot(true)}
+                    >
+                      Forgot password?
+                    </button>
                   </div>
 
                   <div className="bg-blue-50 p-4 rounded-md">
@@ -132,6 +412,23 @@ export const AuthPage: React.FC = () => {
                     )}
                   </Button>
                 </form>
+
+                <div className="flex items-center gap-2 my-4 text-xs uppercase text-gray-400">
+                  <div className="h-px flex-1 bg-gray-200" />
+                  or
+                  <div className="h-px flex-1 bg-gray-200" />
+                </div>
+
+                <Button
+                  type="button"
+                  variant="outline"
+                  className="w-full"
+                  onClick={handleWikimediaLogin}
+                  disabled={loading}
+                >
+                  <Globe className="mr-2 h-4 w-4" />
+                  Continue with Wikimedia
+                </Button>
               </CardContent>
             </Card>
           </TabsContent>
@@ -8,6 +8,7 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '../components/ui/tabs'
 import { COUNTRIES, getCountryName, getCountryFlag, getSubmissions, getCategoryIcon, getReliabilityColor, getStatusColor } from '../lib/mock-data';
 import { fetchWikidataCountryMetadata, WikidataCountryMetadata } from '../lib/wikidata-service';
 import { submissionApi } from '../lib/api';
+import { useRealtimeEvent } from '../lib/realtime-context';
 
 interface CountryPageProps {}
 
@@ -62,6 +63,19 @@ export const CountryPage: React.FC<CountryPageProps> = () => {
     loadCountryData();
   }, [countryCode, countryName]);
 
+  // Pick up review decisions for this country as they happen
+  const refreshOnDecision = async (event: { country: string }) => {
+    if (!countryCode || (event.country !== countryCode && event.country !== countryName)) return;
+    try {
+      const response = await submissionApi.getAll({ country: countryCode });
+      if (response.submissions) setCountrySubmissions(response.submissions);
+    } catch {
+      // Keep showing what is already loaded
+    }
+  };
+  useRealtimeEvent('submission.verified', refreshOnDecision);
+  useRealtimeEvent('submission.overridden', refreshOnDecision);
+
   if (!country) {
     return (
       <div className="min-h-screen bg-gray-50">
@@ -1,4 +1,5 @@
-import { useState, useEffect, useMemo } from "react";
+import { useState, useEffect, useRef } from "react";
+import { Link } from "react-router-dom";
 import { Input } from "../components/ui/input";
 import { Button } from "../components/ui/button";
 import {
@@ -9,6 +10,15 @@ import {
   CardTitle,
 } from "../components/ui/card";
 import { Badge } from "../components/ui/badge";
+import { Textarea } from "../components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "../components/ui/dialog";
 import {
   Select,
   SelectContent,
@@ -42,14 +52,6 @@ import {
   BreadcrumbPage,
   BreadcrumbSeparator,
 } from "../components/ui/breadcrumb";
-import {
-  Pagination,
-  PaginationContent,
-  PaginationItem,
-  PaginationLink,
-  PaginationNext,
-  PaginationPrevious,
-} from "../components/ui/pagination";
 
 interface Submission {
   id: string;
@@ -67,11 +69,37 @@ interface Submission {
   verifiedDate?: string;
   fileType?: string;
   fileName?: string;
+  publisherSlug?: string;
   mediaType?: string;
   reliability?: string;
+  highlights?: SearchHighlight[];
+  linkHealth?: {
+    status: "unchecked" | "ok" | "redirected" | "broken" | "unreachable";
+    httpStatus?: number;
+    lastCheckedAt?: string;
+  };
+  archiveUrl?: string;
   createdAt: string;
   updatedAt: string;
 }
+
+const isDeadLink = (submission: Submission) =>
+  submission.linkHealth?.status === "broken" || submission.linkHealth?.status === "unreachable";
+
+interface FacetCount {
+  value: string;
+  count: number;
+}
+
+type Facets = Record<"country" | "category" | "status" | "credibility", FacetCount[]>;
+
+const EMPTY_FACETS: Facets = { country: [], category: [], status: [], credibility: [] };
+
+interface SearchHighlight {
+  field: string;
+  snippet: string;
+  ranges: [number, number][];
+}
 import {
   Search,
   Filter,
@@ -79,12 +107,67 @@ import {
   Calendar,
   Globe,
   BookOpen,
+  Quote,
+  Download,
+  Archive,
 } from "lucide-react";
 import {
   Tooltip,
   TooltipContent,
   TooltipTrigger,
 } from "../components/ui/tooltip";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "../components/ui/dropdown-menu";
+
+const FIELD_LABELS: Record<string, string> = {
+  tags: "tags",
+  wikipediaArticle: "Wikipedia article",
+  url: "URL",
+  verifierNotes: "verifier notes",
+};
+
+const getHighlight = (submission: Submission, field: string) =>
+  submission.highlights?.find((highlight) => highlight.field === field);
+
+// Text with the search matches returned by the API wrapped in <mark>
+const HighlightedText: React.FC<{ text: string; highlight?: SearchHighlight }> = ({
+  text,
+  highlight,
+}) => {
+  if (!highlight) return <>{text}</>;
+
+  const parts: React.ReactNode[] = [];
+  let cursor = 0;
+  highlight.ranges.forEach(([start, end], index) => {
+    if (start > cursor) parts.push(highlight.snippet.slice(cursor, start));
+    parts.push(
+      <mark key={index} className="bg-yellow-200 rounded-sm">
+        {highlight.snippet.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  parts.push(highlight.snippet.slice(cursor));
+
+  return <>{parts}</>;
+};
+
+// Publisher name linking to its reputation page when one is known
+const PublisherLink: React.FC<{ submission: Submission }> = ({ submission }) =>
+  submission.publisherSlug ? (
+    <Link
+      to={`/publishers/${encodeURIComponent(submission.publisherSlug)}`}
+      className="hover:underline"
+    >
+      {submission.publisher}
+    </Link>
+  ) : (
+    <>{submission.publisher}</>
+  );
 
 export const PublicDirectory: React.FC = () => {
   const [submissions, setSubmissions] = useState<Submission[]>([]);
@@ -94,125 +177,147 @@ export const PublicDirectory: React.FC = () => {
   const [filterStatus, setFilterStatus] = useState<string>("approved");
   const [filterReliability, setFilterReliability] = useState<string>("all");
   const [filterMediaType, setFilterMediaType] = useState<string>("all");
-  const [sortBy, setSortBy] = useState<string>("date-desc");
+  const [sortBy, setSortBy] = useState<string>("-createdAt");
   const [viewMode, setViewMode] = useState<"grid" | "table">("grid");
   const [loading, setLoading] = useState(false);
-  const [page, setPage] = useState(1);
-  const [totalPages, setTotalPages] = useState(1);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [total, setTotal] = useState(0);
+  const loadMoreRef = useRef<HTMLDivElement>(null);
+  const [facets, setFacets] = useState<Facets>(EMPTY_FACETS);
+  const [citation, setCitation] = useState<{ title: string; wikitext: string } | null>(null);
 
   useEffect(() => {
     loadSubmissions();
-  }, [filterCountry, filterCategory, filterStatus, searchQuery, page]);
-
-  useEffect(() => {
-    setPage(1);
   }, [
     filterCountry,
     filterCategory,
+    filterStatus,
     filterReliability,
     filterMediaType,
-    searchQuery,
     sortBy,
+    searchQuery,
   ]);
 
-  const loadSubmissions = async () => {
-    setLoading(true);
+  // Fetch the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting && !loading && !loadingMore) {
+        loadSubmissions(nextCursor);
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loading, loadingMore]);
+
+  const facetCount = (field: keyof Facets, value: string) =>
+    facets[field].find((facet) => facet.value === value)?.count ?? 0;
+
+  const handleCite = async (submission: Submission) => {
+    try {
+      const response = await submissionApi.cite(submission.id);
+      setCitation({ title: submission.title, wikitext: response.citation.wikitext });
+    } catch (error) {
+      toast.error("Failed to generate citation");
+    }
+  };
+
+  const copyCitation = async () => {
+    if (!citation) return;
+    try {
+      await navigator.clipboard.writeText(citation.wikitext);
+      toast.success("Citation copied to clipboard");
+    } catch (error) {
+      toast.error("Could not copy, please select the text manually");
+    }
+  };
+
+  const handleExportCitations = async () => {
+    try {
+      const blob = await submissionApi.exportCitations({
+        country: filterCountry !== "all" ? filterCountry : undefined,
+        category: filterCategory !== "all" ? filterCategory : undefined,
+        credibility: filterReliability !== "all" ? filterReliability : undefined,
+        fileType: filterMediaType !== "all" ? filterMediaType : undefined,
+        search: searchQuery || undefined,
+      });
+      const objectUrl = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = objectUrl;
+      link.download = "citations.txt";
+      link.click();
+      URL.revokeObjectURL(objectUrl);
+    } catch (error) {
+      toast.error("Failed to export citations");
+    }
+  };
+
+  const handleExport = async (format: "csv" | "excel" | "jsonl") => {
+    try {
+      const blob = await submissionApi.exportFile(format, {
+        country: filterCountry !== "all" ? filterCountry : undefined,
+        category: filterCategory !== "all" ? filterCategory : undefined,
+        status: filterStatus !== "all" ? filterStatus : undefined,
+        credibility: filterReliability !== "all" ? filterReliability : undefined,
+        fileType: filterMediaType !== "all" ? filterMediaType : undefined,
+        search: searchQuery || undefined,
+      });
+      const objectUrl = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = objectUrl;
+      link.download = `sources.${format === "jsonl" ? "jsonl" : "csv"}`;
+      link.click();
+      URL.revokeObjectURL(objectUrl);
+    } catch (error) {
+      toast.error("Failed to export sources");
+    }
+  };
+
+  // Without a cursor the list is replaced; with one the next page is appended
+  const loadSubmissions = async (cursor?: string) => {
+    const setBusy = cursor ? setLoadingMore : setLoading;
+    setBusy(true);
     try {
       const response = await submissionApi.getAll({
         country: filterCountry !== "all" ? filterCountry : undefined,
         category: filterCategory !== "all" ? filterCategory : undefined,
         status: filterStatus !== "all" ? filterStatus : undefined,
+        credibility: filterReliability !== "all" ? filterReliability : undefined,
+        fileType: filterMediaType !== "all" ? filterMediaType : undefined,
+        sort: sortBy,
         search: searchQuery || undefined,
-        page,
+        cursor,
         limit: 20,
+        includeTotal: cursor ? undefined : true,
       });
 
       if (response.success) {
-        setSubmissions(response.submissions);
-        setTotalPages(response.pages);
+        setNextCursor(response.pagination.nextCursor);
+        if (cursor) {
+          setSubmissions((current) => [...current, ...response.submissions]);
+        } else {
+          setSubmissions(response.submissions);
+          setTotal(response.pagination.total);
+          setFacets(response.facets || EMPTY_FACETS);
+        }
       }
     } catch (error) {
       toast.error("Failed to load submissions");
     } finally {
-      setLoading(false);
+      setBusy(false);
     }
   };
 
-  const filteredAndSortedSubmissions = useMemo(() => {
-    let filtered = [...submissions];
-
-    // Search filter
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase();
-      filtered = filtered.filter(
-        (s) =>
-          s.title.toLowerCase().includes(query) ||
-          s.publisher.toLowerCase().includes(query) ||
-          s.url.toLowerCase().includes(query)
-      );
-    }
-
-    // Country filter
-    if (filterCountry !== "all") {
-      filtered = filtered.filter((s) => s.country === filterCountry);
-    }
-
-    // Category filter
-    if (filterCategory !== "all") {
-      filtered = filtered.filter((s) => s.category === filterCategory);
-    }
-
-    // Status filter (already applied in API call, but keep for client-side filtering)
-    if (filterStatus !== "all") {
-      filtered = filtered.filter((s) => s.status === filterStatus);
-    }
-
-    // Media type filter
-    if (filterMediaType !== "all") {
-      filtered = filtered.filter((s) => s.mediaType === filterMediaType);
-    }
-
-    // Sorting
-    filtered.sort((a, b) => {
-      switch (sortBy) {
-        case "date-desc":
-          return (b.verifiedDate || "").localeCompare(a.verifiedDate || "");
-        case "date-asc":
-          return (a.verifiedDate || "").localeCompare(b.verifiedDate || "");
-        case "title-asc":
-          return a.title.localeCompare(b.title);
-        case "title-desc":
-          return b.title.localeCompare(a.title);
-        default:
-          return 0;
-      }
-    });
-
-    return filtered;
-  }, [
-    submissions,
-    searchQuery,
-    filterCountry,
-    filterCategory,
-    filterReliability,
-    filterMediaType,
-    sortBy,
-  ]);
-
-  const stats = useMemo(() => {
-    const total = filteredAndSortedSubmissions.length;
-    const credible = filteredAndSortedSubmissions.filter(
-      (s) => s.reliability === "credible"
-    ).length;
-    const countries = new Set(
-      filteredAndSortedSubmissions.map((s) => s.country)
-    ).size;
-    const primary = filteredAndSortedSubmissions.filter(
-      (s) => s.category === "primary"
-    ).length;
-
-    return { total, credible, countries, primary };
-  }, [filteredAndSortedSubmissions]);
+  // Counts come from the server so they cover every page of results
+  const stats = {
+    total,
+    credible: facetCount("credibility", "credible"),
+    countries: facets.country.length,
+    primary: facetCount("category", "primary"),
+  };
 
   return (
     <div className="max-w-7xl mx-auto px-4 py-12">
@@ -227,7 +332,6 @@ export const PublicDirectory: React.FC = () => {
                   setFilterReliability("all");
                   setFilterMediaType("all");
                   setSearchQuery("");
-                  setPage(1);
                 }}
                 className="cursor-pointer"
               >
@@ -330,9 +434,12 @@ export const PublicDirectory: React.FC = () => {
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
             <Input
               type="text"
-              placeholder="Search by title, publisher, or URL..."
+              placeholder='Search sources, e.g. budget, "exact phrase" or elect*'
               value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
+              onChange={(e) => {
+                setSearchQuery(e.target.value);
+                if (!e.target.value && sortBy === "relevance") setSortBy("-createdAt");
+              }}
               className="pl-10"
             />
           </div>
@@ -347,7 +454,7 @@ export const PublicDirectory: React.FC = () => {
                 <SelectItem value="all">All Countries</SelectItem>
                 {COUNTRIES.map((country) => (
                   <SelectItem key={country.code} value={country.code}>
-                    {country.flag} {country.name}
+                    {country.flag} {country.name} ({facetCount("country", country.code)})
                   </SelectItem>
                 ))}
               </SelectContent>
@@ -359,9 +466,9 @@ export const PublicDirectory: React.FC = () => {
               </SelectTrigger>
               <SelectContent>
                 <SelectItem value="all">All Categories</SelectItem>
-                <SelectItem value="primary">📗 Primary</SelectItem>
-                <SelectItem value="secondary">📘 Secondary</SelectItem>
-                <SelectItem value="unreliable">🚫 Unreliable</SelectItem>
+                <SelectItem value="primary">📗 Primary ({facetCount("category", "primary")})</SelectItem>
+                <SelectItem value="secondary">📘 Secondary ({facetCount("category", "secondary")})</SelectItem>
+                <SelectItem value="unreliable">🚫 Unreliable ({facetCount("category", "unreliable")})</SelectItem>
               </SelectContent>
             </Select>
 
@@ -374,8 +481,8 @@ export const PublicDirectory: React.FC = () => {
               </SelectTrigger>
               <SelectContent>
                 <SelectItem value="all">All Reliability</SelectItem>
-                <SelectItem value="credible">✅ Credible</SelectItem>
-                <SelectItem value="unreliable">❌ Unreliable</SelectItem>
+                <SelectItem value="credible">✅ Credible ({facetCount("credibility", "credible")})</SelectItem>
+                <SelectItem value="unreliable">❌ Unreliable ({facetCount("credibility", "unreliable")})</SelectItem>
               </SelectContent>
             </Select>
 
@@ -395,10 +502,12 @@ export const PublicDirectory: React.FC = () => {
                 <SelectValue placeholder="Sort By" />
               </SelectTrigger>
               <SelectContent>
-                <SelectItem value="date-desc">Newest First</SelectItem>
-                <SelectItem value="date-asc">Oldest First</SelectItem>
-                <SelectItem value="title-asc">Title A-Z</SelectItem>
-                <SelectItem value="title-desc">Title Z-A</SelectItem>
+                {searchQuery && <SelectItem value="relevance">Most Relevant</SelectItem>}
+                <SelectItem value="-createdAt">Newest First</SelectItem>
+                <SelectItem value="createdAt">Oldest First</SelectItem>
+                <SelectItem value="-verifiedAt">Recently Verified</SelectItem>
+                <SelectItem value="title">Title A-Z</SelectItem>
+                <SelectItem value="-title">Title Z-A</SelectItem>
               </SelectContent>
             </Select>
           </div>
@@ -406,10 +515,26 @@ export const PublicDirectory: React.FC = () => {
           {/* View Toggle */}
           <div className="flex items-center justify-between">
             <div className="text-sm text-gray-600">
-              Showing {filteredAndSortedSubmissions.length} of{" "}
-              {submissions.length} sources
+              Showing {submissions.length} of {total} sources
             </div>
             <div className="flex space-x-2">
+              <Button variant="outline" size="sm" onClick={handleExportCitations}>
+                <Download className="h-4 w-4 mr-2" />
+                Export Citations
+              </Button>
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="outline" size="sm">
+                    <Download className="h-4 w-4 mr-2" />
+                    Export
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="end">
+                  <DropdownMenuItem onClick={() => handleExport("csv")}>CSV</DropdownMenuItem>
+                  <DropdownMenuItem onClick={() => handleExport("excel")}>Excel (CSV)</DropdownMenuItem>
+                  <DropdownMenuItem onClick={() => handleExport("jsonl")}>JSON Lines</DropdownMenuItem>
+                </DropdownMenuContent>
+              </DropdownMenu>
               <Button
                 variant={viewMode === "grid" ? "default" : "outline"}
                 size="sm"
@@ -430,7 +555,7 @@ export const PublicDirectory: React.FC = () => {
       </Card>
 
       {/* Results */}
-      {filteredAndSortedSubmissions.length === 0 ? (
+      {submissions.length === 0 ? (
         <Card>
           <CardContent className="flex flex-col items-center justify-center py-12">
             <Search className="h-12 w-12 text-gray-400 mb-4" />
@@ -442,7 +567,7 @@ export const PublicDirectory: React.FC = () => {
         </Card>
       ) : viewMode === "grid" ? (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {filteredAndSortedSubmissions.map((submission) => (
+          {submissions.map((submission) => (
             <Card
               key={submission.id}
               className="hover:shadow-lg transition-shadow"
@@ -471,9 +596,23 @@ export const PublicDirectory: React.FC = () => {
                   </Tooltip>
                 </div>
                 <CardTitle className="text-lg line-clamp-2">
-                  {submission.title}
+                  <HighlightedText
+                    text={submission.title}
+                    highlight={getHighlight(submission, "title")}
+                  />
                 </CardTitle>
-                <CardDescription>{submission.publisher}</CardDescription>
+                <CardDescription>
+                  <PublisherLink submission={submission} />
+                </CardDescription>
+                {submission.highlights
+                  ?.filter((highlight) => FIELD_LABELS[highlight.field])
+                  .slice(0, 1)
+                  .map((highlight) => (
+                    <p key={highlight.field} className="text-xs text-gray-500">
+                      Matched in {FIELD_LABELS[highlight.field]}:{" "}
+                      <HighlightedText text={highlight.snippet} highlight={highlight} />
+                    </p>
+                  ))}
               </CardHeader>
               <CardContent className="space-y-3">
                 <div className="flex flex-wrap gap-2">
@@ -515,6 +654,25 @@ export const PublicDirectory: React.FC = () => {
                   <Badge variant="outline">
                     {submission.mediaType === "pdf" ? "📄" : "🔗"}
                   </Badge>
+
+                  {isDeadLink(submission) && (
+                    <Tooltip>
+                      <TooltipTrigger asChild>
+                        <Badge variant="outline" className="bg-red-100 text-red-800">
+                          Link may be dead
+                        </Badge>
+                      </TooltipTrigger>
+                      <TooltipContent>
+                        <p className="text-sm">
+                          {submission.linkHealth?.httpStatus
+                            ? `The source returned HTTP ${submission.linkHealth.httpStatus}`
+                            : "The source could not be reached"}
+                          {submission.linkHealth?.lastCheckedAt &&
+                            ` on ${new Date(submission.linkHealth.lastCheckedAt).toLocaleDateString()}`}
+                        </p>
+                      </TooltipContent>
+                    </Tooltip>
+                  )}
                 </div>
 
                 <Tooltip>
@@ -533,6 +691,42 @@ export const PublicDirectory: React.FC = () => {
                   </TooltipContent>
                 </Tooltip>
 
+                {submission.archiveUrl && (
+                  <Tooltip>
+                    <TooltipTrigger asChild>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => window.open(submission.archiveUrl, "_blank")}
+                        aria-label="Open archived copy"
+                      >
+                        <Archive className="h-4 w-4" />
+                      </Button>
+                    </TooltipTrigger>
+                    <TooltipContent>
+                      <p className="text-sm">Open archived copy</p>
+                    </TooltipContent>
+                  </Tooltip>
+                )}
+
+                {submission.status === "approved" && (
+                  <Tooltip>
+                    <TooltipTrigger asChild>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleCite(submission)}
+                        aria-label="Cite source"
+                      >
+                        <Quote className="h-4 w-4" />
+                      </Button>
+                    </TooltipTrigger>
+                    <TooltipContent>
+                      <p className="text-sm">Get a Wikipedia citation</p>
+                    </TooltipContent>
+                  </Tooltip>
+                )}
+
                 {submission.wikipediaArticle && (
                   <a
                     href={submission.wikipediaArticle}
@@ -576,17 +770,24 @@ export const PublicDirectory: React.FC = () => {
                   </TableRow>
                 </TableHeader>
                 <TableBody>
-                  {filteredAndSortedSubmissions.map((submission) => (
+                  {submissions.map((submission) => (
                     <TableRow key={submission.id}>
                       <TableCell>
                         <div className="max-w-xs">
                           <div className="flex items-center space-x-2">
                             <span>{getCategoryIcon(submission.category)}</span>
-                            <span className="truncate">{submission.title}</span>
+                            <span className="truncate">
+                              <HighlightedText
+                                text={submission.title}
+                                highlight={getHighlight(submission, "title")}
+                              />
+                            </span>
                           </div>
                         </div>
                       </TableCell>
-                      <TableCell>{submission.publisher}</TableCell>
+                      <TableCell>
+                        <PublisherLink submission={submission} />
+                      </TableCell>
                       <TableCell>
                         <Badge variant="outline">
                           {getCountryFlag(submission.country)}{" "}
@@ -624,6 +825,26 @@ export const PublicDirectory: React.FC = () => {
                         >
                           <ExternalLink className="h-4 w-4" />
                         </Button>
+                        {submission.archiveUrl && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => window.open(submission.archiveUrl, "_blank")}
+                            aria-label="Open archived copy"
+                          >
+                            <Archive className="h-4 w-4" />
+                          </Button>
+                        )}
+                        {submission.status === "approved" && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleCite(submission)}
+                            aria-label="Cite source"
+                          >
+                            <Quote className="h-4 w-4" />
+                          </Button>
+                        )}
                       </TableCell>
                     </TableRow>
                   ))}
@@ -633,58 +854,38 @@ export const PublicDirectory: React.FC = () => {
           </CardContent>
         </Card>
       )}
-      {/* Pagination */}
-      {totalPages > 1 && (
-        <div className="mt-12 flex flex-col items-center gap-4">
-          <p className="text-sm text-gray-500">
-            Page {page} of {totalPages}
-          </p>
-
-          <Pagination>
-            <PaginationContent>
-              {/* Previous */}
-              <PaginationItem>
-                <PaginationPrevious
-                  onClick={() => setPage((p) => Math.max(1, p - 1))}
-                  className={page === 1 ? "pointer-events-none opacity-50" : ""}
-                />
-              </PaginationItem>
-
-              {/* Page Numbers */}
-              {Array.from({ length: totalPages }).map((_, index) => {
-                const pageNumber = index + 1;
-
-                if (
-                  pageNumber === 1 ||
-                  pageNumber === totalPages ||
-                  Math.abs(pageNumber - page) <= 1
-                ) {
-                  return (
-                    <PaginationItem key={pageNumber}>
-                      <PaginationLink
-                        isActive={page === pageNumber}
-                        onClick={() => setPage(pageNumber)}
-                      >
-                        {pageNumber}
-                      </PaginationLink>
-                    </PaginationItem>
-                  );
-                }
-
-                return null;
-              })}
-
-              {/* Next */}
-              <PaginationItem>
-                <PaginationNext
-                  onClick={() => setPage((p) => Math.min(totalPages, p + 1))}
-                  className={
-                    page === totalPages ? "pointer-events-none opacity-50" : ""
-                  }
-                />
-              </PaginationItem>
-            </PaginationContent>
-          </Pagination>
+      {/* Citation */}
+      <Dialog open={!!citation} onOpenChange={(open: boolean) => !open && setCitation(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Cite this source</DialogTitle>
+            <DialogDescription>
+              Paste this wikitext into a Wikipedia article to cite "{citation?.title}".
+            </DialogDescription>
+          </DialogHeader>
+          <Textarea
+            readOnly
+            value={citation?.wikitext || ""}
+            rows={5}
+            className="font-mono text-sm"
+            onFocus={(e) => e.target.select()}
+          />
+          <DialogFooter>
+            <Button onClick={copyCitation}>Copy to Clipboard</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Infinite scroll */}
+      {nextCursor && (
+        <div ref={loadMoreRef} className="mt-12 flex justify-center">
+          <Button
+            variant="outline"
+            disabled={loadingMore}
+            onClick={() => loadSubmissions(nextCursor)}
+          >
+            {loadingMore ? "Loading..." : "Load More"}
+          </Button>
         </div>
       )}
     </div>
@@ -0,0 +1,309 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { ArrowLeft, ExternalLink, CheckCircle, XCircle, AlertTriangle, Globe } from 'lucide-react';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '../components/ui/table';
+import { getCountryName, getCountryFlag, getCategoryIcon, getReliabilityColor, getStatusColor } from '../lib/mock-data';
+import { publisherApi } from '../lib/api';
+
+interface PublisherCounts {
+  approved: number;
+  rejected: number;
+  credible: number;
+  unreliable: number;
+  total: number;
+}
+
+interface PublisherVerdict {
+  submission?: string;
+  title?: string;
+  status?: 'approved' | 'rejected';
+  credibility?: 'credible' | 'unreliable';
+  verifiedAt?: string;
+}
+
+interface PublisherRecord {
+  _id: string;
+  slug: string;
+  country: string;
+  name: string;
+  domain?: string;
+  aliases: string[];
+  counts: PublisherCounts;
+  latestVerdict?: PublisherVerdict;
+}
+
+interface PublisherSubmission {
+  _id: string;
+  title: string;
+  url: string;
+  publisher: string;
+  country: string;
+  category: string;
+  status: string;
+  credibility?: string;
+  verifiedAt?: string;
+}
+
+interface PublisherDetail {
+  publisher: {
+    slug: string;
+    name: string;
+    domain?: string;
+    aliases: string[];
+    counts: PublisherCounts;
+    latestVerdict?: PublisherVerdict;
+  };
+  countries: PublisherRecord[];
+  submissions: PublisherSubmission[];
+}
+
+const formatDate = (date?: string) => (date ? new Date(date).toLocaleDateString() : 'N/A');
+
+const getVerdictLabel = (verdict?: PublisherVerdict) => {
+  if (!verdict?.status) return 'No verdict yet';
+  if (verdict.status === 'rejected') return 'Rejected';
+  return verdict.credibility === 'credible' ? 'Credible' : 'Unreliable';
+};
+
+export const PublisherPage: React.FC = () => {
+  const { slug } = useParams<{ slug: string }>();
+  const [detail, setDetail] = useState<PublisherDetail | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+
+  useEffect(() => {
+    const loadPublisher = async () => {
+      if (!slug) return;
+
+      setLoading(true);
+      setNotFound(false);
+
+      try {
+        const response = await publisherApi.getBySlug(slug);
+        setDetail(response);
+      } catch (error) {
+        console.error('Error loading publisher:', error);
+        setNotFound(true);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPublisher();
+  }, [slug]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="animate-pulse">
+            <div className="h-8 bg-gray-300 rounded w-1/3 mb-2"></div>
+            <div className="h-4 bg-gray-300 rounded w-1/2 mb-8"></div>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
+              {[...Array(4)].map((_, i) => (
+                <div key={i} className="h-24 bg-gray-300 rounded"></div>
+              ))}
+            </div>
+            <div className="h-64 bg-gray-300 rounded"></div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (notFound || !detail) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="text-center">
+            <h1 className="text-2xl font-bold text-gray-900 mb-4">Publisher Not Found</h1>
+            <p className="text-gray-600 mb-4">No verified submissions exist for this publisher yet.</p>
+            <Link to="/directory">
+              <Button>Back to Directory</Button>
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const { publisher, countries, submissions } = detail;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+          <div className="flex items-center space-x-4 mb-4">
+            <Link to="/directory">
+              <Button variant="ghost" size="sm" className="flex items-center space-x-2">
+                <ArrowLeft className="h-4 w-4" />
+                <span>Back to Directory</span>
+              </Button>
+            </Link>
+          </div>
+
+          <h1 className="text-3xl font-bold text-gray-900">{publisher.name}</h1>
+          {publisher.domain && (
+            <p className="flex items-center space-x-2 text-gray-600 mt-1">
+              <Globe className="h-4 w-4" />
+              <span>{publisher.domain}</span>
+            </p>
+          )}
+          {publisher.aliases.length > 1 && (
+            <p className="text-sm text-gray-500 mt-2">
+              Also submitted as: {publisher.aliases.filter((alias) => alias !== publisher.name).join(', ')}
+            </p>
+          )}
+          <div className="mt-3">
+            <Badge className={getReliabilityColor(publisher.latestVerdict?.credibility)}>
+              Latest verdict: {getVerdictLabel(publisher.latestVerdict)}
+              {publisher.latestVerdict?.verifiedAt && ` (${formatDate(publisher.latestVerdict.verifiedAt)})`}
+            </Badge>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
+        {/* Statistics Cards */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
+          <Card>
+            <CardContent className="p-4">
+              <div className="flex items-center space-x-2">
+                <CheckCircle className="h-5 w-5 text-green-600" />
+                <div>
+                  <div className="text-2xl font-bold text-green-600">{publisher.counts.credible}</div>
+                  <div className="text-sm text-gray-600">Credible</div>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardContent className="p-4">
+              <div className="flex items-center space-x-2">
+                <AlertTriangle className="h-5 w-5 text-orange-600" />
+                <div>
+                  <div className="text-2xl font-bold text-orange-600">{publisher.counts.unreliable}</div>
+                  <div className="text-sm text-gray-600">Unreliable</div>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardContent className="p-4">
+              <div className="flex items-center space-x-2">
+                <XCircle className="h-5 w-5 text-red-600" />
+                <div>
+                  <div className="text-2xl font-bold text-red-600">{publisher.counts.rejected}</div>
+                  <div className="text-sm text-gray-600">Rejected</div>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardContent className="p-4">
+              <div className="flex items-center space-x-2">
+                <Globe className="h-5 w-5 text-blue-600" />
+                <div>
+                  <div className="text-2xl font-bold text-blue-600">{publisher.counts.total}</div>
+                  <div className="text-sm text-gray-600">Verified Submissions</div>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+
+        {/* Per-country track record */}
+        <Card className="mb-8">
+          <CardHeader>
+            <CardTitle>By Country</CardTitle>
+            <CardDescription>Reliability is judged separately for each country's verifiers</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Country</TableHead>
+                  <TableHead>Credible</TableHead>
+                  <TableHead>Unreliable</TableHead>
+                  <TableHead>Rejected</TableHead>
+                  <TableHead>Latest Verdict</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {countries.map((record) => (
+                  <TableRow key={record._id}>
+                    <TableCell>
+                      <Link to={`/country/${record.country}`} className="hover:underline">
+                        {getCountryFlag(record.country)} {getCountryName(record.country)}
+                      </Link>
+                    </TableCell>
+                    <TableCell>{record.counts.credible}</TableCell>
+                    <TableCell>{record.counts.unreliable}</TableCell>
+                    <TableCell>{record.counts.rejected}</TableCell>
+                    <TableCell>
+                      {getVerdictLabel(record.latestVerdict)} · {formatDate(record.latestVerdict?.verifiedAt)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+
+        {/* Verified submissions */}
+        <h2 className="text-xl font-semibold mb-4">Recent Verdicts</h2>
+        <div className="space-y-4">
+          {submissions.map((submission) => (
+            <Card key={submission._id}>
+              <CardContent className="p-4">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="flex-1">
+                    <div className="flex items-center space-x-2 mb-1">
+                      <span>{getCategoryIcon(submission.category)}</span>
+                      <span className="font-medium">{submission.title}</span>
+                    </div>
+                    <div className="text-sm text-gray-600">
+                      {getCountryFlag(submission.country)} {getCountryName(submission.country)} · Verified{' '}
+                      {formatDate(submission.verifiedAt)}
+                    </div>
+                  </div>
+                  <div className="flex flex-col items-end space-y-2">
+                    <Badge className={getStatusColor(submission.status)}>{submission.status}</Badge>
+                    {submission.credibility && (
+                      <Badge className={getReliabilityColor(submission.credibility)}>
+                        {submission.credibility}
+                      </Badge>
+                    )}
+                    <a
+                      href={submission.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="flex items-center space-x-1 text-blue-600 hover:text-blue-800 text-sm"
+                    >
+                      <span>View Source</span>
+                      <ExternalLink className="h-3 w-3" />
+                    </a>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
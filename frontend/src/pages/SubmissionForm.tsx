@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
@@ -11,9 +11,33 @@ import { useAuth } from '../lib/auth-context';
 import { COUNTRIES } from '../lib/mock-data';
 import { submissionApi } from '../lib/api';
 import { toast } from 'sonner';
-import { Upload, Link2, FileText, CheckCircle, AlertCircle } from 'lucide-react';
+import { Upload, Link2, FileText, CheckCircle, AlertCircle, Wand2 } from 'lucide-react';
 import { Alert, AlertDescription } from '../components/ui/alert';
 
+interface DuplicateMatch {
+  _id: string;
+  title: string;
+  publisher: string;
+  url: string;
+  status: string;
+}
+
+interface DuplicateCheck {
+  exact: DuplicateMatch | null;
+  similar: Array<{ submission: DuplicateMatch; score: number }>;
+}
+
+type Category = 'primary' | 'secondary' | 'unreliable';
+
+interface UrlMetadata {
+  title?: string;
+  publisher?: string;
+  publishedDate?: string;
+  authors?: string[];
+  finalUrl: string;
+  suggestedCategory: { category: Category; reason: string } | null;
+}
+
 export const SubmissionForm: React.FC = () => {
   const navigate = useNavigate();
   const { user, updateUser } = useAuth();
@@ -22,10 +46,14 @@ export const SubmissionForm: React.FC = () => {
   const [title, setTitle] = useState('');
   const [publisher, setPublisher] = useState('');
   const [country, setCountry] = useState('');
-  const [category, setCategory] = useState<'primary' | 'secondary' | 'unreliable'>('secondary');
+  const [category, setCategory] = useState<Category>('secondary');
   const [wikipediaArticle, setWikipediaArticle] = useState('');
-  const [fileName, setFileName] = useState('');
+  const [file, setFile] = useState<File | null>(null);
   const [loading, setLoading] = useState(false);
+  const [duplicateCheck, setDuplicateCheck] = useState<DuplicateCheck | null>(null);
+  const [metadata, setMetadata] = useState<UrlMetadata | null>(null);
+  const [metadataLoading, setMetadataLoading] = useState(false);
+  const [lookedUpUrl, setLookedUpUrl] = useState('');
 
   const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const file = e.target.files?.[0];
@@ -38,7 +66,7 @@ export const SubmissionForm: React.FC = () => {
         toast.error('Only PDF files are allowed');
         return;
       }
-      setFileName(file.name);
+      setFile(file);
     }
   };
 
@@ -51,6 +79,47 @@ export const SubmissionForm: React.FC = () => {
     }
   };
 
+  // Prefill empty fields from the page itself; anything the user typed is kept
+  const fetchMetadata = async (force = false) => {
+    if (!validateUrl(url) || (url === lookedUpUrl && !force)) return;
+
+    setLookedUpUrl(url);
+    setMetadataLoading(true);
+    try {
+      const response = await submissionApi.getMetadata(url);
+      const details: UrlMetadata = response.metadata;
+      setMetadata(details);
+      if (details.title) setTitle((current) => current || details.title!.slice(0, 200));
+      if (details.publisher) setPublisher((current) => current || details.publisher!.slice(0, 100));
+      if (details.suggestedCategory) setCategory(details.suggestedCategory.category);
+    } catch (error) {
+      setMetadata(null);
+      toast.error(error instanceof Error ? error.message : 'Could not read details from this URL');
+    } finally {
+      setMetadataLoading(false);
+    }
+  };
+
+  // Look up matching sources while the user types
+  useEffect(() => {
+    const checkUrl = submissionType === 'url' && validateUrl(url) ? url : undefined;
+    if (!checkUrl && title.trim().length < 5) {
+      setDuplicateCheck(null);
+      return;
+    }
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await submissionApi.checkDuplicate({ url: checkUrl, title, publisher });
+        setDuplicateCheck({ exact: response.exact, similar: response.similar || [] });
+      } catch (error) {
+        setDuplicateCheck(null);
+      }
+    }, 500);
+
+    return () => clearTimeout(timeout);
+  }, [submissionType, url, title, publisher]);
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
@@ -66,7 +135,7 @@ export const SubmissionForm: React.FC = () => {
       return;
     }
 
-    if (submissionType === 'pdf' && !fileName) {
+    if (submissionType === 'pdf' && !file) {
       toast.error('Please upload a PDF file');
       return;
     }
@@ -85,15 +154,14 @@ export const SubmissionForm: React.FC = () => {
 
     try {
       const response = await submissionApi.create({
-        url: submissionType === 'url' ? url : `https://uploads.wikisource.org/${fileName}`,
+        url: submissionType === 'url' ? url : undefined,
         title,
         publisher,
         country,
         category,
         wikipediaArticle: wikipediaArticle || undefined,
         fileType: submissionType,
-        fileName: submissionType === 'pdf' ? fileName : undefined,
-      });
+      }, submissionType === 'pdf' && file ? file : undefined);
 
       if (response.success) {
         toast.success('Reference submitted successfully! (+10 points)');
@@ -109,12 +177,14 @@ export const SubmissionForm: React.FC = () => {
       setCountry('');
       setCategory('secondary');
       setWikipediaArticle('');
-      setFileName('');
+      setFile(null);
+      setMetadata(null);
+      setLookedUpUrl('');
 
       // Navigate to directory
       setTimeout(() => navigate('/directory'), 1500);
     } catch (error) {
-      toast.error('Submission failed. Please try again.');
+      toast.error(error instanceof Error ? error.message : 'Submission failed. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -185,17 +255,45 @@ export const SubmissionForm: React.FC = () => {
             {submissionType === 'url' ? (
               <div className="space-y-2">
                 <Label htmlFor="url">Source URL *</Label>
-                <Input
-                  id="url"
-                  type="url"
-                  placeholder="https://example.com/article"
-                  value={url}
-                  onChange={(e) => setUrl(e.target.value)}
-                  required
-                />
+                <div className="flex space-x-2">
+                  <Input
+                    id="url"
+                    type="url"
+                    placeholder="https://example.com/article"
+                    value={url}
+                    onChange={(e) => setUrl(e.target.value)}
+                    onBlur={() => fetchMetadata()}
+                    required
+                  />
+                  <Button
+                    type="button"
+                    variant="outline"
+                    disabled={!validateUrl(url) || metadataLoading}
+                    onClick={() => fetchMetadata(true)}
+                  >
+                    <Wand2 className={`mr-2 h-4 w-4 ${metadataLoading ? 'animate-pulse' : ''}`} />
+                    {metadataLoading ? 'Reading...' : 'Fetch Details'}
+                  </Button>
+                </div>
                 <p className="text-sm text-gray-500">
-                  Enter the complete URL of the reference source
+                  Enter the complete URL of the reference source. Title and publisher are filled in from the page when possible.
                 </p>
+                {metadata && (metadata.publishedDate || metadata.authors) && (
+                  <p className="text-sm text-gray-500">
+                    {metadata.authors && `By ${metadata.authors.join(', ')}`}
+                    {metadata.authors && metadata.publishedDate && ' · '}
+                    {metadata.publishedDate && `Published ${metadata.publishedDate}`}
+                  </p>
+                )}
+                {duplicateCheck?.exact && (
+                  <Alert variant="destructive">
+                    <AlertCircle className="h-4 w-4" />
+                    <AlertDescription>
+                      This source is already in the directory as "{duplicateCheck.exact.title}"
+                      ({duplicateCheck.exact.status}). Submitting it again will not earn points.
+                    </AlertDescription>
+                  </Alert>
+                )}
               </div>
             ) : (
               <div className="space-y-2">
@@ -208,10 +306,10 @@ export const SubmissionForm: React.FC = () => {
                     onChange={handleFileChange}
                     className="cursor-pointer"
                   />
-                  {fileName && (
+                  {file && (
                     <div className="flex items-center space-x-2 text-sm text-green-600">
                       <CheckCircle className="h-4 w-4" />
-                      <span>{fileName}</span>
+                      <span>{file.name}</span>
                     </div>
                   )}
                 </div>
@@ -229,6 +327,21 @@ export const SubmissionForm: React.FC = () => {
                 onChange={(e) => setTitle(e.target.value)}
                 required
               />
+              {!duplicateCheck?.exact && duplicateCheck?.similar && duplicateCheck.similar.length > 0 && (
+                <Alert>
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>
+                    Similar sources are already in the directory:
+                    <ul className="list-disc pl-5 mt-1">
+                      {duplicateCheck.similar.map(({ submission }) => (
+                        <li key={submission._id}>
+                          {submission.title} — {submission.publisher} ({submission.status})
+                        </li>
+                      ))}
+                    </ul>
+                  </AlertDescription>
+                </Alert>
+              )}
             </div>
 
             {/* Publisher */}
@@ -267,9 +380,14 @@ export const SubmissionForm: React.FC = () => {
             {/* Category */}
             <div className="space-y-3">
               <Label>Source Category *</Label>
+              {metadata?.suggestedCategory && (
+                <p className="text-sm text-gray-500">
+                  Suggested: {metadata.suggestedCategory.category} ({metadata.suggestedCategory.reason})
+                </p>
+              )}
               <RadioGroup
                 value={category}
-                onValueChange={(value: string) => setCategory(value as 'primary' | 'secondary' | 'unreliable')}
+                onValueChange={(value: string) => setCategory(value as Category)}
                 className="space-y-3"
               >
                 <div className="flex items-start space-x-3 p-4 border rounded-lg hover:bg-gray-50 cursor-pointer">
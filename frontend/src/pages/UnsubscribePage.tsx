@@ -0,0 +1,71 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { CheckCircle, Loader2, XCircle } from 'lucide-react';
+import { Button } from '../components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { notificationApi } from '../lib/api';
+
+// Opened from the unsubscribe link in notification emails; works without logging in
+export const UnsubscribePage: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  // Only send the request once under StrictMode
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (submitted.current) return;
+    submitted.current = true;
+
+    const user = searchParams.get('user');
+    const scope = searchParams.get('scope');
+    const token = searchParams.get('token');
+
+    if (!user || !scope || !token) {
+      setError('This unsubscribe link is incomplete');
+      return;
+    }
+
+    notificationApi.unsubscribe({ user, scope, token })
+      .then((response) => setMessage(response.message))
+      .catch((err) => {
+        setError(err instanceof Error ? err.message : 'Could not unsubscribe');
+      });
+  }, [searchParams]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4 py-12">
+      <Card className="w-full max-w-md">
+        <CardHeader>
+          <CardTitle>Email Notifications</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {error ? (
+            <div className="flex items-center text-red-700">
+              <XCircle className="mr-2 h-5 w-5" />
+              {error}
+            </div>
+          ) : message ? (
+            <>
+              <div className="flex items-center text-green-700">
+                <CheckCircle className="mr-2 h-5 w-5" />
+                {message}
+              </div>
+              <p className="text-sm text-gray-600">
+                You will still see these notifications in the app. You can change this at any time in the Settings tab of your profile.
+              </p>
+            </>
+          ) : (
+            <div className="flex items-center text-gray-600">
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              Updating your email settings...
+            </div>
+          )}
+          <Button asChild variant="outline" className="w-full">
+            <Link to="/profile">Go to your profile</Link>
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
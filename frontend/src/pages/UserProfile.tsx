@@ -28,7 +28,12 @@ import {
   Target,
   Activity,
   Loader2,
+  Globe,
 } from 'lucide-react';
+import { ActiveSessions } from '../components/ActiveSessions';
+import { WikimediaAccount } from '../components/WikimediaAccount';
+import { TwoFactorSettings } from '../components/TwoFactorSettings';
+import { NotificationSettings } from '../components/NotificationSettings';
 import { useAuth } from '../lib/auth-context';
 import { submissionApi } from '../lib/api';
 import { toast } from 'sonner';
@@ -226,6 +231,13 @@ useEffect(() => {
                   Joined{' '}
                   {new Date(safeUser.joinDate).toLocaleDateString()}
                 </span>
+                {user?.wikimedia && (
+                  <span className="flex items-center gap-1">
+                    <Globe className="h-4 w-4" />
+                    {user.wikimedia.username} ·{' '}
+                    {user.wikimedia.editCount.toLocaleString()} Wikimedia edits
+                  </span>
+                )}
               </div>
             </div>
 
@@ -323,6 +335,8 @@ useEffect(() => {
             <TabsTrigger value="dashboard">Dashboard</TabsTrigger>
             <TabsTrigger value="badges">Badges</TabsTrigger>
             <TabsTrigger value="submissions">Submissions</TabsTrigger>
+            <TabsTrigger value="security">Security</TabsTrigger>
+            <TabsTrigger value="settings">Settings</TabsTrigger>
           </TabsList>
 
           {/* DASHBOARD */}
@@ -591,6 +605,18 @@ useEffect(() => {
               </div>
             )}
           </TabsContent>
+
+          {/* SECURITY */}
+          <TabsContent value="security" className="mt-6 space-y-6">
+            <TwoFactorSettings />
+            <WikimediaAccount />
+            <ActiveSessions />
+          </TabsContent>
+
+          {/* SETTINGS */}
+          <TabsContent value="settings" className="mt-6 space-y-6">
+            <NotificationSettings />
+          </TabsContent>
         </Tabs>
       </div>
     </div>
@@ -0,0 +1,211 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { TwoFactorPrompt } from '../components/TwoFactorPrompt';
+import { useAuth } from '../lib/auth-context';
+import { authApi } from '../lib/api';
+import { COUNTRIES } from '../lib/mock-data';
+import { toast } from 'sonner';
+import { Loader2, XCircle } from 'lucide-react';
+
+interface PendingRegistration {
+  registrationToken: string;
+  profile: {
+    username: string;
+    suggestedUsername: string;
+    editCount: number;
+    email?: string;
+  };
+}
+
+// Wikimedia sends the user back here with ?code=...&state=... after the consent page
+export const WikimediaCallback: React.FC = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { loading: authLoading, startSession, updateUser } = useAuth();
+  const [error, setError] = useState('');
+  const [pending, setPending] = useState<PendingRegistration | null>(null);
+  const [twoFactorToken, setTwoFactorToken] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  // Codes are single use, so the exchange must not run twice under StrictMode
+  const exchanged = useRef(false);
+
+  const [username, setUsername] = useState('');
+  const [email, setEmail] = useState('');
+  const [country, setCountry] = useState('');
+
+  useEffect(() => {
+    // Linking updates the signed-in user, so wait until they are loaded
+    if (authLoading || exchanged.current) return;
+    exchanged.current = true;
+
+    const code = searchParams.get('code');
+    const state = searchParams.get('state');
+
+    if (searchParams.get('error') || !code || !state) {
+      setError(searchParams.get('error_description') || 'Wikimedia sign-in was cancelled');
+      return;
+    }
+
+    authApi.wikimediaCallback(code, state)
+      .then((response) => {
+        if (response.twoFactorRequired) {
+          setTwoFactorToken(response.twoFactorToken);
+        } else if (response.needsRegistration) {
+          setPending(response);
+          setUsername(response.profile.suggestedUsername);
+          setEmail(response.profile.email || '');
+        } else if (response.accessToken) {
+          startSession(response);
+          toast.success('Login successful!');
+          navigate('/');
+        } else {
+          updateUser({ wikimedia: response.user.wikimedia });
+          toast.success(response.message || 'Wikimedia account linked');
+          navigate('/profile');
+        }
+      })
+      .catch((err) => {
+        setError(err instanceof Error ? err.message : 'Wikimedia sign-in failed');
+      });
+  }, [authLoading, searchParams, navigate, startSession, updateUser]);
+
+  const handleRegister = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!pending) return;
+    if (!country) {
+      toast.error('Please select a country');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authApi.wikimediaRegister({
+        registrationToken: pending.registrationToken,
+        username,
+        email,
+        country,
+      });
+      startSession(response);
+      toast.success('Account created!');
+      navigate('/');
+    } catch (err) {
+      toast.error(err instanceof Error ? err.message : 'Registration failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4 py-12">
+      <Card className="w-full max-w-md">
+        {error ? (
+          <>
+            <CardHeader>
+              <CardTitle>Wikimedia Sign-in</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="flex items-center text-red-700">
+                <XCircle className="mr-2 h-5 w-5" />
+                {error}
+              </div>
+              <Button className="w-full" onClick={() => navigate('/auth')}>
+                Back to Login
+              </Button>
+            </CardContent>
+          </>
+        ) : twoFactorToken ? (
+          <>
+            <CardHeader>
+              <CardTitle>Two-Factor Authentication</CardTitle>
+              <CardDescription>One more step to finish signing in with Wikimedia</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <TwoFactorPrompt
+                twoFactorToken={twoFactorToken}
+                onSuccess={() => navigate('/')}
+                onCancel={() => navigate('/auth')}
+              />
+            </CardContent>
+          </>
+        ) : pending ? (
+          <>
+            <CardHeader>
+              <CardTitle>Finish Creating Your Account</CardTitle>
+              <CardDescription>
+                Signed in as {pending.profile.username} on Wikimedia
+                ({pending.profile.editCount.toLocaleString()} edits)
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <form onSubmit={handleRegister} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="wikimedia-username">Username</Label>
+                  <Input
+                    id="wikimedia-username"
+                    type="text"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    required
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="wikimedia-email">Email</Label>
+                  <Input
+                    id="wikimedia-email"
+                    type="email"
+                    placeholder="your.email@example.com"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    required
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="wikimedia-country">Country</Label>
+                  <Select value={country} onValueChange={setCountry}>
+                    <SelectTrigger id="wikimedia-country">
+                      <SelectValue placeholder="Select your country" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {COUNTRIES.map((option) => (
+                        <SelectItem key={option.code} value={option.code}>
+                          {option.flag} {option.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                <Button type="submit" className="w-full" disabled={loading}>
+                  {loading ? (
+                    <>
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                      Creating account...
+                    </>
+                  ) : (
+                    'Create Account'
+                  )}
+                </Button>
+              </form>
+            </CardContent>
+          </>
+        ) : (
+          <CardContent className="pt-6">
+            <div className="flex items-center text-gray-600">
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              Signing in with Wikimedia...
+            </div>
+          </CardContent>
+        )}
+      </Card>
+    </div>
+  );
+};
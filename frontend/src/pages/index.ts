@@ -7,3 +7,6 @@ export { AdminDashboard } from './AdminDashboard';
 export { PublicDirectory } from './PublicDirectory';
 export { UserProfile } from './UserProfile';
 export { CountryPage } from './CountryPage';
+export { PublisherPage } from './PublisherPage';
+export { WikimediaCallback } from './WikimediaCallback';
+export { UnsubscribePage } from './UnsubscribePage';